@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+/**
+ * Línea de comandos del simulador de traceroute
+ * Usa la misma lógica que la aplicación (src/utils) sobre archivos CSV, para
+ * revisar las tablas sin navegador (ej: en integración continua)
+ *
+ *   traceroute-sim trace --table red.csv --from RouterA --dst 192.168.3.50 [--src 192.168.1.1]
+ *   traceroute-sim matrix --table red.csv [--csv]
+ *   traceroute-sim lint --table red.csv
+ *   traceroute-sim policy --table red.csv --spec politicas.yaml
+ *
+ * Todos los comandos aceptan las tablas opcionales --interfaces, --links,
+ * --acl y --nat. El código de salida es 0 si todo se cumple, 1 si alguna
+ * comprobación falla y 2 si el comando no se pudo ejecutar (argumentos o
+ * archivos inválidos)
+ */
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { parseCSVText } from '../src/utils/csv.js';
+import { executeBidirectionalTraceroute, TRACE_STATUS } from '../src/utils/traceroute.js';
+import { traceToText } from '../src/utils/exporters.js';
+import {
+  computeReachabilityMatrix,
+  summarizeMatrix,
+  matrixToCSV,
+  sourceAddressFor,
+  formatCellPaths,
+  VRF_ISOLATED,
+  PARTIAL_ECMP,
+} from '../src/utils/reachability.js';
+import { lintRoutingTable, LINT_SEVERITY } from '../src/utils/lint.js';
+import { ipVersion } from '../src/utils/ip.js';
+import { DEFAULT_VRF } from '../src/utils/vrf.js';
+import { tracePath } from '../src/utils/layout.js';
+import { INTERFACE_COLUMNS } from '../src/utils/interfaces.js';
+import { LINK_COLUMNS, buildLinkModel } from '../src/utils/links.js';
+import { ACL_COLUMNS, parseACLRules } from '../src/utils/acl.js';
+import { NAT_COLUMNS, parseNATRules } from '../src/utils/nat.js';
+import {
+  parsePolicySpec,
+  evaluatePolicies,
+  summarizePolicyResults,
+  formatPolicyReport,
+} from '../src/utils/policy.js';
+
+const EXIT = { OK: 0, FAILED: 1, ERROR: 2 };
+
+const USAGE = `Uso: traceroute-sim <comando> --table <tabla.csv> [opciones]
+
+Comandos:
+  trace --from <equipo> --dst <ip> [--src <ip>] [--vrf <vrf>]
+        [--protocol <ip|tcp|udp|icmp>] [--sport <puerto>] [--dport <puerto>] [--flow]
+                            Traceroute de ida y vuelta, con salida al estilo de traceroute
+  matrix [--csv]            Matriz de alcanzabilidad de todos los equipos a todas las redes
+  lint                      Revisión estática de la tabla de ruteo
+  policy --spec <archivo>   Evalúa una especificación de políticas (JSON o YAML)
+
+Opciones comunes:
+  --table <csv>        Tabla de ruteo (obligatoria)
+  --interfaces <csv>   Tabla de interfaces
+  --links <csv>        Tabla de enlaces
+  --acl <csv>          Listas de control de acceso
+  --nat <csv>          Reglas de NAT
+  --json               Resultado en JSON
+  -h, --help           Muestra esta ayuda`;
+
+const COMMON_OPTIONS = {
+  table: { type: 'string' },
+  interfaces: { type: 'string' },
+  links: { type: 'string' },
+  acl: { type: 'string' },
+  nat: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const readFile = (path) => {
+  try {
+    return readFileSync(path, 'utf8');
+  } catch (error) {
+    throw new Error(`No se pudo leer ${path}: ${error.message}`);
+  }
+};
+
+// Lee un archivo y lo interpreta con parse, indicando el archivo si no es válido
+const parseFile = (path, parse) => {
+  const text = readFile(path);
+  try {
+    return parse(text);
+  } catch (error) {
+    throw new Error(`${path}: ${error.message}`);
+  }
+};
+
+// Lee un CSV con las mismas validaciones que la carga en el navegador
+const readCSV = (path, options) => parseFile(path, text => parseCSVText(text, options));
+
+// Tabla de ruteo y opciones del traceroute a partir de los archivos indicados
+const loadNetwork = (values) => {
+  if (!values.table) throw new Error('Falta la tabla de ruteo (--table)');
+  const optional = (path, options) => (path ? readCSV(path, options) : []);
+
+  return {
+    routingData: readCSV(values.table),
+    traceOptions: {
+      interfaces: optional(values.interfaces, { requiredColumns: INTERFACE_COLUMNS }),
+      links: buildLinkModel(optional(values.links, { requiredColumns: LINK_COLUMNS, validateData: buildLinkModel })),
+      acls: parseACLRules(optional(values.acl, { requiredColumns: ACL_COLUMNS, validateData: parseACLRules })),
+      nat: parseNATRules(optional(values.nat, { requiredColumns: NAT_COLUMNS, validateData: parseNATRules })),
+    },
+  };
+};
+
+// Paquete del traceroute a partir de --protocol, --sport y --dport
+const parsePacket = (values) => {
+  const protocol = values.protocol ?? 'ip';
+  if (!['ip', 'tcp', 'udp', 'icmp'].includes(protocol)) {
+    throw new Error(`Protocolo desconocido: ${protocol}`);
+  }
+  const port = (name) => {
+    if (values[name] === undefined) return null;
+    const number = Number(values[name]);
+    if (protocol !== 'tcp' && protocol !== 'udp') throw new Error(`--${name} sólo se usa con tcp o udp`);
+    if (!Number.isInteger(number) || number < 0 || number > 65535) throw new Error(`Puerto inválido en --${name}: ${values[name]}`);
+    return number;
+  };
+  return { protocol, srcPort: port('sport'), dstPort: port('dport') };
+};
+
+// Comando trace: como el formulario de la aplicación, traza la ida y la vuelta
+const runTrace = (values) => {
+  if (!values.from || !values.dst) throw new Error('Faltan el equipo origen (--from) o la IP destino (--dst)');
+  const { routingData, traceOptions } = loadNetwork(values);
+  const packet = parsePacket(values);
+  const sourceIP = values.src ||
+    sourceAddressFor(values.from, values.vrf || DEFAULT_VRF, ipVersion(values.dst), routingData, traceOptions.interfaces);
+  if (!sourceIP) throw new Error(`"${values.from}" no tiene una IP de la familia de ${values.dst} para usar como origen: indícala con --src`);
+
+  const result = executeBidirectionalTraceroute(values.from, sourceIP, values.dst, routingData, {
+    ...traceOptions,
+    flow: values.flow ? packet : null,
+    // Un paquete de protocolo "ip" sin puertos no aporta datos a las ACL
+    packet: packet.protocol === 'ip' ? null : packet,
+    vrf: values.vrf || null,
+  });
+  if (result.status === TRACE_STATUS.INVALID_PARAMS || result.status === TRACE_STATUS.UNKNOWN_EQUIPMENT) {
+    throw new Error(result.error);
+  }
+
+  console.log(values.json ? JSON.stringify(result, null, 2) : traceToText(result, { links: traceOptions.links }).trimEnd());
+  // La respuesta que no vuelve al origen (ej: ruteo asimétrico) también es una falla
+  return result.success && result.returnTrace.success ? EXIT.OK : EXIT.FAILED;
+};
+
+// Comando matrix: falla si algún par no se alcanza (salvo el aislamiento entre VRF)
+const runMatrix = (values) => {
+  const { routingData, traceOptions } = loadNetwork(values);
+  const matrix = computeReachabilityMatrix(routingData, traceOptions);
+  const cells = matrix.rows.flat();
+  const unreachable = cells.filter(cell => cell.status !== TRACE_STATUS.SUCCESS && cell.status !== VRF_ISOLATED);
+  const summary = summarizeMatrix(matrix);
+
+  if (values.json) {
+    console.log(JSON.stringify({
+      summary,
+      cells: cells.map(cell => ({
+        equipo: cell.equipo,
+        vrf: cell.vrf,
+        prefix: cell.prefix,
+        sourceIP: cell.sourceIP,
+        destIP: cell.destIP,
+        status: cell.status,
+        hopCount: cell.hopCount,
+        path: tracePath(cell.result),
+        paths: cell.paths,
+        error: cell.result.error,
+      })),
+    }, null, 2));
+  } else if (values.csv) {
+    console.log(matrixToCSV(matrix));
+  } else {
+    unreachable.forEach(cell => {
+      const source = cell.vrf === DEFAULT_VRF ? cell.equipo : `${cell.equipo} (${cell.vrf})`;
+      const detail = cell.status === PARTIAL_ECMP ? formatCellPaths(cell) : cell.result.error;
+      console.log(`${source} → ${cell.prefix}: ${cell.status} (${detail})`);
+    });
+    const counts = Object.entries(summary).map(([status, count]) => `${status}: ${count}`).join(', ');
+    console.log(`${unreachable.length === 0 ? '' : '\n'}${cells.length} pares (${counts})`);
+  }
+  return unreachable.length === 0 ? EXIT.OK : EXIT.FAILED;
+};
+
+// Comando lint: falla si hay hallazgos de severidad error
+const runLint = (values) => {
+  const { routingData, traceOptions } = loadNetwork(values);
+  const findings = lintRoutingTable(routingData, { interfaces: traceOptions.interfaces });
+  const errors = findings.filter(finding => finding.severity === LINT_SEVERITY.ERROR).length;
+
+  if (values.json) {
+    console.log(JSON.stringify({ findings }, null, 2));
+  } else {
+    findings.forEach(finding => {
+      const where = finding.line ? `${values.table}:${finding.line}` : values.table;
+      console.log(`${where}  ${finding.severity}  ${finding.equipo}: ${finding.message} [${finding.rule}]`);
+    });
+    console.log(`${findings.length === 0 ? '' : '\n'}${findings.length} hallazgos, errores: ${errors}`);
+  }
+  return errors === 0 ? EXIT.OK : EXIT.FAILED;
+};
+
+// Comando policy: evalúa cada política y lista las que no se cumplen
+const runPolicy = (values) => {
+  if (!values.spec) throw new Error('Falta la especificación de políticas (--spec)');
+  const { routingData, traceOptions } = loadNetwork(values);
+  const policies = parseFile(values.spec, parsePolicySpec);
+
+  const results = evaluatePolicies(policies, routingData, traceOptions);
+  const summary = summarizePolicyResults(results);
+
+  console.log(values.json
+    ? JSON.stringify({
+      summary,
+      results: results.map(({ policy, passed, failures, path, paths, sourceIP, result }) => ({
+        name: policy.name,
+        from: policy.from,
+        to: policy.to,
+        sourceIP,
+        destIP: policy.destIP,
+        passed,
+        failures,
+        status: result.status,
+        error: result.error,
+        hopCount: result.hops.length,
+        path,
+        paths,
+      })),
+    }, null, 2)
+    : formatPolicyReport(results));
+
+  return summary.failed === 0 ? EXIT.OK : EXIT.FAILED;
+};
+
+const COMMANDS = {
+  trace: {
+    options: {
+      from: { type: 'string' },
+      src: { type: 'string' },
+      dst: { type: 'string' },
+      vrf: { type: 'string' },
+      protocol: { type: 'string' },
+      sport: { type: 'string' },
+      dport: { type: 'string' },
+      flow: { type: 'boolean', default: false },
+    },
+    run: runTrace,
+  },
+  matrix: { options: { csv: { type: 'boolean', default: false } }, run: runMatrix },
+  lint: { options: {}, run: runLint },
+  policy: { options: { spec: { type: 'string' } }, run: runPolicy },
+};
+
+const main = (argv) => {
+  const [name, ...args] = argv;
+  if (!name || name === '-h' || name === '--help') {
+    console.log(USAGE);
+    return name ? EXIT.OK : EXIT.ERROR;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Comando desconocido: ${name}\n\n${USAGE}`);
+    return EXIT.ERROR;
+  }
+
+  try {
+    const { values } = parseArgs({ args, options: { ...COMMON_OPTIONS, ...command.options } });
+    if (values.help) {
+      console.log(USAGE);
+      return EXIT.OK;
+    }
+    return command.run(values);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return EXIT.ERROR;
+  }
+};
+
+process.exitCode = main(process.argv.slice(2));
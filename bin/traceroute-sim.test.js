@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('./traceroute-sim.js', import.meta.url));
+const EXAMPLE = fileURLToPath(new URL('../public/example-routing-table.csv', import.meta.url));
+
+// R1 y R2 se alcanzan entre sí y ven todas las redes de la tabla
+const FULL_MESH = `Equipo,IP_Destino,Mascara,Gateway
+R1,10.0.0.0,/24,directo
+R1,192.168.2.0,/24,10.0.0.2
+R2,10.0.0.0,/24,directo
+R2,192.168.2.0,/24,directo
+`;
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+let dir;
+let fullMesh;
+
+beforeAll(() => {
+  dir = mkdtempSync(join(tmpdir(), 'traceroute-sim-'));
+  fullMesh = join(dir, 'red.csv');
+  writeFileSync(fullMesh, FULL_MESH);
+});
+
+afterAll(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('traceroute-sim', () => {
+  it('sale con 0 si la traza y la matriz se cumplen', () => {
+    expect(run('trace', '--table', EXAMPLE, '--from', 'RouterA', '--dst', '192.168.1.1').status).toBe(0);
+    const matrix = run('matrix', '--table', fullMesh);
+    expect(matrix.status).toBe(0);
+    expect(matrix.stdout).toContain('success: 4');
+  });
+
+  it('sale con 1 si la traza o la matriz fallan', () => {
+    const trace = run('trace', '--table', EXAMPLE, '--from', 'RouterA', '--dst', '203.0.113.9');
+    expect(trace.status).toBe(1);
+    expect(trace.stdout).toContain('No existe ruta hacia 203.0.113.9');
+    expect(run('matrix', '--table', EXAMPLE).status).toBe(1);
+  });
+
+  it('sale con 2 si el comando no se puede ejecutar', () => {
+    expect(run().status).toBe(2);
+    expect(run('desconocido', '--table', fullMesh).status).toBe(2);
+    expect(run('matrix').status).toBe(2);
+
+    const missing = run('lint', '--table', join(dir, 'no-existe.csv'));
+    expect(missing.status).toBe(2);
+    expect(missing.stderr).toContain('No se pudo leer');
+  });
+});
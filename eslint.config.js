@@ -26,4 +26,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Línea de comandos: se ejecuta con Node
+    files: ['bin/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
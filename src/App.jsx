@@ -1,31 +1,154 @@
-import { useState } from 'react';
+import { useCallback, useEffect, useMemo, useState } from 'react';
 import FileUploader from './components/FileUploader';
 import TraceRouteForm from './components/TraceRouteForm';
 import NetworkDiagram from './components/NetworkDiagram';
 import HopsTable from './components/HopsTable';
 import ResultsSummary from './components/ResultsSummary';
-import { executeTraceroute } from './utils/traceroute';
+import ReachabilityMatrix from './components/ReachabilityMatrix';
+import LintPanel from './components/LintPanel';
+import FailureImpact from './components/FailureImpact';
+import TableComparison from './components/TableComparison';
+import PolicyChecks from './components/PolicyChecks';
+import RoutingTableEditor from './components/RoutingTableEditor';
+import ImportReport from './components/ImportReport';
+import ExportMenu from './components/ExportMenu';
+import ProjectPanel from './components/ProjectPanel';
+import PacketWalkthrough from './components/PacketWalkthrough';
+import TracerouteEmulator from './components/TracerouteEmulator';
+import { executeBidirectionalTraceroute } from './utils/traceroute';
+import { INTERFACE_COLUMNS } from './utils/interfaces';
+import { DEFAULT_VRF, VRF_INTERFACE_COLUMNS } from './utils/vrf';
+import { LINK_COLUMNS, LINK_OPTIONAL_COLUMNS, buildLinkModel } from './utils/links';
+import { ACL_COLUMNS, ACL_OPTIONAL_COLUMNS, parseACLRules } from './utils/acl';
+import { NAT_COLUMNS, NAT_OPTIONAL_COLUMNS, parseNATRules } from './utils/nat';
+import { lintRoutingTable } from './utils/lint';
+import {
+  NO_FAILURES,
+  hasFailures,
+  toggleRouterFailure,
+  toggleLinkFailure,
+} from './utils/failures';
+import {
+  createHistory,
+  pushHistory,
+  undoHistory,
+  redoHistory,
+  canUndo,
+  canRedo,
+} from './utils/history';
+import { createProject, summarizeResult } from './utils/project';
+import { decodeScenario } from './utils/share';
+import { buildWalkthrough } from './utils/walkthrough';
+import { DEFAULT_LAYOUT } from './utils/layout';
+
+// Espera desde la última edición antes de volver a revisar la tabla
+const LINT_DELAY_MS = 300;
+
+// Ejecuta una consulta de traceroute (ida y vuelta) sobre la tabla dada
+const runTraceQuery = (query, routingData, options) => {
+  if (!query || routingData.length === 0) return null;
+  return executeBidirectionalTraceroute(
+    query.sourceEquipment,
+    query.sourceIP,
+    query.destIP,
+    routingData,
+    { ...options, flow: query.flow, packet: query.packet, vrf: query.vrf }
+  );
+};
 
 /**
  * App Component - Componente principal
  * Gestiona el estado global de la aplicación:
- * - Tabla de ruteo cargada desde CSV
- * - Resultado del traceroute
+ * - Tabla de ruteo cargada desde CSV, con su historial de ediciones
+ * - Reporte de importación si la tabla vino de la salida de comandos
+ * - Tabla de interfaces (opcional) cargada desde CSV
+ * - Tabla de enlaces (opcional) con latencia, ancho de banda, pérdida y MTU
+ * - Reglas de ACL (opcional) que filtran el paquete en cada interfaz
+ * - Reglas de NAT (opcional) que traducen el origen o el destino del paquete
+ * - Hallazgos del linter sobre la tabla cargada
+ * - Consulta de traceroute actual; su resultado se recalcula cuando cambian
+ *   la tabla, las interfaces o las fallas simuladas
+ * - Equipos y enlaces marcados como caídos
+ * - Consultas de traceroute guardadas en el proyecto
+ * - Paso actual del recorrido paso a paso del paquete
+ * - Disposición del diagrama de red (se guarda en el proyecto)
  * - Errores y validaciones
  */
 function App() {
-  const [routingData, setRoutingData] = useState([]);
-  const [traceResult, setTraceResult] = useState(null);
+  const [routingHistory, setRoutingHistory] = useState(() => createHistory([]));
+  const [interfacesData, setInterfacesData] = useState([]);
+  const [linksData, setLinksData] = useState([]);
+  const [aclData, setAclData] = useState([]);
+  const [natData, setNatData] = useState([]);
+  const [traceQuery, setTraceQuery] = useState(null);
+  const [failures, setFailures] = useState(NO_FAILURES);
+  const [importReport, setImportReport] = useState(null);
+  const [savedQueries, setSavedQueries] = useState([]);
+  const [walkStep, setWalkStep] = useState(null);
+  const [diagramLayout, setDiagramLayout] = useState(DEFAULT_LAYOUT);
+  const [comparisonData, setComparisonData] = useState([]);
+  const [lintFindings, setLintFindings] = useState([]);
   const [error, setError] = useState(null);
 
-  // Maneja la carga de datos desde el CSV
-  const handleDataLoaded = (data) => {
+  const routingData = routingHistory.present;
+
+  // Las filas se validan al cargarlas, por lo que el modelo no falla aquí
+  const linkModel = useMemo(() => buildLinkModel(linksData), [linksData]);
+  const aclRules = useMemo(() => parseACLRules(aclData), [aclData]);
+  const natRules = useMemo(() => parseNATRules(natData), [natData]);
+
+  // Opciones comunes a todos los traceroutes
+  const traceOptions = useMemo(
+    () => ({ interfaces: interfacesData, links: linkModel, acls: aclRules, nat: natRules, failures }),
+    [interfacesData, linkModel, aclRules, natRules, failures]
+  );
+
+  const traceResult = useMemo(
+    () => runTraceQuery(traceQuery, routingData, traceOptions),
+    [traceQuery, routingData, traceOptions]
+  );
+
+  // El mismo traceroute sin fallas, para comparar antes/después
+  const baselineResult = useMemo(
+    () => (hasFailures(failures)
+      ? runTraceQuery(traceQuery, routingData, { ...traceOptions, failures: null })
+      : null),
+    [traceQuery, routingData, traceOptions, failures]
+  );
+
+  // Pasos del recorrido; si el traceroute cambia y tiene menos pasos, se
+  // muestra el último
+  const walkthroughSteps = useMemo(
+    () => buildWalkthrough(traceResult, routingData),
+    [traceResult, routingData]
+  );
+  const currentWalkStep = walkStep === null || walkthroughSteps.length === 0
+    ? null
+    : Math.min(walkStep, walkthroughSteps.length - 1);
+
+  // Revisión estática de la tabla cuando los datos dejan de cambiar, fuera
+  // del render para no demorar la edición de tablas grandes
+  useEffect(() => {
+    const timer = setTimeout(
+      () => setLintFindings(lintRoutingTable(routingData, { interfaces: interfacesData })),
+      LINT_DELAY_MS
+    );
+    return () => clearTimeout(timer);
+  }, [routingData, interfacesData]);
+
+  // Maneja la carga de datos desde el CSV o la importación de texto
+  const handleDataLoaded = (data, report = null) => {
     // Clonar el array para asegurar que React detecte el cambio
     const clonedData = [...data];
 
     setTimeout(() => {
-      setRoutingData(clonedData);
-      setTraceResult(null);
+      setRoutingHistory(createHistory(clonedData));
+      setImportReport(report);
+      setSavedQueries([]);
+      setTraceQuery(null);
+      setFailures(NO_FAILURES);
+      // Las posiciones manuales eran de los equipos de la tabla anterior
+      setDiagramLayout(current => ({ ...current, positions: {} }));
       setError(null);
     }, 0);
   };
@@ -33,27 +156,179 @@ function App() {
   // Maneja errores del FileUploader
   const handleFileError = (errorMessage) => {
     setError(errorMessage);
-    setRoutingData([]);
-    setTraceResult(null);
+    setRoutingHistory(createHistory([]));
+    setImportReport(null);
+    setTraceQuery(null);
+    setFailures(NO_FAILURES);
   };
 
-  // Ejecuta el traceroute cuando el usuario presiona el botón
-  const handleExecuteTraceroute = ({ sourceEquipment, sourceIP, destIP }) => {
-    try {
-      const result = executeTraceroute(
-        sourceEquipment,
-        sourceIP,
-        destIP,
-        routingData
-      );
-      setTraceResult(result);
-      setError(result.success ? null : result.error);
-    } catch (err) {
-      setError(`Error inesperado: ${err.message}`);
-      setTraceResult(null);
+  // Maneja la carga de la tabla anterior contra la que se compara la actual
+  const handleComparisonLoaded = (data) => {
+    setComparisonData([...data]);
+  };
+
+  const handleComparisonError = (errorMessage) => {
+    setError(errorMessage);
+    if (errorMessage) {
+      setComparisonData([]);
     }
   };
 
+  // Maneja la carga de la tabla de interfaces (el traceroute actual se recalcula)
+  const handleInterfacesLoaded = (data) => {
+    setInterfacesData([...data]);
+  };
+
+  // Maneja errores al cargar la tabla de interfaces (la de ruteo se conserva)
+  const handleInterfacesError = (errorMessage) => {
+    setError(errorMessage);
+    if (errorMessage) {
+      setInterfacesData([]);
+    }
+  };
+
+  // Maneja la carga de la tabla de enlaces (sus valores se validan al cargarla)
+  const handleLinksLoaded = (data) => {
+    setLinksData([...data]);
+  };
+
+  const handleLinksError = (errorMessage) => {
+    setError(errorMessage);
+    if (errorMessage) {
+      setLinksData([]);
+    }
+  };
+
+  // Maneja la carga de las ACL (sus reglas se validan al cargarlas)
+  const handleAclLoaded = (data) => {
+    setAclData([...data]);
+  };
+
+  const handleAclError = (errorMessage) => {
+    setError(errorMessage);
+    if (errorMessage) {
+      setAclData([]);
+    }
+  };
+
+  // Maneja la carga de las reglas de NAT (se validan al cargarlas)
+  const handleNatLoaded = (data) => {
+    setNatData([...data]);
+  };
+
+  const handleNatError = (errorMessage) => {
+    setError(errorMessage);
+    if (errorMessage) {
+      setNatData([]);
+    }
+  };
+
+  // Ejecuta el traceroute cuando el usuario presiona el botón
+  const handleExecuteTraceroute = ({ sourceEquipment, sourceIP, destIP, flow = null, packet = null, vrf = null }) => {
+    setTraceQuery({ sourceEquipment, sourceIP, destIP, flow, packet, vrf });
+    setWalkStep(null);
+    setError(null);
+  };
+
+  // Marca o restaura equipos y enlaces caídos desde el diagrama
+  const handleToggleRouter = (equipment) => {
+    setFailures(current => toggleRouterFailure(current, equipment));
+  };
+
+  const handleToggleLink = (equipmentA, equipmentB) => {
+    setFailures(current => toggleLinkFailure(current, equipmentA, equipmentB));
+  };
+
+  // Restaura la sesión completa desde un proyecto (archivo, navegador o enlace)
+  const handleOpenProject = useCallback((project) => {
+    setRoutingHistory(createHistory(project.routingData));
+    setInterfacesData(project.interfaces);
+    setLinksData(project.links);
+    setAclData(project.acls);
+    setNatData(project.nat);
+    setFailures(project.failures);
+    setTraceQuery(project.traceQuery);
+    setWalkStep(null);
+    setSavedQueries(project.savedQueries);
+    setDiagramLayout(project.layout);
+    setImportReport(null);
+    setError(null);
+  }, []);
+
+  // Al abrir un enlace compartido, cargar el escenario del hash de la URL; también
+  // cuando se pega otro enlace en la pestaña ya abierta (sólo cambia el hash)
+  useEffect(() => {
+    const loadFromHash = () => {
+      decodeScenario(window.location.hash)
+        .then(project => project && handleOpenProject(project))
+        .catch(err => setError(`No se pudo abrir el enlace compartido: ${err.message}`));
+    };
+    loadFromHash();
+    window.addEventListener('hashchange', loadFromHash);
+    return () => window.removeEventListener('hashchange', loadFromHash);
+  }, [handleOpenProject]);
+
+  // Escenario actual: tablas, fallas y consulta de traceroute
+  const buildScenario = () => createProject({
+    routingData,
+    interfaces: interfacesData,
+    links: linksData,
+    acls: aclData,
+    nat: natData,
+    failures,
+    traceQuery,
+    layout: diagramLayout,
+  });
+
+  // Proyecto completo, con el último resultado de cada consulta guardada
+  const buildProject = () => ({
+    ...buildScenario(),
+    savedQueries: savedQueries.map(saved => ({
+      query: saved.query,
+      lastResult: summarizeResult(runTraceQuery(saved.query, routingData, traceOptions)),
+    })),
+  });
+
+  // Guarda la consulta actual (reemplaza una igual ya guardada)
+  const handleSaveQuery = () => {
+    const key = JSON.stringify(traceQuery);
+    setSavedQueries(current => [
+      ...current.filter(saved => JSON.stringify(saved.query) !== key),
+      { query: traceQuery, lastResult: summarizeResult(traceResult) },
+    ]);
+  };
+
+  // Ediciones de la tabla desde el editor (el traceroute actual se recalcula)
+  const handleRoutingEdit = (data) => {
+    setRoutingHistory(current => pushHistory(current, data));
+  };
+
+  // Error a mostrar: el de carga de archivos o el del traceroute actual
+  const displayedError = error || (traceResult && !traceResult.success ? traceResult.error : null);
+
+  // Abre el traceroute completo de una celda de la matriz de alcanzabilidad
+  const handleSelectMatrixCell = (cell) => {
+    handleExecuteTraceroute({
+      sourceEquipment: cell.equipo,
+      sourceIP: cell.sourceIP,
+      destIP: cell.destIP,
+      vrf: cell.vrf === DEFAULT_VRF ? null : cell.vrf,
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  // Abre el traceroute de una política evaluada
+  const handleSelectPolicy = ({ policy, sourceIP }) => {
+    handleExecuteTraceroute({
+      sourceEquipment: policy.from,
+      sourceIP,
+      destIP: policy.destIP,
+      packet: policy.packet,
+      vrf: policy.vrf,
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
   return (
     <div className="min-h-screen bg-gray-50 py-8 px-4">
       <div className="max-w-7xl mx-auto">
@@ -68,7 +343,7 @@ function App() {
         </div>
 
         {/* Mensaje de error global */}
-        {error && (
+        {displayedError && (
           <div className="mb-6 bg-red-50 border-l-4 border-red-400 p-4 rounded">
             <div className="flex">
               <div className="flex-shrink-0">
@@ -85,7 +360,7 @@ function App() {
                 </svg>
               </div>
               <div className="ml-3">
-                <p className="text-sm text-red-700">{error}</p>
+                <p className="text-sm text-red-700">{displayedError}</p>
               </div>
             </div>
           </div>
@@ -99,6 +374,68 @@ function App() {
             <FileUploader
               onDataLoaded={handleDataLoaded}
               onError={handleFileError}
+              label="Cargar Tabla de Ruteo (CSV o salida de los equipos)"
+              textImport
+            />
+
+            {/* Reporte de la importación desde texto */}
+            <ImportReport report={importReport} />
+
+            {/* Tabla de interfaces (opcional) */}
+            <FileUploader
+              onDataLoaded={handleInterfacesLoaded}
+              onError={handleInterfacesError}
+              label="Cargar Interfaces (CSV, opcional)"
+              requiredColumns={INTERFACE_COLUMNS}
+              optionalColumns={VRF_INTERFACE_COLUMNS}
+              inputId="interfaces-upload"
+            />
+
+            {/* Tabla de enlaces (opcional) */}
+            <FileUploader
+              onDataLoaded={handleLinksLoaded}
+              onError={handleLinksError}
+              label="Cargar Enlaces (CSV, opcional)"
+              requiredColumns={LINK_COLUMNS}
+              optionalColumns={LINK_OPTIONAL_COLUMNS}
+              inputId="links-upload"
+              validateData={buildLinkModel}
+            />
+
+            {/* Listas de control de acceso (opcional) */}
+            <FileUploader
+              onDataLoaded={handleAclLoaded}
+              onError={handleAclError}
+              label="Cargar ACL (CSV, opcional)"
+              requiredColumns={ACL_COLUMNS}
+              optionalColumns={ACL_OPTIONAL_COLUMNS}
+              inputId="acl-upload"
+              validateData={parseACLRules}
+            />
+
+            {/* Traducción de direcciones (opcional) */}
+            <FileUploader
+              onDataLoaded={handleNatLoaded}
+              onError={handleNatError}
+              label="Cargar NAT (CSV, opcional)"
+              requiredColumns={NAT_COLUMNS}
+              optionalColumns={NAT_OPTIONAL_COLUMNS}
+              inputId="nat-upload"
+              validateData={parseNATRules}
+            />
+
+            {/* Tabla anterior para comparar (opcional) */}
+            <FileUploader
+              onDataLoaded={handleComparisonLoaded}
+              onError={handleComparisonError}
+              label="Comparar con una tabla anterior (CSV, opcional)"
+              inputId="comparison-upload"
+            />
+
+            {/* Hallazgos del linter */}
+            <LintPanel
+              findings={lintFindings}
+              hasData={routingData.length > 0}
             />
 
             {/* Formulario de Traceroute */}
@@ -106,10 +443,26 @@ function App() {
               onExecute={handleExecuteTraceroute}
               disabled={routingData.length === 0}
               equipos={routingData}
+              interfaces={interfacesData}
+              query={traceQuery}
+            />
+
+            {/* Proyectos guardados, consultas y enlace para compartir */}
+            <ProjectPanel
+              hasData={routingData.length > 0}
+              buildProject={buildProject}
+              buildScenario={buildScenario}
+              onOpenProject={handleOpenProject}
+              savedQueries={savedQueries}
+              canSaveQuery={Boolean(traceResult)}
+              onSaveQuery={handleSaveQuery}
+              onRunQuery={(query) => handleExecuteTraceroute(query)}
+              onDeleteQuery={(index) => setSavedQueries(current => current.filter((_, i) => i !== index))}
+              onError={setError}
             />
 
             {/* Resumen de resultados */}
-            {traceResult && <ResultsSummary result={traceResult} />}
+            {traceResult && <ResultsSummary result={traceResult} routingData={routingData} />}
           </div>
 
           {/* Columna derecha - Visualización */}
@@ -117,14 +470,98 @@ function App() {
             {/* Diagrama de red */}
             <NetworkDiagram
               routingData={routingData}
+              interfaces={interfacesData}
+              links={linkModel}
               traceResult={traceResult}
+              failures={failures}
+              onToggleRouter={handleToggleRouter}
+              onToggleLink={handleToggleLink}
+              activeEquipment={currentWalkStep === null ? null : walkthroughSteps[currentWalkStep].equipment}
+              layout={diagramLayout}
+              onLayoutChange={setDiagramLayout}
+              comparisonData={comparisonData}
+              actions={
+                <ExportMenu
+                  routingData={routingData}
+                  interfaces={interfacesData}
+                  links={linkModel}
+                  traceResult={traceResult}
+                  buildProject={buildProject}
+                  onOpenProject={handleOpenProject}
+                  onError={setError}
+                />
+              }
+            />
+
+            {/* Impacto de las fallas simuladas */}
+            <FailureImpact
+              routingData={routingData}
+              interfaces={interfacesData}
+              failures={failures}
+              traceResult={traceResult}
+              baselineResult={baselineResult}
+              onToggleRouter={handleToggleRouter}
+              onToggleLink={handleToggleLink}
+              onClear={() => setFailures(NO_FAILURES)}
+            />
+
+            {/* Diferencias con la tabla anterior */}
+            <TableComparison
+              routingData={routingData}
+              comparisonData={comparisonData}
+              options={traceOptions}
+              onSelectPair={handleSelectMatrixCell}
+              onClear={() => setComparisonData([])}
             />
 
             {/* Tabla de saltos */}
-            {traceResult?.success && <HopsTable hops={traceResult.hops} />}
+            {traceResult?.success && (
+              <HopsTable hops={traceResult.hops} paths={traceResult.paths} />
+            )}
+
+            {/* Recorrido paso a paso del paquete */}
+            <PacketWalkthrough
+              traceResult={traceResult}
+              steps={walkthroughSteps}
+              step={currentWalkStep}
+              onStepChange={setWalkStep}
+            />
+
+            {/* Salida emulada de la herramienta traceroute */}
+            {traceResult && <TracerouteEmulator traceResult={traceResult} links={linkModel} />}
           </div>
         </div>
 
+        {/* Editor de la tabla de ruteo */}
+        <div className="mt-6">
+          <RoutingTableEditor
+            routingData={routingData}
+            onChange={handleRoutingEdit}
+            onUndo={() => setRoutingHistory(undoHistory)}
+            onRedo={() => setRoutingHistory(redoHistory)}
+            canUndo={canUndo(routingHistory)}
+            canRedo={canRedo(routingHistory)}
+          />
+        </div>
+
+        {/* Matriz de alcanzabilidad */}
+        <div className="mt-6">
+          <ReachabilityMatrix
+            routingData={routingData}
+            options={traceOptions}
+            onSelectCell={handleSelectMatrixCell}
+          />
+        </div>
+
+        {/* Pruebas de políticas */}
+        <div className="mt-6">
+          <PolicyChecks
+            routingData={routingData}
+            options={traceOptions}
+            onSelectPolicy={handleSelectPolicy}
+          />
+        </div>
+
         {/* Footer con instrucciones */}
         <div className="mt-8 bg-blue-50 border border-blue-200 rounded-lg p-6">
           <h3 className="text-lg font-semibold text-blue-900 mb-2">
@@ -133,7 +570,25 @@ function App() {
           <ol className="list-decimal list-inside space-y-2 text-sm text-blue-800">
             <li>
               Carga un archivo CSV con las tablas de ruteo (formato: Equipo,
-              IP_Destino, Mascara, Gateway)
+              IP_Destino, Mascara, Gateway), o importa la salida de "show ip
+              route" (Cisco IOS), "ip route show" (Linux) o "show route"
+              (Junos) con un archivo de texto por equipo
+            </li>
+            <li>
+              Opcionalmente, carga un CSV de interfaces (formato: Equipo,
+              Interfaz, IP, Mascara) para resolver cada gateway al equipo
+              exacto que posee esa IP, y un CSV de enlaces (formato: Equipo_A,
+              Equipo_B, Latencia, Ancho_Banda, Perdida, MTU) para calcular la
+              latencia, el ancho de banda, la MTU y la pérdida del camino
+            </li>
+            <li>
+              Opcionalmente, carga un CSV de ACL (formato: Equipo, Interfaz,
+              Sentido, Accion, Protocolo, Origen, Destino, Puerto_Origen,
+              Puerto_Destino) para filtrar el paquete en cada interfaz según
+              el protocolo y los puertos indicados en el formulario, y un CSV
+              de NAT (formato: Equipo, Tipo, Original, Traducida, Interfaz,
+              Protocolo, Puerto_Original, Puerto_Traducido) para traducir el
+              origen o el destino del paquete en cada equipo
             </li>
             <li>Selecciona el equipo origen desde el cual iniciar el traceroute</li>
             <li>Ingresa la IP origen (puede ser cualquier IP dentro de la red del equipo)</li>
@@ -142,6 +597,18 @@ function App() {
               Presiona "Ejecutar Traceroute" para ver la ruta y el diagrama de
               red
             </li>
+            <li>
+              Edita, agrega o elimina rutas en el editor de la tabla para ver
+              al instante cómo cambia el traceroute (con deshacer/rehacer)
+            </li>
+            <li>
+              Haz clic en un equipo o conexión del diagrama para simularlo como
+              caído y comparar el traceroute y la alcanzabilidad antes y después
+            </li>
+            <li>
+              Usa el recorrido paso a paso para seguir el paquete equipo por
+              equipo y ver qué ruta de su tabla elige cada uno
+            </li>
           </ol>
           <div className="mt-4 text-sm text-blue-700">
             <p>
@@ -159,7 +626,55 @@ function App() {
               >
                 descargar este archivo de ejemplo
               </a>
-              {' '}para probarlo.
+              {' '}para probarlo, junto con su{' '}
+              <a
+                href="./example-interfaces.csv"
+                download="example-interfaces.csv"
+                className="font-semibold underline hover:text-blue-900"
+              >
+                tabla de interfaces
+              </a>
+              , su{' '}
+              <a
+                href="./example-links.csv"
+                download="example-links.csv"
+                className="font-semibold underline hover:text-blue-900"
+              >
+                tabla de enlaces
+              </a>
+              , sus{' '}
+              <a
+                href="./example-acl.csv"
+                download="example-acl.csv"
+                className="font-semibold underline hover:text-blue-900"
+              >
+                ACL
+              </a>
+              {' '}y sus{' '}
+              <a
+                href="./example-nat.csv"
+                download="example-nat.csv"
+                className="font-semibold underline hover:text-blue-900"
+              >
+                reglas de NAT
+              </a>
+              . Para probar VRF hay una{' '}
+              <a
+                href="./example-vrf.csv"
+                download="example-vrf.csv"
+                className="font-semibold underline hover:text-blue-900"
+              >
+                tabla con VRF y route leaking
+              </a>
+              {' '}y unas{' '}
+              <a
+                href="./example-policies.yaml"
+                download="example-policies.yaml"
+                className="font-semibold underline hover:text-blue-900"
+              >
+                pruebas de políticas
+              </a>
+              {' '}para la tabla de ejemplo.
             </p>
           </div>
         </div>
@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { downloadFile } from '../utils/download';
+import { buildTopology } from '../utils/topology';
+import {
+  topologyToJSON,
+  topologyToDOT,
+  topologyToGraphML,
+  topologyToMermaid,
+  traceToJSON,
+  traceToText,
+} from '../utils/exporters';
+import { serializeProject, parseProject } from '../utils/project';
+
+/**
+ * ExportMenu Component
+ * Menú para descargar la topología (JSON, DOT, GraphML, Mermaid), el
+ * traceroute actual (JSON o texto estilo traceroute) y el archivo de
+ * proyecto, y para abrir un proyecto guardado
+ */
+const ExportMenu = ({ routingData, interfaces, links, traceResult, buildProject, onOpenProject, onError }) => {
+  const [open, setOpen] = useState(false);
+
+  const hasData = routingData.length > 0;
+
+  // Cada opción genera el contenido sólo al hacer clic
+  const topologyOptions = [
+    { label: 'Topología (JSON)', fileName: 'topologia.json', mimeType: 'application/json', build: topologyToJSON },
+    { label: 'Graphviz (DOT)', fileName: 'topologia.dot', mimeType: 'text/vnd.graphviz', build: topologyToDOT },
+    { label: 'GraphML', fileName: 'topologia.graphml', mimeType: 'application/graphml+xml', build: topologyToGraphML },
+    { label: 'Mermaid', fileName: 'topologia.mmd', mimeType: 'text/plain', build: topologyToMermaid },
+  ];
+  const traceOptions = [
+    { label: 'Traceroute (texto)', fileName: 'traceroute.txt', mimeType: 'text/plain', build: traceToText },
+    { label: 'Traceroute (JSON)', fileName: 'traceroute.json', mimeType: 'application/json', build: traceToJSON },
+  ];
+
+  const exportTopology = (option) => {
+    const topology = buildTopology(routingData, interfaces, links);
+    downloadFile(option.build(topology, traceResult), option.fileName, option.mimeType);
+    setOpen(false);
+  };
+
+  // El texto usa el modelo de enlaces para los mismos tiempos que la emulación
+  const exportTrace = (option) => {
+    downloadFile(option.build(traceResult, { links }), option.fileName, option.mimeType);
+    setOpen(false);
+  };
+
+  const exportProject = () => {
+    downloadFile(serializeProject(buildProject()), 'proyecto.json', 'application/json');
+    setOpen(false);
+  };
+
+  const handleOpenProject = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onOpenProject(parseProject(await file.text()));
+    } catch (error) {
+      onError(error.message);
+    }
+    setOpen(false);
+  };
+
+  const itemClassName =
+    'block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 disabled:text-gray-300 disabled:cursor-not-allowed disabled:hover:bg-white';
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+      >
+        Exportar ▾
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-10 mt-1 w-56 bg-white border border-gray-200 rounded-md shadow-lg py-1">
+          <p className="px-4 pt-1 text-xs font-medium text-gray-400 uppercase">Red</p>
+          {topologyOptions.map(option => (
+            <button
+              key={option.fileName}
+              type="button"
+              disabled={!hasData}
+              onClick={() => exportTopology(option)}
+              className={itemClassName}
+            >
+              {option.label}
+            </button>
+          ))}
+
+          <p className="px-4 pt-2 text-xs font-medium text-gray-400 uppercase">Traceroute</p>
+          {traceOptions.map(option => (
+            <button
+              key={option.fileName}
+              type="button"
+              disabled={!traceResult}
+              onClick={() => exportTrace(option)}
+              className={itemClassName}
+            >
+              {option.label}
+            </button>
+          ))}
+
+          <p className="px-4 pt-2 text-xs font-medium text-gray-400 uppercase">Proyecto</p>
+          <button
+            type="button"
+            disabled={!hasData}
+            onClick={exportProject}
+            className={itemClassName}
+          >
+            Guardar proyecto (JSON)
+          </button>
+          <label className={`${itemClassName} cursor-pointer`}>
+            Abrir proyecto…
+            <input
+              type="file"
+              accept=".json"
+              onChange={handleOpenProject}
+              className="hidden"
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
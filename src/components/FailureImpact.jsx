@@ -0,0 +1,161 @@
+import { useMemo } from 'react';
+import { computeReachabilityMatrix, compareMatrices, formatCellPaths } from '../utils/reachability';
+import { hasFailures, parseLinkKey } from '../utils/failures';
+import { DEFAULT_VRF } from '../utils/vrf';
+
+// Secuencia de equipos de un resultado: "RouterA → RouterB → RouterC"
+const formatPath = (result) => {
+  if (!result?.hops?.length) return '-';
+  return result.hops.map(hop => hop.currentEquipment).join(' → ');
+};
+
+// Estado de una celda antes o después de las fallas
+const formatCell = (cell) => {
+  if (!cell) return '-';
+  // Con ECMP se muestra cada camino con su estado
+  if (cell.paths.length > 1) return formatCellPaths(cell);
+  return cell.status === 'success'
+    ? `${cell.path.join(' → ')} (${cell.hopCount} saltos)`
+    : cell.status;
+};
+
+/**
+ * FailureImpact Component
+ * Lista los equipos y enlaces marcados como caídos y muestra su impacto:
+ * el traceroute actual antes y después de las fallas, y los pares
+ * equipo → red de la matriz de alcanzabilidad que cambian de estado o camino
+ */
+const FailureImpact = ({
+  routingData,
+  interfaces,
+  failures,
+  traceResult,
+  baselineResult,
+  onToggleRouter,
+  onToggleLink,
+  onClear,
+}) => {
+  const active = hasFailures(failures);
+
+  const affected = useMemo(() => {
+    if (!active || routingData.length === 0) return [];
+    const before = computeReachabilityMatrix(routingData, { interfaces });
+    const after = computeReachabilityMatrix(routingData, { interfaces, failures });
+    return compareMatrices(before, after);
+  }, [active, routingData, interfaces, failures]);
+
+  if (!active) {
+    return null;
+  }
+
+  return (
+    <div className="w-full bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          Simulación de Fallas
+        </h2>
+        <button
+          type="button"
+          onClick={onClear}
+          className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          Restaurar todo
+        </button>
+      </div>
+
+      {/* Elementos caídos */}
+      <div className="flex flex-wrap gap-2 mb-4 text-xs">
+        {failures.routers.map(equipo => (
+          <button
+            key={equipo}
+            type="button"
+            onClick={() => onToggleRouter(equipo)}
+            title="Restaurar equipo"
+            className="px-2 py-1 rounded bg-red-100 text-red-800 hover:bg-red-200 font-semibold"
+          >
+            ✖ {equipo}
+          </button>
+        ))}
+        {failures.links.map(key => {
+          const [equipoA, equipoB] = parseLinkKey(key);
+          return (
+            <button
+              key={key}
+              type="button"
+              onClick={() => onToggleLink(equipoA, equipoB)}
+              title="Restaurar enlace"
+              className="px-2 py-1 rounded bg-red-100 text-red-800 hover:bg-red-200 font-semibold"
+            >
+              ✖ {equipoA} ↔ {equipoB}
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Traceroute actual antes y después */}
+      {traceResult && baselineResult && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4 text-sm">
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <p className="text-xs text-gray-500 uppercase font-medium mb-1">
+              Sin fallas
+            </p>
+            <p className="font-mono text-gray-900">{formatPath(baselineResult)}</p>
+            <p className="text-xs text-gray-500 mt-1">
+              {baselineResult.success ? `${baselineResult.hops.length} saltos` : baselineResult.error}
+            </p>
+          </div>
+          <div className={`p-4 rounded-lg ${traceResult.success ? 'bg-green-50' : 'bg-red-50'}`}>
+            <p className="text-xs text-gray-500 uppercase font-medium mb-1">
+              Con fallas
+            </p>
+            <p className="font-mono text-gray-900">{formatPath(traceResult)}</p>
+            <p className="text-xs text-gray-500 mt-1">
+              {traceResult.success ? `${traceResult.hops.length} saltos` : traceResult.error}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Pares afectados en la matriz de alcanzabilidad */}
+      <h3 className="text-sm font-semibold text-gray-700 mb-2">
+        Pares afectados: {affected.length}
+      </h3>
+      {affected.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          Ningún equipo pierde alcanzabilidad ni cambia de camino
+        </p>
+      ) : (
+        <div className="overflow-x-auto max-h-80 overflow-y-auto">
+          <table className="min-w-full text-xs divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-2 py-1 text-left font-medium text-gray-500">Equipo</th>
+                <th className="px-2 py-1 text-left font-medium text-gray-500">Red Destino</th>
+                <th className="px-2 py-1 text-left font-medium text-gray-500">Antes</th>
+                <th className="px-2 py-1 text-left font-medium text-gray-500">Después</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {affected.map(change => (
+                <tr
+                  key={`${change.equipo}|${change.vrf}|${change.prefix}`}
+                  className={change.after?.status === 'success' ? '' : 'bg-red-50'}
+                >
+                  <td className="px-2 py-1 font-semibold text-gray-900">
+                    {change.equipo}
+                    {change.vrf !== DEFAULT_VRF && <span className="ml-1 font-normal text-gray-500">({change.vrf})</span>}
+                  </td>
+                  <td className="px-2 py-1 font-mono">{change.prefix}</td>
+                  <td className="px-2 py-1">{formatCell(change.before)}</td>
+                  <td className="px-2 py-1">{formatCell(change.after)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FailureImpact;
@@ -1,71 +1,76 @@
 import { useState } from 'react';
 import Papa from 'papaparse';
+import { importRoutingText } from '../utils/importers';
+import {
+  ROUTING_COLUMNS,
+  ROUTING_OPTIONAL_COLUMNS,
+  CSV_PARSE_OPTIONS,
+  prepareCSVRows,
+} from '../utils/csv';
 
 /**
  * FileUploader Component
  * Permite al usuario cargar un archivo CSV con las tablas de ruteo
+ * (o, indicando otras columnas, con la tabla de interfaces)
  * Valida el formato del CSV y parsea los datos
+ * Con textImport también acepta uno o más archivos de texto con la salida de
+ * "show ip route" (Cisco IOS), "ip route show" (Linux) o "show route"
+ * (Junos), uno por equipo; en ese caso onDataLoaded recibe además el reporte
+ * de importación con las líneas que no se pudieron convertir
+ * validateData recibe las filas del CSV y lanza un error si algún valor no
+ * es válido (ej: los números de la tabla de enlaces)
  */
-const FileUploader = ({ onDataLoaded, onError }) => {
+const FileUploader = ({
+  onDataLoaded,
+  onError,
+  label = 'Cargar Tabla de Ruteo (CSV)',
+  requiredColumns = ROUTING_COLUMNS,
+  optionalColumns = ROUTING_OPTIONAL_COLUMNS,
+  inputId = 'csv-upload',
+  textImport = false,
+  validateData = null,
+}) => {
   const [fileName, setFileName] = useState('');
   const [isDragging, setIsDragging] = useState(false);
 
-  // Valida que el CSV tenga las columnas requeridas
-  const validateCSVStructure = (data) => {
-    if (!data || data.length === 0) {
-      throw new Error('El archivo CSV está vacío');
-    }
-
-    const requiredColumns = ['Equipo', 'IP_Destino', 'Mascara', 'Gateway'];
-    const headers = Object.keys(data[0]);
+  // Importa archivos de texto con la salida de comandos, uno por equipo,
+  // y une sus rutas en una sola tabla
+  const processTextFiles = async (files) => {
+    setFileName(files.map(file => file.name).join(', '));
+    try {
+      const imports = await Promise.all(files.map(async (file) => ({
+        fileName: file.name,
+        ...importRoutingText(await file.text(), file.name),
+      })));
+
+      const routes = imports.flatMap(result => result.routes);
+      if (routes.length === 0) {
+        throw new Error('No se encontraron rutas en los archivos importados');
+      }
 
-    const missingColumns = requiredColumns.filter(col => !headers.includes(col));
-    if (missingColumns.length > 0) {
-      throw new Error(`Columnas faltantes en el CSV: ${missingColumns.join(', ')}`);
+      onDataLoaded(routes, imports.map(result => ({
+        fileName: result.fileName,
+        format: result.format,
+        equipo: result.equipo,
+        routeCount: result.routes.length,
+        skipped: result.skipped,
+      })));
+      onError(null);
+    } catch (error) {
+      onError(error.message);
+      setFileName('');
     }
-
-    return true;
-  };
-
-  // Limpia y filtra datos del CSV
-  const cleanCSVData = (data) => {
-    return data.filter(row => {
-      // Filtrar filas vacías o con datos incompletos
-      return row.Equipo &&
-             row.IP_Destino &&
-             row.Mascara &&
-             row.Gateway &&
-             row.Equipo.trim() !== '' &&
-             row.IP_Destino.trim() !== '' &&
-             row.Mascara.trim() !== '' &&
-             row.Gateway.trim() !== '';
-    });
   };
 
   // Procesa el archivo CSV
   const processFile = (file) => {
-    if (!file) return;
-
-    if (!file.name.endsWith('.csv')) {
-      onError('Por favor, selecciona un archivo CSV válido');
-      return;
-    }
-
     setFileName(file.name);
 
     Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
+      ...CSV_PARSE_OPTIONS,
       complete: (results) => {
         try {
-          validateCSVStructure(results.data);
-          const cleanedData = cleanCSVData(results.data);
-
-          if (cleanedData.length === 0) {
-            throw new Error('No se encontraron filas válidas en el CSV');
-          }
-
-          onDataLoaded(cleanedData);
+          onDataLoaded(prepareCSVRows(results.data, { requiredColumns, validateData }));
           onError(null);
         } catch (error) {
           onError(error.message);
@@ -79,10 +84,30 @@ const FileUploader = ({ onDataLoaded, onError }) => {
     });
   };
 
+  // Procesa los archivos seleccionados
+  const processFiles = (fileList) => {
+    const files = [...(fileList || [])];
+    if (files.length === 0) return;
+
+    const csvFiles = files.filter(file => file.name.endsWith('.csv'));
+    if (textImport && csvFiles.length === 0) {
+      processTextFiles(files);
+      return;
+    }
+
+    if (files.length > 1 || csvFiles.length === 0) {
+      onError(textImport
+        ? 'Selecciona un único archivo CSV, o uno o más archivos de texto con la salida de los equipos'
+        : 'Por favor, selecciona un archivo CSV válido');
+      return;
+    }
+
+    processFile(files[0]);
+  };
+
   // Manejo de selección de archivo
   const handleFileChange = (e) => {
-    const file = e.target.files[0];
-    processFile(file);
+    processFiles(e.target.files);
   };
 
   // Manejo de drag & drop
@@ -99,14 +124,13 @@ const FileUploader = ({ onDataLoaded, onError }) => {
   const handleDrop = (e) => {
     e.preventDefault();
     setIsDragging(false);
-    const file = e.dataTransfer.files[0];
-    processFile(file);
+    processFiles(e.dataTransfer.files);
   };
 
   return (
     <div className="w-full">
       <label className="block text-sm font-medium text-gray-700 mb-2">
-        Cargar Tabla de Ruteo (CSV)
+        {label}
       </label>
       <div
         className={`border-2 border-dashed rounded-lg p-6 text-center transition-colors ${
@@ -120,13 +144,14 @@ const FileUploader = ({ onDataLoaded, onError }) => {
       >
         <input
           type="file"
-          accept=".csv"
+          accept={textImport ? '.csv,.txt,.log' : '.csv'}
+          multiple={textImport}
           onChange={handleFileChange}
           className="hidden"
-          id="csv-upload"
+          id={inputId}
         />
         <label
-          htmlFor="csv-upload"
+          htmlFor={inputId}
           className="cursor-pointer flex flex-col items-center"
         >
           <svg
@@ -150,8 +175,19 @@ const FileUploader = ({ onDataLoaded, onError }) => {
                 Arrastra un archivo CSV aquí o haz clic para seleccionar
               </p>
               <p className="text-xs text-gray-500">
-                Formato: Equipo, IP_Destino, Mascara, Gateway
+                Formato: {requiredColumns.join(', ')}
               </p>
+              {optionalColumns.length > 0 && (
+                <p className="text-xs text-gray-400">
+                  Opcionales: {optionalColumns.join(', ')}
+                </p>
+              )}
+              {textImport && (
+                <p className="text-xs text-gray-400 mt-1">
+                  O la salida de show ip route (IOS), ip route show (Linux) o
+                  show route (Junos), un archivo de texto por equipo
+                </p>
+              )}
             </>
           )}
         </label>
@@ -1,18 +1,81 @@
+import { useState } from 'react';
+import { SELECTION_REASON_LABELS } from '../utils/routeSelection';
+import { formatRule } from '../utils/acl';
+import { formatTranslation } from '../utils/nat';
+import { formatEndpoint } from '../utils/ip';
+import { DEFAULT_VRF, formatVRF } from '../utils/vrf';
+
+// Lista las candidatas de la selección para el tooltip de la celda
+const describeCandidates = (selection) => {
+  return selection.candidates
+    .map(c => `${c.destNetwork} vía ${c.gateway} [${c.distance}/${c.metric}] ${c.protocol}: ${c.outcome}`)
+    .join('\n');
+};
+
 /**
  * HopsTable Component
  * Muestra una tabla con cada salto del traceroute
- * Incluye: número de salto, equipo actual, gateway usado, y próximo destino
+ * Incluye: número de salto, equipo actual (con su VRF y, si la ruta filtra
+ * hacia otra VRF, la VRF destino), interfaces de entrada/salida,
+ * gateway usado, ruta elegida (protocolo, distancia/métrica y motivo),
+ * reglas de ACL que dejaron pasar el paquete, el paquete antes y después del
+ * equipo (con las traducciones de NAT), próximo destino y alternativas ECMP
+ * Si hay varios caminos de igual costo permite elegir cuál mostrar
  */
-const HopsTable = ({ hops }) => {
+// Formatea una interfaz como "Gi0/0 (10.0.1.1)"
+const formatInterface = (name, ip) => {
+  if (!name && !ip) return '-';
+  if (!name) return ip;
+  return ip ? `${name} (${ip})` : name;
+};
+
+// Regla de ACL que permitió el paquete en un sentido (ej: "in L3: permit ip any any")
+const formatACLVerdict = (label, verdict) => {
+  return verdict ? `${label} L${verdict.rule.line}: ${formatRule(verdict.rule)}` : null;
+};
+
+// Origen y destino de un paquete (ej: "192.168.1.10:40000 → 10.0.3.5:22")
+const formatPacket = (packet) => {
+  if (!packet) return '-';
+  const source = formatEndpoint({ ip: packet.sourceIP, port: packet.srcPort ?? null });
+  const destination = formatEndpoint({ ip: packet.destIP, port: packet.dstPort ?? null });
+  return `${source} → ${destination}`;
+};
+
+const HopsTable = ({ hops, paths = [] }) => {
+  const [selectedPath, setSelectedPath] = useState(0);
+
   if (!hops || hops.length === 0) {
     return null;
   }
 
+  // Con ECMP se muestra el camino elegido; si no, el único camino
+  const hasAlternatives = paths.length > 1;
+  const visibleHops = hasAlternatives ? (paths[selectedPath] || paths[0]).hops : hops;
+
   return (
     <div className="w-full bg-white rounded-lg shadow-md p-6">
       <h2 className="text-xl font-semibold text-gray-800 mb-4">
         Ruta Detallada
       </h2>
+      {hasAlternatives && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {paths.map((path, index) => (
+            <button
+              key={index}
+              type="button"
+              onClick={() => setSelectedPath(index)}
+              className={`px-3 py-1 text-xs rounded-full border ${
+                index === selectedPath
+                  ? 'bg-blue-600 text-white border-blue-600'
+                  : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              Camino {index + 1} {path.success ? '✓' : '✗'}
+            </button>
+          ))}
+        </div>
+      )}
       <div className="overflow-x-auto">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
@@ -23,19 +86,37 @@ const HopsTable = ({ hops }) => {
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Equipo Actual
               </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Entrada
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Salida
+              </th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Red Destino
               </th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Gateway Usado
               </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Selección
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                ACL
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Paquete (antes / después)
+              </th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Siguiente Equipo
               </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Alternativas ECMP
+              </th>
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {hops.map((hop, index) => (
+            {visibleHops.map((hop, index) => (
               <tr
                 key={index}
                 className={`${
@@ -47,6 +128,18 @@ const HopsTable = ({ hops }) => {
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 font-semibold">
                   {hop.currentEquipment}
+                  {(hop.vrf !== DEFAULT_VRF || hop.targetVRF !== hop.vrf) && hop.vrf && (
+                    <div className="text-xs font-normal text-purple-700">
+                      VRF {formatVRF(hop.vrf)}
+                      {hop.targetVRF !== hop.vrf && ` → ${formatVRF(hop.targetVRF)}`}
+                    </div>
+                  )}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                  {formatInterface(hop.ingressInterface, hop.ingressIP)}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                  {formatInterface(hop.egressInterface, hop.egressIP)}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
                   {hop.destNetwork}
@@ -62,9 +155,48 @@ const HopsTable = ({ hops }) => {
                     {hop.gateway}
                   </span>
                 </td>
+                <td
+                  className="px-6 py-4 whitespace-nowrap text-sm text-gray-700"
+                  title={hop.selection ? describeCandidates(hop.selection) : undefined}
+                >
+                  {hop.protocol ? (
+                    <>
+                      <span className="font-medium">{hop.protocol}</span>{' '}
+                      <span className="text-gray-500">[{hop.distance}/{hop.metric}]</span>
+                      <div className="text-xs text-gray-500">
+                        {SELECTION_REASON_LABELS[hop.selection?.reason] || '-'}
+                        {hop.selection?.candidates.length > 1 &&
+                          ` · ${hop.selection.candidates.length} candidatas`}
+                      </div>
+                    </>
+                  ) : '-'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-700 font-mono">
+                  {hop.acl?.in || hop.acl?.out ? (
+                    [formatACLVerdict('in', hop.acl.in), formatACLVerdict('out', hop.acl.out)]
+                      .filter(Boolean)
+                      .map(text => <div key={text}>{text}</div>)
+                  ) : '-'}
+                </td>
+                <td
+                  className="px-6 py-4 whitespace-nowrap text-xs text-gray-700 font-mono"
+                  title={hop.nat?.length ? hop.nat.map(formatTranslation).join('\n') : undefined}
+                >
+                  <div>{formatPacket(hop.packetIn)}</div>
+                  {hop.nat?.length > 0 && (
+                    <div className="text-purple-700 font-semibold">{formatPacket(hop.packetOut)}</div>
+                  )}
+                </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
                   {hop.nextEquipment || '-'}
                 </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                  {hop.alternatives?.length
+                    ? hop.alternatives
+                        .map(alt => `${alt.gateway} → ${alt.nextEquipment || '?'}`)
+                        .join(', ')
+                    : '-'}
+                </td>
               </tr>
             ))}
           </tbody>
@@ -0,0 +1,56 @@
+/**
+ * ImportReport Component
+ * Resume la importación desde la salida de comandos de los equipos: formato
+ * detectado, equipo y rutas importadas de cada archivo, y las líneas que no
+ * se pudieron convertir con su motivo
+ */
+const ImportReport = ({ report }) => {
+  if (!report || report.length === 0) {
+    return null;
+  }
+
+  const skippedCount = report.reduce((total, file) => total + file.skipped.length, 0);
+
+  return (
+    <div className="w-full bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4">
+        Importación
+      </h2>
+
+      <ul className="space-y-3 text-sm">
+        {report.map(file => (
+          <li key={file.fileName}>
+            <p className="text-gray-800">
+              <span className="font-semibold">{file.equipo}</span>
+              {' · '}{file.routeCount} ruta(s)
+            </p>
+            <p className="text-xs text-gray-500">
+              {file.fileName} · {file.format}
+            </p>
+            {file.skipped.length > 0 && (
+              <ul className="mt-1 max-h-40 overflow-y-auto divide-y divide-gray-100">
+                {file.skipped.map(skipped => (
+                  <li key={skipped.line} className="py-1 text-xs">
+                    <span className="px-1.5 py-0.5 rounded bg-yellow-100 text-yellow-800 font-semibold">
+                      Línea {skipped.line}
+                    </span>
+                    <span className="ml-2 text-gray-700">{skipped.reason}</span>
+                    <code className="block mt-0.5 text-gray-400 truncate">{skipped.text}</code>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <p className={`mt-3 text-xs ${skippedCount > 0 ? 'text-yellow-700' : 'text-green-700'}`}>
+        {skippedCount > 0
+          ? `${skippedCount} línea(s) no se importaron; revisa si falta alguna ruta`
+          : 'Todas las rutas se importaron correctamente'}
+      </p>
+    </div>
+  );
+};
+
+export default ImportReport;
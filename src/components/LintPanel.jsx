@@ -0,0 +1,69 @@
+import { LINT_SEVERITY } from '../utils/lint';
+
+// Estilos y etiquetas por severidad
+const SEVERITY_STYLES = {
+  [LINT_SEVERITY.ERROR]: { label: 'Error', className: 'bg-red-100 text-red-800' },
+  [LINT_SEVERITY.WARNING]: { label: 'Advertencia', className: 'bg-yellow-100 text-yellow-800' },
+  [LINT_SEVERITY.INFO]: { label: 'Info', className: 'bg-blue-100 text-blue-800' },
+};
+
+/**
+ * LintPanel Component
+ * Muestra los hallazgos del linter de la tabla de ruteo
+ * Incluye: severidad, línea del CSV, equipo y descripción del problema
+ */
+const LintPanel = ({ findings, hasData }) => {
+  if (!hasData) {
+    return null;
+  }
+
+  const counts = findings.reduce((acc, finding) => {
+    acc[finding.severity] = (acc[finding.severity] || 0) + 1;
+    return acc;
+  }, {});
+
+  return (
+    <div className="w-full bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4">
+        Revisión de la Tabla
+      </h2>
+
+      {findings.length === 0 ? (
+        <p className="text-sm text-green-700">
+          No se encontraron problemas en la tabla de ruteo
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2 mb-3 text-xs">
+            {Object.entries(SEVERITY_STYLES).map(([severity, style]) => (
+              <span key={severity} className={`px-2 py-1 rounded font-semibold ${style.className}`}>
+                {style.label}: {counts[severity] || 0}
+              </span>
+            ))}
+          </div>
+          <ul className="divide-y divide-gray-200 max-h-80 overflow-y-auto">
+            {findings.map((finding, index) => {
+              const style = SEVERITY_STYLES[finding.severity];
+              return (
+                <li key={index} className="py-2 text-sm">
+                  <div className="flex items-center gap-2">
+                    <span className={`px-2 py-0.5 rounded text-xs font-semibold ${style.className}`}>
+                      {style.label}
+                    </span>
+                    <span className="text-xs text-gray-500">
+                      {finding.line ? `Línea ${finding.line}` : 'Sin línea'} · {finding.equipo}
+                    </span>
+                  </div>
+                  <p className="text-gray-700 mt-1">{finding.message}</p>
+                  <p className="text-xs text-gray-400">{finding.rule}</p>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LintPanel;
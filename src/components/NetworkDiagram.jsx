@@ -1,4 +1,4 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import ReactFlow, {
   Background,
   Controls,
@@ -7,16 +7,299 @@ import ReactFlow, {
   useEdgesState,
 } from 'reactflow';
 import 'reactflow/dist/style.css';
+import {
+  SEGMENT_KIND,
+  buildTopology,
+  buildSegmentTopology,
+  tracedSegments,
+  attachmentKey,
+  isSegmentId,
+} from '../utils/topology';
+import { NO_FAILURES, isRouterFailed, isLinkFailed, linkKey } from '../utils/failures';
+import { diffTopologies } from '../utils/tableDiff';
+import { formatLinkLabel } from '../utils/links';
+import { DEFAULT_VRF, listVRFs, vrfOf, leakTarget, vrfColor, formatVRF } from '../utils/vrf';
+import {
+  LAYOUT_TYPE,
+  LAYOUT_LABELS,
+  DIAGRAM_VIEW,
+  DEFAULT_LAYOUT,
+  computeLayout,
+  equipmentSites,
+  tracePath,
+} from '../utils/layout';
 
 /**
  * NetworkDiagram Component
  * Visualiza la topología de red usando ReactFlow
  * Muestra equipos como nodos y conexiones como edges
- * Resalta la ruta del traceroute cuando está disponible
+ * Resalta la ruta del traceroute cuando está disponible, etiquetando cada
+ * conexión con las interfaces de salida y entrada usadas. El camino de
+ * vuelta, si se trazó, se dibuja con conexiones naranjas discontinuas y las
+ * ramas ECMP alternativas en celeste discontinuo
+ * Al hacer clic en un equipo o conexión se marca como caído (o se restaura);
+ * los elementos caídos se dibujan en rojo
+ * Durante el recorrido paso a paso, `activeEquipment` se resalta en amarillo
+ * y un nodo con el paquete se desplaza hasta él
+ * Las conexiones con atributos en el modelo de enlaces (`links`) muestran su
+ * latencia, ancho de banda, MTU y pérdida
+ * `actions` se muestra junto al título (ej: el menú de exportación)
+ * Si las tablas usan VRF, las conexiones de una única VRF se colorean según
+ * ella (las compartidas quedan en gris) y se puede mostrar una sola VRF
+ * La disposición (`layout`) es la del proyecto: el tipo de disposición
+ * automática, si el camino del traceroute va en una fila de izquierda a
+ * derecha y las posiciones de los equipos movidos a mano, que se informan
+ * con `onLayoutChange` al soltarlos
+ * En la vista de segmentos L3 cada red "directo" es un nodo conectado a todos
+ * sus equipos (las LAN de un solo equipo se dibujan como nubes de hosts) y
+ * el traceroute se resalta pasando por los segmentos
+ * Con una tabla anterior (`comparisonData`), la vista de equipos marca en
+ * verde las conexiones nuevas y agrega en rojo discontinuo las que se pierden,
+ * junto con los equipos que ya no están en la tabla actual
  */
-const NetworkDiagram = ({ routingData, traceResult }) => {
+
+// Etiqueta de una conexión: "Gi0/0 10.0.1.1 → 10.0.1.2 Gi0/1"
+const formatHopLabel = (hop, nextHop) => {
+  const from = [hop.egressInterface, hop.egressIP].filter(Boolean).join(' ');
+  const to = [nextHop?.ingressIP || hop.gateway, nextHop?.ingressInterface].filter(Boolean).join(' ');
+  return from ? `${from} → ${to}` : `→ ${to}`;
+};
+
+// Estilo de los equipos y conexiones caídos
+const FAILED_NODE_STYLE = {
+  background: '#fee2e2',
+  color: '#991b1b',
+  border: '3px solid #dc2626',
+  fontWeight: 'bold',
+  boxShadow: '0 4px 6px rgba(220, 38, 38, 0.3)',
+};
+const FAILED_EDGE_STYLE = { stroke: '#dc2626', strokeWidth: 3, strokeDasharray: '2 4' };
+
+// Equipo actual del recorrido paso a paso y el paquete que lo visita
+const ACTIVE_NODE_STYLE = {
+  border: '3px solid #eab308',
+  boxShadow: '0 0 0 6px rgba(234, 179, 8, 0.35)',
+};
+const PACKET_NODE_ID = '__packet';
+const PACKET_NODE_STYLE = {
+  background: '#facc15',
+  border: '2px solid #a16207',
+  borderRadius: '9999px',
+  padding: '2px 6px',
+  width: 'auto',
+  fontSize: '16px',
+  pointerEvents: 'none',
+  // El nodo se mueve con transform: la transición lo desliza por la conexión
+  transition: 'transform 400ms ease-in-out',
+};
+
+// Títulos de los sitios en la grilla por sitio
+const SITE_NODE_PREFIX = '__site-';
+const SITE_NODE_STYLE = {
+  background: 'transparent',
+  border: 'none',
+  boxShadow: 'none',
+  color: '#6b7280',
+  fontSize: '12px',
+  fontWeight: 'bold',
+  textAlign: 'left',
+  width: 'auto',
+  pointerEvents: 'none',
+};
+
+// Diferencias con la tabla anterior: conexiones ganadas, perdidas y equipos eliminados
+const GAINED_EDGE_STYLE = { stroke: '#16a34a', strokeWidth: 3 };
+const LOST_EDGE_PREFIX = 'lost-';
+const LOST_EDGE_STYLE = { stroke: '#f43f5e', strokeWidth: 2, strokeDasharray: '6 4' };
+const REMOVED_NODE_STYLE = {
+  background: '#ffffff',
+  color: '#9ca3af',
+  border: '2px dashed #9ca3af',
+  boxShadow: 'none',
+};
+
+// Nodos que no son equipos ni segmentos (no se marcan como caídos ni se guardan)
+const isDecoration = (id) => id === PACKET_NODE_ID || id.startsWith(SITE_NODE_PREFIX);
+
+// Segmentos de la vista L3: de tránsito como una píldora y LAN como nube
+const SEGMENT_NODE_STYLE = {
+  [SEGMENT_KIND.TRANSIT]: {
+    background: '#ffffff',
+    color: '#374151',
+    border: '2px dashed #9ca3af',
+    borderRadius: '9999px',
+  },
+  [SEGMENT_KIND.LAN]: {
+    background: '#ecfeff',
+    color: '#155e75',
+    border: '2px solid #67e8f9',
+    borderRadius: '40px',
+  },
+};
+const TRACED_SEGMENT_STYLE = {
+  background: '#dbeafe',
+  color: '#1e40af',
+  border: '3px solid #1e40af',
+  fontWeight: 'bold',
+};
+
+// Nodos de segmento y conexiones equipo-segmento de la vista L3
+const buildSegmentElements = ({ segments, attachments, segmentTopology, traceResult, positions, showVRFs, vrfs }) => {
+  const traced = tracedSegments(traceResult?.hops, segmentTopology);
+  const alternatives = new Set((traceResult?.paths || []).slice(1)
+    .flatMap(path => [...tracedSegments(path.hops, segmentTopology).attachments]));
+  const returned = tracedSegments(traceResult?.returnTrace?.hops, segmentTopology).attachments;
+
+  const nodes = segments.map(segment => {
+    const vrfText = segment.vrf === DEFAULT_VRF ? '' : ` (${formatVRF(segment.vrf)})`;
+    return {
+      id: segment.id,
+      data: { label: `${segment.kind === SEGMENT_KIND.LAN ? '☁ ' : ''}${segment.cidr}${vrfText}` },
+      position: positions[segment.id],
+      style: {
+        padding: '4px 12px',
+        fontSize: '12px',
+        width: 'auto',
+        ...SEGMENT_NODE_STYLE[segment.kind],
+        ...(traced.path.includes(segment.id) ? TRACED_SEGMENT_STYLE : {}),
+      },
+    };
+  });
+
+  const edges = attachments.map(({ source, target }) => {
+    const key = attachmentKey(source, target);
+    const vrf = segmentTopology.segments.find(segment => segment.id === target)?.vrf;
+    let style = { stroke: showVRFs && vrf ? vrfColor(vrf, vrfs) : '#d1d5db', strokeWidth: 2 };
+    if (returned.has(key)) style = { stroke: '#f97316', strokeWidth: 2, strokeDasharray: '6 4' };
+    if (alternatives.has(key)) style = { stroke: '#93c5fd', strokeWidth: 3, strokeDasharray: '4 3' };
+    if (traced.attachments.has(key)) style = { stroke: '#3b82f6', strokeWidth: 3 };
+    return {
+      id: `segment-${key}`,
+      source,
+      target,
+      animated: traced.attachments.has(key) || alternatives.has(key) || returned.has(key),
+      style,
+    };
+  });
+
+  return { nodes, edges };
+};
+
+const NetworkDiagram = ({
+  routingData,
+  interfaces = [],
+  links = null,
+  traceResult,
+  failures = NO_FAILURES,
+  onToggleRouter,
+  onToggleLink,
+  actions = null,
+  activeEquipment = null,
+  layout = DEFAULT_LAYOUT,
+  onLayoutChange,
+  comparisonData = [],
+}) => {
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
   const [edges, setEdges, onEdgesChange] = useEdgesState([]);
+  // VRF mostrada ('' para todas)
+  const [vrfFilter, setVrfFilter] = useState('');
+  // Instancia de ReactFlow, para encuadrar el diagrama al cambiar la disposición
+  const [flow, setFlow] = useState(null);
+  const pendingFit = useRef(false);
+
+  const vrfs = useMemo(() => listVRFs(routingData || [], interfaces), [routingData, interfaces]);
+  const showVRFs = vrfs.length > 1;
+  const activeVRF = vrfs.includes(vrfFilter) ? vrfFilter : '';
+
+  const topology = useMemo(
+    () => buildTopology(routingData || [], interfaces, links),
+    [routingData, interfaces, links]
+  );
+  const segmentView = layout.view === DIAGRAM_VIEW.SEGMENTS;
+  const segmentTopology = useMemo(() => buildSegmentTopology(routingData || []), [routingData]);
+
+  // Equipos a dibujar (de la VRF elegida, si hay filtro)
+  const equipos = useMemo(() => {
+    const all = [...new Set((routingData || []).map(r => r.Equipo))];
+    if (!activeVRF) return all;
+    // Equipos con rutas, rutas de leaking o interfaces en la VRF
+    const members = new Set([
+      ...routingData.filter(route => vrfOf(route) === activeVRF || leakTarget(route) === activeVRF),
+      ...interfaces.filter(iface => vrfOf(iface) === activeVRF),
+    ].map(row => row.Equipo));
+    return all.filter(equipo => members.has(equipo));
+  }, [routingData, interfaces, activeVRF]);
+
+  // Conexiones y equipos que cambian respecto de la tabla anterior (sólo en
+  // la vista de equipos; los eliminados no se dibujan al filtrar por VRF)
+  const topologyDiff = useMemo(() => {
+    if (segmentView || comparisonData.length === 0 || !routingData?.length) return null;
+    return diffTopologies(comparisonData, routingData, interfaces);
+  }, [segmentView, comparisonData, routingData, interfaces]);
+  const removedEquipment = useMemo(
+    () => (topologyDiff && !activeVRF
+      ? topologyDiff.removedEquipment.filter(equipo => !equipos.includes(equipo))
+      : []),
+    [topologyDiff, activeVRF, equipos]
+  );
+  const lostLinks = useMemo(() => {
+    if (!topologyDiff) return [];
+    const shown = new Set([...equipos, ...removedEquipment]);
+    return topologyDiff.lost.filter(link =>
+      shown.has(link.source) && shown.has(link.target) && (!activeVRF || link.vrfs.includes(activeVRF))
+    );
+  }, [topologyDiff, equipos, removedEquipment, activeVRF]);
+
+  // Segmentos de la vista L3 y sus conexiones con los equipos dibujados
+  const { segments, attachments } = useMemo(() => {
+    if (!segmentView) return { segments: [], attachments: [] };
+    const shown = new Set(equipos);
+    const visible = segmentTopology.segments.filter(segment =>
+      (!activeVRF || segment.vrf === activeVRF) && segment.routers.some(router => shown.has(router))
+    );
+    const ids = new Set(visible.map(segment => segment.id));
+    return {
+      segments: visible,
+      attachments: segmentTopology.links.filter(link => shown.has(link.source) && ids.has(link.target)),
+    };
+  }, [segmentView, segmentTopology, equipos, activeVRF]);
+
+  // Disposición automática: sólo se recalcula si cambian los equipos, las
+  // conexiones o las opciones que la afectan (no al cambiar estilos)
+  const layoutRoot = traceResult?.sourceEquipment ?? null;
+  const tracedPath = segmentView ? tracedSegments(traceResult?.hops, segmentTopology).path : tracePath(traceResult);
+  const pathKey = layout.pathLeftToRight ? tracedPath.join('\n') : '';
+  const autoLayout = useMemo(() => {
+    const sites = {};
+    if (layout.type === LAYOUT_TYPE.GRID) {
+      Object.assign(sites, equipmentSites(routingData || []));
+      // Cada segmento va en el sitio de su primer equipo
+      segments.forEach(segment => {
+        sites[segment.id] = sites[segment.routers[0]];
+      });
+    }
+    const ids = [...equipos, ...removedEquipment, ...segments.map(segment => segment.id)];
+    return computeLayout(ids, segmentView ? attachments : [...topology.links, ...lostLinks], {
+      type: layout.type,
+      root: layoutRoot,
+      path: pathKey ? pathKey.split('\n') : [],
+      sites,
+    });
+  }, [
+    equipos, removedEquipment, segments, attachments, segmentView, topology, lostLinks,
+    layout.type, layoutRoot, pathKey, routingData,
+  ]);
+
+  // Encuadrar el diagrama cuando cambia la disposición automática
+  useEffect(() => {
+    pendingFit.current = true;
+  }, [autoLayout]);
+
+  useEffect(() => {
+    if (!pendingFit.current || !flow) return;
+    pendingFit.current = false;
+    window.requestAnimationFrame(() => flow.fitView());
+  }, [nodes, flow]);
 
   useEffect(() => {
     if (!routingData || routingData.length === 0) {
@@ -25,23 +308,23 @@ const NetworkDiagram = ({ routingData, traceResult }) => {
       return;
     }
 
-    // Crear nodos para cada equipo único
-    const equipos = [...new Set(routingData.map(r => r.Equipo))];
-    const newNodes = equipos.map((equipo, index) => {
-      // Distribuir nodos en círculo
-      const angle = (index / equipos.length) * 2 * Math.PI;
-      const radius = 250;
-      const x = 400 + radius * Math.cos(angle);
-      const y = 300 + radius * Math.sin(angle);
-
-      // Verificar si este nodo está en la ruta
-      const isInPath = traceResult?.hops?.some(
+    // Crear nodos para cada equipo: en su posición manual o en la automática
+    const newNodes = equipos.map((equipo) => {
+      const { x, y } = layout.positions[equipo] || autoLayout.positions[equipo];
+
+      // Verificar si este nodo está en la ruta (en cualquier camino ECMP)
+      const tracedHops = traceResult?.paths?.length
+        ? traceResult.paths.flatMap(path => path.hops)
+        : traceResult?.hops;
+      const isInPath = tracedHops?.some(
         hop => hop.currentEquipment === equipo || hop.nextEquipment === equipo
       );
 
+      const isFailed = isRouterFailed(failures, equipo);
+
       return {
         id: equipo,
-        data: { label: equipo },
+        data: { label: isFailed ? `✖ ${equipo}` : equipo },
         position: { x, y },
         style: {
           background: isInPath ? '#3b82f6' : '#f3f4f6',
@@ -52,82 +335,203 @@ const NetworkDiagram = ({ routingData, traceResult }) => {
           fontSize: '14px',
           fontWeight: isInPath ? 'bold' : 'normal',
           boxShadow: isInPath ? '0 4px 6px rgba(59, 130, 246, 0.3)' : '0 2px 4px rgba(0,0,0,0.1)',
+          cursor: 'pointer',
+          ...(isFailed ? FAILED_NODE_STYLE : {}),
         },
       };
     });
 
-    // Crear edges basados en las conexiones en la tabla de ruteo
+    // Títulos de los sitios (grilla por sitio)
+    const siteNodes = autoLayout.labels.map(label => ({
+      id: `${SITE_NODE_PREFIX}${label.id}`,
+      data: { label: label.text },
+      position: { x: label.x, y: label.y },
+      draggable: false,
+      selectable: false,
+      connectable: false,
+      style: SITE_NODE_STYLE,
+    }));
+
+    // Vista L3: los equipos se conectan a través de los segmentos
+    if (segmentView) {
+      const segmentElements = buildSegmentElements({
+        segments,
+        attachments,
+        segmentTopology,
+        traceResult,
+        positions: { ...autoLayout.positions, ...layout.positions },
+        showVRFs,
+        vrfs,
+      });
+      setNodes([...siteNodes, ...segmentElements.nodes, ...newNodes]);
+      setEdges(segmentElements.edges);
+      return;
+    }
+
+    // Crear edges basados en las conexiones deducidas de la tabla de ruteo
     const edgesMap = new Map();
-    routingData.forEach(route => {
-      if (route.Gateway !== 'directo') {
-        // Buscar qué equipo tiene este gateway en su tabla
-        const targetEquipo = routingData.find(r =>
-          r.IP_Destino && route.Gateway &&
-          r.Gateway === 'directo' &&
-          isIPInNetwork(route.Gateway, r.IP_Destino, r.Mascara)
-        );
-
-        if (targetEquipo) {
-          const edgeId = `${route.Equipo}-${targetEquipo.Equipo}`;
-          const reverseEdgeId = `${targetEquipo.Equipo}-${route.Equipo}`;
-
-          if (!edgesMap.has(edgeId) && !edgesMap.has(reverseEdgeId)) {
-            edgesMap.set(edgeId, {
-              id: edgeId,
-              source: route.Equipo,
-              target: targetEquipo.Equipo,
-              animated: false,
-              style: { stroke: '#d1d5db', strokeWidth: 2 },
-            });
-          }
-        }
+    topology.links.forEach(link => {
+      if (activeVRF && !link.vrfs.includes(activeVRF)) return;
+
+      // Color de la VRF si la conexión pertenece a una sola
+      const linkVRF = activeVRF || (link.vrfs.length === 1 ? link.vrfs[0] : null);
+      const edgeId = `${link.source}-${link.target}`;
+      edgesMap.set(edgeId, {
+        id: edgeId,
+        source: link.source,
+        target: link.target,
+        animated: false,
+        style: { stroke: showVRFs && linkVRF ? vrfColor(linkVRF, vrfs) : '#d1d5db', strokeWidth: 2 },
+        data: { attributesLabel: link.attributes ? formatLinkLabel(link.attributes) : null },
+        label: link.attributes ? formatLinkLabel(link.attributes) : undefined,
+        labelStyle: { fontSize: 10, fill: '#6b7280' },
+      });
+    });
+
+    // Conexiones que no estaban en la tabla anterior
+    const gainedKeys = new Set((topologyDiff?.gained || []).map(link => linkKey(link.source, link.target)));
+    edgesMap.forEach(edge => {
+      if (gainedKeys.has(linkKey(edge.source, edge.target))) {
+        edge.style = GAINED_EDGE_STYLE;
+        edge.label = ['+ nueva', edge.data?.attributesLabel].filter(Boolean).join(' | ');
+        edge.labelStyle = { fontSize: 10, fill: '#16a34a' };
       }
     });
 
+    // Resaltar las ramas ECMP de los caminos no principales
+    traceResult?.paths?.slice(1).forEach(path => {
+      path.hops.forEach(hop => {
+        if (!hop.nextEquipment) return;
+
+        const edgeId = `${hop.currentEquipment}-${hop.nextEquipment}`;
+        const reverseEdgeId = `${hop.nextEquipment}-${hop.currentEquipment}`;
+        if (!edgesMap.has(edgeId) && !edgesMap.has(reverseEdgeId)) {
+          edgesMap.set(edgeId, { id: edgeId, source: hop.currentEquipment, target: hop.nextEquipment });
+        }
+        const edge = edgesMap.get(edgeId) || edgesMap.get(reverseEdgeId);
+        edge.animated = true;
+        edge.style = { stroke: '#93c5fd', strokeWidth: 3, strokeDasharray: '4 3' };
+      });
+    });
+
     // Resaltar edges que están en la ruta del traceroute
     if (traceResult?.hops) {
-      traceResult.hops.forEach(hop => {
+      traceResult.hops.forEach((hop, index) => {
         if (hop.nextEquipment) {
           const edgeId = `${hop.currentEquipment}-${hop.nextEquipment}`;
           const reverseEdgeId = `${hop.nextEquipment}-${hop.currentEquipment}`;
+          const edge = edgesMap.get(edgeId) || edgesMap.get(reverseEdgeId);
 
-          if (edgesMap.has(edgeId)) {
-            edgesMap.get(edgeId).animated = true;
-            edgesMap.get(edgeId).style = { stroke: '#3b82f6', strokeWidth: 3 };
-          } else if (edgesMap.has(reverseEdgeId)) {
-            edgesMap.get(reverseEdgeId).animated = true;
-            edgesMap.get(reverseEdgeId).style = { stroke: '#3b82f6', strokeWidth: 3 };
+          if (edge) {
+            edge.animated = true;
+            edge.style = { stroke: '#3b82f6', strokeWidth: 3 };
+            edge.label = [formatHopLabel(hop, traceResult.hops[index + 1]), edge.data?.attributesLabel]
+              .filter(Boolean)
+              .join(' | ');
+            edge.labelStyle = { fontSize: 10, fill: '#1e40af' };
           }
         }
       });
     }
 
-    setNodes(newNodes);
-    setEdges(Array.from(edgesMap.values()));
-  }, [routingData, traceResult]);
+    // Los enlaces caídos se dibujan en rojo aunque no se usen en la ruta
+    edgesMap.forEach(edge => {
+      if (isLinkFailed(failures, edge.source, edge.target)) {
+        edge.animated = false;
+        edge.style = FAILED_EDGE_STYLE;
+        edge.label = '✖ caído';
+        edge.labelStyle = { fontSize: 10, fill: '#dc2626' };
+      }
+    });
 
-  // Helper: Verificar si una IP está en una red
-  const isIPInNetwork = (ip, network, mask) => {
-    if (!ip || !network || !mask) return false;
+    // Camino de vuelta: conexiones propias para distinguirlo de la ida
+    const returnEdges = [];
+    traceResult?.returnTrace?.hops.forEach(hop => {
+      if (hop.nextEquipment) {
+        returnEdges.push({
+          id: `return-${hop.currentEquipment}-${hop.nextEquipment}`,
+          source: hop.currentEquipment,
+          target: hop.nextEquipment,
+          type: 'smoothstep',
+          animated: true,
+          style: { stroke: '#f97316', strokeWidth: 2, strokeDasharray: '6 4' },
+        });
+      }
+    });
 
-    // Convertir máscara CIDR a número
-    const maskBits = parseInt(mask.replace('/', ''));
-    const ipParts = ip.split('.').map(Number);
-    const networkParts = network.split('.').map(Number);
+    // Equipos y conexiones de la tabla anterior que ya no existen
+    const removedNodes = removedEquipment.map(equipo => ({
+      id: equipo,
+      data: { label: `${equipo} (eliminado)` },
+      position: layout.positions[equipo] || autoLayout.positions[equipo],
+      style: {
+        borderRadius: '8px',
+        padding: '12px 20px',
+        fontSize: '14px',
+        ...REMOVED_NODE_STYLE,
+      },
+    }));
+    const lostEdges = lostLinks.map(link => ({
+      id: `${LOST_EDGE_PREFIX}${link.source}-${link.target}`,
+      source: link.source,
+      target: link.target,
+      style: LOST_EDGE_STYLE,
+      label: '− se pierde',
+      labelStyle: { fontSize: 10, fill: '#f43f5e' },
+    }));
 
-    // Convertir IPs a números de 32 bits
-    const ipNum = (ipParts[0] << 24) | (ipParts[1] << 16) | (ipParts[2] << 8) | ipParts[3];
-    const networkNum = (networkParts[0] << 24) | (networkParts[1] << 16) | (networkParts[2] << 8) | networkParts[3];
+    setNodes([...siteNodes, ...removedNodes, ...newNodes]);
+    setEdges([...edgesMap.values(), ...lostEdges, ...returnEdges]);
+  }, [
+    routingData, equipos, topology, segmentView, segments, attachments, segmentTopology, autoLayout,
+    layout.positions, traceResult, failures, activeVRF, showVRFs, vrfs, topologyDiff, removedEquipment,
+    lostLinks, setNodes, setEdges,
+  ]);
 
-    // Crear máscara
-    const maskNum = (-1 << (32 - maskBits)) >>> 0;
+  // Guarda la posición de los equipos movidos a mano
+  const handleNodeDragStop = (_, __, dragged) => {
+    const moved = dragged.filter(node => !isDecoration(node.id));
+    if (!onLayoutChange || moved.length === 0) return;
+    onLayoutChange({
+      ...layout,
+      positions: {
+        ...layout.positions,
+        ...Object.fromEntries(moved.map(node => [node.id, { x: node.position.x, y: node.position.y }])),
+      },
+    });
+  };
 
-    return (ipNum & maskNum) === (networkNum & maskNum);
+  // Al elegir otra disposición se descartan las posiciones manuales
+  const handleLayoutTypeChange = (type) => {
+    onLayoutChange?.({ ...layout, type, positions: {} });
   };
 
+  // Resalta el equipo actual del recorrido y ubica el paquete junto a él
+  // (sobre las posiciones actuales, para respetar los nodos arrastrados)
+  const displayedNodes = useMemo(() => {
+    const active = activeEquipment && nodes.find(node => node.id === activeEquipment);
+    if (!active) return nodes;
+
+    return [
+      ...nodes.map(node => (node === active
+        ? { ...node, style: { ...node.style, ...ACTIVE_NODE_STYLE } }
+        : node)),
+      {
+        id: PACKET_NODE_ID,
+        data: { label: '✉' },
+        position: { x: active.position.x - 16, y: active.position.y - 28 },
+        draggable: false,
+        selectable: false,
+        connectable: false,
+        style: PACKET_NODE_STYLE,
+      },
+    ];
+  }, [nodes, activeEquipment]);
+
   if (!routingData || routingData.length === 0) {
     return (
-      <div className="w-full h-96 bg-white rounded-lg shadow-md flex items-center justify-center">
+      <div className="relative w-full h-96 bg-white rounded-lg shadow-md flex items-center justify-center">
+        {actions && <div className="absolute top-4 right-4">{actions}</div>}
         <p className="text-gray-500">Carga un archivo CSV para ver el diagrama de red</p>
       </div>
     );
@@ -135,15 +539,78 @@ const NetworkDiagram = ({ routingData, traceResult }) => {
 
   return (
     <div className="w-full bg-white rounded-lg shadow-md p-6">
-      <h2 className="text-xl font-semibold text-gray-800 mb-4">
-        Diagrama de Red
-      </h2>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          Diagrama de Red
+        </h2>
+        <div className="flex items-center gap-2">
+          {onLayoutChange && (
+            <>
+              <select
+                value={layout.view}
+                onChange={(e) => onLayoutChange({ ...layout, view: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                title="Vista del diagrama"
+              >
+                <option value={DIAGRAM_VIEW.ROUTERS}>Equipos</option>
+                <option value={DIAGRAM_VIEW.SEGMENTS}>Segmentos L3</option>
+              </select>
+              <select
+                value={layout.type}
+                onChange={(e) => handleLayoutTypeChange(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                title="Disposición del diagrama"
+              >
+                {Object.values(LAYOUT_TYPE).map(type => (
+                  <option key={type} value={type}>{LAYOUT_LABELS[type]}</option>
+                ))}
+              </select>
+              <label className="flex items-center text-xs text-gray-600" title="Dibuja el camino del traceroute en una fila de izquierda a derecha">
+                <input
+                  type="checkbox"
+                  checked={layout.pathLeftToRight}
+                  onChange={(e) => onLayoutChange({ ...layout, pathLeftToRight: e.target.checked })}
+                  className="mr-1"
+                />
+                Camino →
+              </label>
+              {Object.keys(layout.positions).length > 0 && (
+                <button
+                  onClick={() => onLayoutChange({ ...layout, positions: {} })}
+                  className="px-2 py-1 text-xs text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50"
+                  title="Descarta las posiciones movidas a mano"
+                >
+                  Reorganizar
+                </button>
+              )}
+            </>
+          )}
+          {showVRFs && (
+            <select
+              value={activeVRF}
+              onChange={(e) => setVrfFilter(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+              title="VRF a mostrar"
+            >
+              <option value="">Todas las VRF</option>
+              {vrfs.map(vrf => (
+                <option key={vrf} value={vrf}>VRF {formatVRF(vrf)}</option>
+              ))}
+            </select>
+          )}
+          {actions}
+        </div>
+      </div>
       <div className="w-full h-96 border border-gray-200 rounded-lg overflow-hidden">
         <ReactFlow
-          nodes={nodes}
+          nodes={displayedNodes}
           edges={edges}
           onNodesChange={onNodesChange}
           onEdgesChange={onEdgesChange}
+          onNodeClick={(_, node) => !isDecoration(node.id) && !isSegmentId(node.id) && !removedEquipment.includes(node.id) && onToggleRouter?.(node.id)}
+          onNodeDragStop={handleNodeDragStop}
+          onInit={setFlow}
+          onEdgeClick={(_, edge) => !isSegmentId(edge.target) && !edge.id.startsWith(LOST_EDGE_PREFIX) && onToggleLink?.(edge.source, edge.target)}
           fitView
           attributionPosition="bottom-left"
         >
@@ -157,10 +624,59 @@ const NetworkDiagram = ({ routingData, traceResult }) => {
           />
         </ReactFlow>
       </div>
+      {showVRFs && (
+        <div className="mt-2 flex flex-wrap gap-3 text-xs text-gray-600">
+          {vrfs.filter(vrf => !activeVRF || vrf === activeVRF).map(vrf => (
+            <span key={vrf} className="flex items-center">
+              <span className="inline-block w-4 h-1 mr-1 rounded" style={{ background: vrfColor(vrf, vrfs) }}></span>
+              VRF {formatVRF(vrf)}
+            </span>
+          ))}
+          {!activeVRF && <span className="text-gray-400">Las conexiones compartidas por varias VRF se dibujan en gris</span>}
+        </div>
+      )}
+      {onToggleRouter && (
+        <p className="mt-2 text-xs text-gray-500">
+          {segmentView
+            ? 'Haz clic en un equipo para simular su falla (otro clic la restaura); las conexiones se marcan como caídas en la vista de equipos'
+            : 'Haz clic en un equipo o conexión para simular su falla (otro clic la restaura)'}
+        </p>
+      )}
+      {segmentView && (
+        <p className="mt-2 text-xs text-gray-500">
+          Cada red &quot;directo&quot; es un segmento conectado a sus equipos; las redes de un solo equipo (☁) son LAN de hosts finales
+        </p>
+      )}
+      {comparisonData.length > 0 && (
+        <p className="mt-2 text-xs text-gray-500">
+          {segmentView ? (
+            'Las diferencias con la tabla anterior se muestran en la vista de equipos'
+          ) : (
+            <>
+              <span className="inline-block w-4 h-1 mr-1 rounded bg-green-600 align-middle"></span>
+              Conexiones nuevas respecto de la tabla anterior
+              <span className="inline-block w-4 h-1 ml-4 mr-1 rounded bg-rose-500 align-middle"></span>
+              Conexiones que se pierden (los equipos eliminados aparecen en gris discontinuo)
+            </>
+          )}
+        </p>
+      )}
       {traceResult?.success && (
         <div className="mt-3 text-sm text-gray-600">
           <span className="inline-block w-3 h-3 bg-blue-600 rounded-full mr-2"></span>
           Los nodos y conexiones en azul muestran la ruta del traceroute
+          {traceResult.paths?.length > 1 && (
+            <>
+              <span className="inline-block w-3 h-3 bg-blue-300 rounded-full ml-4 mr-2"></span>
+              Las conexiones celestes discontinuas son ramas ECMP alternativas
+            </>
+          )}
+          {traceResult.returnTrace && (
+            <>
+              <span className="inline-block w-3 h-3 bg-orange-500 rounded-full ml-4 mr-2"></span>
+              Las conexiones naranjas discontinuas muestran el camino de vuelta
+            </>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,195 @@
+import { useEffect, useState } from 'react';
+import { SELECTION_REASON_LABELS, CANDIDATE_OUTCOME_LABELS } from '../utils/routeSelection';
+import { formatTranslation } from '../utils/nat';
+import { DEFAULT_VRF, formatVRF } from '../utils/vrf';
+
+// Intervalo entre pasos a velocidad 1x
+const BASE_INTERVAL_MS = 1500;
+const SPEEDS = [0.5, 1, 2, 4];
+
+// Color de cada fila según su papel en la decisión
+const rowClassName = (row) => {
+  if (row.chosen) return 'bg-green-50 text-green-900 font-semibold';
+  if (row.matches) return 'bg-yellow-50 text-yellow-900';
+  return 'text-gray-400';
+};
+
+// Explica la decisión tomada en un paso
+const describeStep = (step, traceResult) => {
+  if (!step.hop) return traceResult.error;
+  const reason = SELECTION_REASON_LABELS[step.hop.selection?.reason] || step.hop.selection?.reason;
+  // Las traducciones de NAT del equipo, antes de la decisión
+  const nat = step.hop.nat?.length ? `${step.hop.nat.map(formatTranslation).join(', ')}. ` : '';
+  // Una ruta de leaking continúa en otra VRF
+  const leak = step.hop.targetVRF && step.hop.targetVRF !== step.hop.vrf
+    ? ` y pasa a la VRF ${formatVRF(step.hop.targetVRF)}`
+    : '';
+  const decision = `${nat}Elige ${step.hop.destNetwork} (${reason})${leak}`;
+  if (!step.nextEquipment) {
+    return `${decision}: ${step.destIP} está en una red directamente conectada, el paquete llega a destino`;
+  }
+  return `${decision} y reenvía el paquete vía ${step.hop.gateway} hacia "${step.nextEquipment}"`;
+};
+
+/**
+ * PacketWalkthrough Component
+ * Recorre el traceroute paso a paso, con controles de reproducción
+ * (reproducir/pausar, avanzar, retroceder y velocidad). En cada paso muestra
+ * la tabla completa del equipo actual marcando las rutas que coinciden con
+ * el destino y la elegida; el diagrama resalta el equipo y mueve el paquete
+ * `step` es el paso actual (null si el recorrido no está activo)
+ */
+const PacketWalkthrough = ({ traceResult, steps, step, onStepChange }) => {
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const lastStep = steps.length - 1;
+  const isActive = step !== null && steps.length > 0;
+  // Si el recorrido se reinicia desde fuera (nuevo traceroute) la reproducción se detiene
+  const isPlaying = playing && isActive;
+
+  // Avanza automáticamente mientras se reproduce; se detiene en el último paso
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    const timer = setTimeout(() => {
+      const next = Math.min(step + 1, lastStep);
+      onStepChange(next);
+      if (next === lastStep) setPlaying(false);
+    }, BASE_INTERVAL_MS / speed);
+    return () => clearTimeout(timer);
+  }, [isPlaying, step, lastStep, speed, onStepChange]);
+
+  if (!traceResult || steps.length === 0) {
+    return null;
+  }
+
+  const goTo = (index) => {
+    setPlaying(false);
+    onStepChange(Math.max(0, Math.min(index, lastStep)));
+  };
+
+  const togglePlay = () => {
+    if (isPlaying) {
+      setPlaying(false);
+      return;
+    }
+    // Al reproducir desde el final (o sin empezar) se vuelve al primer paso
+    if (!isActive || step >= lastStep) onStepChange(0);
+    setPlaying(true);
+  };
+
+  const stop = () => {
+    setPlaying(false);
+    onStepChange(null);
+  };
+
+  const current = isActive ? steps[step] : null;
+
+  const buttonClassName =
+    'px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="w-full bg-white rounded-lg shadow-md p-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          Recorrido Paso a Paso
+        </h2>
+        <div className="flex items-center gap-2">
+          <button type="button" onClick={() => goTo(0)} disabled={!isActive || step === 0} title="Primer paso" className={buttonClassName}>
+            ⏮
+          </button>
+          <button type="button" onClick={() => goTo(step - 1)} disabled={!isActive || step === 0} title="Paso anterior" className={buttonClassName}>
+            ◀
+          </button>
+          <button
+            type="button"
+            onClick={togglePlay}
+            title={isPlaying ? 'Pausar' : 'Reproducir'}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            {isPlaying ? '⏸' : '▶'}
+          </button>
+          <button
+            type="button"
+            onClick={() => goTo(isActive ? step + 1 : 0)}
+            disabled={isActive && step >= lastStep}
+            title="Paso siguiente"
+            className={buttonClassName}
+          >
+            ▶|
+          </button>
+          <select
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            title="Velocidad"
+            className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+          >
+            {SPEEDS.map(option => (
+              <option key={option} value={option}>{option}x</option>
+            ))}
+          </select>
+          {isActive && (
+            <button type="button" onClick={stop} title="Salir del recorrido" className={buttonClassName}>
+              ✖
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!current ? (
+        <p className="text-sm text-gray-500">
+          Presiona ▶ para seguir el paquete equipo por equipo y ver qué ruta
+          elige cada uno
+        </p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-800 mb-1">
+            <span className="font-semibold">
+              Paso {step + 1} de {steps.length}: {current.equipment}
+              {current.vrf && current.vrf !== DEFAULT_VRF && ` (VRF ${current.vrf})`}
+            </span>
+          </p>
+          <p className={`text-sm mb-4 ${current.hop ? 'text-gray-600' : 'text-red-700'}`}>
+            {describeStep(current, traceResult)}
+          </p>
+
+          {current.rows.length === 0 ? (
+            <p className="text-sm text-gray-500">"{current.equipment}" no tiene rutas en la tabla{current.vrf && current.vrf !== DEFAULT_VRF && ` de la VRF ${current.vrf}`}</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Red</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Gateway</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Protocolo</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">[Dist/Métrica]</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Coincide con {current.destIP}</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Resultado</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {current.rows.map((row, index) => (
+                    <tr key={index} className={rowClassName(row)}>
+                      <td className="px-4 py-2 font-mono">{row.prefix}</td>
+                      <td className="px-4 py-2 font-mono">{row.route.Gateway}</td>
+                      <td className="px-4 py-2">{row.protocol}</td>
+                      <td className="px-4 py-2 font-mono">[{row.distance}/{row.metric}]</td>
+                      <td className="px-4 py-2">{row.matches ? '✓' : '-'}</td>
+                      <td className="px-4 py-2">
+                        {row.chosen ? '➜ ' : ''}
+                        {row.outcome ? CANDIDATE_OUTCOME_LABELS[row.outcome] : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PacketWalkthrough;
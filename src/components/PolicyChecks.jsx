@@ -0,0 +1,171 @@
+import { useMemo, useState } from 'react';
+import {
+  POLICY_EXPECT,
+  parsePolicySpec,
+  evaluatePolicies,
+  summarizePolicyResults,
+} from '../utils/policy';
+
+const SPEC_PLACEHOLDER = `policies:
+  - name: RouterE llega a la LAN de RouterB
+    from: RouterE
+    to: 192.168.1.0/24
+    maxHops: 4
+    via: RouterC
+  - from: RouterA
+    to: 10.0.5.0/24
+    expect: unreachable`;
+
+// Expectativa de una política en una línea: "alcanza, ≤ 3 saltos, por RouterC"
+const describeExpectation = (policy) => {
+  if (policy.expect === POLICY_EXPECT.UNREACHABLE) {
+    return policy.status ? `no alcanza (${policy.status})` : 'no alcanza';
+  }
+  return [
+    'alcanza',
+    policy.maxHops !== null && `≤ ${policy.maxHops} saltos`,
+    policy.via.length > 0 && `por ${policy.via.join(', ')}`,
+    policy.avoid.length > 0 && `sin ${policy.avoid.join(', ')}`,
+  ].filter(Boolean).join(', ');
+};
+
+/**
+ * PolicyChecks Component
+ * Evalúa una especificación de políticas (JSON o YAML, ver utils/policy.js)
+ * sobre la tabla cargada y muestra cuáles se cumplen y, de las que no, el
+ * motivo y el camino recorrido. Se reevalúa al cambiar la tabla o las
+ * opciones del traceroute (interfaces, ACL, fallas simuladas, etc.)
+ * Al hacer clic en una política se abre su traceroute
+ */
+const PolicyChecks = ({ routingData, options, onSelectPolicy }) => {
+  const [specText, setSpecText] = useState('');
+  const [policies, setPolicies] = useState(null);
+  const [specError, setSpecError] = useState(null);
+
+  const results = useMemo(() => {
+    if (!policies || routingData.length === 0) return null;
+    return evaluatePolicies(policies, routingData, options);
+  }, [policies, routingData, options]);
+
+  const summary = results ? summarizePolicyResults(results) : null;
+
+  if (routingData.length === 0) {
+    return null;
+  }
+
+  const evaluate = (text) => {
+    try {
+      setPolicies(parsePolicySpec(text));
+      setSpecError(null);
+    } catch (error) {
+      setPolicies(null);
+      setSpecError(error.message);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const text = await file.text();
+    setSpecText(text);
+    evaluate(text);
+    e.target.value = '';
+  };
+
+  return (
+    <div className="w-full bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          Pruebas de Políticas
+        </h2>
+        <div className="space-x-2">
+          <label
+            htmlFor="policy-upload"
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 cursor-pointer"
+          >
+            Cargar archivo
+          </label>
+          <input
+            type="file"
+            accept=".json,.yaml,.yml"
+            onChange={handleFileChange}
+            className="hidden"
+            id="policy-upload"
+          />
+          <button
+            type="button"
+            onClick={() => evaluate(specText)}
+            disabled={specText.trim() === ''}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-300"
+          >
+            Evaluar
+          </button>
+        </div>
+      </div>
+
+      <textarea
+        value={specText}
+        onChange={(e) => setSpecText(e.target.value)}
+        placeholder={SPEC_PLACEHOLDER}
+        rows={8}
+        spellCheck={false}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-xs mb-2"
+      />
+      <p className="text-xs text-gray-500 mb-4">
+        Cada política indica el equipo origen (from), la IP o red destino (to) y, opcionalmente,
+        expect (reachable o unreachable), maxHops, via, avoid, source, vrf, protocol, port y status
+      </p>
+
+      {specError && (
+        <p className="text-sm text-red-700 bg-red-50 rounded-md px-3 py-2 mb-4">{specError}</p>
+      )}
+
+      {results && (
+        <>
+          <h3 className={`text-sm font-semibold mb-2 ${summary.failed === 0 ? 'text-green-700' : 'text-red-700'}`}>
+            {summary.passed}/{summary.total} políticas cumplidas
+          </h3>
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="min-w-full text-xs divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-2 py-1 text-left font-medium text-gray-500"></th>
+                  <th className="px-2 py-1 text-left font-medium text-gray-500">Política</th>
+                  <th className="px-2 py-1 text-left font-medium text-gray-500">Se espera</th>
+                  <th className="px-2 py-1 text-left font-medium text-gray-500">Camino</th>
+                  <th className="px-2 py-1 text-left font-medium text-gray-500">Detalle</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {results.map((evaluation, index) => (
+                  <tr
+                    key={index}
+                    onClick={() => onSelectPolicy(evaluation)}
+                    title="Ver el traceroute"
+                    className={`cursor-pointer ${evaluation.passed ? 'hover:bg-gray-50' : 'bg-red-50 hover:bg-red-100'}`}
+                  >
+                    <td className={`px-2 py-1 font-bold ${evaluation.passed ? 'text-green-700' : 'text-red-700'}`}>
+                      {evaluation.passed ? '✔' : '✖'}
+                    </td>
+                    <td className="px-2 py-1 font-semibold text-gray-900">{evaluation.policy.name}</td>
+                    <td className="px-2 py-1 text-gray-700">{describeExpectation(evaluation.policy)}</td>
+                    <td className="px-2 py-1 font-mono">
+                      {evaluation.paths.length > 1
+                        ? evaluation.paths.map((path, pathIndex) => (
+                          <div key={pathIndex}>{pathIndex + 1}: {path.join(' → ')}</div>
+                        ))
+                        : evaluation.path.length > 0 ? evaluation.path.join(' → ') : '-'}
+                    </td>
+                    <td className="px-2 py-1 text-red-800">{evaluation.failures.join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PolicyChecks;
@@ -0,0 +1,216 @@
+import { useState } from 'react';
+import { listProjects, saveProject, loadProject, deleteProject } from '../utils/storage';
+import { shareURL } from '../utils/share';
+
+// Descripción breve de una consulta de traceroute
+const describeQuery = (query) => {
+  const packet = query.packet || query.flow;
+  const port = packet?.dstPort !== null && packet?.dstPort !== undefined ? `/${packet.dstPort}` : '';
+  const protocol = packet ? ` · ${packet.protocol}${port}` : '';
+  const vrf = query.vrf ? ` [${query.vrf}]` : '';
+  return `${query.sourceEquipment}${vrf} (${query.sourceIP}) → ${query.destIP}${protocol}`;
+};
+
+/**
+ * ProjectPanel Component
+ * Guarda y abre proyectos con nombre en el navegador, administra las
+ * consultas de traceroute guardadas (con el resumen de su último resultado)
+ * y genera un enlace para compartir el escenario actual
+ */
+const ProjectPanel = ({
+  hasData,
+  buildProject,
+  buildScenario,
+  onOpenProject,
+  savedQueries,
+  canSaveQuery,
+  onSaveQuery,
+  onRunQuery,
+  onDeleteQuery,
+  onError,
+}) => {
+  const [projects, setProjects] = useState(listProjects);
+  const [name, setName] = useState('');
+  const [link, setLink] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      saveProject(name, buildProject());
+      setProjects(listProjects());
+    } catch (error) {
+      onError(error.message);
+    }
+  };
+
+  const handleOpen = (projectName) => {
+    try {
+      onOpenProject(loadProject(projectName));
+      setName(projectName);
+    } catch (error) {
+      onError(error.message);
+    }
+  };
+
+  const handleDelete = (projectName) => {
+    if (!window.confirm(`¿Eliminar el proyecto "${projectName}"?`)) return;
+    try {
+      deleteProject(projectName);
+      setProjects(listProjects());
+    } catch (error) {
+      onError(error.message);
+    }
+  };
+
+  const handleShare = async () => {
+    let url;
+    try {
+      url = await shareURL(buildScenario());
+    } catch (error) {
+      onError(`No se pudo generar el enlace: ${error.message}`);
+      return;
+    }
+    setLink(url);
+    window.history.replaceState(null, '', url);
+
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch {
+      // Sin permiso para el portapapeles el enlace queda visible para copiarlo
+      setCopied(false);
+    }
+  };
+
+  return (
+    <div className="w-full bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4">
+        Proyectos
+      </h2>
+
+      {/* Guardar con nombre */}
+      <form onSubmit={handleSave} className="flex gap-2 mb-4">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Nombre del proyecto"
+          className="flex-1 px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={!hasData || !name.trim()}
+          className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+        >
+          Guardar
+        </button>
+      </form>
+
+      {projects.length > 0 && (
+        <ul className="divide-y divide-gray-200 mb-4 text-sm">
+          {projects.map(project => (
+            <li key={project.name} className="py-2 flex items-center justify-between">
+              <div>
+                <p className="font-medium text-gray-800">{project.name}</p>
+                <p className="text-xs text-gray-500">
+                  {new Date(project.savedAt).toLocaleString()} · {project.routeCount} rutas · {project.queryCount} consultas
+                </p>
+              </div>
+              <div className="space-x-2">
+                <button
+                  type="button"
+                  onClick={() => handleOpen(project.name)}
+                  className="text-blue-600 hover:text-blue-800"
+                >
+                  Abrir
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(project.name)}
+                  className="text-red-600 hover:text-red-800"
+                >
+                  Eliminar
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Consultas guardadas */}
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-gray-700">Consultas guardadas</h3>
+        <button
+          type="button"
+          onClick={onSaveQuery}
+          disabled={!canSaveQuery}
+          className="text-xs text-blue-600 hover:text-blue-800 disabled:text-gray-300 disabled:cursor-not-allowed"
+        >
+          + Guardar consulta actual
+        </button>
+      </div>
+      {savedQueries.length === 0 ? (
+        <p className="text-xs text-gray-500 mb-4">
+          Ejecuta un traceroute y guárdalo para volver a ejecutarlo con un clic
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 mb-4 text-xs">
+          {savedQueries.map((saved, index) => (
+            <li key={index} className="py-2 flex items-center justify-between gap-2">
+              <button
+                type="button"
+                onClick={() => onRunQuery(saved.query)}
+                title="Ejecutar de nuevo"
+                className="text-left hover:text-blue-700"
+              >
+                <p className="font-mono text-gray-800">{describeQuery(saved.query)}</p>
+                <p className={saved.lastResult?.success ? 'text-green-700' : 'text-red-700'}>
+                  {saved.lastResult?.success
+                    ? `${saved.lastResult.path.join(' → ')} (${saved.lastResult.hopCount} saltos)`
+                    : saved.lastResult?.error}
+                </p>
+              </button>
+              <button
+                type="button"
+                onClick={() => onDeleteQuery(index)}
+                title="Quitar consulta"
+                className="text-red-600 hover:text-red-800"
+              >
+                ✖
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Enlace para compartir */}
+      <button
+        type="button"
+        onClick={handleShare}
+        disabled={!hasData}
+        className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        🔗 Copiar enlace para compartir
+      </button>
+      {link && (
+        <div className="mt-2">
+          <input
+            type="text"
+            readOnly
+            value={link}
+            onFocus={(e) => e.target.select()}
+            className="w-full px-2 py-1 text-xs font-mono border border-gray-200 rounded bg-gray-50"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            {copied
+              ? 'Enlace copiado: quien lo abra verá la misma tabla y el mismo traceroute'
+              : 'Copia el enlace: quien lo abra verá la misma tabla y el mismo traceroute'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectPanel;
@@ -0,0 +1,158 @@
+import { useMemo, useState } from 'react';
+import {
+  computeReachabilityMatrix,
+  summarizeMatrix,
+  matrixToCSV,
+  formatCellPaths,
+  VRF_ISOLATED,
+  NO_SOURCE_ADDRESS,
+  PARTIAL_ECMP,
+} from '../utils/reachability';
+import { downloadFile } from '../utils/download';
+
+// Colores y etiquetas por estado del traceroute
+const STATUS_STYLES = {
+  'success': { label: 'Éxito', className: 'bg-green-100 text-green-800 hover:bg-green-200' },
+  [PARTIAL_ECMP]: { label: 'ECMP parcial', className: 'bg-lime-100 text-lime-900 ring-1 ring-inset ring-red-300 hover:bg-lime-200' },
+  'no-route': { label: 'Sin ruta', className: 'bg-red-100 text-red-800 hover:bg-red-200' },
+  'loop': { label: 'Loop', className: 'bg-purple-100 text-purple-800 hover:bg-purple-200' },
+  'unresolved-gateway': { label: 'Gateway sin resolver', className: 'bg-orange-100 text-orange-800 hover:bg-orange-200' },
+  'hop-limit': { label: 'Límite de saltos', className: 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200' },
+  'router-down': { label: 'Equipo caído', className: 'bg-gray-300 text-gray-800 hover:bg-gray-400' },
+  'next-hop-down': { label: 'Siguiente salto caído', className: 'bg-rose-200 text-rose-900 hover:bg-rose-300' },
+  'admin-prohibited': { label: 'Filtrado por ACL', className: 'bg-slate-700 text-white hover:bg-slate-800' },
+  [VRF_ISOLATED]: { label: 'Aislado (otra VRF)', className: 'bg-gray-50 text-gray-400 hover:bg-gray-100' },
+  [NO_SOURCE_ADDRESS]: { label: 'Sin IP origen', className: 'bg-white text-gray-400 border border-dashed border-gray-300 cursor-not-allowed' },
+};
+
+const DEFAULT_STYLE = { label: 'Otro error', className: 'bg-gray-100 text-gray-700 hover:bg-gray-200' };
+
+/**
+ * ReachabilityMatrix Component
+ * Ejecuta el traceroute desde cada equipo hacia cada red destino de la tabla
+ * y muestra el resultado como una grilla coloreada por estado
+ * Al hacer clic en una celda se abre el traceroute completo
+ * Respeta las opciones del traceroute actual (interfaces y fallas simuladas)
+ * Con VRF hay una fila por equipo y VRF y una columna por red y VRF
+ */
+const ReachabilityMatrix = ({ routingData, options, onSelectCell }) => {
+  const [enabled, setEnabled] = useState(false);
+
+  // Se recalcula automáticamente si cambian las tablas mientras está visible
+  const matrix = useMemo(() => {
+    if (!enabled || !routingData || routingData.length === 0) return null;
+    return computeReachabilityMatrix(routingData, options);
+  }, [enabled, routingData, options]);
+
+  const summary = useMemo(() => (matrix ? summarizeMatrix(matrix) : {}), [matrix]);
+
+  if (!routingData || routingData.length === 0) {
+    return null;
+  }
+
+  const handleExport = () => {
+    downloadFile(matrixToCSV(matrix), 'matriz-alcanzabilidad.csv', 'text/csv');
+  };
+
+  return (
+    <div className="w-full bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          Matriz de Alcanzabilidad
+        </h2>
+        <div className="space-x-2">
+          {matrix && (
+            <button
+              type="button"
+              onClick={handleExport}
+              className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              Exportar CSV
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => setEnabled(!enabled)}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            {enabled ? 'Ocultar' : 'Calcular matriz'}
+          </button>
+        </div>
+      </div>
+
+      {!matrix && (
+        <p className="text-sm text-gray-500">
+          Ejecuta el traceroute desde cada equipo hacia una dirección de cada red
+          destino de la tabla
+        </p>
+      )}
+
+      {matrix && (
+        <>
+          {/* Leyenda con el total por estado */}
+          <div className="flex flex-wrap gap-2 mb-4 text-xs">
+            {Object.entries(STATUS_STYLES).map(([status, style]) => (
+              <span key={status} className={`px-2 py-1 rounded ${style.className}`}>
+                {style.label}: {summary[status] || 0}
+              </span>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr>
+                  <th className="px-2 py-1 text-left font-medium text-gray-500">
+                    Equipo \ Red
+                  </th>
+                  {matrix.prefixes.map(prefix => (
+                    <th
+                      key={prefix.label}
+                      className="px-2 py-1 text-center font-medium text-gray-500 whitespace-nowrap"
+                    >
+                      {prefix.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {matrix.rows.map((row, rowIndex) => (
+                  <tr key={matrix.sources[rowIndex].label}>
+                    <td className="px-2 py-1 font-semibold text-gray-900 whitespace-nowrap">
+                      {matrix.sources[rowIndex].label}
+                    </td>
+                    {row.map(cell => {
+                      const style = STATUS_STYLES[cell.status] || DEFAULT_STYLE;
+                      return (
+                        <td key={cell.prefix} className="p-0.5">
+                          <button
+                            type="button"
+                            onClick={() => onSelectCell(cell)}
+                            disabled={cell.status === NO_SOURCE_ADDRESS}
+                            title={cell.paths.length > 1
+                              ? `${style.label}: ${formatCellPaths(cell)}`
+                              : cell.result.error || `${style.label}: ${cell.hopCount} salto(s) hacia ${cell.destIP}`}
+                            className={`w-full px-2 py-1 rounded text-center font-semibold transition-colors ${style.className}`}
+                          >
+                            {cell.hopCount}
+                          </button>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-3 text-xs text-gray-500">
+            Cada celda muestra la cantidad de saltos del camino principal; con
+            ECMP, el estado considera todos los caminos. Haz clic para ver el
+            traceroute completo
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReachabilityMatrix;
@@ -1,17 +1,36 @@
+import TraceExplanation from './TraceExplanation';
+import { formatBandwidth } from '../utils/links';
+import { formatTranslation } from '../utils/nat';
+import { formatEndpoint } from '../utils/ip';
+
 /**
  * ResultsSummary Component
  * Muestra un resumen de los resultados del traceroute
- * Incluye: total de saltos, tiempo simulado, y estado (exitoso/error)
+ * Incluye: total de saltos, métricas del camino según los enlaces (latencia,
+ * cuello de botella, MTU y pérdida esperada), estado (exitoso/error) y,
+ * si se trazó la vuelta, el veredicto del camino de retorno y su simetría
+ * Si hubo NAT, muestra el paquete tal como llegó y cada traducción
+ * La explicación desplegable detalla cada decisión y, si el traceroute (o la
+ * vuelta) falla, sugiere cómo corregir la tabla
  */
-const ResultsSummary = ({ result }) => {
+
+// Describe dónde se separan los caminos de ida y vuelta
+const describeDivergence = (divergence) => {
+  const { equipment, expectedNext, actualNext } = divergence;
+  if (!actualNext) {
+    return `La vuelta termina en "${equipment}" sin pasar por "${expectedNext}"`;
+  }
+  if (!expectedNext) {
+    return `La vuelta continúa desde "${equipment}" hacia "${actualNext}", fuera del camino de ida`;
+  }
+  return `En "${equipment}" la vuelta va a "${actualNext}" en lugar de "${expectedNext}"`;
+};
+const ResultsSummary = ({ result, routingData = [] }) => {
   if (!result) {
     return null;
   }
 
-  const { success, hops, error, sourceIP, destIP, sourceEquipment } = result;
-
-  // Simular tiempo basado en número de saltos (10ms por salto)
-  const simulatedTime = hops ? hops.length * 10 : 0;
+  const { success, hops, paths, error, sourceIP, destIP, sourceEquipment, returnTrace, symmetry, metrics, packet, translations = [] } = result;
 
   return (
     <div className="w-full bg-white rounded-lg shadow-md p-6">
@@ -47,6 +66,26 @@ const ResultsSummary = ({ result }) => {
         </div>
       </div>
 
+      {/* Traducciones de NAT en la ida y en la vuelta */}
+      {translations.length > 0 && (
+        <div className="bg-purple-50 rounded-lg p-4 mb-4 text-sm text-purple-900">
+          <p className="font-medium">
+            El paquete llega como{' '}
+            <span className="font-mono">
+              {formatEndpoint({ ip: packet.sourceIP, port: packet.srcPort ?? null })} → {formatEndpoint({ ip: packet.destIP, port: packet.dstPort ?? null })}
+            </span>
+          </p>
+          <ul className="mt-1 text-xs space-y-1">
+            {translations.map((record, index) => (
+              <li key={index}>{record.equipment}: {formatTranslation(record)}</li>
+            ))}
+            {returnTrace?.translations.map((record, index) => (
+              <li key={`return-${index}`}>Vuelta, {record.equipment}: {formatTranslation(record)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Estado del resultado */}
       {success ? (
         <div className="bg-green-50 border-l-4 border-green-400 p-4 mb-4">
@@ -102,27 +141,136 @@ const ResultsSummary = ({ result }) => {
         </div>
       )}
 
-      {/* Estadísticas */}
-      {success && (
-        <div className="grid grid-cols-2 gap-4">
-          <div className="bg-blue-50 p-4 rounded-lg">
-            <p className="text-xs text-blue-600 uppercase font-medium mb-1">
-              Total de Saltos
+      {/* Explicación de cada salto y de la falla */}
+      <TraceExplanation result={result} routingData={routingData} />
+
+      {/* Caminos de igual costo (ECMP) */}
+      {paths?.length > 1 && (
+        <div className="bg-blue-50 p-4 rounded-lg mb-4">
+          <p className="text-xs text-blue-600 uppercase font-medium mb-1">
+            Caminos ECMP
+          </p>
+          <p className="text-sm text-blue-900">
+            {paths.length} caminos posibles, {paths.filter(path => path.success).length} llegan al destino
+          </p>
+          <ul className="text-xs text-blue-800 mt-1 space-y-1">
+            {paths.map((path, index) => (
+              <li key={index}>
+                {index + 1}. {path.hops.map(hop => hop.currentEquipment).join(' → ')}
+                {path.success ? '' : ` (${path.error})`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Camino de vuelta y simetría */}
+      {returnTrace && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <div className={`p-4 rounded-lg ${returnTrace.success ? 'bg-green-50' : 'bg-red-50'}`}>
+            <p className="text-xs text-gray-500 uppercase font-medium mb-1">
+              Camino de Vuelta
             </p>
-            <p className="text-3xl font-bold text-blue-900">
-              {hops.length}
+            <p className={`text-sm font-semibold ${returnTrace.success ? 'text-green-800' : 'text-red-800'}`}>
+              {returnTrace.success
+                ? `La respuesta regresa a ${sourceIP} en ${returnTrace.hops.length} salto(s)`
+                : 'La respuesta no puede regresar al origen'}
             </p>
+            {!returnTrace.success && (
+              <p className="text-xs text-red-700 mt-1">{returnTrace.error}</p>
+            )}
           </div>
-          <div className="bg-purple-50 p-4 rounded-lg">
-            <p className="text-xs text-purple-600 uppercase font-medium mb-1">
-              Tiempo Simulado
+          <div className={`p-4 rounded-lg ${symmetry?.symmetric ? 'bg-green-50' : 'bg-orange-50'}`}>
+            <p className="text-xs text-gray-500 uppercase font-medium mb-1">
+              Simetría
             </p>
-            <p className="text-3xl font-bold text-purple-900">
-              {simulatedTime} ms
+            <p className={`text-sm font-semibold ${symmetry?.symmetric ? 'text-green-800' : 'text-orange-800'}`}>
+              {symmetry?.symmetric ? 'Ruta simétrica' : 'Ruta asimétrica'}
             </p>
+            {symmetry?.divergence && (
+              <p className="text-xs text-orange-700 mt-1">
+                {describeDivergence(symmetry.divergence)}
+              </p>
+            )}
           </div>
         </div>
       )}
+
+      {returnTrace && !returnTrace.success && (
+        <TraceExplanation
+          result={returnTrace}
+          routingData={routingData}
+          title="¿Por qué no regresa la respuesta?"
+        />
+      )}
+
+      {/* Estadísticas y métricas del camino */}
+      {success && metrics && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+            <div className="bg-blue-50 p-4 rounded-lg">
+              <p className="text-xs text-blue-600 uppercase font-medium mb-1">
+                Total de Saltos
+              </p>
+              <p className="text-3xl font-bold text-blue-900">
+                {hops.length}
+              </p>
+            </div>
+            <div className="bg-purple-50 p-4 rounded-lg">
+              <p className="text-xs text-purple-600 uppercase font-medium mb-1">
+                Latencia
+              </p>
+              <p className="text-3xl font-bold text-purple-900">
+                {+metrics.latency.toFixed(3)} ms
+              </p>
+              <p className="text-xs text-purple-700">RTT {+(metrics.latency * 2).toFixed(3)} ms</p>
+            </div>
+            <div className="bg-indigo-50 p-4 rounded-lg">
+              <p className="text-xs text-indigo-600 uppercase font-medium mb-1">
+                Ancho de Banda
+              </p>
+              <p className="text-3xl font-bold text-indigo-900">
+                {metrics.bandwidth === null ? '-' : formatBandwidth(metrics.bandwidth)}
+              </p>
+              {metrics.bottleneck && (
+                <p className="text-xs text-indigo-700">
+                  Cuello de botella: {metrics.bottleneck.from} ↔ {metrics.bottleneck.to}
+                </p>
+              )}
+            </div>
+            <div className="bg-teal-50 p-4 rounded-lg">
+              <p className="text-xs text-teal-600 uppercase font-medium mb-1">
+                MTU del Camino
+              </p>
+              <p className="text-3xl font-bold text-teal-900">
+                {metrics.mtu}
+              </p>
+            </div>
+            <div className="bg-orange-50 p-4 rounded-lg">
+              <p className="text-xs text-orange-600 uppercase font-medium mb-1">
+                Pérdida Esperada
+              </p>
+              <p className="text-3xl font-bold text-orange-900">
+                {+metrics.loss.toFixed(2)}%
+              </p>
+            </div>
+          </div>
+          {metrics.fragmentation.length > 0 && (
+            <div className="mt-4 bg-yellow-50 border-l-4 border-yellow-400 p-3 text-xs text-yellow-800">
+              <p className="font-medium mb-1">Fragmentación / PMTUD</p>
+              <ul className="space-y-1">
+                {metrics.fragmentation.map((point, index) => (
+                  <li key={index}>
+                    "{point.equipment}" no puede enviar paquetes de {point.packetSize} bytes hacia
+                    "{point.nextEquipment}" (MTU {point.mtu}): los fragmenta o, con DF, responde
+                    "Fragmentation Needed" para que el origen reduzca el tamaño
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
     </div>
   );
 };
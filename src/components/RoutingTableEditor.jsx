@@ -0,0 +1,254 @@
+import { useState } from 'react';
+import { validateIP } from '../utils/traceroute';
+import { prefixLength } from '../utils/ip';
+
+// Columnas editables, en el orden del CSV
+const COLUMNS = ['Equipo', 'IP_Destino', 'Mascara', 'Gateway', 'Protocolo', 'Distancia', 'Metrica', 'VRF', 'VRF_Destino'];
+
+const EMPTY_ROUTE = {
+  Equipo: '',
+  IP_Destino: '',
+  Mascara: '',
+  Gateway: '',
+  Protocolo: '',
+  Distancia: '',
+  Metrica: '',
+  VRF: '',
+  VRF_Destino: '',
+};
+
+/**
+ * Valida el valor de una celda
+ * La máscara se valida según la familia de la red destino de la fila
+ * @returns {string|null} Mensaje de error, o null si es válido
+ */
+const validateCell = (column, value, route = {}) => {
+  const text = String(value ?? '').trim();
+  switch (column) {
+    case 'Equipo':
+      return text ? null : 'El equipo es obligatorio';
+    case 'IP_Destino':
+      return validateIP(text) ? null : 'IP inválida';
+    case 'Mascara':
+      return prefixLength(String(route.IP_Destino ?? '').trim(), text) !== null
+        ? null
+        : 'Máscara inválida (ej: /24, 255.255.255.0 o /64 en IPv6)';
+    case 'Gateway':
+      return text.toLowerCase() === 'directo' || validateIP(text) ? null : 'Debe ser una IP o "directo"';
+    case 'Distancia':
+      return text === '' || (/^\d+$/.test(text) && Number(text) <= 255) ? null : 'Entero entre 0 y 255';
+    case 'Metrica':
+      return text === '' || (Number.isFinite(Number(text)) && Number(text) >= 0) ? null : 'Número no negativo';
+    default:
+      return null;
+  }
+};
+
+const inputClassName = (error) =>
+  `w-full px-2 py-1 text-xs border rounded focus:outline-none focus:ring-1 ${
+    error ? 'border-red-400 bg-red-50 focus:ring-red-400' : 'border-gray-200 focus:ring-blue-500'
+  }`;
+
+/**
+ * Celda editable: el cambio se aplica al salir del campo o con Enter, sólo
+ * si es válido; Escape descarta lo escrito
+ */
+const EditableCell = ({ column, value, route, onCommit }) => {
+  const [draft, setDraft] = useState(value ?? '');
+  const error = validateCell(column, draft, route);
+
+  const commit = () => {
+    if (!error && draft.trim() !== String(value ?? '')) {
+      onCommit(draft.trim());
+    }
+  };
+
+  return (
+    <input
+      type="text"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        // Enter no debe enviar el formulario de la fila nueva
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          e.currentTarget.blur();
+        }
+        if (e.key === 'Escape') setDraft(value ?? '');
+      }}
+      title={error || ''}
+      className={inputClassName(error)}
+    />
+  );
+};
+
+/**
+ * RoutingTableEditor Component
+ * Grilla editable de la tabla de ruteo cargada: permite agregar, editar y
+ * eliminar rutas, filtrarlas por equipo y deshacer/rehacer los cambios
+ * Cada cambio se entrega completo a onChange, de modo que el traceroute
+ * actual y el diagrama se recalculan de inmediato
+ */
+const RoutingTableEditor = ({ routingData, onChange, onUndo, onRedo, canUndo, canRedo }) => {
+  const [filter, setFilter] = useState('');
+  const [newRoute, setNewRoute] = useState(EMPTY_ROUTE);
+
+  if (routingData.length === 0 && !canUndo) {
+    return null;
+  }
+
+  const equipos = [...new Set(routingData.map(r => r.Equipo))];
+
+  // Filas visibles con su posición en la tabla completa
+  const rows = routingData
+    .map((route, index) => ({ route, index }))
+    .filter(({ route }) => !filter || route.Equipo === filter);
+
+  const handleEdit = (index, column, value) => {
+    onChange(routingData.map((route, i) => (i === index ? { ...route, [column]: value } : route)));
+  };
+
+  const handleDelete = (index) => {
+    onChange(routingData.filter((_, i) => i !== index));
+  };
+
+  const newRouteErrors = Object.fromEntries(
+    COLUMNS.map(column => [column, validateCell(column, newRoute[column], newRoute)])
+  );
+  const newRouteValid = Object.values(newRouteErrors).every(error => !error);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!newRouteValid) return;
+
+    const route = Object.fromEntries(
+      Object.entries(newRoute).map(([column, value]) => [column, value.trim()])
+    );
+    onChange([...routingData, route]);
+    setNewRoute({ ...EMPTY_ROUTE, Equipo: route.Equipo });
+  };
+
+  return (
+    <div className="w-full bg-white rounded-lg shadow-md p-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          Editor de la Tabla de Ruteo
+        </h2>
+        <div className="flex items-center space-x-2">
+          <select
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+          >
+            <option value="">Todos los equipos</option>
+            {equipos.map(equipo => (
+              <option key={equipo} value={equipo}>{equipo}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={onUndo}
+            disabled={!canUndo}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            ↶ Deshacer
+          </button>
+          <button
+            type="button"
+            onClick={onRedo}
+            disabled={!canRedo}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            ↷ Rehacer
+          </button>
+        </div>
+      </div>
+
+      <form onSubmit={handleAdd}>
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="min-w-full text-xs divide-y divide-gray-200">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-2 py-1 text-left font-medium text-gray-500">Línea</th>
+                {COLUMNS.map(column => (
+                  <th key={column} className="px-2 py-1 text-left font-medium text-gray-500">
+                    {column}
+                  </th>
+                ))}
+                <th className="px-2 py-1"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rows.map(({ route, index }) => (
+                <tr key={index}>
+                  <td className="px-2 py-1 text-gray-400">{route.__line ?? 'nueva'}</td>
+                  {COLUMNS.map(column => (
+                    <td key={column} className="px-1 py-0.5">
+                      {/* La key reinicia la celda si el valor cambia desde afuera (ej: deshacer) */}
+                      <EditableCell
+                        key={route[column] ?? ''}
+                        column={column}
+                        value={route[column]}
+                        route={route}
+                        onCommit={(value) => handleEdit(index, column, value)}
+                      />
+                    </td>
+                  ))}
+                  <td className="px-2 py-1">
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(index)}
+                      title="Eliminar ruta"
+                      className="text-red-600 hover:text-red-800"
+                    >
+                      ✖
+                    </button>
+                  </td>
+                </tr>
+              ))}
+
+              {/* Fila para agregar una ruta nueva */}
+              <tr className="bg-blue-50">
+                <td className="px-2 py-1 text-gray-500">+</td>
+                {COLUMNS.map(column => {
+                  const value = newRoute[column];
+                  const error = value !== '' ? newRouteErrors[column] : null;
+                  return (
+                    <td key={column} className="px-1 py-0.5">
+                      <input
+                        type="text"
+                        value={value}
+                        onChange={(e) => setNewRoute({ ...newRoute, [column]: e.target.value })}
+                        placeholder={column === 'Gateway' ? 'IP o directo' : column}
+                        title={error || ''}
+                        className={inputClassName(error)}
+                      />
+                    </td>
+                  );
+                })}
+                <td className="px-2 py-1">
+                  <button
+                    type="submit"
+                    disabled={!newRouteValid}
+                    title="Agregar ruta"
+                    className="text-blue-600 hover:text-blue-800 disabled:text-gray-300 disabled:cursor-not-allowed"
+                  >
+                    ✚
+                  </button>
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </form>
+
+      <p className="mt-3 text-xs text-gray-500">
+        Los cambios se aplican al salir de la celda o con Enter (Escape descarta
+        lo escrito); las celdas en rojo tienen un valor inválido y no se aplican
+      </p>
+    </div>
+  );
+};
+
+export default RoutingTableEditor;
@@ -0,0 +1,159 @@
+import { useMemo, useState } from 'react';
+import { diffRoutingTables, summarizeTableDiff, compareReachability } from '../utils/tableDiff';
+import { formatCellPaths } from '../utils/reachability';
+import { formatPrefix } from '../utils/ip';
+import { vrfOf, DEFAULT_VRF } from '../utils/vrf';
+
+// Ruta en una línea: "192.168.1.0/24 → 10.0.1.2 (VRF CLIENTE)"
+const formatRoute = (route) => {
+  const vrf = vrfOf(route);
+  return `${formatPrefix(route.IP_Destino, route.Mascara)} → ${route.Gateway}${vrf === DEFAULT_VRF ? '' : ` (VRF ${vrf})`}`;
+};
+
+// Estado de una celda en una de las dos tablas
+const formatCell = (cell) => {
+  if (!cell) return '-';
+  // Con ECMP se muestra cada camino con su estado
+  if (cell.paths.length > 1) return formatCellPaths(cell);
+  return cell.status === 'success'
+    ? `${cell.path.join(' → ')} (${cell.hopCount} saltos)`
+    : cell.status;
+};
+
+/**
+ * TableComparison Component
+ * Compara la tabla de ruteo actual ("después") con una tabla anterior
+ * ("antes"): lista por equipo las rutas agregadas, eliminadas y modificadas
+ * y, a pedido, los pares equipo → red cuyo traceroute cambia de resultado o
+ * de camino. Al hacer clic en un par se abre su traceroute en la tabla actual
+ */
+const TableComparison = ({ routingData, comparisonData, options, onSelectPair, onClear }) => {
+  const [reachabilityEnabled, setReachabilityEnabled] = useState(false);
+
+  const diff = useMemo(
+    () => diffRoutingTables(comparisonData, routingData),
+    [comparisonData, routingData]
+  );
+  const summary = useMemo(() => summarizeTableDiff(diff), [diff]);
+
+  // La comparación de alcanzabilidad recorre dos matrices completas
+  const changedPairs = useMemo(() => {
+    if (!reachabilityEnabled) return null;
+    return compareReachability(comparisonData, routingData, options);
+  }, [reachabilityEnabled, comparisonData, routingData, options]);
+
+  if (comparisonData.length === 0 || routingData.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="w-full bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          Comparación de Tablas
+        </h2>
+        <button
+          type="button"
+          onClick={onClear}
+          className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          Quitar comparación
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Tabla anterior ({comparisonData.length} rutas) frente a la actual ({routingData.length} rutas):{' '}
+        <span className="text-green-700 font-semibold">+{summary.added} agregadas</span>,{' '}
+        <span className="text-red-700 font-semibold">−{summary.removed} eliminadas</span>,{' '}
+        <span className="text-amber-700 font-semibold">{summary.modified} modificadas</span>
+        {summary.equipos > 0 && ` en ${summary.equipos} equipo(s)`}
+      </p>
+
+      {/* Rutas que cambian, por equipo */}
+      {diff.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">Las dos tablas tienen las mismas rutas</p>
+      ) : (
+        <div className="space-y-3 mb-4 max-h-80 overflow-y-auto">
+          {diff.map(entry => (
+            <div key={entry.equipo} className="border border-gray-200 rounded-lg p-3">
+              <h3 className="text-sm font-semibold text-gray-900 mb-1">{entry.equipo}</h3>
+              <ul className="font-mono text-xs space-y-1">
+                {entry.added.map((route, index) => (
+                  <li key={`+${index}`} className="text-green-700">
+                    + {formatRoute(route)}
+                  </li>
+                ))}
+                {entry.removed.map((route, index) => (
+                  <li key={`-${index}`} className="text-red-700">
+                    − {formatRoute(route)}
+                  </li>
+                ))}
+                {entry.modified.map(({ after, changes }, index) => (
+                  <li key={`~${index}`} className="text-amber-700">
+                    ~ {formatPrefix(after.IP_Destino, after.Mascara)}:{' '}
+                    {changes.map(change => `${change.column} ${change.before} → ${change.after}`).join(', ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Pares cuyo traceroute cambia */}
+      {changedPairs === null ? (
+        <button
+          type="button"
+          onClick={() => setReachabilityEnabled(true)}
+          className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          Comparar alcanzabilidad
+        </button>
+      ) : (
+        <>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">
+            Pares que cambian: {changedPairs.length}
+          </h3>
+          {changedPairs.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              Ningún traceroute cambia de resultado ni de camino
+            </p>
+          ) : (
+            <div className="overflow-x-auto max-h-80 overflow-y-auto">
+              <table className="min-w-full text-xs divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-2 py-1 text-left font-medium text-gray-500">Equipo</th>
+                    <th className="px-2 py-1 text-left font-medium text-gray-500">Red Destino</th>
+                    <th className="px-2 py-1 text-left font-medium text-gray-500">Antes</th>
+                    <th className="px-2 py-1 text-left font-medium text-gray-500">Después</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {changedPairs.map(change => (
+                    <tr
+                      key={`${change.equipo}|${change.vrf}|${change.prefix}`}
+                      onClick={() => onSelectPair(change)}
+                      title="Ver el traceroute en la tabla actual"
+                      className={`cursor-pointer hover:bg-gray-50 ${change.after?.status === 'success' ? '' : 'bg-red-50'}`}
+                    >
+                      <td className="px-2 py-1 font-semibold text-gray-900">
+                        {change.equipo}
+                        {change.vrf !== DEFAULT_VRF && <span className="ml-1 font-normal text-gray-500">({change.vrf})</span>}
+                      </td>
+                      <td className="px-2 py-1 font-mono">{change.prefix}</td>
+                      <td className="px-2 py-1">{formatCell(change.before)}</td>
+                      <td className="px-2 py-1">{formatCell(change.after)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TableComparison;
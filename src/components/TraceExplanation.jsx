@@ -0,0 +1,76 @@
+import { explainTrace } from '../utils/diagnostics';
+
+/**
+ * TraceExplanation Component
+ * Explicación desplegable de un traceroute: en cada salto, cuántas rutas
+ * revisó el equipo, cuáles contienen al destino y por qué ganó la elegida;
+ * si el traceroute falló, qué búsqueda falló y posibles correcciones
+ */
+const TraceExplanation = ({ result, routingData, title = '¿Por qué?' }) => {
+  if (!result) {
+    return null;
+  }
+
+  const { hops, failure } = explainTrace(result, routingData);
+
+  return (
+    <details className="mb-4 border border-gray-200 rounded-lg" open={Boolean(failure)}>
+      <summary className="px-4 py-2 text-sm font-medium text-gray-700 cursor-pointer select-none">
+        {title}
+      </summary>
+      <div className="px-4 pb-4 text-sm space-y-3">
+        {hops.length > 0 && (
+          <ol className="space-y-2">
+            {hops.map((hop, index) => (
+              <li key={index}>
+                <p className="text-gray-800">
+                  <span className="font-semibold">{index + 1}. {hop.equipment}</span>
+                  {' '}revisó {hop.routesChecked} rutas, {hop.candidates.length} contienen al destino:
+                  {' '}elige {hop.destNetwork} vía {hop.gateway} ({hop.reasonText})
+                </p>
+                {hop.translations.length > 0 && (
+                  <p className="ml-4 text-xs text-purple-700">{hop.translations.join(' · ')}</p>
+                )}
+                {hop.candidates.length > 1 && (
+                  <ul className="ml-4 text-xs text-gray-600 font-mono">
+                    {hop.candidates.map((candidate, candidateIndex) => (
+                      <li key={candidateIndex}>
+                        {candidate.destNetwork} vía {candidate.gateway} [{candidate.distance}/{candidate.metric}]
+                        {' '}{candidate.protocol}: {candidate.outcomeText}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {failure && (
+          <div className="bg-red-50 rounded-lg p-3">
+            <p className="font-medium text-red-800">{failure.summary}</p>
+            {failure.details.length > 0 && (
+              <ul className="mt-1 text-xs text-red-700 space-y-1">
+                {failure.details.map((detail, index) => (
+                  <li key={index}>{detail}</li>
+                ))}
+              </ul>
+            )}
+            {failure.suggestions.length > 0 && (
+              <>
+                <p className="mt-2 text-xs font-medium text-gray-700 uppercase">Posibles correcciones</p>
+                <ul className="mt-1 text-xs text-gray-800 list-disc list-inside space-y-1">
+                  {failure.suggestions.map((suggestion, index) => (
+                    <li key={index}>{suggestion}</li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default TraceExplanation;
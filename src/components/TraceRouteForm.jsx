@@ -1,26 +1,50 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import { DEFAULT_VRF, listVRFs, hasVRFs, formatVRF } from '../utils/vrf';
+import { ipVersion } from '../utils/ip';
 
 /**
  * TraceRouteForm Component
  * Formulario para ingresar IP origen, IP destino y equipo origen
+ * Las IP pueden ser IPv4 o IPv6, pero ambas de la misma familia
+ * El paquete (protocolo y puertos) es el que evalúan las ACL; en modo flujo
+ * además el balanceo ECMP elige un único camino por hash de la 5-tupla
+ * Si las tablas usan VRF, permite elegir la VRF del equipo en la que parte
+ * el paquete
  * Ejecuta el traceroute al presionar el botón
+ * Si se recibe una consulta externa (ej: desde la matriz), la refleja en los campos
  */
-const TraceRouteForm = ({ onExecute, disabled, equipos }) => {
+const TraceRouteForm = ({ onExecute, disabled, equipos, interfaces = [], query }) => {
   const [sourceEquipment, setSourceEquipment] = useState('');
+  const [vrf, setVrf] = useState(DEFAULT_VRF);
   const [sourceIP, setSourceIP] = useState('');
   const [destIP, setDestIP] = useState('');
+  const [flowMode, setFlowMode] = useState(false);
+  const [protocol, setProtocol] = useState('ip');
+  const [srcPort, setSrcPort] = useState('');
+  const [dstPort, setDstPort] = useState('');
   const [errors, setErrors] = useState({});
 
-  // Validación básica de formato IP
-  const validateIP = (ip) => {
-    const ipRegex = /^(\d{1,3}\.){3}\d{1,3}$/;
-    if (!ipRegex.test(ip)) return false;
+  // Sólo TCP y UDP tienen puertos
+  const usesPorts = protocol === 'tcp' || protocol === 'udp';
 
-    const parts = ip.split('.');
-    return parts.every(part => {
-      const num = parseInt(part, 10);
-      return num >= 0 && num <= 255;
-    });
+  // Sincroniza los campos con la última consulta ejecutada
+  useEffect(() => {
+    if (!query) return;
+    setSourceEquipment(query.sourceEquipment);
+    setVrf(query.vrf || DEFAULT_VRF);
+    setSourceIP(query.sourceIP);
+    setDestIP(query.destIP);
+    setFlowMode(Boolean(query.flow));
+    const packet = query.packet || query.flow;
+    setProtocol(packet?.protocol || 'ip');
+    setSrcPort(packet?.srcPort ?? '');
+    setDstPort(packet?.dstPort ?? '');
+  }, [query]);
+
+  // Validación de puerto TCP/UDP (vacío se permite)
+  const validatePort = (port) => {
+    if (port === '') return true;
+    return /^\d+$/.test(port) && Number(port) <= 65535;
   };
 
   // Maneja el submit del formulario
@@ -35,14 +59,23 @@ const TraceRouteForm = ({ onExecute, disabled, equipos }) => {
 
     if (!sourceIP) {
       newErrors.sourceIP = 'Ingresa la IP origen';
-    } else if (!validateIP(sourceIP)) {
-      newErrors.sourceIP = 'Formato de IP inválido';
+    } else if (ipVersion(sourceIP.trim()) === null) {
+      newErrors.sourceIP = 'Formato de IP inválido (IPv4 o IPv6)';
     }
 
     if (!destIP) {
       newErrors.destIP = 'Ingresa la IP destino';
-    } else if (!validateIP(destIP)) {
-      newErrors.destIP = 'Formato de IP inválido';
+    } else if (ipVersion(destIP.trim()) === null) {
+      newErrors.destIP = 'Formato de IP inválido (IPv4 o IPv6)';
+    } else if (!newErrors.sourceIP && ipVersion(sourceIP.trim()) !== ipVersion(destIP.trim())) {
+      newErrors.destIP = 'Origen y destino deben ser de la misma familia (IPv4 o IPv6)';
+    }
+
+    if (usesPorts && !validatePort(String(srcPort))) {
+      newErrors.srcPort = 'Puerto inválido (0-65535)';
+    }
+    if (usesPorts && !validatePort(String(dstPort))) {
+      newErrors.dstPort = 'Puerto inválido (0-65535)';
     }
 
     if (Object.keys(newErrors).length > 0) {
@@ -51,12 +84,37 @@ const TraceRouteForm = ({ onExecute, disabled, equipos }) => {
     }
 
     setErrors({});
-    onExecute({ sourceEquipment, sourceIP, destIP });
+    const packet = {
+      protocol,
+      srcPort: usesPorts && srcPort !== '' ? Number(srcPort) : null,
+      dstPort: usesPorts && dstPort !== '' ? Number(dstPort) : null,
+    };
+    onExecute({
+      sourceEquipment,
+      sourceIP: sourceIP.trim(),
+      destIP: destIP.trim(),
+      flow: flowMode ? packet : null,
+      // Un paquete de protocolo "ip" sin puertos no aporta datos a las ACL
+      packet: protocol === 'ip' ? null : packet,
+      vrf: vrf === DEFAULT_VRF ? null : vrf,
+    });
   };
 
   // Extrae lista única de equipos
   const uniqueEquipos = equipos ? [...new Set(equipos.map(e => e.Equipo))] : [];
 
+  // VRF del equipo elegido (sólo si las tablas usan VRF)
+  const showVRFs = hasVRFs(equipos || [], interfaces);
+  const equipmentVRFs = sourceEquipment ? listVRFs(equipos || [], interfaces, sourceEquipment) : [DEFAULT_VRF];
+
+  // Al cambiar de equipo se conserva la VRF sólo si el nuevo equipo la tiene
+  const handleEquipmentChange = (equipment) => {
+    setSourceEquipment(equipment);
+    if (!listVRFs(equipos || [], interfaces, equipment).includes(vrf)) {
+      setVrf(DEFAULT_VRF);
+    }
+  };
+
   return (
     <div className="w-full bg-white rounded-lg shadow-md p-6">
       <h2 className="text-xl font-semibold text-gray-800 mb-4">
@@ -70,7 +128,7 @@ const TraceRouteForm = ({ onExecute, disabled, equipos }) => {
           </label>
           <select
             value={sourceEquipment}
-            onChange={(e) => setSourceEquipment(e.target.value)}
+            onChange={(e) => handleEquipmentChange(e.target.value)}
             disabled={disabled || uniqueEquipos.length === 0}
             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:cursor-not-allowed"
           >
@@ -86,6 +144,27 @@ const TraceRouteForm = ({ onExecute, disabled, equipos }) => {
           )}
         </div>
 
+        {/* VRF de origen */}
+        {showVRFs && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              VRF
+            </label>
+            <select
+              value={vrf}
+              onChange={(e) => setVrf(e.target.value)}
+              disabled={disabled}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:cursor-not-allowed"
+            >
+              {(equipmentVRFs.includes(DEFAULT_VRF) ? equipmentVRFs : [DEFAULT_VRF, ...equipmentVRFs]).map(name => (
+                <option key={name} value={name}>
+                  {formatVRF(name)}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
         {/* IP Origen */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -95,7 +174,7 @@ const TraceRouteForm = ({ onExecute, disabled, equipos }) => {
             type="text"
             value={sourceIP}
             onChange={(e) => setSourceIP(e.target.value)}
-            placeholder="192.168.1.1"
+            placeholder="192.168.1.1 o 2001:db8:1::1"
             disabled={disabled}
             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:cursor-not-allowed"
           />
@@ -113,7 +192,7 @@ const TraceRouteForm = ({ onExecute, disabled, equipos }) => {
             type="text"
             value={destIP}
             onChange={(e) => setDestIP(e.target.value)}
-            placeholder="192.168.2.1"
+            placeholder="192.168.2.1 o 2001:db8:2::1"
             disabled={disabled}
             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:cursor-not-allowed"
           />
@@ -122,6 +201,70 @@ const TraceRouteForm = ({ onExecute, disabled, equipos }) => {
           )}
         </div>
 
+        {/* Paquete: lo evalúan las ACL y, en modo flujo, el hash ECMP */}
+        <div>
+          <div className="grid grid-cols-3 gap-2">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">
+                Protocolo
+              </label>
+              <select
+                value={protocol}
+                onChange={(e) => setProtocol(e.target.value)}
+                disabled={disabled}
+                className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+              >
+                <option value="ip">IP (cualquiera)</option>
+                <option value="tcp">TCP</option>
+                <option value="udp">UDP</option>
+                <option value="icmp">ICMP</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">
+                Puerto origen
+              </label>
+              <input
+                type="text"
+                value={srcPort}
+                onChange={(e) => setSrcPort(e.target.value)}
+                placeholder="49152"
+                disabled={disabled || !usesPorts}
+                className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm disabled:bg-gray-100"
+              />
+              {errors.srcPort && (
+                <p className="text-red-500 text-xs mt-1">{errors.srcPort}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">
+                Puerto destino
+              </label>
+              <input
+                type="text"
+                value={dstPort}
+                onChange={(e) => setDstPort(e.target.value)}
+                placeholder="443"
+                disabled={disabled || !usesPorts}
+                className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm disabled:bg-gray-100"
+              />
+              {errors.dstPort && (
+                <p className="text-red-500 text-xs mt-1">{errors.dstPort}</p>
+              )}
+            </div>
+          </div>
+          <label className="flex items-center text-sm text-gray-700 mt-2">
+            <input
+              type="checkbox"
+              checked={flowMode}
+              onChange={(e) => setFlowMode(e.target.checked)}
+              disabled={disabled}
+              className="mr-2"
+            />
+            Modo flujo: elegir un único camino ECMP por 5-tupla
+          </label>
+        </div>
+
         {/* Botón de ejecutar */}
         <button
           type="submit"
@@ -0,0 +1,165 @@
+import { useMemo, useState } from 'react';
+import {
+  PROBE_METHOD,
+  DEFAULT_EMULATION,
+  emulateTraceroute,
+  emulationCommand,
+  formatEmulation,
+} from '../utils/probes';
+
+// Convierte el valor de un campo numérico, limitado a [min, max]
+const clampNumber = (value, min, max, fallback) => {
+  const number = Number(value);
+  if (value === '' || Number.isNaN(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+};
+
+/**
+ * TracerouteEmulator Component
+ * Emula la salida de `traceroute` sobre el camino principal: sondas UDP o
+ * ICMP con TTL creciente, varias sondas por salto, TTL máximo, jitter y
+ * equipos que no responden (* * *). La latencia de cada enlace sale del
+ * modelo de enlaces (`links`)
+ */
+const TracerouteEmulator = ({ traceResult, links = null }) => {
+  const [settings, setSettings] = useState(DEFAULT_EMULATION);
+  const [showSettings, setShowSettings] = useState(false);
+
+  const emulation = useMemo(
+    () => (traceResult?.hops ? emulateTraceroute(traceResult, { ...settings, links }) : null),
+    [traceResult, settings, links]
+  );
+
+  if (!emulation) {
+    return null;
+  }
+
+  const update = (changes) => setSettings(current => ({ ...current, ...changes }));
+
+  const pathEquipment = [...new Set(traceResult.hops.map(hop => hop.currentEquipment))];
+
+  const toggleSilent = (equipment) => {
+    update({
+      silentRouters: settings.silentRouters.includes(equipment)
+        ? settings.silentRouters.filter(name => name !== equipment)
+        : [...settings.silentRouters, equipment],
+    });
+  };
+
+  const inputClassName = 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <div className="w-full bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          Emulación de traceroute
+        </h2>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => update({ seed: settings.seed + 1 })}
+            title="Volver a enviar las sondas (nuevos tiempos)"
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            ↻ Repetir
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowSettings(!showSettings)}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            {showSettings ? 'Ocultar opciones' : 'Opciones'}
+          </button>
+        </div>
+      </div>
+
+      {showSettings && (
+        <div className="mb-4 space-y-4 text-sm">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Sondas</label>
+              <select
+                value={settings.method}
+                onChange={(e) => update({ method: e.target.value })}
+                className={inputClassName}
+              >
+                <option value={PROBE_METHOD.UDP}>UDP</option>
+                <option value={PROBE_METHOD.ICMP}>ICMP (-I)</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Sondas por salto</label>
+              <input
+                type="number"
+                min="1"
+                max="10"
+                value={settings.probesPerHop}
+                onChange={(e) => update({ probesPerHop: clampNumber(e.target.value, 1, 10, DEFAULT_EMULATION.probesPerHop) })}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">TTL máximo</label>
+              <input
+                type="number"
+                min="1"
+                max="255"
+                value={settings.maxTTL}
+                onChange={(e) => update({ maxTTL: clampNumber(e.target.value, 1, 255, DEFAULT_EMULATION.maxTTL) })}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Latencia host ↔ equipo (ms)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={settings.accessLatency}
+                onChange={(e) => update({ accessLatency: clampNumber(e.target.value, 0, 10000, DEFAULT_EMULATION.accessLatency) })}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Jitter (± ms)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={settings.jitter}
+                onChange={(e) => update({ jitter: clampNumber(e.target.value, 0, 10000, DEFAULT_EMULATION.jitter) })}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            La latencia entre equipos es la de la tabla de enlaces (o la de por defecto)
+          </p>
+
+          <div>
+            <p className="text-xs text-gray-600 mb-1">Equipos que no responden a las sondas</p>
+            <div className="flex flex-wrap gap-3">
+              {pathEquipment.map(equipment => (
+                <label key={equipment} className="flex items-center text-xs">
+                  <input
+                    type="checkbox"
+                    checked={settings.silentRouters.includes(equipment)}
+                    onChange={() => toggleSilent(equipment)}
+                    className="mr-1"
+                  />
+                  {equipment}
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <pre className="bg-gray-900 text-green-200 text-xs font-mono rounded-lg p-4 overflow-x-auto">
+        {`$ ${emulationCommand(emulation)}\n${formatEmulation(emulation)}`}
+      </pre>
+    </div>
+  );
+};
+
+export default TracerouteEmulator;
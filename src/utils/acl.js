@@ -0,0 +1,182 @@
+/**
+ * Listas de control de acceso (ACL)
+ * Cada regla se aplica a una interfaz de un equipo en un sentido (entrada o
+ * salida) y permite o deniega los paquetes que coinciden con su protocolo,
+ * red origen, red destino y puertos. Como en los routers, las reglas de una
+ * interfaz se evalúan en orden, gana la primera que coincide y, si ninguna
+ * coincide, el paquete se deniega (deny implícito).
+ */
+import { ipVersion, addressBits, parseMask, formatPrefix, formatEndpoint, isIPInNetwork } from './ip.js';
+
+/**
+ * Columnas del CSV de ACL
+ * (formato: Equipo, Interfaz, Sentido, Accion y, opcionalmente, Protocolo,
+ * Origen, Destino, Puerto_Origen y Puerto_Destino)
+ */
+export const ACL_COLUMNS = ['Equipo', 'Interfaz', 'Sentido', 'Accion'];
+export const ACL_OPTIONAL_COLUMNS = ['Protocolo', 'Origen', 'Destino', 'Puerto_Origen', 'Puerto_Destino'];
+
+export const ACL_DIRECTION = {
+  IN: 'in',
+  OUT: 'out',
+};
+
+export const ACL_ACTION = {
+  PERMIT: 'permit',
+  DENY: 'deny',
+};
+
+// Interfaz comodín: la regla se aplica a todas las interfaces del equipo
+export const ANY_INTERFACE = '*';
+
+const PROTOCOLS = ['ip', 'tcp', 'udp', 'icmp'];
+
+const DIRECTION_ALIASES = {
+  in: ACL_DIRECTION.IN,
+  entrada: ACL_DIRECTION.IN,
+  out: ACL_DIRECTION.OUT,
+  salida: ACL_DIRECTION.OUT,
+};
+
+const ACTION_ALIASES = {
+  permit: ACL_ACTION.PERMIT,
+  permitir: ACL_ACTION.PERMIT,
+  deny: ACL_ACTION.DENY,
+  denegar: ACL_ACTION.DENY,
+};
+
+const isAny = (value) => value === '' || value.toLowerCase() === 'any';
+
+// Red de una regla: "any", una IP (host /32 o /128) o un prefijo "10.0.0.0/24"
+// o "2001:db8::/32" (en IPv4 la máscara también puede ser decimal:
+// "10.0.0.0/255.255.255.0")
+const parseNetwork = (value) => {
+  if (isAny(value)) return null;
+  const [network, mask] = value.split('/');
+  const version = ipVersion(network);
+  if (version === null) return undefined;
+  const bits = mask === undefined ? addressBits(version) : parseMask(mask, version);
+  return bits === null ? undefined : { network, mask: `/${bits}` };
+};
+
+// Puertos de una regla: "any", un puerto "443" o un rango "1024-65535"
+const parsePorts = (value) => {
+  if (isAny(value)) return null;
+  const match = value.match(/^(\d{1,5})(?:\s*-\s*(\d{1,5}))?$/);
+  if (!match) return undefined;
+  const from = Number(match[1]);
+  const to = Number(match[2] ?? match[1]);
+  return from <= to && to <= 65535 ? [from, to] : undefined;
+};
+
+/**
+ * Convierte las filas del CSV de ACL en reglas
+ * @param {Array} rows - Filas del CSV
+ * @returns {Array} Reglas { equipment, interface, direction, action, protocol,
+ * source, destination, srcPorts, dstPorts, line } en el orden del archivo
+ * (source y destination son { network, mask } o null para "any"; los
+ * puertos, [desde, hasta] o null)
+ * @throws {Error} Si algún valor no es válido
+ */
+export const parseACLRules = (rows = []) => {
+  return rows.map((row, index) => {
+    const line = row.__line ?? index + 2;
+    const cell = (column) => String(row[column] ?? '').trim();
+    const invalid = (column) => new Error(`Valor inválido en la línea ${line} del CSV de ACL: ${column} "${cell(column)}"`);
+
+    const direction = DIRECTION_ALIASES[cell('Sentido').toLowerCase()];
+    if (!direction) throw invalid('Sentido');
+
+    const action = ACTION_ALIASES[cell('Accion').toLowerCase()];
+    if (!action) throw invalid('Accion');
+
+    const protocol = cell('Protocolo').toLowerCase() || 'ip';
+    if (!PROTOCOLS.includes(protocol)) throw invalid('Protocolo');
+
+    const source = parseNetwork(cell('Origen'));
+    if (source === undefined) throw invalid('Origen');
+    const destination = parseNetwork(cell('Destino'));
+    if (destination === undefined) throw invalid('Destino');
+
+    const srcPorts = parsePorts(cell('Puerto_Origen'));
+    if (srcPorts === undefined) throw invalid('Puerto_Origen');
+    const dstPorts = parsePorts(cell('Puerto_Destino'));
+    if (dstPorts === undefined) throw invalid('Puerto_Destino');
+    if ((srcPorts || dstPorts) && protocol !== 'tcp' && protocol !== 'udp') {
+      throw new Error(`Línea ${line} del CSV de ACL: los puertos sólo se aplican a tcp o udp`);
+    }
+
+    return {
+      equipment: cell('Equipo'),
+      interface: isAny(cell('Interfaz')) ? ANY_INTERFACE : cell('Interfaz'),
+      direction,
+      action,
+      protocol,
+      source,
+      destination,
+      srcPorts,
+      dstPorts,
+      line,
+    };
+  });
+};
+
+const matchesNetwork = (ip, network) => !network || isIPInNetwork(ip, network.network, network.mask);
+
+// Un puerto desconocido del paquete no coincide con una regla que exige puertos
+const matchesPorts = (port, ports) => !ports || (port !== null && port !== undefined && port >= ports[0] && port <= ports[1]);
+
+/**
+ * Verifica si una regla coincide con un paquete
+ * @param {Object} rule - Regla (ver parseACLRules)
+ * @param {Object} packet - { sourceIP, destIP, protocol, srcPort, dstPort };
+ * un protocolo "ip" o ausente sólo coincide con reglas "ip"
+ */
+export const ruleMatches = (rule, packet) => {
+  if (rule.protocol !== 'ip' && rule.protocol !== packet.protocol) return false;
+  return matchesNetwork(packet.sourceIP, rule.source) &&
+    matchesNetwork(packet.destIP, rule.destination) &&
+    matchesPorts(packet.srcPort, rule.srcPorts) &&
+    matchesPorts(packet.dstPort, rule.dstPorts);
+};
+
+/**
+ * Evalúa la ACL de una interfaz en un sentido
+ * Sin tabla de interfaces el nombre de la interfaz es desconocido y sólo se
+ * aplican las reglas con Interfaz "*" (o "any")
+ * @returns {Object|null} { action, rule } con la regla que decidió (rule null
+ * si es el deny implícito), o null si la interfaz no tiene ACL en ese sentido
+ */
+export const evaluateACL = (rules, equipment, interfaceName, direction, packet) => {
+  const applicable = (rules || []).filter(rule =>
+    rule.equipment === equipment &&
+    rule.direction === direction &&
+    (rule.interface === ANY_INTERFACE || rule.interface === interfaceName)
+  );
+  if (applicable.length === 0) return null;
+
+  const rule = applicable.find(candidate => ruleMatches(candidate, packet));
+  return rule ? { action: rule.action, rule } : { action: ACL_ACTION.DENY, rule: null };
+};
+
+/**
+ * Describe una regla como en la configuración de un router
+ * (ej: "deny tcp any 10.0.3.0/24 eq 22")
+ */
+export const formatRule = (rule) => {
+  const network = (value) => (value ? formatPrefix(value.network, value.mask) : 'any');
+  const ports = (value) => {
+    if (!value) return '';
+    return value[0] === value[1] ? ` eq ${value[0]}` : ` range ${value[0]} ${value[1]}`;
+  };
+  return `${rule.action} ${rule.protocol} ${network(rule.source)}${ports(rule.srcPorts)} ${network(rule.destination)}${ports(rule.dstPorts)}`;
+};
+
+/**
+ * Describe un paquete (ej: "tcp 192.168.1.10:40000 → 10.0.3.5:22")
+ */
+export const describePacket = (packet) => {
+  const source = formatEndpoint({ ip: packet.sourceIP, port: packet.srcPort });
+  const destination = formatEndpoint({ ip: packet.destIP, port: packet.dstPort });
+  return `${packet.protocol} ${source} → ${destination}`;
+};
@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest';
+import { describePacket } from './acl.js';
+import { formatEndpoint } from './ip.js';
+
+describe('describePacket', () => {
+  it('formatea origen y destino como las traducciones de NAT', () => {
+    const packet = { protocol: 'tcp', sourceIP: '2001:db8::10', srcPort: 40000, destIP: '2001:db8:3::5', dstPort: 22 };
+    expect(describePacket(packet)).toBe('tcp [2001:db8::10]:40000 → [2001:db8:3::5]:22');
+    expect(describePacket(packet)).toContain(formatEndpoint({ ip: packet.sourceIP, port: packet.srcPort }));
+  });
+
+  it('omite los puertos que el paquete no tiene', () => {
+    const packet = { protocol: 'icmp', sourceIP: '192.168.1.10', srcPort: null, destIP: '10.0.3.5' };
+    expect(describePacket(packet)).toBe('icmp 192.168.1.10 → 10.0.3.5');
+  });
+});
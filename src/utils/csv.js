@@ -0,0 +1,78 @@
+/**
+ * Lectura de las tablas en CSV
+ * La usan tanto la carga de archivos en el navegador como la línea de
+ * comandos, para que un mismo archivo se acepte o rechace igual en ambas
+ */
+import Papa from 'papaparse';
+import { VRF_ROUTE_COLUMNS } from './vrf.js';
+import { SITE_COLUMN } from './layout.js';
+
+/**
+ * Columnas requeridas y opcionales del CSV de ruteo
+ */
+export const ROUTING_COLUMNS = ['Equipo', 'IP_Destino', 'Mascara', 'Gateway'];
+export const ROUTING_OPTIONAL_COLUMNS = ['Distancia', 'Metrica', 'Protocolo', ...VRF_ROUTE_COLUMNS, SITE_COLUMN];
+
+// Opciones de PapaParse: las líneas vacías se descartan después de numerar,
+// para conservar el número de línea original de cada fila
+export const CSV_PARSE_OPTIONS = { header: true, skipEmptyLines: false };
+
+// Valida que el CSV tenga las columnas requeridas
+const validateCSVStructure = (data, requiredColumns) => {
+  if (!data || data.length === 0) {
+    throw new Error('El archivo CSV está vacío');
+  }
+
+  const headers = Object.keys(data[0]);
+
+  const missingColumns = requiredColumns.filter(col => !headers.includes(col));
+  if (missingColumns.length > 0) {
+    throw new Error(`Columnas faltantes en el CSV: ${missingColumns.join(', ')}`);
+  }
+};
+
+// Numera cada fila con su línea en el CSV (la línea 1 es el encabezado)
+// y descarta las líneas en blanco
+const numberCSVLines = (data) => {
+  return data
+    .map((row, index) => ({ ...row, __line: index + 2 }))
+    .filter(row => Object.entries(row).some(
+      ([key, value]) => key !== '__line' && typeof value === 'string' && value.trim() !== ''
+    ));
+};
+
+// Filtra las filas vacías o con datos incompletos
+const cleanCSVData = (data, requiredColumns) => {
+  return data.filter(row => requiredColumns.every(col => row[col] && row[col].trim() !== ''));
+};
+
+/**
+ * Valida y limpia las filas que devolvió PapaParse
+ * @param {Array} rows - Filas parseadas con CSV_PARSE_OPTIONS
+ * @param {Object} options - { requiredColumns, validateData }; validateData
+ * recibe las filas limpias y lanza un error si algún valor no es válido
+ * @returns {Array} Filas con todas las columnas requeridas, cada una con su
+ * número de línea en `__line`
+ */
+export const prepareCSVRows = (rows, { requiredColumns = ROUTING_COLUMNS, validateData = null } = {}) => {
+  const numberedData = numberCSVLines(rows);
+  validateCSVStructure(numberedData, requiredColumns);
+  const cleanedData = cleanCSVData(numberedData, requiredColumns);
+
+  if (cleanedData.length === 0) {
+    throw new Error('No se encontraron filas válidas en el CSV');
+  }
+  validateData?.(cleanedData);
+
+  return cleanedData;
+};
+
+/**
+ * Lee una tabla desde el texto de un CSV
+ * @param {string} text - Contenido del archivo
+ * @param {Object} options - Ver prepareCSVRows
+ */
+export const parseCSVText = (text, options = {}) => {
+  const { data } = Papa.parse(text, CSV_PARSE_OPTIONS);
+  return prepareCSVRows(data, options);
+};
@@ -0,0 +1,240 @@
+/**
+ * Diagnóstico de un traceroute
+ * Explica, a partir de los datos estructurados del resultado (selection de
+ * cada salto y diagnostic de la falla), por qué el paquete tomó cada decisión
+ * y, si no llegó, qué búsqueda falló y qué cambios probablemente lo arreglan
+ */
+import { IP_VERSION, ipVersion, networkAddress, prefixLength, formatPrefix, isIPInNetwork } from './ip.js';
+import { SELECTION_REASON_LABELS, CANDIDATE_OUTCOME_LABELS, isDirectRoute } from './routeSelection.js';
+import { TRACE_STATUS, DIAGNOSTIC_LOOKUP } from './traceroute.js';
+import { ACL_DIRECTION, formatRule, describePacket } from './acl.js';
+import { formatTranslation } from './nat.js';
+import { DEFAULT_VRF, vrfOf, inVRF, formatVRF } from './vrf.js';
+
+// Rutas de la tabla que contienen una IP, de la más específica a la menos
+const routesContaining = (ip, routingData) => {
+  return routingData
+    .filter(route => isIPInNetwork(ip, route.IP_Destino, route.Mascara))
+    .sort((a, b) => prefixLength(b.IP_Destino, b.Mascara) - prefixLength(a.IP_Destino, a.Mascara));
+};
+
+// Red a la que probablemente pertenece una IP: la más específica de la tabla
+// que la contiene (sin contar la ruta por defecto) o, si no hay, su /24 (su
+// /64 en IPv6)
+const expectedNetwork = (ip, routingData) => {
+  const route = routesContaining(ip, routingData).find(r => prefixLength(r.IP_Destino, r.Mascara) > 0);
+  if (route) return formatPrefix(route.IP_Destino, route.Mascara);
+  const bits = ipVersion(ip) === IP_VERSION.V6 ? 64 : 24;
+  return `${networkAddress(ip, bits)}/${bits}`;
+};
+
+// Equipos que tienen una IP en una red "directo", con esa red y su VRF
+const connectedOwners = (ip, routingData) => {
+  return routesContaining(ip, routingData)
+    .filter(isDirectRoute)
+    .map(route => ({ equipment: route.Equipo, network: formatPrefix(route.IP_Destino, route.Mascara), vrf: vrfOf(route) }));
+};
+
+// " en la VRF x" para los mensajes (nada para la global)
+const inVRFText = (vrf) => (!vrf || vrf === DEFAULT_VRF ? '' : ` en la VRF ${vrf}`);
+
+/**
+ * Explica la decisión de un salto
+ * @returns {Object} { equipment, destNetwork, gateway, reason, reasonText,
+ * routesChecked, candidates, translations } donde candidates son las rutas
+ * que contienen al destino, cada una con su outcome y outcomeText, y
+ * translations describe las traducciones de NAT del equipo
+ */
+export const explainHop = (hop, routingData) => {
+  const { reason, candidates = [] } = hop.selection || {};
+  return {
+    equipment: hop.currentEquipment,
+    destNetwork: hop.destNetwork,
+    gateway: hop.gateway,
+    reason: reason ?? null,
+    reasonText: SELECTION_REASON_LABELS[reason] || reason || null,
+    routesChecked: inVRF(routingData, hop.vrf).filter(route => route.Equipo === hop.currentEquipment).length,
+    candidates: candidates.map(candidate => ({
+      ...candidate,
+      outcomeText: CANDIDATE_OUTCOME_LABELS[candidate.outcome] || candidate.outcome,
+    })),
+    translations: (hop.nat || []).map(formatTranslation),
+  };
+};
+
+// Detalles y sugerencias según la búsqueda que falló
+const explainRouteLookup = (result, diagnostic, routingData) => {
+  const { equipment, vrf, destIP, routesChecked, candidates } = diagnostic;
+  const vrfTable = inVRF(routingData, vrf);
+  const network = expectedNetwork(destIP, vrfTable.length > 0 ? vrfTable : routingData);
+  const owners = connectedOwners(destIP, vrfTable);
+  // Redes que contienen al destino pero sólo en otra VRF: hace falta leaking
+  const otherOwners = owners.length > 0 ? [] : connectedOwners(destIP, routingData);
+
+  if (result.status === TRACE_STATUS.NEXT_HOP_DOWN) {
+    return {
+      details: [
+        `"${equipment}" revisó ${routesChecked} rutas; ${candidates.length} contienen a ${destIP}, pero todas usan un siguiente salto caído:`,
+        ...candidates.map(c => `${c.destNetwork} vía ${c.gateway} [${c.distance}/${c.metric}]`),
+      ],
+      suggestions: [
+        'Restaura el equipo o enlace caído',
+        `Agrega en "${equipment}" una ruta de respaldo hacia ${network} por otro vecino (estática flotante con mayor distancia)`,
+      ],
+    };
+  }
+
+  const details = [`"${equipment}" revisó ${routesChecked} rutas${inVRFText(vrf)} y ninguna contiene a ${destIP}, ni hay ruta por defecto`];
+  const suggestions = [];
+  if (otherOwners.length > 0) {
+    const [owner] = otherOwners;
+    details.push(`${destIP} está en ${owner.network}, conectada a "${owner.equipment}" en la VRF ${formatVRF(owner.vrf)}: las VRF están aisladas entre sí`);
+    suggestions.push(`Si el tráfico debe cruzar de VRF, agrega en "${equipment}" una ruta hacia ${owner.network} con VRF_Destino "${owner.vrf}" (route leaking)`);
+    suggestions.push('O revisa la VRF de origen del traceroute');
+    return { details, suggestions };
+  }
+  if (owners.length > 0) {
+    details.push(`${destIP} está en ${owners[0].network}, conectada a ${owners.map(o => `"${o.equipment}"`).join(', ')}`);
+    suggestions.push(`Agrega en "${equipment}" una ruta hacia ${owners[0].network} por el vecino que lleva a "${owners[0].equipment}"`);
+  } else {
+    details.push(`Ningún equipo tiene ${destIP} en una red "directo"`);
+    suggestions.push(`Agrega una entrada "directo" para ${network} en el equipo que tiene esa red conectada`);
+    suggestions.push(`Agrega en "${equipment}" una ruta hacia ${network}`);
+  }
+  const defaultRoute = ipVersion(destIP) === IP_VERSION.V6 ? '::/0' : '0.0.0.0/0';
+  suggestions.push(`O agrega en "${equipment}" una ruta por defecto (${defaultRoute}) hacia un vecino`);
+  return { details, suggestions };
+};
+
+const explainGatewayLookup = (diagnostic, routingData) => {
+  const { equipment, vrf, gateway, destNetwork, interfaceOwner, checked } = diagnostic;
+  // El gateway también queda sin resolver si es una IP propia o un link-local
+  // sin vecino, aunque otro equipo tenga su red como "directo"
+  const otherOwner = checked.some(c => !c.isCurrent && c.connected);
+  const details = [
+    otherOwner
+      ? `La ruta hacia ${destNetwork} en "${equipment}" usa el gateway ${gateway}, que no se puede resolver a un vecino${inVRFText(vrf)}`
+      : `La ruta hacia ${destNetwork} en "${equipment}" usa el gateway ${gateway}, pero ningún otro equipo lo tiene en una red "directo"${inVRFText(vrf)}`,
+    `Equipos revisados: ${checked.map(c => {
+      if (c.isCurrent) return `"${c.equipment}" (equipo actual${c.connected ? `, ${c.connected}` : ''})`;
+      return `"${c.equipment}" (${c.connected || 'sin red que lo contenga'})`;
+    }).join(', ')}`,
+  ];
+  const suggestions = [];
+
+  if (interfaceOwner === equipment) {
+    details.push(`${gateway} es una IP de "${equipment}" según la tabla de interfaces`);
+    suggestions.push(`Usa como gateway la IP del vecino, no una IP propia de "${equipment}"`);
+  }
+
+  const own = checked.find(c => c.isCurrent && c.connected);
+  const network = own?.connected || expectedNetwork(gateway, routingData);
+  suggestions.push(`Agrega una entrada "directo" para ${network} en el vecino que responde en ${gateway}`);
+  suggestions.push(`O corrige el gateway de la ruta hacia ${destNetwork} en "${equipment}"`);
+  return { details, suggestions };
+};
+
+const explainLoop = (result, diagnostic, routingData) => {
+  const { cycle, destNetwork } = diagnostic;
+  const members = [...new Set(cycle)].map(equipment => `"${equipment}"`).join(', ');
+  const network = expectedNetwork(result.destIP, routingData);
+  return {
+    details: [`El paquete vuelve a "${diagnostic.equipment}": ${cycle.join(' → ')}`],
+    suggestions: [
+      `Revisa la ruta hacia ${destNetwork ?? network} en ${members}: cada uno reenvía el paquete al siguiente`,
+      `Agrega una entrada "directo" para ${network} en el equipo que tiene esa red conectada, o corrige el gateway en alguno de ellos`,
+    ],
+  };
+};
+
+const explainACL = (diagnostic) => {
+  const { equipment, interface: iface, direction, rule, packet } = diagnostic;
+  const where = `la ACL de ${direction === ACL_DIRECTION.IN ? 'entrada' : 'salida'} de "${equipment}"${iface ? ` en ${iface}` : ''}`;
+  const details = [`Paquete: ${describePacket(packet)}`];
+  const suggestions = [];
+
+  if (rule) {
+    details.push(`Coincide con la regla de la línea ${rule.line} de ${where}: ${formatRule(rule)}`);
+    suggestions.push(`Si este tráfico debe pasar, agrega antes de la línea ${rule.line} una regla permit que lo incluya, o acota la regla deny`);
+  } else {
+    details.push(`Ninguna regla de ${where} coincide: se aplica el deny implícito del final de la lista`);
+    suggestions.push(`Agrega en ${where} una regla permit para este tráfico`);
+    if (packet.protocol === 'ip') {
+      suggestions.push('Indica el protocolo y los puertos del paquete: las reglas tcp, udp o icmp no coinciden con un paquete de protocolo desconocido');
+    }
+  }
+  return { details, suggestions };
+};
+
+const explainSource = (result) => {
+  if (result.status === TRACE_STATUS.ROUTER_DOWN) {
+    return {
+      details: [`El equipo origen "${result.sourceEquipment}" está marcado como caído`],
+      suggestions: [`Restaura "${result.sourceEquipment}" haciendo clic en él en el diagrama`],
+    };
+  }
+  if (result.status === TRACE_STATUS.UNKNOWN_EQUIPMENT) {
+    return {
+      details: [`"${result.sourceEquipment}" no aparece en la columna Equipo de la tabla`],
+      suggestions: ['Elige un equipo origen de la tabla cargada o revisa su nombre'],
+    };
+  }
+  return {
+    details: [],
+    suggestions: ['Carga una tabla de ruteo y completa el equipo origen y las IP origen y destino'],
+  };
+};
+
+/**
+ * Explica por qué falló un traceroute y sugiere cómo arreglarlo
+ * @returns {Object|null} { status, lookup, equipment, summary, details,
+ * suggestions }, o null si el traceroute llegó al destino
+ */
+export const explainFailure = (result, routingData) => {
+  if (!result || result.success) return null;
+
+  const { diagnostic } = result;
+  let explanation;
+  switch (diagnostic?.lookup) {
+    case DIAGNOSTIC_LOOKUP.ROUTE:
+      explanation = explainRouteLookup(result, diagnostic, routingData);
+      break;
+    case DIAGNOSTIC_LOOKUP.GATEWAY:
+      explanation = explainGatewayLookup(diagnostic, routingData);
+      break;
+    case DIAGNOSTIC_LOOKUP.LOOP:
+      explanation = explainLoop(result, diagnostic, routingData);
+      break;
+    case DIAGNOSTIC_LOOKUP.HOP_LIMIT:
+      explanation = {
+        details: [`El camino superó los ${diagnostic.hopLimit} saltos en "${diagnostic.equipment}"`],
+        suggestions: ['Revisa las rutas del camino: probablemente hay un loop que pasa por muchos equipos'],
+      };
+      break;
+    case DIAGNOSTIC_LOOKUP.ACL:
+      explanation = explainACL(diagnostic);
+      break;
+    case DIAGNOSTIC_LOOKUP.SOURCE:
+      explanation = explainSource(result);
+      break;
+    default:
+      explanation = { details: [], suggestions: [] };
+  }
+
+  return {
+    status: result.status,
+    lookup: diagnostic?.lookup ?? null,
+    equipment: diagnostic?.equipment ?? null,
+    summary: result.error,
+    ...explanation,
+  };
+};
+
+/**
+ * Explicación completa de un traceroute: cada salto y, si falló, la falla
+ * @returns {Object} { hops, failure } (ver explainHop y explainFailure)
+ */
+export const explainTrace = (result, routingData) => ({
+  hops: (result?.hops || []).map(hop => explainHop(hop, routingData)),
+  failure: explainFailure(result, routingData),
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { executeTraceroute } from './traceroute.js';
+import { explainFailure } from './diagnostics.js';
+import { route } from './testRoutes.js';
+
+const table = [
+  route('R1', '10.0.0.0', '/24', 'directo'),
+  route('R2', '10.0.0.0', '/24', 'directo'),
+  route('R2', '172.16.0.0', '/24', 'directo'),
+];
+
+const failureFor = (gateway, interfaces = []) => {
+  const routingData = [...table, route('R1', '172.16.0.0', '/24', gateway)];
+  const result = executeTraceroute('R1', '10.0.0.1', '172.16.0.9', routingData, { interfaces });
+  return explainFailure(result, routingData);
+};
+
+describe('explainFailure', () => {
+  it('dice que ningún otro equipo tiene el gateway sólo cuando es así', () => {
+    expect(failureFor('10.9.9.9').details[0]).toContain('ningún otro equipo lo tiene');
+  });
+
+  it('no lo dice cuando el gateway es una IP propia y otro equipo tiene su red conectada', () => {
+    const interfaces = [{ Equipo: 'R1', Interfaz: 'Gi0/0', IP: '10.0.0.1' }];
+    const { details } = failureFor('10.0.0.1', interfaces);
+    expect(details[0]).not.toContain('ningún otro equipo');
+    expect(details).toContain('10.0.0.1 es una IP de "R1" según la tabla de interfaces');
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Descarga de archivos generados en el navegador
+ */
+
+/**
+ * Descarga un contenido de texto como archivo
+ * @param {string} content - Contenido del archivo
+ * @param {string} fileName - Nombre sugerido (ej: "matriz.csv")
+ * @param {string} mimeType - Tipo MIME del contenido
+ */
+export const downloadFile = (content, fileName, mimeType = 'text/plain') => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
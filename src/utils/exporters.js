@@ -0,0 +1,184 @@
+/**
+ * Exportación de la topología y del traceroute
+ * Genera JSON, Graphviz DOT, GraphML y Mermaid a partir de la topología
+ * (ver buildTopology), y el traceroute en JSON o como texto al estilo del
+ * comando traceroute. Si se indica un traceroute, los diagramas resaltan
+ * los equipos y conexiones de su camino principal. Las conexiones con
+ * atributos (ver links.js) los incluyen en su etiqueta o sus datos.
+ * El texto del traceroute es la emulación de probes.js, para que muestre los
+ * mismos tiempos que la aplicación.
+ */
+import { linkKey } from './failures.js';
+import { tracedLinks } from './topology.js';
+import { formatLinkLabel } from './links.js';
+import { emulateTraceroute, formatEmulation } from './probes.js';
+
+// Etiqueta de una conexión: el gateway y, si los tiene, sus atributos
+const linkLabel = (link) => {
+  return link.attributes ? `${link.gateway} · ${formatLinkLabel(link.attributes)}` : link.gateway;
+};
+
+// Equipos que aparecen en el camino principal del traceroute
+const tracedNodes = (traceResult) => {
+  return new Set(
+    (traceResult?.hops || []).flatMap(hop => [hop.currentEquipment, hop.nextEquipment]).filter(Boolean)
+  );
+};
+
+/**
+ * Topología en JSON: { nodes: [{ id, inTrace }], links: [{ source, target, gateway, attributes, inTrace }] }
+ */
+export const topologyToJSON = (topology, traceResult = null) => {
+  const nodesInTrace = tracedNodes(traceResult);
+  const linksInTrace = tracedLinks(traceResult);
+  return JSON.stringify({
+    nodes: topology.nodes.map(id => ({ id, inTrace: nodesInTrace.has(id) })),
+    links: topology.links.map(link => ({
+      ...link,
+      inTrace: linksInTrace.has(linkKey(link.source, link.target)),
+    })),
+  }, null, 2);
+};
+
+const dotString = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Topología en formato Graphviz DOT (grafo no dirigido)
+ */
+export const topologyToDOT = (topology, traceResult = null) => {
+  const nodesInTrace = tracedNodes(traceResult);
+  const linksInTrace = tracedLinks(traceResult);
+
+  const lines = [
+    'graph network {',
+    '  node [shape=box, style="rounded,filled", fillcolor="#f3f4f6"];',
+  ];
+  topology.nodes.forEach(node => {
+    const style = nodesInTrace.has(node) ? ' [fillcolor="#3b82f6", fontcolor="white"]' : '';
+    lines.push(`  ${dotString(node)}${style};`);
+  });
+  topology.links.forEach(link => {
+    const attributes = [`label=${dotString(linkLabel(link))}`];
+    if (linksInTrace.has(linkKey(link.source, link.target))) {
+      attributes.push('color="#3b82f6"', 'penwidth=3');
+    }
+    lines.push(`  ${dotString(link.source)} -- ${dotString(link.target)} [${attributes.join(', ')}];`);
+  });
+  lines.push('}');
+  return lines.join('\n');
+};
+
+const xmlEscape = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Topología en formato GraphML (yEd, Gephi, etc.)
+ */
+export const topologyToGraphML = (topology, traceResult = null) => {
+  const nodesInTrace = tracedNodes(traceResult);
+  const linksInTrace = tracedLinks(traceResult);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="gateway" for="edge" attr.name="gateway" attr.type="string"/>',
+    '  <key id="latency" for="edge" attr.name="latency" attr.type="double"/>',
+    '  <key id="bandwidth" for="edge" attr.name="bandwidth" attr.type="double"/>',
+    '  <key id="loss" for="edge" attr.name="loss" attr.type="double"/>',
+    '  <key id="mtu" for="edge" attr.name="mtu" attr.type="int"/>',
+    '  <key id="inTrace" for="all" attr.name="inTrace" attr.type="boolean">',
+    '    <default>false</default>',
+    '  </key>',
+    '  <graph id="network" edgedefault="undirected">',
+  ];
+  topology.nodes.forEach(node => {
+    lines.push(`    <node id="${xmlEscape(node)}">`);
+    lines.push(`      <data key="label">${xmlEscape(node)}</data>`);
+    if (nodesInTrace.has(node)) lines.push('      <data key="inTrace">true</data>');
+    lines.push('    </node>');
+  });
+  topology.links.forEach((link, index) => {
+    lines.push(`    <edge id="e${index}" source="${xmlEscape(link.source)}" target="${xmlEscape(link.target)}">`);
+    lines.push(`      <data key="gateway">${xmlEscape(link.gateway)}</data>`);
+    if (link.attributes) {
+      ['latency', 'bandwidth', 'loss', 'mtu'].forEach(key => {
+        lines.push(`      <data key="${key}">${link.attributes[key]}</data>`);
+      });
+    }
+    if (linksInTrace.has(linkKey(link.source, link.target))) lines.push('      <data key="inTrace">true</data>');
+    lines.push('    </edge>');
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+};
+
+const mermaidLabel = (value) => String(value).replace(/"/g, '#quot;');
+
+/**
+ * Topología como diagrama Mermaid (flowchart), apto para wikis en Markdown
+ */
+export const topologyToMermaid = (topology, traceResult = null) => {
+  const nodesInTrace = tracedNodes(traceResult);
+  const linksInTrace = tracedLinks(traceResult);
+  // Los nombres de equipo pueden tener caracteres no válidos como id
+  const ids = new Map(topology.nodes.map((node, index) => [node, `n${index}`]));
+
+  const lines = ['flowchart LR'];
+  topology.nodes.forEach(node => {
+    lines.push(`  ${ids.get(node)}["${mermaidLabel(node)}"]`);
+  });
+  topology.links.forEach(link => {
+    lines.push(`  ${ids.get(link.source)} ---|"${mermaidLabel(linkLabel(link))}"| ${ids.get(link.target)}`);
+  });
+
+  if (nodesInTrace.size > 0) {
+    lines.push('  classDef traced fill:#3b82f6,color:#fff,stroke:#1e40af');
+    lines.push(`  class ${topology.nodes.filter(node => nodesInTrace.has(node)).map(node => ids.get(node)).join(',')} traced`);
+  }
+  topology.links.forEach((link, index) => {
+    if (linksInTrace.has(linkKey(link.source, link.target))) {
+      lines.push(`  linkStyle ${index} stroke:#3b82f6,stroke-width:3px`);
+    }
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Traceroute completo (ida, vuelta, caminos ECMP y selección de rutas) en JSON
+ */
+export const traceToJSON = (traceResult) => JSON.stringify(traceResult, null, 2);
+
+// Bloque de texto de un sentido del traceroute: de dónde parte y la salida
+// de la emulación, con la marca (!N, !H, !X) en el equipo que descarta el paquete
+const traceBlock = (result, direction, settings) => {
+  const lines = [
+    `# ${direction} desde ${result.sourceEquipment} (${result.sourceIP})`,
+    formatEmulation(emulateTraceroute(result, settings)),
+  ];
+  if (!result.success) {
+    lines.push(`# ${result.error}`);
+  }
+  if (result.paths?.length > 1) {
+    lines.push(`# ${result.paths.length} caminos ECMP; se muestra el principal`);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Traceroute como texto al estilo del comando traceroute
+ * Incluye la vuelta si se trazó
+ * @param {Object} settings - Configuración de la emulación (ver
+ * DEFAULT_EMULATION en probes.js), con el modelo de enlaces en `links`
+ */
+export const traceToText = (traceResult, settings = {}) => {
+  const blocks = [traceBlock(traceResult, 'ida', settings)];
+  if (traceResult.returnTrace) {
+    blocks.push(traceBlock(traceResult.returnTrace, 'vuelta', settings));
+  }
+  return `${blocks.join('\n\n')}\n`;
+};
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { traceToText } from './exporters.js';
+import { executeTraceroute } from './traceroute.js';
+import { emulateTraceroute, formatEmulation } from './probes.js';
+import { route } from './testRoutes.js';
+
+// R1 → R2 → R3, y R3 no tiene ruta hacia 172.16.0.0/16
+const table = [
+  route('R1', '10.0.0.0', '/24', 'directo'),
+  route('R2', '10.0.0.0', '/24', 'directo'),
+  route('R2', '10.0.1.0', '/24', 'directo'),
+  route('R3', '10.0.1.0', '/24', 'directo'),
+  route('R1', '172.16.0.0', '/16', '10.0.0.2'),
+  route('R2', '172.16.0.0', '/16', '10.0.1.3'),
+];
+
+describe('traceToText', () => {
+  it('muestra los mismos tiempos que la emulación de traceroute', () => {
+    const result = executeTraceroute('R1', '10.0.0.1', '172.16.0.9', table);
+    expect(traceToText(result)).toContain(formatEmulation(emulateTraceroute(result)));
+  });
+
+  it('marca el equipo que descarta el paquete y no el último salto exitoso', () => {
+    const result = executeTraceroute('R1', '10.0.0.1', '172.16.0.9', table);
+    const lines = traceToText(result).split('\n');
+    expect(lines.find(line => line.includes('!N'))).toMatch(/^ 3 {2}R3 /);
+    expect(lines.find(line => line.startsWith(' 2 '))).not.toContain('!');
+  });
+});
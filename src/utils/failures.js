@@ -0,0 +1,59 @@
+/**
+ * Simulación de fallas
+ * Representa los equipos y enlaces marcados como caídos. Un enlace se
+ * identifica por el par de equipos que conecta, sin importar el sentido.
+ */
+
+/**
+ * Estado sin fallas
+ */
+export const NO_FAILURES = { routers: [], links: [] };
+
+/**
+ * Clave de un enlace entre dos equipos (independiente del sentido)
+ */
+export const linkKey = (equipmentA, equipmentB) => {
+  return [equipmentA, equipmentB].sort().join('|');
+};
+
+/**
+ * Separa la clave de un enlace en sus dos equipos
+ */
+export const parseLinkKey = (key) => key.split('|');
+
+export const isRouterFailed = (failures, equipment) => {
+  return Boolean(failures?.routers.includes(equipment));
+};
+
+export const isLinkFailed = (failures, equipmentA, equipmentB) => {
+  return Boolean(failures?.links.includes(linkKey(equipmentA, equipmentB)));
+};
+
+export const hasFailures = (failures) => {
+  return Boolean(failures && (failures.routers.length > 0 || failures.links.length > 0));
+};
+
+/**
+ * Marca o restaura un equipo caído
+ * @returns {Object} Nuevo estado de fallas
+ */
+export const toggleRouterFailure = (failures, equipment) => ({
+  ...failures,
+  routers: failures.routers.includes(equipment)
+    ? failures.routers.filter(r => r !== equipment)
+    : [...failures.routers, equipment],
+});
+
+/**
+ * Marca o restaura un enlace caído entre dos equipos
+ * @returns {Object} Nuevo estado de fallas
+ */
+export const toggleLinkFailure = (failures, equipmentA, equipmentB) => {
+  const key = linkKey(equipmentA, equipmentB);
+  return {
+    ...failures,
+    links: failures.links.includes(key)
+      ? failures.links.filter(l => l !== key)
+      : [...failures.links, key],
+  };
+};
@@ -0,0 +1,39 @@
+/**
+ * Hash de flujo para el balanceo ECMP
+ * Emula cómo un router elige un único camino por flujo a partir de la
+ * 5-tupla (IP origen, IP destino, protocolo, puerto origen, puerto destino)
+ */
+
+/**
+ * Calcula un hash FNV-1a de 32 bits de la 5-tupla de un flujo
+ * Se combina con el nombre del equipo para que cada router reparta los
+ * flujos de forma independiente (evita la polarización de ECMP)
+ * @param {Object} flow - { sourceIP, destIP, protocol, srcPort, dstPort }
+ * @param {string} salt - Valor propio del equipo que calcula el hash
+ * @returns {number} Entero sin signo de 32 bits
+ */
+export const flowHash = (flow, salt = '') => {
+  const key = [
+    flow.sourceIP,
+    flow.destIP,
+    flow.protocol ?? '',
+    flow.srcPort ?? '',
+    flow.dstPort ?? '',
+    salt,
+  ].join('|');
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  // Mezcla final (fmix32 de MurmurHash3): FNV-1a reparte mal los bits bajos,
+  // que son justamente los que decide el módulo por la cantidad de caminos
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
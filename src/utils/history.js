@@ -0,0 +1,54 @@
+/**
+ * Historial de cambios con deshacer/rehacer
+ * Estado inmutable { past, present, future }: cada cambio apila el valor
+ * anterior en `past` y descarta lo que se había deshecho
+ */
+
+// Cantidad máxima de estados anteriores que se conservan
+const MAX_HISTORY = 100;
+
+/**
+ * Crea un historial nuevo a partir de un valor inicial
+ */
+export const createHistory = (present) => ({ past: [], present, future: [] });
+
+/**
+ * Registra un nuevo valor como estado actual
+ * @returns {Object} Nuevo historial
+ */
+export const pushHistory = (history, present) => {
+  if (present === history.present) return history;
+  return {
+    past: [...history.past, history.present].slice(-MAX_HISTORY),
+    present,
+    future: [],
+  };
+};
+
+export const canUndo = (history) => history.past.length > 0;
+
+export const canRedo = (history) => history.future.length > 0;
+
+/**
+ * Vuelve al estado anterior (sin cambios si no hay)
+ */
+export const undoHistory = (history) => {
+  if (!canUndo(history)) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+  };
+};
+
+/**
+ * Rehace el último estado deshecho (sin cambios si no hay)
+ */
+export const redoHistory = (history) => {
+  if (!canRedo(history)) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+  };
+};
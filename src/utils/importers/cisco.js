@@ -0,0 +1,144 @@
+/**
+ * Importador de la salida de "show ip route" de Cisco IOS
+ */
+import { IPV4_PATTERN, makeRoute, makeSkipped } from './common.js';
+
+// Códigos de IOS y su protocolo en la columna Protocolo
+const CODE_PROTOCOLS = {
+  C: 'connected',
+  L: 'connected',
+  S: 'static',
+  O: 'ospf',
+  D: 'eigrp',
+  R: 'rip',
+  B: 'bgp',
+  i: 'isis',
+};
+
+// "O IA   10.0.3.0/24 [110/3] via 10.0.1.2, ..." (la máscara puede faltar)
+const ROUTE_LINE = new RegExp(
+  `^([A-Za-z+%]{1,2}\\*?(?: [A-Za-z0-9]{1,2})?)\\s+(${IPV4_PATTERN})(?:/(\\d{1,2}))?\\s*(.*)$`
+);
+// Siguiente salto adicional (ECMP) o que no entró en la línea de la red
+const CONTINUATION_LINE = new RegExp(`^\\s+(\\[\\d+/\\d+\\]\\s+via\\s+${IPV4_PATTERN}.*)$`);
+const VIA = new RegExp(`^\\[(\\d+)/(\\d+)\\]\\s+via\\s+(${IPV4_PATTERN})`);
+const CONNECTED = /^is directly connected, (\S+)/;
+const SUBNETTED = new RegExp(`^\\s+(${IPV4_PATTERN})/(\\d{1,2}) is subnetted`);
+const VARIABLY_SUBNETTED = /is variably subnetted/;
+const LEGEND = /^\s*(Codes:|[\w*+%]{1,3} - )/;
+const NOISE = /^\s*(Gateway of last resort|Routing Table:|$)/;
+
+// Máscara por clase, para redes listadas sin máscara
+const classfulBits = (network) => {
+  const firstOctet = Number(network.split('.')[0]);
+  if (firstOctet < 128) return 8;
+  if (firstOctet < 192) return 16;
+  return 24;
+};
+
+const isDiscardInterface = (iface) => /^null/i.test(iface);
+
+export const ciscoImporter = {
+  id: 'cisco-ios',
+  label: 'Cisco IOS (show ip route)',
+
+  detect: (text) =>
+    /Gateway of last resort|is directly connected,|\[\d+\/\d+\] via /.test(text),
+
+  /**
+   * @param {string} text - Salida completa del comando
+   * @returns {Object} { routes, skipped }
+   */
+  parse: (text) => {
+    const routes = [];
+    const skipped = [];
+    // Red de la última línea de ruta, para los siguientes saltos que continúan abajo
+    let current = null;
+    // Máscara común anunciada por "X/N is subnetted" para las redes que siguen
+    let subnetMask = null;
+
+    // Una red listada sin ningún siguiente salto se reporta al pasar a la siguiente
+    const closePending = () => {
+      if (current?.pending) {
+        skipped.push(makeSkipped(current.line, current.text, 'La red no tiene siguiente salto'));
+      }
+    };
+
+    const addVia = (rest, lineNumber) => {
+      const match = rest.match(VIA);
+      if (!match) return false;
+      routes.push(makeRoute(current.network, current.bits, match[3], {
+        protocol: current.protocol,
+        distance: Number(match[1]),
+        metric: Number(match[2]),
+      }, lineNumber));
+      current.pending = false;
+      return true;
+    };
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const lineNumber = index + 1;
+
+      const subnetted = rawLine.match(SUBNETTED);
+      if (subnetted) {
+        subnetMask = Number(subnetted[2]);
+        return;
+      }
+      if (VARIABLY_SUBNETTED.test(rawLine)) {
+        subnetMask = null;
+        return;
+      }
+
+      const continuation = rawLine.match(CONTINUATION_LINE);
+      if (continuation && current) {
+        addVia(continuation[1], lineNumber);
+        return;
+      }
+
+      const route = rawLine.match(ROUTE_LINE);
+      if (route) {
+        const [, code, network, bits, rest] = route;
+        const baseCode = code.replace('*', '').split(' ')[0];
+        closePending();
+        current = {
+          network,
+          bits: bits !== undefined ? Number(bits) : (subnetMask ?? classfulBits(network)),
+          protocol: CODE_PROTOCOLS[baseCode] || baseCode.toLowerCase(),
+          pending: true,
+          line: lineNumber,
+          text: rawLine,
+        };
+
+        const connected = rest.match(CONNECTED);
+        if (connected) {
+          if (isDiscardInterface(connected[1])) {
+            skipped.push(makeSkipped(lineNumber, rawLine, `Ruta hacia ${connected[1]} (descarte) no soportada`));
+          } else {
+            routes.push(makeRoute(network, current.bits, 'directo', { protocol: current.protocol }, lineNumber));
+          }
+          current.pending = false;
+          return;
+        }
+        if (/^is a summary/.test(rest)) {
+          skipped.push(makeSkipped(lineNumber, rawLine, 'Ruta resumen hacia Null0 no soportada'));
+          current.pending = false;
+          return;
+        }
+        // Sin siguiente salto en esta línea: debería venir en la siguiente
+        if (rest === '' || addVia(rest, lineNumber)) return;
+
+        skipped.push(makeSkipped(lineNumber, rawLine, 'No se reconoce el siguiente salto'));
+        current.pending = false;
+        return;
+      }
+
+      if (NOISE.test(rawLine) || LEGEND.test(rawLine) || /^\S+[#>]/.test(rawLine)) return;
+
+      skipped.push(makeSkipped(lineNumber, rawLine, 'Línea no reconocida'));
+    });
+
+    closePending();
+
+    return { routes, skipped };
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * Utilidades compartidas por los importadores de tablas de ruteo
+ */
+
+export const IPV4_PATTERN = '\\d{1,3}(?:\\.\\d{1,3}){3}';
+
+/**
+ * Crea una fila de la tabla de ruteo con el mismo modelo que el CSV
+ * (el Equipo lo completa importRoutingText)
+ * @param {string} network - Red destino
+ * @param {number} maskBits - Bits de la máscara
+ * @param {string} gateway - IP del siguiente salto o "directo"
+ * @param {Object} attributes - { protocol, distance, metric } opcionales
+ * @param {number} line - Línea del archivo de texto (la primera es 1)
+ */
+export const makeRoute = (network, maskBits, gateway, attributes, line) => ({
+  IP_Destino: network,
+  Mascara: `/${maskBits}`,
+  Gateway: gateway,
+  Protocolo: attributes.protocol ?? '',
+  Distancia: attributes.distance !== undefined ? String(attributes.distance) : '',
+  Metrica: attributes.metric !== undefined ? String(attributes.metric) : '',
+  __line: line,
+});
+
+/**
+ * Registra una línea que el importador no pudo convertir en ruta
+ */
+export const makeSkipped = (line, text, reason) => ({ line, text: text.trim(), reason });
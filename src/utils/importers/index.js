@@ -0,0 +1,62 @@
+/**
+ * Importadores de tablas de ruteo desde la salida de comandos de equipos
+ * Cada importador expone { id, label, detect(text), parse(text) } y parse
+ * devuelve { routes, skipped } con filas del mismo modelo que el CSV
+ * (Equipo, IP_Destino, Mascara, Gateway y columnas opcionales). Las líneas que
+ * no se pudieron convertir se devuelven en skipped con su motivo.
+ * Para soportar un formato nuevo basta con agregarlo a IMPORTERS.
+ */
+import { ciscoImporter } from './cisco.js';
+import { juniperImporter } from './juniper.js';
+import { linuxImporter } from './linux.js';
+
+// Orden de detección: del formato más específico al más genérico
+export const IMPORTERS = [juniperImporter, ciscoImporter, linuxImporter];
+
+// Prompt de la CLI: "R1#show ip route", "admin@mx1> show route", "root@srv:~# ip route"
+const PROMPT = /^(?:[\w.-]+@)?([\w.-]+)(?::\S*)?\s?[#>$]\s*(?:show|sh|ip)\b/m;
+
+/**
+ * Obtiene el nombre del equipo: el del prompt de la CLI si la salida lo
+ * incluye; si no, el nombre del archivo sin extensión
+ */
+export const deviceNameFor = (text, fileName = '') => {
+  const prompt = text.match(PROMPT);
+  if (prompt) return prompt[1];
+  return fileName.replace(/\.[^.]+$/, '');
+};
+
+/**
+ * Detecta el formato de una salida de texto
+ * @returns {Object|null} Importador que la reconoce, o null
+ */
+export const detectImporter = (text) => {
+  return IMPORTERS.find(importer => importer.detect(text)) || null;
+};
+
+/**
+ * Importa la tabla de ruteo de un equipo desde la salida de un comando
+ * @param {string} text - Contenido del archivo
+ * @param {string} fileName - Nombre del archivo (para el nombre del equipo)
+ * @returns {Object} { format, equipo, routes, skipped }
+ * @throws {Error} Si el formato no se reconoce o no se puede determinar el equipo
+ */
+export const importRoutingText = (text, fileName = '') => {
+  const importer = detectImporter(text);
+  if (!importer) {
+    throw new Error(`No se reconoce el formato de "${fileName}" (se admite ${IMPORTERS.map(i => i.label).join(', ')})`);
+  }
+
+  const equipo = deviceNameFor(text, fileName);
+  if (!equipo) {
+    throw new Error(`No se pudo determinar el nombre del equipo de "${fileName}"`);
+  }
+
+  const { routes, skipped } = importer.parse(text);
+  return {
+    format: importer.label,
+    equipo,
+    routes: routes.map(route => ({ Equipo: equipo, ...route })),
+    skipped,
+  };
+};
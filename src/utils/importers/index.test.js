@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { importRoutingText, deviceNameFor } from './index.js';
+import { route } from '../testRoutes.js';
+
+const CISCO = `R1#show ip route
+Codes: L - local, C - connected, S - static, R - RIP, M - mobile, B - BGP
+       D - EIGRP, EX - EIGRP external, O - OSPF, IA - OSPF inter area
+
+Gateway of last resort is 10.0.1.2 to network 0.0.0.0
+
+S*    0.0.0.0/0 [1/0] via 10.0.1.2
+      10.0.0.0/8 is variably subnetted, 3 subnets, 2 masks
+C        10.0.1.0/24 is directly connected, GigabitEthernet0/0
+O IA     10.0.3.0/24 [110/3] via 10.0.1.2, 00:01:02, GigabitEthernet0/0
+                     [110/3] via 10.0.2.3, 00:01:02, GigabitEthernet0/1
+S        10.9.0.0/16 is directly connected, Null0
+      172.16.0.0/24 is subnetted, 1 subnets
+D EX     172.16.2.0
+           [170/156160] via 10.0.1.2, 00:00:10, GigabitEthernet0/0
+`;
+
+const JUNIPER = `admin@mx1> show route
+
+inet.0: 3 destinations, 3 routes (3 active, 0 holddown, 0 hidden)
++ = Active Route, - = Last Active, * = Both
+
+0.0.0.0/0          *[Static/5] 1w0d 00:00:10
+                    >  to 10.0.1.2 via ge-0/0/0.0
+10.0.1.0/24        *[Direct/0] 1w0d 00:00:10
+                    >  via ge-0/0/0.0
+10.0.3.0/24        *[OSPF/10] 00:01:00, metric 2
+                    >  to 10.0.1.2 via ge-0/0/0.0
+                       to 10.0.2.3 via ge-0/0/1.0
+`;
+
+const LINUX = `default via 192.168.1.1 dev eth0 proto dhcp src 192.168.1.50 metric 100
+10.10.0.0/16 proto static metric 20
+	nexthop via 10.0.0.1 dev eth1 weight 1
+	nexthop via 10.0.0.2 dev eth2 weight 1
+192.168.1.0/24 dev eth0 proto kernel scope link src 192.168.1.50 metric 100
+blackhole 10.99.0.0/16
+`;
+
+describe('importRoutingText', () => {
+  it('importa "show ip route" de Cisco con ECMP, redes subdivididas y siguientes saltos en otra línea', () => {
+    const { format, equipo, routes, skipped } = importRoutingText(CISCO, 'ignorado.txt');
+    expect(format).toContain('Cisco');
+    expect(equipo).toBe('R1');
+    expect(routes).toEqual([
+      { ...route('R1', '0.0.0.0', '/0', '10.0.1.2', { Protocolo: 'static', Distancia: '1', Metrica: '0' }), __line: 7 },
+      { ...route('R1', '10.0.1.0', '/24', 'directo', { Protocolo: 'connected', Distancia: '', Metrica: '' }), __line: 9 },
+      { ...route('R1', '10.0.3.0', '/24', '10.0.1.2', { Protocolo: 'ospf', Distancia: '110', Metrica: '3' }), __line: 10 },
+      { ...route('R1', '10.0.3.0', '/24', '10.0.2.3', { Protocolo: 'ospf', Distancia: '110', Metrica: '3' }), __line: 11 },
+      { ...route('R1', '172.16.2.0', '/24', '10.0.1.2', { Protocolo: 'eigrp', Distancia: '170', Metrica: '156160' }), __line: 15 },
+    ]);
+    expect(skipped).toEqual([expect.objectContaining({ line: 12, reason: expect.stringContaining('Null0') })]);
+  });
+
+  it('importa de Junos sólo el siguiente salto seleccionado, con la preferencia como distancia', () => {
+    const { equipo, routes, skipped } = importRoutingText(JUNIPER);
+    expect(equipo).toBe('mx1');
+    expect(routes.map(({ IP_Destino, Gateway, Protocolo, Distancia, Metrica }) =>
+      [IP_Destino, Gateway, Protocolo, Distancia, Metrica]
+    )).toEqual([
+      ['0.0.0.0', '10.0.1.2', 'static', '5', '0'],
+      ['10.0.1.0', 'directo', 'connected', '0', '0'],
+      ['10.0.3.0', '10.0.1.2', 'ospf', '10', '2'],
+    ]);
+    expect(skipped).toEqual([]);
+  });
+
+  it('importa "ip route" de Linux con nexthop múltiples y reporta los tipos de ruta sin siguiente salto', () => {
+    const { equipo, routes, skipped } = importRoutingText(LINUX, 'srv1.txt');
+    expect(equipo).toBe('srv1');
+    expect(routes.map(({ IP_Destino, Mascara, Gateway }) => `${IP_Destino}${Mascara} ${Gateway}`)).toEqual([
+      '0.0.0.0/0 192.168.1.1',
+      '10.10.0.0/16 10.0.0.1',
+      '10.10.0.0/16 10.0.0.2',
+      '192.168.1.0/24 directo',
+    ]);
+    expect(skipped).toEqual([expect.objectContaining({ line: 6, reason: expect.stringContaining('blackhole') })]);
+  });
+
+  it('rechaza un formato desconocido nombrando el archivo', () => {
+    expect(() => importRoutingText('hola mundo', 'notas.txt')).toThrow(/No se reconoce el formato de "notas.txt"/);
+  });
+});
+
+describe('deviceNameFor', () => {
+  it('toma el equipo del prompt o, si no hay, del nombre del archivo', () => {
+    expect(deviceNameFor('root@srv2:~# ip route\ndefault via 10.0.0.1 dev eth0', 'otro.txt')).toBe('srv2');
+    expect(deviceNameFor('default via 10.0.0.1 dev eth0', 'core-1.routes.txt')).toBe('core-1.routes');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Importador de la salida de "show route" de Junos
+ * Sólo se importa la tabla inet.0. De cada ruta se usa el siguiente salto
+ * seleccionado (marcado con ">"); la preferencia de Junos se guarda como
+ * Distancia, que cumple el mismo papel que la distancia administrativa.
+ */
+import { IPV4_PATTERN, makeRoute, makeSkipped } from './common.js';
+
+// Protocolo de Junos y su protocolo en la columna Protocolo
+const JUNOS_PROTOCOLS = {
+  direct: 'connected',
+  local: 'connected',
+  static: 'static',
+  ospf: 'ospf',
+  ospf3: 'ospf',
+  bgp: 'bgp',
+  'is-is': 'isis',
+  rip: 'rip',
+};
+
+const TABLE_HEADER = /^(\S+): \d+ destinations/;
+const PREFIX_LINE = new RegExp(`^(${IPV4_PATTERN})/(\\d{1,2})\\s+[*+\\- ]*\\[([\\w-]+)/(\\d+)\\](.*)$`);
+const PROTOCOL_LINE = /^\s+[*+\- ]*\[([\w-]+)\/(\d+)\](.*)$/;
+const NEXT_HOP_TO = new RegExp(`^\\s+(>?)\\s*to (${IPV4_PATTERN}) via (\\S+)`);
+const NEXT_HOP_VIA = /^\s+(>?)\s*(?:Local )?via (\S+)/;
+const DISCARD = /^\s+(Discard|Reject|Receive)\b/;
+const IGNORED = /^\s+(AS path:|Validation State:|Age:|Communities:|Tag:)|^\{\w+\}$|^\+ = |^\S+@\S+>/;
+
+export const juniperImporter = {
+  id: 'junos',
+  label: 'Juniper Junos (show route)',
+
+  detect: (text) => /^inet\.0: \d+ destinations|\*\[\w[\w-]*\/\d+\]/m.test(text),
+
+  /**
+   * @param {string} text - Salida completa del comando
+   * @returns {Object} { routes, skipped }
+   */
+  parse: (text) => {
+    const routes = [];
+    const skipped = [];
+    let table = 'inet.0';
+    let prefix = null;
+    // Entrada de protocolo actual: { protocol, preference, metric, line, text, hops, discard }
+    let entry = null;
+
+    // Convierte la entrada de protocolo acumulada en rutas
+    const closeEntry = () => {
+      if (!entry) return;
+      const selected = entry.hops.filter(hop => hop.selected);
+      const hops = selected.length > 0 ? selected : entry.hops;
+
+      if (entry.discard) {
+        skipped.push(makeSkipped(entry.line, entry.text, `Ruta de tipo ${entry.discard} no soportada`));
+      } else if (hops.length === 0) {
+        skipped.push(makeSkipped(entry.line, entry.text, 'La ruta no tiene siguiente salto'));
+      } else {
+        hops.forEach(hop => {
+          routes.push(makeRoute(prefix.network, prefix.bits, hop.gateway, {
+            protocol: entry.protocol,
+            distance: entry.preference,
+            metric: entry.metric,
+          }, hop.line));
+        });
+      }
+      entry = null;
+    };
+
+    const openEntry = (protocolName, preference, rest, lineNumber, rawLine) => {
+      closeEntry();
+      const name = protocolName.toLowerCase();
+      const metric = rest.match(/metric (\d+)/);
+      entry = {
+        protocol: JUNOS_PROTOCOLS[name] || name,
+        preference: Number(preference),
+        metric: metric ? Number(metric[1]) : 0,
+        line: lineNumber,
+        text: rawLine,
+        hops: [],
+        discard: null,
+      };
+    };
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const lineNumber = index + 1;
+
+      const header = rawLine.match(TABLE_HEADER);
+      if (header) {
+        closeEntry();
+        table = header[1];
+        prefix = null;
+        if (table !== 'inet.0') {
+          skipped.push(makeSkipped(lineNumber, rawLine, `Tabla ${table} no soportada (sólo inet.0)`));
+        }
+        return;
+      }
+      if (table !== 'inet.0') return;
+
+      const prefixLine = rawLine.match(PREFIX_LINE);
+      if (prefixLine) {
+        closeEntry();
+        prefix = { network: prefixLine[1], bits: Number(prefixLine[2]) };
+        openEntry(prefixLine[3], prefixLine[4], prefixLine[5], lineNumber, rawLine);
+        return;
+      }
+
+      const protocolLine = rawLine.match(PROTOCOL_LINE);
+      if (protocolLine && prefix) {
+        openEntry(protocolLine[1], protocolLine[2], protocolLine[3], lineNumber, rawLine);
+        return;
+      }
+
+      const to = rawLine.match(NEXT_HOP_TO);
+      if (to && entry) {
+        entry.hops.push({ gateway: to[2], selected: to[1] === '>', line: lineNumber });
+        return;
+      }
+
+      const via = rawLine.match(NEXT_HOP_VIA);
+      if (via && entry) {
+        entry.hops.push({ gateway: 'directo', selected: via[1] === '>', line: lineNumber });
+        return;
+      }
+
+      const discard = rawLine.match(DISCARD);
+      if (discard && entry) {
+        entry.discard = discard[1];
+        return;
+      }
+
+      if (rawLine.trim() === '' || IGNORED.test(rawLine)) return;
+
+      skipped.push(makeSkipped(lineNumber, rawLine, 'Línea no reconocida'));
+    });
+
+    closeEntry();
+
+    return { routes, skipped };
+  },
+};
@@ -0,0 +1,144 @@
+/**
+ * Importador de la salida de "ip route show" de Linux (iproute2)
+ * El kernel no usa distancia administrativa: entre rutas de la misma red
+ * gana la de menor métrica. Por eso todas las rutas importadas llevan
+ * Distancia 0 y la selección la decide la columna Metrica.
+ */
+import { IPV4_PATTERN, makeRoute, makeSkipped } from './common.js';
+
+// Tipos de ruta que no reenvían hacia un siguiente salto
+const UNSUPPORTED_TYPES = [
+  'blackhole', 'unreachable', 'prohibit', 'throw',
+  'local', 'broadcast', 'multicast', 'anycast', 'nat',
+];
+
+// Palabras clave sin valor asociado
+const FLAGS = ['onlink', 'linkdown', 'dead', 'pervasive', 'offload', 'trap', 'notify'];
+
+// Valor de "proto" y su protocolo en la columna Protocolo
+const PROTO_PROTOCOLS = {
+  kernel: 'connected',
+  boot: 'static',
+  static: 'static',
+  dhcp: 'static',
+  ra: 'static',
+  ospf: 'ospf',
+  bgp: 'bgp',
+  rip: 'rip',
+  isis: 'isis',
+  eigrp: 'eigrp',
+};
+
+const DESTINATION = new RegExp(`^(${IPV4_PATTERN})(?:/(\\d{1,2}))?$`);
+const IPV4 = new RegExp(`^${IPV4_PATTERN}$`);
+
+/**
+ * Agrupa las líneas en entradas: las líneas indentadas ("nexthop via ...")
+ * continúan la ruta de la línea anterior
+ */
+const groupEntries = (text) => {
+  const entries = [];
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    if (rawLine.trim() === '') return;
+    if (/^\s/.test(rawLine) && entries.length > 0) {
+      entries[entries.length - 1].text += ` ${rawLine.trim()}`;
+    } else {
+      entries.push({ line: index + 1, text: rawLine.trim() });
+    }
+  });
+  return entries;
+};
+
+/**
+ * Convierte una entrada en rutas (varias si tiene "nexthop" múltiples)
+ * @returns {Object} { routes } o { reason } si no puede importarse
+ */
+const parseEntry = (entry) => {
+  const tokens = entry.text.split(/\s+/);
+  if (tokens[0] === 'unicast') tokens.shift();
+
+  if (UNSUPPORTED_TYPES.includes(tokens[0])) {
+    return { reason: `Tipo de ruta "${tokens[0]}" no soportado` };
+  }
+
+  const destination = tokens.shift();
+  let network;
+  let bits;
+  if (destination === 'default') {
+    network = '0.0.0.0';
+    bits = 0;
+  } else if (destination.includes(':')) {
+    return { reason: 'Las rutas IPv6 no están soportadas' };
+  } else {
+    const match = destination.match(DESTINATION);
+    if (!match) return { reason: 'Línea no reconocida' };
+    network = match[1];
+    bits = match[2] !== undefined ? Number(match[2]) : 32;
+  }
+
+  const attributes = {};
+  const nexthops = [];
+  let target = attributes;
+  while (tokens.length > 0) {
+    const key = tokens.shift();
+    if (key === 'nexthop') {
+      target = {};
+      nexthops.push(target);
+    } else if (!FLAGS.includes(key)) {
+      target[key] = tokens.shift();
+    }
+  }
+
+  if (attributes.table === 'local') {
+    return { reason: 'Ruta de la tabla local del kernel' };
+  }
+
+  const protocol = PROTO_PROTOCOLS[attributes.proto] || attributes.proto;
+  const hops = nexthops.length > 0 ? nexthops : [attributes];
+  const routes = [];
+  for (const hop of hops) {
+    if (hop.via && !IPV4.test(hop.via)) {
+      return { reason: `Siguiente salto "${hop.via}" no soportado` };
+    }
+    if (!hop.via && !hop.dev) {
+      return { reason: 'La ruta no tiene siguiente salto ni interfaz' };
+    }
+    routes.push(makeRoute(network, bits, hop.via || 'directo', {
+      protocol: protocol ?? (hop.via ? 'static' : 'connected'),
+      distance: 0,
+      metric: attributes.metric !== undefined ? Number(attributes.metric) : 0,
+    }, entry.line));
+  }
+  return { routes };
+};
+
+export const linuxImporter = {
+  id: 'linux-ip-route',
+  label: 'Linux (ip route show)',
+
+  detect: (text) =>
+    new RegExp(`^(default|${IPV4_PATTERN}(/\\d{1,2})?)\\s+(via|dev|proto)\\s`, 'm').test(text),
+
+  /**
+   * @param {string} text - Salida completa del comando
+   * @returns {Object} { routes, skipped }
+   */
+  parse: (text) => {
+    const routes = [];
+    const skipped = [];
+
+    groupEntries(text).forEach(entry => {
+      // Línea del prompt (ej: "root@host:~# ip route")
+      if (/^\S*[#$]\s*ip\b/.test(entry.text)) return;
+
+      const result = parseEntry(entry);
+      if (result.routes) {
+        routes.push(...result.routes);
+      } else {
+        skipped.push(makeSkipped(entry.line, entry.text, result.reason));
+      }
+    });
+
+    return { routes, skipped };
+  },
+};
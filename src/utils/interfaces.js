@@ -0,0 +1,169 @@
+/**
+ * Modelo de interfaces de los equipos
+ * Relaciona cada dirección IP con la interfaz (y el equipo) que la posee,
+ * de modo que un gateway se resuelva al router exacto y no al primero
+ * que comparta la subred
+ */
+import {
+  isIPInNetwork,
+  isSameIP,
+  isLinkLocal,
+  splitZone,
+  ipVersion,
+  ipToBigInt,
+  prefixLength,
+  networkRange,
+  maskBitsToBigInt,
+} from './ip.js';
+import { isDirectRoute } from './routeSelection.js';
+import { createVRFScopes } from './vrf.js';
+
+/**
+ * Columnas requeridas en el CSV de interfaces
+ * (formato: Equipo, Interfaz, IP, Mascara)
+ */
+export const INTERFACE_COLUMNS = ['Equipo', 'Interfaz', 'IP', 'Mascara'];
+
+/**
+ * Busca la interfaz que tiene asignada exactamente una IP
+ * @param {string} ip - IP a buscar (ej: "10.0.1.2")
+ * @param {Array} interfaces - Tabla de interfaces completa
+ */
+export const findInterfaceByIP = (ip, interfaces = []) => {
+  return interfaces.find(iface => isSameIP(iface.IP, ip)) || null;
+};
+
+/**
+ * Busca la interfaz de un equipo conectada a la red que contiene una IP
+ * @param {string} equipmentName - Nombre del equipo
+ * @param {string} ip - IP que debe caer dentro de la red de la interfaz
+ * @param {Array} interfaces - Tabla de interfaces completa
+ */
+export const findInterfaceForNetwork = (equipmentName, ip, interfaces = []) => {
+  return interfaces.find(iface =>
+    iface.Equipo === equipmentName &&
+    isIPInNetwork(ip, iface.IP, iface.Mascara)
+  ) || null;
+};
+
+/**
+ * Resuelve un gateway link-local (ej: "fe80::2%Gi0/1") al vecino que lo posee
+ * La misma dirección link-local puede repetirse en distintos enlaces: si hay
+ * varios dueños, se elige el que comparte una red global con la interfaz
+ * local indicada en la zona
+ * @param {string} equipmentName - Equipo que reenvía (se excluye)
+ * @param {string} gateway - Gateway link-local, con o sin zona
+ * @param {Array} interfaces - Tabla de interfaces completa
+ * @returns {Object|null} Interfaz del vecino, o null si no se puede resolver
+ */
+export const findLinkLocalNeighbor = (equipmentName, gateway, interfaces = []) => {
+  const owners = interfaces.filter(iface => iface.Equipo !== equipmentName && isSameIP(iface.IP, gateway));
+  if (owners.length <= 1) return owners[0] || null;
+
+  const { zone } = splitZone(gateway);
+  const onLink = (equipment, name) => interfaces.filter(iface =>
+    iface.Equipo === equipment && iface.Interfaz === name && !isLinkLocal(iface.IP)
+  );
+  const local = zone ? onLink(equipmentName, zone) : [];
+
+  return owners.find(owner =>
+    onLink(owner.Equipo, owner.Interfaz).some(remote =>
+      local.some(iface => isIPInNetwork(remote.IP, iface.IP, iface.Mascara))
+    )
+  ) || null;
+};
+
+/**
+ * Interfaz por la que un equipo sale hacia un gateway
+ * Con zona ("fe80::1%Gi0/0") es la interfaz indicada; sin zona, la conectada
+ * a la red del gateway
+ * @param {string} equipmentName - Nombre del equipo
+ * @param {string} gateway - IP del gateway
+ * @param {Array} interfaces - Tabla de interfaces completa
+ */
+export const findEgressInterface = (equipmentName, gateway, interfaces = []) => {
+  const { zone } = splitZone(gateway);
+  if (zone) {
+    const named = interfaces.filter(iface => iface.Equipo === equipmentName && iface.Interfaz === zone);
+    const match = named.find(iface => isLinkLocal(iface.IP)) || named[0];
+    if (match) return match;
+  }
+  return findInterfaceForNetwork(equipmentName, gateway, interfaces);
+};
+
+/**
+ * Crea el resolvedor de gateways: el equipo (y la interfaz de entrada) al que
+ * corresponde el gateway de una ruta, buscado en la VRF hacia la que reenvía
+ * Si hay modelo de interfaces, el gateway se resuelve al equipo que posee
+ * exactamente esa IP. Sin interfaces se usa el primer equipo de la tabla que
+ * tenga la red del gateway como "directo". Un gateway IPv6 link-local (ej:
+ * "fe80::2%Gi0/1") sólo se puede resolver con la tabla de interfaces (ver
+ * findLinkLocalNeighbor).
+ * Las redes "directo" y las interfaces de cada VRF se indexan una sola vez: en
+ * lugar de recorrer toda la tabla por cada gateway, se busca su red para cada
+ * largo de prefijo presente en la VRF
+ * @param {Array} routingTable - Tabla de ruteo completa
+ * @param {Array} interfaces - Tabla de interfaces completa (opcional)
+ * @returns {Function} (gateway, vrf, currentEquipment) => { equipment, ingress }
+ * o null si no se puede resolver; currentEquipment es el equipo que reenvía
+ * (nunca es su propio siguiente salto)
+ */
+export const createGatewayResolver = (routingTable = [], interfaces = []) => {
+  const scopes = createVRFScopes(routingTable, interfaces);
+  const indexes = new Map();
+
+  const buildIndex = (vrf) => {
+    // "familia|bits|red" → rutas "directo" en el orden de la tabla
+    const networks = new Map();
+    // Familia → largos de prefijo de esas redes
+    const lengths = new Map();
+    // "familia|dirección" → primera interfaz con esa IP
+    const owners = new Map();
+
+    scopes(vrf).routingTable.forEach((route, order) => {
+      const version = ipVersion(route.IP_Destino);
+      const bits = version === null ? null : prefixLength(route.IP_Destino, route.Mascara);
+      if (!isDirectRoute(route) || bits === null) return;
+      const key = `${version}|${bits}|${networkRange(route.IP_Destino, route.Mascara)[0]}`;
+      if (!networks.has(key)) networks.set(key, []);
+      networks.get(key).push({ order, equipment: route.Equipo });
+      if (!lengths.has(version)) lengths.set(version, new Set());
+      lengths.get(version).add(bits);
+    });
+    scopes(vrf).interfaces.forEach(iface => {
+      const version = ipVersion(iface.IP);
+      if (version === null) return;
+      const key = `${version}|${ipToBigInt(iface.IP)}`;
+      if (!owners.has(key)) owners.set(key, iface);
+    });
+    return { networks, lengths, owners };
+  };
+
+  return (gateway, vrf, currentEquipment) => {
+    if (isLinkLocal(gateway)) {
+      const neighbor = findLinkLocalNeighbor(currentEquipment, gateway, scopes(vrf).interfaces);
+      return neighbor ? { equipment: neighbor.Equipo, ingress: neighbor } : null;
+    }
+    const version = ipVersion(gateway);
+    if (version === null) return null;
+    if (!indexes.has(vrf)) indexes.set(vrf, buildIndex(vrf));
+    const { networks, lengths, owners } = indexes.get(vrf);
+
+    const address = ipToBigInt(gateway);
+    const owner = owners.get(`${version}|${address}`);
+    if (owner) {
+      // El gateway es una IP propia: no hay siguiente equipo
+      return owner.Equipo === currentEquipment ? null : { equipment: owner.Equipo, ingress: owner };
+    }
+
+    // Gana la primera ruta de la tabla de otro equipo (nunca el actual, para
+    // evitar loops)
+    let best = null;
+    (lengths.get(version) || []).forEach(bits => {
+      const candidates = networks.get(`${version}|${bits}|${address & maskBitsToBigInt(bits, version)}`) || [];
+      const match = candidates.find(candidate => candidate.equipment !== currentEquipment);
+      if (match && (!best || match.order < best.order)) best = match;
+    });
+    return best ? { equipment: best.equipment, ingress: null } : null;
+  };
+};
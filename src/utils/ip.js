@@ -0,0 +1,338 @@
+/**
+ * Utilidades de direccionamiento IP
+ * Conversión de direcciones y máscaras, y comprobación de pertenencia a redes
+ * Las máscaras se aceptan en formato CIDR ("/24", "24") o decimal con puntos
+ * ("255.255.255.0"), incluyendo /0 (ruta por defecto) y /32 (ruta de host)
+ * Las direcciones IPv6 se aceptan en notación completa o comprimida
+ * ("2001:db8::1", "::/0", "::ffff:192.0.2.1"), con máscaras CIDR de 0 a 128,
+ * y se comparan como BigInt. Una dirección link-local puede llevar la
+ * interfaz por la que se alcanza como zona ("fe80::1%Gi0/0")
+ */
+
+/**
+ * Familias de direcciones
+ */
+export const IP_VERSION = {
+  V4: 4,
+  V6: 6,
+};
+
+// Bits de una dirección de cada familia
+const ADDRESS_BITS = {
+  [IP_VERSION.V4]: 32,
+  [IP_VERSION.V6]: 128,
+};
+
+const IPV4_PATTERN = /^(\d{1,3}\.){3}\d{1,3}$/;
+const IPV6_GROUP_PATTERN = /^[0-9a-f]{1,4}$/;
+
+/**
+ * Convierte una IP a número (entero sin signo de 32 bits) para comparaciones
+ */
+export const ipToNumber = (ip) => {
+  const parts = ip.split('.').map(Number);
+  return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+};
+
+/**
+ * Convierte un número de 32 bits a IP en notación decimal con puntos
+ */
+export const numberToIP = (num) => {
+  return [24, 16, 8, 0].map(shift => (num >>> shift) & 255).join('.');
+};
+
+/**
+ * Separa la zona de una dirección ("fe80::1%Gi0/0" → fe80::1 y Gi0/0)
+ * @returns {Object} { address, zone } (zone es null si no tiene)
+ */
+export const splitZone = (ip) => {
+  const text = String(ip ?? '').trim();
+  const index = text.indexOf('%');
+  if (index < 0) return { address: text, zone: null };
+  return { address: text.slice(0, index), zone: text.slice(index + 1) || null };
+};
+
+/**
+ * Verifica si un texto es una IPv4 en notación decimal con puntos
+ */
+export const isIPv4 = (ip) => {
+  return typeof ip === 'string' && IPV4_PATTERN.test(ip) && ip.split('.').every(part => Number(part) <= 255);
+};
+
+// Convierte una IPv6 (sin zona) a BigInt; null si no es válida
+const parseIPv6 = (ip) => {
+  let text = ip.toLowerCase();
+  if (!text.includes(':')) return null;
+
+  // IPv4 embebida en los últimos 32 bits ("::ffff:192.0.2.1")
+  const lastColon = text.lastIndexOf(':');
+  const tail = text.slice(lastColon + 1);
+  if (tail.includes('.')) {
+    if (!isIPv4(tail)) return null;
+    const value = ipToNumber(tail);
+    text = `${text.slice(0, lastColon + 1)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const groupsOf = (part) => (part === '' ? [] : part.split(':'));
+  const head = groupsOf(halves[0]);
+  const rest = halves.length === 2 ? groupsOf(halves[1]) : [];
+  if (![...head, ...rest].every(group => IPV6_GROUP_PATTERN.test(group))) return null;
+
+  // "::" reemplaza al menos un grupo de ceros; sin "::" deben ser 8 grupos
+  const missing = 8 - head.length - rest.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+  return [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...rest]
+    .reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+};
+
+/**
+ * Verifica si un texto es una IPv6 (notación completa o comprimida, con o sin zona)
+ */
+export const isIPv6 = (ip) => {
+  if (typeof ip !== 'string') return false;
+  return parseIPv6(splitZone(ip).address) !== null;
+};
+
+/**
+ * Familia de una dirección
+ * @returns {number|null} IP_VERSION.V4, IP_VERSION.V6 o null si no es una IP válida
+ */
+export const ipVersion = (ip) => {
+  if (isIPv4(ip)) return IP_VERSION.V4;
+  if (isIPv6(ip)) return IP_VERSION.V6;
+  return null;
+};
+
+/**
+ * Cantidad de bits de las direcciones de una familia (32 o 128)
+ */
+export const addressBits = (version) => ADDRESS_BITS[version] ?? ADDRESS_BITS[IP_VERSION.V4];
+
+/**
+ * Verifica si una IPv6 es link-local (fe80::/10)
+ */
+export const isLinkLocal = (ip) => {
+  if (!isIPv6(ip)) return false;
+  return (parseIPv6(splitZone(ip).address) >> 118n) === 0x3fan;
+};
+
+/**
+ * Convierte una IP de cualquier familia a BigInt (la zona se ignora)
+ * @returns {bigint|null} Valor de la dirección, o null si no es válida
+ */
+export const ipToBigInt = (ip) => {
+  if (isIPv4(ip)) return BigInt(ipToNumber(ip));
+  if (typeof ip !== 'string') return null;
+  return parseIPv6(splitZone(ip).address);
+};
+
+/**
+ * Formatea una IPv6 en su forma comprimida (RFC 5952: minúsculas y "::"
+ * en la serie más larga de dos o más grupos en cero)
+ */
+const formatIPv6 = (value) => {
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn));
+  }
+
+  let best = { start: -1, length: 1 };
+  for (let i = 0; i < groups.length; i++) {
+    if (groups[i] !== 0) continue;
+    let end = i;
+    while (end < groups.length && groups[end] === 0) end++;
+    if (end - i > best.length) best = { start: i, length: end - i };
+    i = end;
+  }
+
+  const hex = (list) => list.map(group => group.toString(16)).join(':');
+  if (best.start < 0) return hex(groups);
+  return `${hex(groups.slice(0, best.start))}::${hex(groups.slice(best.start + best.length))}`;
+};
+
+/**
+ * Convierte un BigInt a IP de la familia indicada
+ */
+export const bigIntToIP = (value, version = IP_VERSION.V4) => {
+  return version === IP_VERSION.V6 ? formatIPv6(value) : numberToIP(Number(value));
+};
+
+/**
+ * Forma canónica de una dirección, para compararla o mostrarla
+ * (las IPv6 se comprimen; la zona se conserva)
+ */
+export const normalizeIP = (ip) => {
+  if (!isIPv6(ip)) return ip;
+  const { address, zone } = splitZone(ip);
+  const text = formatIPv6(parseIPv6(address));
+  return zone ? `${text}%${zone}` : text;
+};
+
+/**
+ * Verifica si dos textos son la misma dirección (ej: "2001:db8::1" y
+ * "2001:0db8:0:0:0:0:0:1"); la zona no se compara
+ */
+export const isSameIP = (a, b) => {
+  if (a === b) return true;
+  const version = ipVersion(a);
+  return version !== null && version === ipVersion(b) && ipToBigInt(a) === ipToBigInt(b);
+};
+
+/**
+ * Convierte una cantidad de bits de máscara a su valor numérico
+ * En JS `x << 32` equivale a `x << 0`, por eso /0 se trata aparte
+ * @param {number} maskBits - Bits de la máscara (0 a 32)
+ */
+export const maskBitsToNumber = (maskBits) => {
+  return maskBits === 0 ? 0 : (0xFFFFFFFF << (32 - maskBits)) >>> 0;
+};
+
+/**
+ * Convierte una cantidad de bits de máscara a BigInt para la familia indicada
+ */
+export const maskBitsToBigInt = (maskBits, version = IP_VERSION.V4) => {
+  const total = BigInt(addressBits(version));
+  const all = (1n << total) - 1n;
+  return (all << (total - BigInt(maskBits))) & all;
+};
+
+/**
+ * Obtiene la cantidad de bits de una máscara
+ * @param {string} mask - Máscara en formato CIDR ("/24", "24") o decimal con
+ * puntos ("255.255.255.0", sólo IPv4)
+ * @param {number} version - Familia de la red (IP_VERSION.V4 por defecto)
+ * @returns {number|null} Bits de la máscara, o null si no es válida
+ */
+export const parseMask = (mask, version = IP_VERSION.V4) => {
+  if (typeof mask !== 'string') return null;
+  const value = mask.trim();
+
+  if (/^\/?\d{1,3}$/.test(value)) {
+    const bits = parseInt(value.replace('/', ''), 10);
+    return bits >= 0 && bits <= addressBits(version) ? bits : null;
+  }
+
+  if (version === IP_VERSION.V4 && IPV4_PATTERN.test(value)) {
+    if (value.split('.').some(part => Number(part) > 255)) return null;
+
+    // La máscara debe ser contigua: unos seguidos de ceros
+    const maskNum = ipToNumber(value);
+    const inverted = (~maskNum) >>> 0;
+    if ((inverted & (inverted + 1)) !== 0) return null;
+
+    let bits = 0;
+    for (let n = maskNum; n & 0x80000000; n = (n << 1) >>> 0) bits++;
+    return bits;
+  }
+
+  return null;
+};
+
+/**
+ * Largo del prefijo de una red según su familia (ver parseMask)
+ * @param {string} network - Red (ej: "192.168.1.0" o "2001:db8::")
+ * @param {string} mask - Máscara
+ * @returns {number|null} Bits de la máscara, o null si no es válida
+ */
+export const prefixLength = (network, mask) => {
+  return parseMask(mask, ipVersion(network) ?? IP_VERSION.V4);
+};
+
+/**
+ * Formatea una dirección con su puerto (ej: "203.0.113.1:40512"; las IPv6
+ * van entre corchetes: "[2001:db8::1]:443"). Lo usan las traducciones de NAT
+ * y los paquetes de las ACL
+ */
+export const formatEndpoint = ({ ip, port }) => {
+  if (port === null || port === undefined) return ip;
+  return ipVersion(ip) === IP_VERSION.V6 ? `[${ip}]:${port}` : `${ip}:${port}`;
+};
+
+/**
+ * Formatea una red en notación CIDR (ej: "192.168.1.0/24" o "2001:db8::/32")
+ * @param {string} network - Red (ej: "192.168.1.0")
+ * @param {string} mask - Máscara en cualquier formato aceptado por parseMask
+ */
+export const formatPrefix = (network, mask) => {
+  const maskBits = prefixLength(network, mask);
+  return maskBits === null ? `${network}${mask}` : `${normalizeIP(network)}/${maskBits}`;
+};
+
+/**
+ * Verifica si una IP pertenece a una red específica
+ * Una IP sólo pertenece a redes de su misma familia
+ * @param {string} ip - IP a verificar (ej: "192.168.1.5" o "2001:db8::5")
+ * @param {string} network - Red (ej: "192.168.1.0")
+ * @param {string} mask - Máscara (ej: "/24" o "255.255.255.0")
+ */
+export const isIPInNetwork = (ip, network, mask) => {
+  if (!ip || !network || !mask) return false;
+
+  try {
+    const version = ipVersion(ip);
+    if (version === null || version !== ipVersion(network)) return false;
+
+    const maskBits = parseMask(mask, version);
+    if (maskBits === null) return false;
+
+    if (version === IP_VERSION.V4) {
+      const maskNum = maskBitsToNumber(maskBits);
+      return ((ipToNumber(ip) & maskNum) >>> 0) === ((ipToNumber(network) & maskNum) >>> 0);
+    }
+
+    const maskValue = maskBitsToBigInt(maskBits, version);
+    return (ipToBigInt(ip) & maskValue) === (ipToBigInt(network) & maskValue);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Calcula el rango [inicio, fin] que cubre una red, como BigInt para que
+ * sirva en ambas familias (sólo se comparan rangos de la misma familia)
+ * @param {string} network - Red (ej: "192.168.1.0")
+ * @param {string} mask - Máscara (ej: "/24" o "255.255.255.0")
+ */
+export const networkRange = (network, mask) => {
+  const version = ipVersion(network) ?? IP_VERSION.V4;
+  const maskValue = maskBitsToBigInt(parseMask(mask, version), version);
+  const start = ipToBigInt(network) & maskValue;
+  return [start, start | (maskValue ^ ((1n << BigInt(addressBits(version))) - 1n))];
+};
+
+/**
+ * Dirección de red de una IP con un largo de prefijo (ej: "10.0.1.0" para
+ * 10.0.1.7 y 24)
+ */
+export const networkAddress = (ip, maskBits) => {
+  const version = ipVersion(ip) ?? IP_VERSION.V4;
+  return bigIntToIP(ipToBigInt(ip) & maskBitsToBigInt(maskBits, version), version);
+};
+
+/**
+ * Red en notación CIDR sin bits de host, para comparar redes escritas de
+ * distinta forma (ej: "192.168.1.0/24" para 192.168.1.5 y 255.255.255.0)
+ * @param {string} network - Red
+ * @param {string} mask - Máscara en cualquier formato aceptado por parseMask
+ */
+export const canonicalPrefix = (network, mask) => {
+  const maskBits = prefixLength(network, mask);
+  return maskBits === null ? formatPrefix(network, mask) : `${networkAddress(network, maskBits)}/${maskBits}`;
+};
+
+/**
+ * Obtiene una dirección representativa de una red para probar alcanzabilidad
+ * Usa el primer host de la red (la propia dirección en /31 y /32, o /127 y
+ * /128 en IPv6)
+ * @param {string} network - Red (ej: "192.168.1.0")
+ * @param {string} mask - Máscara (ej: "/24" o "255.255.255.0")
+ */
+export const representativeAddress = (network, mask) => {
+  const version = ipVersion(network) ?? IP_VERSION.V4;
+  const maskBits = parseMask(mask, version);
+  const [start] = networkRange(network, mask);
+  return bigIntToIP(maskBits >= addressBits(version) - 1 ? start : start + 1n, version);
+};
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { parseMask, isIPInNetwork, IP_VERSION } from './ip.js';
+
+describe('parseMask', () => {
+  it('acepta máscaras CIDR con o sin barra', () => {
+    expect(parseMask('/24')).toBe(24);
+    expect(parseMask('16')).toBe(16);
+    expect(parseMask('/0')).toBe(0);
+    expect(parseMask('/32')).toBe(32);
+  });
+
+  it('acepta máscaras decimales contiguas', () => {
+    expect(parseMask('255.255.255.0')).toBe(24);
+    expect(parseMask('255.255.255.255')).toBe(32);
+    expect(parseMask('0.0.0.0')).toBe(0);
+    expect(parseMask('255.255.252.0')).toBe(22);
+  });
+
+  it('rechaza máscaras fuera de rango, no contiguas o mal escritas', () => {
+    expect(parseMask('/33')).toBeNull();
+    expect(parseMask('255.0.255.0')).toBeNull();
+    expect(parseMask('256.255.255.0')).toBeNull();
+    expect(parseMask('abc')).toBeNull();
+    expect(parseMask(undefined)).toBeNull();
+  });
+
+  it('admite hasta /128 en IPv6 y no acepta máscaras decimales', () => {
+    expect(parseMask('/128', IP_VERSION.V6)).toBe(128);
+    expect(parseMask('/129', IP_VERSION.V6)).toBeNull();
+    expect(parseMask('255.255.255.0', IP_VERSION.V6)).toBeNull();
+  });
+});
+
+describe('isIPInNetwork', () => {
+  it('una red /0 contiene cualquier dirección', () => {
+    expect(isIPInNetwork('8.8.8.8', '0.0.0.0', '/0')).toBe(true);
+    expect(isIPInNetwork('255.255.255.255', '0.0.0.0', '0.0.0.0')).toBe(true);
+  });
+
+  it('una red /32 sólo contiene su propia dirección', () => {
+    expect(isIPInNetwork('10.0.0.5', '10.0.0.5', '/32')).toBe(true);
+    expect(isIPInNetwork('10.0.0.6', '10.0.0.5', '255.255.255.255')).toBe(false);
+  });
+
+  it('compara sólo los bits de red, aunque la red tenga bits de host', () => {
+    expect(isIPInNetwork('192.168.1.200', '192.168.1.1', '/24')).toBe(true);
+    expect(isIPInNetwork('192.168.2.1', '192.168.1.0', '255.255.255.0')).toBe(false);
+  });
+
+  it('no mezcla familias y rechaza máscaras inválidas', () => {
+    expect(isIPInNetwork('2001:db8::1', '0.0.0.0', '/0')).toBe(false);
+    expect(isIPInNetwork('10.0.0.1', '10.0.0.0', '/40')).toBe(false);
+  });
+
+  it('compara redes IPv6 con BigInt', () => {
+    expect(isIPInNetwork('2001:db8:1::50', '2001:db8:1::', '/64')).toBe(true);
+    expect(isIPInNetwork('2001:db8:2::50', '2001:db8:1::', '/64')).toBe(false);
+    expect(isIPInNetwork('2001:db8::1', '::', '/0')).toBe(true);
+  });
+});
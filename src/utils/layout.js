@@ -0,0 +1,413 @@
+/**
+ * Disposición automática del diagrama de red
+ * Calcula la posición de cada equipo según el tipo de disposición elegido:
+ * círculo, dirigida por fuerzas, jerárquica por capas (con raíz en el origen
+ * del traceroute) o en grilla agrupando los equipos por sitio. Opcionalmente
+ * el camino del traceroute se dibuja en una fila de izquierda a derecha.
+ * Todas son funciones puras y deterministas: la misma tabla produce siempre
+ * el mismo diagrama
+ */
+
+/**
+ * Tipos de disposición
+ */
+export const LAYOUT_TYPE = {
+  LAYERED: 'layered',
+  FORCE: 'force',
+  GRID: 'grid',
+  CIRCLE: 'circle',
+};
+
+export const LAYOUT_LABELS = {
+  [LAYOUT_TYPE.LAYERED]: 'Jerárquica',
+  [LAYOUT_TYPE.FORCE]: 'Por fuerzas',
+  [LAYOUT_TYPE.GRID]: 'Grilla por sitio',
+  [LAYOUT_TYPE.CIRCLE]: 'Círculo',
+};
+
+/**
+ * Vistas del diagrama: conexiones entre equipos o segmentos L3 (cada red
+ * "directo" como un nodo propio, ver buildSegmentTopology)
+ */
+export const DIAGRAM_VIEW = {
+  ROUTERS: 'routers',
+  SEGMENTS: 'segments',
+};
+
+/**
+ * Disposición por defecto de un proyecto: `positions` guarda las posiciones
+ * de los equipos (y segmentos) movidos a mano ({ [id]: { x, y } })
+ */
+export const DEFAULT_LAYOUT = {
+  type: LAYOUT_TYPE.LAYERED,
+  view: DIAGRAM_VIEW.ROUTERS,
+  pathLeftToRight: false,
+  positions: {},
+};
+
+/**
+ * Columna opcional de la tabla de ruteo con el sitio de cada equipo
+ */
+export const SITE_COLUMN = 'Sitio';
+
+// Sitio de los equipos sin columna Sitio ni prefijo en el nombre
+export const NO_SITE = '';
+
+// Separación entre equipos (los nodos miden unos 120×45 px)
+const SPACING_X = 180;
+const SPACING_Y = 120;
+
+// Iteraciones de la disposición por fuerzas: menos en tablas grandes, donde
+// cada iteración cuesta más
+const FORCE_ITERATIONS = 120;
+const FORCE_ITERATIONS_LARGE = 60;
+const FORCE_LARGE_GRAPH = 200;
+const FORCE_GRAVITY = 0.05;
+
+// Barridos de la heurística del baricentro que ordena cada capa
+const BARYCENTER_SWEEPS = 4;
+
+/**
+ * Sitio de cada equipo: el de su columna Sitio o, si no tiene, el prefijo de
+ * su nombre hasta el primer "-", "_" o "." (ej: "BUE-CORE1" → "BUE")
+ * @param {Array} routingData - Tabla de ruteo completa
+ * @returns {Object} { [equipo]: sitio } (NO_SITE si no se puede deducir)
+ */
+export const equipmentSites = (routingData = []) => {
+  const explicit = {};
+  const sites = {};
+  routingData.forEach(route => {
+    const site = String(route[SITE_COLUMN] ?? '').trim();
+    if (site && !(route.Equipo in explicit)) explicit[route.Equipo] = site;
+    if (!(route.Equipo in sites)) {
+      const match = /^([^-_.]+)[-_.]./.exec(route.Equipo);
+      sites[route.Equipo] = match ? match[1] : NO_SITE;
+    }
+  });
+  return { ...sites, ...explicit };
+};
+
+/**
+ * Equipos del camino principal de un traceroute, en orden
+ */
+export const tracePath = (traceResult) => {
+  const hops = traceResult?.hops || [];
+  if (hops.length === 0) return [];
+  const last = hops[hops.length - 1];
+  const path = hops.map(hop => hop.currentEquipment);
+  if (last.nextEquipment) path.push(last.nextEquipment);
+  // Un loop repite equipos: cada uno aparece una sola vez en la fila
+  return [...new Set(path)];
+};
+
+// Lista de vecinos de cada equipo (sólo entre los equipos dibujados)
+const adjacencyOf = (ids, links) => {
+  const adjacency = new Map(ids.map(id => [id, []]));
+  links.forEach(({ source, target }) => {
+    if (source === target || !adjacency.has(source) || !adjacency.has(target)) return;
+    adjacency.get(source).push(target);
+    adjacency.get(target).push(source);
+  });
+  return adjacency;
+};
+
+const circleLayout = (ids) => {
+  const radius = Math.max(250, (ids.length * SPACING_X) / (2 * Math.PI));
+  return Object.fromEntries(ids.map((id, index) => {
+    const angle = (index / ids.length) * 2 * Math.PI;
+    return [id, { x: 400 + radius * Math.cos(angle), y: 300 + radius * Math.sin(angle) }];
+  }));
+};
+
+/**
+ * Disposición dirigida por fuerzas (Fruchterman-Reingold)
+ * Los equipos se repelen y las conexiones los atraen. La repulsión sólo se
+ * calcula entre equipos de celdas vecinas de una grilla, por lo que cada
+ * iteración es casi lineal y escala a cientos de equipos
+ * @param {Object} fixed - Posiciones que no se mueven ({ [id]: { x, y } })
+ */
+const forceLayout = (ids, links, fixed = {}) => {
+  const k = SPACING_X;
+  const cell = 2 * k;
+  const initial = circleLayout(ids);
+  const nodes = ids.map(id => ({ id, ...(fixed[id] || initial[id]), dx: 0, dy: 0, fixed: Boolean(fixed[id]) }));
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const edges = links
+    .filter(({ source, target }) => source !== target && index.has(source) && index.has(target))
+    .map(({ source, target }) => [nodes[index.get(source)], nodes[index.get(target)]]);
+
+  const iterations = ids.length > FORCE_LARGE_GRAPH ? FORCE_ITERATIONS_LARGE : FORCE_ITERATIONS;
+  let temperature = k * 2;
+  const cooling = temperature / (iterations + 1);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const grid = new Map();
+    nodes.forEach(node => {
+      node.dx = 0;
+      node.dy = 0;
+      const key = `${Math.floor(node.x / cell)}|${Math.floor(node.y / cell)}`;
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(node);
+    });
+
+    // Repulsión entre equipos cercanos
+    nodes.forEach(node => {
+      const cx = Math.floor(node.x / cell);
+      const cy = Math.floor(node.y / cell);
+      for (let gx = cx - 1; gx <= cx + 1; gx++) {
+        for (let gy = cy - 1; gy <= cy + 1; gy++) {
+          (grid.get(`${gx}|${gy}`) || []).forEach(other => {
+            if (other === node) return;
+            let dx = node.x - other.x;
+            let dy = node.y - other.y;
+            // Dos equipos en el mismo punto se separan en una dirección fija
+            if (dx === 0 && dy === 0) {
+              dx = node.id < other.id ? -0.1 : 0.1;
+              dy = 0.1;
+            }
+            const distance = Math.hypot(dx, dy);
+            if (distance > cell) return;
+            const force = (k * k) / distance;
+            node.dx += (dx / distance) * force;
+            node.dy += (dy / distance) * force;
+          });
+        }
+      }
+    });
+
+    // Atracción a lo largo de las conexiones
+    edges.forEach(([a, b]) => {
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const distance = Math.max(Math.hypot(dx, dy), 0.01);
+      const force = (distance * distance) / k;
+      a.dx -= (dx / distance) * force;
+      a.dy -= (dy / distance) * force;
+      b.dx += (dx / distance) * force;
+      b.dy += (dy / distance) * force;
+    });
+
+    // Una leve gravedad mantiene juntos los componentes desconectados
+    const cx = nodes.reduce((sum, node) => sum + node.x, 0) / nodes.length;
+    const cy = nodes.reduce((sum, node) => sum + node.y, 0) / nodes.length;
+    nodes.forEach(node => {
+      if (node.fixed) return;
+      node.dx -= (node.x - cx) * FORCE_GRAVITY;
+      node.dy -= (node.y - cy) * FORCE_GRAVITY;
+      const displacement = Math.hypot(node.dx, node.dy);
+      if (displacement === 0) return;
+      const step = Math.min(displacement, temperature);
+      node.x += (node.dx / displacement) * step;
+      node.y += (node.dy / displacement) * step;
+    });
+
+    temperature -= cooling;
+  }
+
+  return Object.fromEntries(nodes.map(node => [node.id, { x: node.x, y: node.y }]));
+};
+
+/**
+ * Disposición jerárquica por capas
+ * Cada equipo queda en la capa de su distancia (en saltos) a la raíz; los
+ * componentes sin conexión con la raíz se agregan con su propia raíz. Dentro
+ * de cada capa los equipos se ordenan por el baricentro de sus vecinos para
+ * reducir los cruces
+ * @param {Object} options - { root, path, horizontal }: con path, cada equipo
+ * del camino queda en su propia capa y primero en ella
+ */
+const layeredLayout = (ids, links, { root = null, path = [], horizontal = false } = {}) => {
+  const adjacency = adjacencyOf(ids, links);
+  const layerOf = new Map();
+  const queue = [];
+
+  const seed = (id, layer) => {
+    if (!adjacency.has(id) || layerOf.has(id)) return;
+    layerOf.set(id, layer);
+    queue.push(id);
+  };
+  const expand = () => {
+    while (queue.length > 0) {
+      const id = queue.shift();
+      adjacency.get(id).forEach(neighbor => seed(neighbor, layerOf.get(id) + 1));
+    }
+  };
+
+  if (path.length > 0) {
+    path.forEach((id, index) => seed(id, index));
+  } else {
+    seed(root ?? ids[0], 0);
+  }
+  expand();
+  ids.forEach(id => {
+    if (!layerOf.has(id)) {
+      seed(id, 0);
+      expand();
+    }
+  });
+
+  // Capas en el orden en que se descubrieron los equipos
+  const layers = [];
+  layerOf.forEach((layer, id) => {
+    if (!layers[layer]) layers[layer] = [];
+    layers[layer].push(id);
+  });
+
+  // Heurística del baricentro: se alternan barridos hacia abajo y hacia arriba
+  const onPath = new Set(path);
+  const position = new Map();
+  const indexLayers = () => layers.forEach(layer => layer?.forEach((id, i) => position.set(id, i)));
+  indexLayers();
+  for (let sweep = 0; sweep < BARYCENTER_SWEEPS; sweep++) {
+    const downward = sweep % 2 === 0;
+    const order = downward ? layers.keys() : [...layers.keys()].reverse();
+    for (const l of order) {
+      const reference = downward ? l - 1 : l + 1;
+      if (!layers[l] || !layers[reference]) continue;
+      const barycenter = new Map(layers[l].map(id => {
+        const neighbors = adjacency.get(id).filter(neighbor => layerOf.get(neighbor) === reference);
+        const value = neighbors.length > 0
+          ? neighbors.reduce((sum, neighbor) => sum + position.get(neighbor), 0) / neighbors.length
+          : position.get(id);
+        return [id, onPath.has(id) ? -Infinity : value];
+      }));
+      layers[l].sort((a, b) => barycenter.get(a) - barycenter.get(b));
+      layers[l].forEach((id, i) => position.set(id, i));
+    }
+  }
+
+  // Con el camino en fila, sus equipos van primeros en su capa (misma altura)
+  const positions = {};
+  layers.forEach((layer, l) => {
+    layer?.forEach((id, i) => {
+      const offset = path.length > 0 ? i : i - (layer.length - 1) / 2;
+      positions[id] = horizontal
+        ? { x: l * SPACING_X * 1.2, y: offset * SPACING_Y }
+        : { x: offset * SPACING_X, y: l * SPACING_Y * 1.2 };
+    });
+  });
+  return positions;
+};
+
+/**
+ * Disposición en grilla por sitio: cada sitio es un bloque de equipos en
+ * grilla y los bloques se acomodan en filas
+ * @returns {Object} { positions, labels } donde labels son los títulos de los
+ * bloques ({ id, text, x, y })
+ */
+const gridLayout = (ids, sites) => {
+  const bySite = new Map();
+  [...ids].sort((a, b) => a.localeCompare(b)).forEach(id => {
+    const site = sites[id] ?? NO_SITE;
+    if (!bySite.has(site)) bySite.set(site, []);
+    bySite.get(site).push(id);
+  });
+  const ordered = [...bySite.entries()].sort(([a], [b]) =>
+    (a === NO_SITE ? 1 : b === NO_SITE ? -1 : a.localeCompare(b))
+  );
+
+  const rowWidth = Math.ceil(Math.sqrt(ids.length)) * SPACING_X * 1.5;
+  const positions = {};
+  const labels = [];
+  let x = 0;
+  let y = 0;
+  let rowHeight = 0;
+
+  ordered.forEach(([site, members]) => {
+    const columns = Math.ceil(Math.sqrt(members.length));
+    const width = columns * SPACING_X;
+    const height = Math.ceil(members.length / columns) * SPACING_Y + SPACING_Y / 2;
+    if (x > 0 && x + width > rowWidth) {
+      x = 0;
+      y += rowHeight + SPACING_Y / 2;
+      rowHeight = 0;
+    }
+
+    labels.push({ id: site, text: site === NO_SITE ? 'Sin sitio' : site, x, y });
+    members.forEach((id, i) => {
+      positions[id] = { x: x + (i % columns) * SPACING_X, y: y + SPACING_Y / 2 + Math.floor(i / columns) * SPACING_Y };
+    });
+
+    x += width + SPACING_X / 2;
+    rowHeight = Math.max(rowHeight, height);
+  });
+
+  return { positions, labels };
+};
+
+// Coloca el camino en una fila de izquierda a derecha por encima del resto
+const pathRowAbove = (positions, path) => {
+  const others = Object.entries(positions).filter(([id]) => !path.includes(id));
+  const top = others.length > 0 ? Math.min(...others.map(([, p]) => p.y)) : 0;
+  const left = others.length > 0 ? Math.min(...others.map(([, p]) => p.x)) : 0;
+  const result = { ...positions };
+  path.forEach((id, i) => {
+    if (result[id]) result[id] = { x: left + i * SPACING_X, y: top - SPACING_Y * 1.5 };
+  });
+  return result;
+};
+
+/**
+ * Calcula la disposición automática de los equipos
+ * @param {Array} ids - Equipos a dibujar
+ * @param {Array} links - Conexiones [{ source, target }] (ver buildTopology)
+ * @param {Object} options - Opciones
+ * @param {string} options.type - Tipo de disposición (ver LAYOUT_TYPE)
+ * @param {string} options.root - Raíz de la disposición jerárquica (ej: el
+ * origen del traceroute); por defecto el primer equipo
+ * @param {Array} options.path - Si se indica, equipos del camino a dibujar
+ * en una fila de izquierda a derecha (ver tracePath)
+ * @param {Object} options.sites - Sitio de cada equipo, para la grilla (ver equipmentSites)
+ * @returns {Object} { positions, labels } con positions { [equipo]: { x, y } }
+ * y labels los títulos de los sitios de la grilla
+ */
+export const computeLayout = (ids, links = [], options = {}) => {
+  const { type = DEFAULT_LAYOUT.type, root = null, path = [], sites = {} } = options;
+  if (ids.length === 0) return { positions: {}, labels: [] };
+  const shownPath = path.filter(id => ids.includes(id));
+
+  switch (type) {
+    case LAYOUT_TYPE.LAYERED:
+      return {
+        positions: layeredLayout(ids, links, { root, path: shownPath, horizontal: shownPath.length > 0 }),
+        labels: [],
+      };
+    case LAYOUT_TYPE.FORCE: {
+      const fixed = Object.fromEntries(shownPath.map((id, i) => [id, { x: i * SPACING_X * 1.2, y: 0 }]));
+      return { positions: forceLayout(ids, links, fixed), labels: [] };
+    }
+    case LAYOUT_TYPE.GRID: {
+      const { positions, labels } = gridLayout(ids, sites);
+      return {
+        positions: shownPath.length > 0 ? pathRowAbove(positions, shownPath) : positions,
+        labels,
+      };
+    }
+    default: {
+      const positions = circleLayout(ids);
+      return { positions: shownPath.length > 0 ? pathRowAbove(positions, shownPath) : positions, labels: [] };
+    }
+  }
+};
+
+/**
+ * Valida la disposición guardada en un proyecto
+ * @returns {Object} Disposición completa (con los valores por defecto)
+ * @throws {Error} Si el tipo o las posiciones no son válidos
+ */
+export const parseLayout = (layout) => {
+  if (layout === undefined || layout === null) return DEFAULT_LAYOUT;
+
+  const { type = DEFAULT_LAYOUT.type, view = DEFAULT_LAYOUT.view, pathLeftToRight = false, positions = {} } = layout;
+  if (!Object.values(LAYOUT_TYPE).includes(type)) {
+    throw new Error(`Tipo de disposición del diagrama desconocido: "${type}"`);
+  }
+  if (!Object.values(DIAGRAM_VIEW).includes(view)) {
+    throw new Error(`Vista del diagrama desconocida: "${view}"`);
+  }
+  if (typeof positions !== 'object' || Array.isArray(positions) ||
+      Object.values(positions).some(p => !Number.isFinite(p?.x) || !Number.isFinite(p?.y))) {
+    throw new Error('Las posiciones del diagrama deben ser { x, y } numéricos por equipo');
+  }
+  return { type, view, pathLeftToRight: Boolean(pathLeftToRight), positions };
+};
@@ -0,0 +1,187 @@
+/**
+ * Modelo de enlaces entre equipos
+ * Cada enlace (par de equipos, sin importar el sentido) tiene latencia,
+ * ancho de banda, pérdida y MTU. Dos equipos unidos por varios enlaces
+ * paralelos se distinguen por la red de cada uno (columna Red): esa fila
+ * sólo se aplica a los saltos por esa red. Los enlaces que no aparecen en la
+ * tabla usan los valores por defecto. Con estos atributos se calculan las
+ * métricas de un camino: latencia acumulada, cuello de botella, MTU del
+ * camino (y dónde habría que fragmentar) y pérdida esperada.
+ */
+import { linkKey } from './failures.js';
+import { canonicalPrefix, ipVersion, isIPInNetwork, parseMask } from './ip.js';
+
+/**
+ * Columnas del CSV de enlaces
+ * (formato: Equipo_A, Equipo_B y, opcionalmente, Latencia en ms,
+ * Ancho_Banda en Mbps, Perdida en %, MTU en bytes y Red, el segmento del
+ * enlace en notación CIDR)
+ */
+export const LINK_COLUMNS = ['Equipo_A', 'Equipo_B'];
+export const LINK_OPTIONAL_COLUMNS = ['Latencia', 'Ancho_Banda', 'Perdida', 'MTU', 'Red'];
+
+/**
+ * Atributos de un enlace que no figura en la tabla
+ */
+export const DEFAULT_LINK_ATTRIBUTES = {
+  latency: 5,
+  bandwidth: 1000,
+  loss: 0,
+  mtu: 1500,
+};
+
+// Tamaño de los paquetes que envía el origen (una trama Ethernet completa)
+export const DEFAULT_PACKET_SIZE = 1500;
+
+// Columna del CSV, atributo y rango válido de cada valor
+const ATTRIBUTE_COLUMNS = [
+  { column: 'Latencia', attribute: 'latency', min: 0, max: Infinity },
+  { column: 'Ancho_Banda', attribute: 'bandwidth', min: Number.MIN_VALUE, max: Infinity },
+  { column: 'Perdida', attribute: 'loss', min: 0, max: 100 },
+  // 68 bytes es la MTU mínima de IPv4
+  { column: 'MTU', attribute: 'mtu', min: 68, max: 65535 },
+];
+
+// Segmento de una fila (ej: "10.0.1.0/24"), o null si no indica la red
+const parseSegment = (row, line) => {
+  const raw = String(row.Red ?? '').trim();
+  if (raw === '') return null;
+
+  const [network, bits, extra] = raw.split('/');
+  const version = ipVersion(network);
+  if (extra !== undefined || version === null || bits === undefined || parseMask(bits, version) === null) {
+    throw new Error(`Valor inválido en la línea ${line} del CSV de enlaces: Red "${raw}" (debe ser una red en notación CIDR, ej: 10.0.1.0/24)`);
+  }
+  return { network, mask: `/${bits}`, cidr: canonicalPrefix(network, `/${bits}`) };
+};
+
+/**
+ * Construye el modelo de enlaces desde las filas del CSV
+ * Las celdas vacías toman el valor por defecto
+ * @param {Array} rows - Filas con Equipo_A, Equipo_B y los atributos opcionales
+ * @returns {Object} { pairs, segments } donde pairs es { [linkKey]: { latency,
+ * bandwidth, loss, mtu } } con las filas sin red y segments es
+ * { [linkKey]: [{ network, mask, cidr, attributes }] } con las que indican la red
+ * @throws {Error} Si un valor no es un número válido o la red no es un CIDR
+ */
+export const buildLinkModel = (rows = []) => {
+  const model = { pairs: {}, segments: {} };
+
+  rows.forEach((row, index) => {
+    const line = row.__line ?? index + 2;
+    const attributes = { ...DEFAULT_LINK_ATTRIBUTES };
+
+    ATTRIBUTE_COLUMNS.forEach(({ column, attribute, min, max }) => {
+      const raw = String(row[column] ?? '').trim();
+      if (raw === '') return;
+
+      const value = Number(raw.replace(',', '.'));
+      if (Number.isNaN(value) || value < min || value > max) {
+        throw new Error(`Valor inválido en la línea ${line} del CSV de enlaces: ${column} "${raw}"`);
+      }
+      attributes[attribute] = value;
+    });
+
+    const key = linkKey(row.Equipo_A.trim(), row.Equipo_B.trim());
+    const segment = parseSegment(row, line);
+    if (!segment) {
+      model.pairs[key] = attributes;
+      return;
+    }
+    // Una fila repetida para la misma red reemplaza a la anterior, como en pairs
+    const segments = (model.segments[key] || []).filter(entry => entry.cidr !== segment.cidr);
+    model.segments[key] = [...segments, { ...segment, attributes }];
+  });
+
+  return model;
+};
+
+// Fila del modelo para el enlace entre dos equipos: la de la red que contiene
+// alguna de las direcciones del salto o, si no hay, la del par de equipos
+const findLink = (model, equipmentA, equipmentB, addresses) => {
+  const key = linkKey(equipmentA, equipmentB);
+  const segment = (model?.segments?.[key] || []).find(entry =>
+    addresses.some(address => isIPInNetwork(address, entry.network, entry.mask))
+  );
+  return segment?.attributes || model?.pairs?.[key] || null;
+};
+
+/**
+ * Atributos del enlace entre dos equipos (los por defecto si no figura)
+ * @param {Object} model - Modelo de enlaces (ver buildLinkModel)
+ * @param {string} equipmentA - Un extremo del enlace
+ * @param {string} equipmentB - El otro extremo
+ * @param {Array} addresses - Direcciones del salto en el enlace (gateway, IP
+ * de entrada), para elegir entre enlaces paralelos por su red
+ */
+export const linkAttributes = (model, equipmentA, equipmentB, addresses = []) => {
+  return findLink(model, equipmentA, equipmentB, addresses) || DEFAULT_LINK_ATTRIBUTES;
+};
+
+export const hasLinkAttributes = (model, equipmentA, equipmentB, addresses = []) => {
+  return findLink(model, equipmentA, equipmentB, addresses) !== null;
+};
+
+/**
+ * Calcula las métricas de un camino
+ * @param {Array} hops - Saltos del camino
+ * @param {Object} model - Modelo de enlaces (ver buildLinkModel)
+ * @param {number} packetSize - Tamaño de los paquetes enviados (bytes)
+ * @returns {Object} { links, latency, bandwidth, bottleneck, mtu,
+ * fragmentation, loss } donde latency es la latencia de ida acumulada (ms),
+ * bandwidth y bottleneck el ancho de banda mínimo (Mbps) y su enlace, mtu la
+ * MTU del camino, fragmentation los equipos donde el paquete no entra en el
+ * enlace de salida ({ equipment, nextEquipment, mtu, packetSize }: allí se
+ * fragmenta o, con DF, se envía "Fragmentation Needed" para PMTUD) y loss la
+ * pérdida esperada de punta a punta (%)
+ */
+export const pathMetrics = (hops, model, packetSize = DEFAULT_PACKET_SIZE) => {
+  const links = hops
+    .filter(hop => hop.nextEquipment)
+    .map(hop => ({
+      from: hop.currentEquipment,
+      to: hop.nextEquipment,
+      ...linkAttributes(model, hop.currentEquipment, hop.nextEquipment, [hop.gateway, hop.egressIP]),
+    }));
+
+  let bottleneck = null;
+  let size = packetSize;
+  const fragmentation = [];
+  links.forEach(link => {
+    if (!bottleneck || link.bandwidth < bottleneck.bandwidth) bottleneck = link;
+    if (link.mtu < size) {
+      fragmentation.push({ equipment: link.from, nextEquipment: link.to, mtu: link.mtu, packetSize: size });
+      size = link.mtu;
+    }
+  });
+
+  const delivered = links.reduce((probability, link) => probability * (1 - link.loss / 100), 1);
+
+  return {
+    links,
+    latency: links.reduce((total, link) => total + link.latency, 0),
+    bandwidth: bottleneck?.bandwidth ?? null,
+    bottleneck: bottleneck ? { from: bottleneck.from, to: bottleneck.to } : null,
+    mtu: links.length > 0 ? Math.min(...links.map(link => link.mtu)) : DEFAULT_LINK_ATTRIBUTES.mtu,
+    fragmentation,
+    loss: (1 - delivered) * 100,
+  };
+};
+
+/**
+ * Formatea un ancho de banda en Mbps (ej: "100 Mbps", "10 Gbps")
+ */
+export const formatBandwidth = (mbps) => {
+  if (mbps >= 1000) return `${+(mbps / 1000).toFixed(2)} Gbps`;
+  if (mbps < 1) return `${+(mbps * 1000).toFixed(2)} kbps`;
+  return `${+mbps.toFixed(2)} Mbps`;
+};
+
+/**
+ * Etiqueta de un enlace para el diagrama (ej: "5 ms · 1 Gbps · MTU 1500")
+ */
+export const formatLinkLabel = (attributes) => {
+  const parts = [`${attributes.latency} ms`, formatBandwidth(attributes.bandwidth), `MTU ${attributes.mtu}`];
+  if (attributes.loss > 0) parts.push(`${attributes.loss}% pérdida`);
+  return parts.join(' · ');
+};
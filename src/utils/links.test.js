@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { buildLinkModel, linkAttributes, DEFAULT_LINK_ATTRIBUTES } from './links.js';
+import { executeTraceroute } from './traceroute.js';
+import { route } from './testRoutes.js';
+
+// R1 y R2 unidos por dos enlaces paralelos: 10.0.0.0/30 y 10.0.1.0/30
+const model = buildLinkModel([
+  { Equipo_A: 'R1', Equipo_B: 'R2', Latencia: '2', Red: '10.0.0.0/30' },
+  { Equipo_A: 'R2', Equipo_B: 'R1', Latencia: '40', Red: '10.0.1.1/30' },
+  { Equipo_A: 'R1', Equipo_B: 'R2', Latencia: '10' },
+]);
+
+describe('buildLinkModel', () => {
+  it('distingue los enlaces paralelos por su red y usa el par de equipos si ninguna coincide', () => {
+    expect(linkAttributes(model, 'R2', 'R1', ['10.0.0.2']).latency).toBe(2);
+    expect(linkAttributes(model, 'R1', 'R2', ['10.0.1.2']).latency).toBe(40);
+    expect(linkAttributes(model, 'R1', 'R2', ['10.0.9.2']).latency).toBe(10);
+    expect(linkAttributes(model, 'R1', 'R2').latency).toBe(10);
+    expect(linkAttributes(model, 'R1', 'R3', ['10.0.0.2'])).toEqual(DEFAULT_LINK_ATTRIBUTES);
+  });
+
+  it('rechaza una red que no está en notación CIDR', () => {
+    expect(() => buildLinkModel([{ Equipo_A: 'R1', Equipo_B: 'R2', Red: '10.0.0.0' }]))
+      .toThrow('Valor inválido en la línea 2 del CSV de enlaces: Red "10.0.0.0"');
+  });
+});
+
+describe('pathMetrics', () => {
+  it('suma la latencia del enlace por el que sale cada salto', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/30', 'directo'),
+      route('R1', '10.0.1.0', '/30', 'directo'),
+      route('R2', '10.0.0.0', '/30', 'directo'),
+      route('R2', '10.0.1.0', '/30', 'directo'),
+      route('R2', '192.168.5.0', '/24', 'directo'),
+      route('R1', '192.168.5.0', '/24', '10.0.1.2'),
+    ];
+    const result = executeTraceroute('R1', '10.0.0.1', '192.168.5.1', table, { links: model });
+    expect(result.metrics.latency).toBe(40);
+  });
+});
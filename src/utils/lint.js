@@ -0,0 +1,340 @@
+/**
+ * Linter estático de tablas de ruteo
+ * Revisa la tabla cargada con un conjunto de reglas y devuelve hallazgos
+ * con severidad y la línea del CSV donde se encuentra el problema
+ */
+import { ipVersion, ipToBigInt, bigIntToIP, isLinkLocal, splitZone, prefixLength, networkRange, formatPrefix } from './ip.js';
+import { validateIP } from './traceroute.js';
+import { createGatewayResolver } from './interfaces.js';
+import { routeDistance, routeMetric, isDirectRoute } from './routeSelection.js';
+import { vrfOf, leakTarget, targetVRF, inVRF } from './vrf.js';
+
+/**
+ * Niveles de severidad de los hallazgos, de mayor a menor
+ */
+export const LINT_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info',
+};
+
+/**
+ * Red de cada ruta bien formada, calculada una sola vez para toda la tabla
+ * (las reglas comparan rutas entre sí y no deben volver a parsearlas)
+ * @returns {Map} ruta → { version, bits, start, end, key } con key la red
+ * normalizada sin bits de host (ej: "192.168.1.0/24")
+ */
+const analyzeRoutes = (routes) => new Map(routes.map(route => {
+  const version = ipVersion(route.IP_Destino);
+  const bits = prefixLength(route.IP_Destino, route.Mascara);
+  const [start, end] = networkRange(route.IP_Destino, route.Mascara);
+  return [route, { version, bits, start, end, key: `${bigIntToIP(start, version)}/${bits}` }];
+}));
+
+const groupBy = (items, keyOf) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+};
+
+// Primer índice de una lista ordenada que cumple predicate (o la longitud)
+const lowerBound = (list, predicate) => {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (predicate(list[middle])) high = middle;
+    else low = middle + 1;
+  }
+  return low;
+};
+
+const byStart = (a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0);
+
+// Valor escrito en una columna numérica (null si está vacía): la selección de
+// rutas ignora los que no son números, pero el linter debe verlos
+const writtenNumber = (value) => {
+  const raw = String(value ?? '').trim();
+  return raw === '' ? null : Number(raw);
+};
+
+// Una ruta es analizable si su red, su máscara y su gateway son válidos; la
+// distancia o métrica inválidas ya las reporta checkMalformed y no impiden
+// analizar el resto de la ruta
+const isWellFormed = (route) =>
+  validateIP(route.IP_Destino) &&
+  prefixLength(route.IP_Destino, route.Mascara) !== null &&
+  (isDirectRoute(route) || validateIP(route.Gateway));
+
+/**
+ * Regla: direcciones, máscaras o gateways con formato inválido
+ */
+const checkMalformed = (routes, report) => {
+  routes.forEach(route => {
+    if (!validateIP(route.IP_Destino)) {
+      report(LINT_SEVERITY.ERROR, 'invalid-network', route,
+        `La red destino "${route.IP_Destino}" no es una IP válida`);
+    }
+    if (prefixLength(route.IP_Destino, route.Mascara) === null) {
+      report(LINT_SEVERITY.ERROR, 'invalid-mask', route,
+        `La máscara "${route.Mascara}" no es válida`);
+    }
+    if (!isDirectRoute(route) && !validateIP(route.Gateway)) {
+      report(LINT_SEVERITY.ERROR, 'invalid-gateway', route,
+        `El gateway "${route.Gateway}" no es una IP válida ni "directo"`);
+    }
+    const distance = writtenNumber(route.Distancia);
+    if (distance !== null && (!Number.isInteger(distance) || distance < 0 || distance > 255)) {
+      report(LINT_SEVERITY.ERROR, 'invalid-distance', route,
+        `La distancia administrativa "${route.Distancia}" debe ser un entero entre 0 y 255`);
+    }
+    const metric = writtenNumber(route.Metrica);
+    if (metric !== null && !(Number.isFinite(metric) && metric >= 0)) {
+      report(LINT_SEVERITY.ERROR, 'invalid-metric', route,
+        `La métrica "${route.Metrica}" debe ser un número no negativo`);
+    }
+  });
+};
+
+/**
+ * Regla: entradas duplicadas y entradas en conflicto
+ * (misma red en el mismo equipo con distinto gateway, que resultan en ECMP)
+ * Las rutas de la misma red con distinta distancia o métrica no se reportan:
+ * son rutas de respaldo (ej: "floating static")
+ */
+const checkDuplicates = (routes, report, networks) => {
+  const seen = new Map();
+  routes.forEach(route => {
+    const prefix = networks.get(route).key;
+    const key = `${route.Equipo}|${vrfOf(route)}|${prefix}|${routeDistance(route)}|${routeMetric(route)}`;
+    const previous = seen.get(key);
+
+    if (!previous) {
+      seen.set(key, route);
+    } else if (previous.Gateway.toLowerCase() === route.Gateway.toLowerCase()) {
+      report(LINT_SEVERITY.WARNING, 'duplicate-route', route,
+        `Entrada duplicada de ${prefix} en "${route.Equipo}" (ya declarada en la línea ${previous.__line})`);
+    } else {
+      // Con gateways distintos ambas rutas forman un grupo ECMP, lo cual
+      // puede ser intencional: se advierte en lugar de marcar error
+      report(LINT_SEVERITY.WARNING, 'conflicting-route', route,
+        `${prefix} en "${route.Equipo}" usa ${route.Gateway}, pero la línea ${previous.__line} usa ${previous.Gateway} (se balancearán por ECMP)`);
+    }
+  });
+};
+
+/**
+ * Regla: redes con bits de host encendidos (ej: 192.168.1.5/24)
+ */
+const checkHostBits = (routes, report, networks) => {
+  routes.forEach(route => {
+    const { start, key } = networks.get(route);
+    if (start !== ipToBigInt(route.IP_Destino)) {
+      report(LINT_SEVERITY.WARNING, 'host-bits-set', route,
+        `${formatPrefix(route.IP_Destino, route.Mascara)} tiene bits de host encendidos; la red es ${key}`);
+    }
+  });
+};
+
+/**
+ * Reglas sobre gateways:
+ * - ningún otro equipo tiene la red del gateway como "directo"
+ * - el gateway es una IP del propio equipo (con tabla de interfaces)
+ * - el gateway no está en ninguna red directamente conectada del equipo
+ * - la ruta envía a un gateway el tráfico de una red propia "directo"
+ * - el gateway es de otra familia que la red destino
+ * - el gateway es link-local sin la interfaz de salida (ej: "fe80::1%Gi0/0")
+ * El gateway se resuelve igual que en el traceroute (ver createGatewayResolver),
+ * en la VRF hacia la que reenvía la ruta (ver vrf.js). Un gateway link-local
+ * no está en ninguna red "directo": se resuelve sólo con la tabla de interfaces
+ */
+const checkGateways = (routes, report, networks, interfaces) => {
+  const directRoutes = routes.filter(isDirectRoute);
+  const directByEquipment = groupBy(directRoutes, route => route.Equipo);
+  const resolveGatewayIn = createGatewayResolver(routes, interfaces);
+  const contains = (network, version, address) =>
+    network.version === version && address >= network.start && address <= network.end;
+
+  routes.filter(route => !isDirectRoute(route)).forEach(route => {
+    const network = networks.get(route);
+    const nextVRF = targetVRF(route);
+    const ownDirect = directByEquipment.get(route.Equipo) || [];
+    const adjacent = inVRF(ownDirect, nextVRF);
+    const gatewayVersion = ipVersion(route.Gateway);
+
+    if (gatewayVersion !== network.version) {
+      report(LINT_SEVERITY.WARNING, 'gateway-family-mismatch', route,
+        `El gateway ${route.Gateway} no es de la misma familia que ${network.key}`);
+    }
+
+    if (isLinkLocal(route.Gateway)) {
+      if (!splitZone(route.Gateway).zone) {
+        report(LINT_SEVERITY.WARNING, 'link-local-without-zone', route,
+          `El gateway link-local ${route.Gateway} no indica la interfaz de salida (ej: ${route.Gateway}%Gi0/0)`);
+      }
+      if (!resolveGatewayIn(route.Gateway, nextVRF, route.Equipo)) {
+        report(LINT_SEVERITY.ERROR, 'gateway-unresolvable', route,
+          `El gateway link-local ${route.Gateway} no corresponde a un único vecino de "${route.Equipo}" en la tabla de interfaces`);
+      }
+      return;
+    }
+
+    const gateway = ipToBigInt(route.Gateway);
+    // Sin equipo que excluir, el resolvedor devuelve también una IP propia
+    // (su interfaz como ingress)
+    const owner = resolveGatewayIn(route.Gateway, nextVRF, null)?.ingress;
+    if (owner && owner.Equipo === route.Equipo) {
+      report(LINT_SEVERITY.ERROR, 'gateway-is-self', route,
+        `El gateway ${route.Gateway} es una IP del propio "${route.Equipo}" (${owner.Interfaz})`);
+      return;
+    }
+
+    if (!resolveGatewayIn(route.Gateway, nextVRF, route.Equipo)) {
+      report(LINT_SEVERITY.ERROR, 'gateway-unresolvable', route,
+        `Ningún otro equipo tiene como "directo" la red del gateway ${route.Gateway}`);
+    }
+
+    if (!adjacent.some(r => contains(networks.get(r), gatewayVersion, gateway))) {
+      report(LINT_SEVERITY.WARNING, 'gateway-not-adjacent', route,
+        `El gateway ${route.Gateway} no está en ninguna red "directo" de "${route.Equipo}"`);
+    }
+
+    const connected = inVRF(ownDirect, vrfOf(route)).find(r => {
+      const own = networks.get(r);
+      return own.version === network.version && network.start >= own.start && network.end <= own.end;
+    });
+    if (connected) {
+      report(LINT_SEVERITY.WARNING, 'route-into-connected', route,
+        `${network.key} cae dentro de la red propia ${networks.get(connected).key} de "${route.Equipo}" pero se envía a ${route.Gateway}`);
+    }
+  });
+};
+
+/**
+ * Regla: redes destino que ningún equipo tiene como "directo"
+ * (ningún equipo puede entregar el tráfico al destino final)
+ */
+const checkUnreachablePrefixes = (routes, report, networks) => {
+  // Rangos "directo" de cada familia, ordenados y unidos en rangos disjuntos
+  const delivered = new Map();
+  groupBy(routes.filter(isDirectRoute).map(route => networks.get(route)), network => network.version)
+    .forEach((ranges, version) => {
+      const merged = [];
+      [...ranges].sort(byStart).forEach(({ start, end }) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last.end) {
+          if (end > last.end) last.end = end;
+        } else {
+          merged.push({ start, end });
+        }
+      });
+      delivered.set(version, merged);
+    });
+  const reported = new Set();
+
+  routes.forEach(route => {
+    const { version, start, end, key } = networks.get(route);
+    if (reported.has(key)) return;
+
+    // El primer rango que termina después del inicio de la red es el único
+    // que puede solaparse con ella
+    const ranges = delivered.get(version) || [];
+    const candidate = ranges[lowerBound(ranges, range => range.end >= start)];
+    if (!candidate || candidate.start > end) {
+      reported.add(key);
+      report(LINT_SEVERITY.WARNING, 'unreachable-prefix', route,
+        `Ningún equipo tiene ${key} como "directo": el tráfico hacia esa red no puede entregarse`);
+    }
+  });
+};
+
+/**
+ * Regla: rutas que nunca se usan porque otras más específicas del mismo
+ * equipo cubren todo su rango
+ */
+const checkShadowed = (routes, report, networks) => {
+  // Sólo compiten las rutas del mismo equipo, VRF y familia
+  const groups = groupBy(routes, route => `${route.Equipo}|${vrfOf(route)}|${networks.get(route).version}`);
+
+  groups.forEach(group => {
+    const sorted = group.map(route => networks.get(route)).sort(byStart);
+
+    group.forEach(route => {
+      const { bits, start, end, key } = networks.get(route);
+
+      // Redes más específicas que empiezan dentro del rango (ya ordenadas)
+      const covering = [];
+      for (let i = lowerBound(sorted, network => network.start >= start); i < sorted.length && sorted[i].start <= end; i++) {
+        if (sorted[i].bits > bits && sorted[i].end <= end) covering.push(sorted[i]);
+      }
+      if (covering.length === 0) return;
+
+      // Recorrer los rangos ordenados verificando que no queden huecos
+      let next = start;
+      for (const { start: s, end: e } of covering) {
+        if (s > next) return;
+        next = e + 1n > next ? e + 1n : next;
+      }
+
+      if (next > end) {
+        report(LINT_SEVERITY.INFO, 'shadowed-route', route,
+          `${key} en "${route.Equipo}" nunca se usa: rutas más específicas cubren toda la red`);
+      }
+    });
+  });
+};
+
+/**
+ * Regla: rutas de leaking hacia una VRF que no tiene ninguna ruta
+ * (probablemente un error de tipeo en la columna VRF_Destino)
+ */
+const checkLeakTargets = (routes, report, networks) => {
+  const vrfs = new Set(routes.map(vrfOf));
+  routes.forEach(route => {
+    const target = leakTarget(route);
+    if (target && !vrfs.has(target)) {
+      report(LINT_SEVERITY.ERROR, 'unknown-leak-vrf', route,
+        `La ruta hacia ${networks.get(route).key} en "${route.Equipo}" filtra hacia la VRF "${target}", que no tiene rutas en ningún equipo`);
+    }
+  });
+};
+
+/**
+ * Ejecuta todas las reglas sobre la tabla de ruteo
+ * @param {Array} routingTable - Tabla de ruteo (filas con __line opcional)
+ * @param {Object} options - Opciones adicionales
+ * @param {Array} options.interfaces - Tabla de interfaces (opcional)
+ * @returns {Array} Hallazgos { severity, rule, line, equipo, message } ordenados por línea
+ */
+export const lintRoutingTable = (routingTable, options = {}) => {
+  const { interfaces = [] } = options;
+  const findings = [];
+
+  const report = (severity, rule, route, message) => {
+    findings.push({
+      severity,
+      rule,
+      line: route.__line ?? null,
+      equipo: route.Equipo,
+      message,
+    });
+  };
+
+  checkMalformed(routingTable, report);
+
+  // El resto de las reglas sólo tiene sentido sobre entradas bien formadas
+  const routes = routingTable.filter(isWellFormed);
+  const networks = analyzeRoutes(routes);
+  checkDuplicates(routes, report, networks);
+  checkHostBits(routes, report, networks);
+  checkGateways(routes, report, networks, interfaces);
+  checkUnreachablePrefixes(routes, report, networks);
+  checkShadowed(routes, report, networks);
+  checkLeakTargets(routes, report, networks);
+
+  return findings.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+};
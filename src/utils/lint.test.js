@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { lintRoutingTable } from './lint.js';
+import { route } from './testRoutes.js';
+
+// Mensajes de los hallazgos de una regla
+const messagesOf = (findings, rule) => findings
+  .filter(finding => finding.rule === rule)
+  .map(finding => finding.message);
+
+describe('lintRoutingTable', () => {
+  it('marca como sombreada sólo la ruta cubierta por completo por rutas más específicas', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', 'directo'),
+      route('R2', '10.0.0.0', '/24', 'directo'),
+      route('R2', '192.168.0.0', '/16', 'directo'),
+      route('R1', '192.168.0.0', '/23', '10.0.0.2'),
+      route('R1', '192.168.0.0', '/24', '10.0.0.2'),
+      route('R1', '192.168.1.0', '/24', '10.0.0.2'),
+      route('R1', '192.168.2.0', '/23', '10.0.0.2'),
+      route('R1', '192.168.2.0', '/24', '10.0.0.2'),
+      // Misma red en otra VRF: no compite con las anteriores
+      route('R1', '192.168.1.0', '/24', '10.0.0.2', { VRF: 'A' }),
+    ];
+    expect(messagesOf(lintRoutingTable(table), 'shadowed-route')).toEqual([
+      expect.stringMatching(/^192\.168\.0\.0\/23 en "R1"/),
+    ]);
+  });
+
+  it('reporta una vez cada red que ningún equipo entrega', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', 'directo'),
+      route('R2', '10.0.0.0', '/24', 'directo'),
+      route('R2', '172.16.0.0', '/24', 'directo'),
+      route('R1', '172.16.0.0', '/16', '10.0.0.2'),
+      route('R1', '8.8.8.0', '/24', '10.0.0.2'),
+      route('R1', '8.8.8.0', '/24', '10.0.0.3'),
+      route('R1', '2001:db8::', '/32', '10.0.0.2'),
+    ];
+    expect(messagesOf(lintRoutingTable(table), 'unreachable-prefix')).toEqual([
+      expect.stringContaining('8.8.8.0/24'),
+      expect.stringContaining('2001:db8::/32'),
+    ]);
+  });
+
+  it('resuelve el gateway sólo con redes "directo" de otros equipos en la VRF de salida', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', 'directo'),
+      route('R2', '10.0.0.0', '/24', 'directo', { VRF: 'A' }),
+      route('R1', '172.16.0.0', '/16', '10.0.0.2'),
+      route('R1', '172.17.0.0', '/16', '10.0.0.2', { VRF_Destino: 'A' }),
+    ];
+    const findings = lintRoutingTable(table).filter(finding => finding.rule === 'gateway-unresolvable');
+    expect(findings.map(finding => finding.equipo)).toEqual(['R1']);
+    expect(findings[0].message).toContain('10.0.0.2');
+  });
+
+  it('reporta la distancia y la métrica no numéricas que la selección ignora', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', 'directo'),
+      route('R1', '10.1.0.0', '/24', 'directo', { Distancia: 'abc', Metrica: '-1' }),
+    ];
+    const rules = lintRoutingTable(table).map(finding => finding.rule);
+    expect(rules).toEqual(expect.arrayContaining(['invalid-distance', 'invalid-metric']));
+  });
+
+  it('sigue aplicando las reglas semánticas a rutas con distancia o métrica inválidas', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', 'directo'),
+      route('R1', '172.16.0.0', '/16', '10.9.9.9', { Distancia: 'abc' }),
+      route('R1', '172.16.0.0', '/16', '10.9.9.9', { Metrica: 'x' }),
+    ];
+    const rules = lintRoutingTable(table).map(finding => finding.rule);
+    expect(rules).toEqual(expect.arrayContaining(['duplicate-route', 'gateway-unresolvable']));
+  });
+
+  it('detecta un gateway que es una IP del propio equipo', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', 'directo'),
+      route('R1', '172.16.0.0', '/16', '10.0.0.1'),
+    ];
+    const interfaces = [{ Equipo: 'R1', Interfaz: 'Gi0/0', IP: '10.0.0.1' }];
+    expect(messagesOf(lintRoutingTable(table, { interfaces }), 'gateway-is-self')).toEqual([
+      expect.stringContaining('Gi0/0'),
+    ]);
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * Traducción de direcciones (NAT)
+ * Cada equipo puede tener reglas de NAT estático (1:1, en ambos sentidos),
+ * PAT/overload (muchas IP internas detrás de una sola, cambiando el puerto
+ * origen) y NAT de destino (port forwarding). Como en los routers, el
+ * destino se traduce al entrar al equipo, antes de buscar la ruta, y el
+ * origen al salir, después de elegirla. Cada traducción hecha en la ida
+ * queda como sesión para deshacerla en la vuelta.
+ */
+import { ipVersion, addressBits, ipToBigInt, bigIntToIP, maskBitsToBigInt, parseMask, formatPrefix, formatEndpoint, isIPInNetwork, isSameIP } from './ip.js';
+import { flowHash } from './flowHash.js';
+
+/**
+ * Columnas del CSV de NAT
+ * (formato: Equipo, Tipo, Original, Traducida y, opcionalmente, Interfaz,
+ * Protocolo, Puerto_Original y Puerto_Traducido)
+ */
+export const NAT_COLUMNS = ['Equipo', 'Tipo', 'Original', 'Traducida'];
+export const NAT_OPTIONAL_COLUMNS = ['Interfaz', 'Protocolo', 'Puerto_Original', 'Puerto_Traducido'];
+
+export const NAT_TYPE = {
+  STATIC: 'static',
+  PAT: 'pat',
+  DNAT: 'dnat',
+};
+
+/**
+ * Campo del paquete que cambia una traducción
+ */
+export const NAT_FIELD = {
+  SOURCE: 'source',
+  DESTINATION: 'destination',
+};
+
+export const NAT_TYPE_LABELS = {
+  [NAT_TYPE.STATIC]: 'NAT estático',
+  [NAT_TYPE.PAT]: 'PAT',
+  [NAT_TYPE.DNAT]: 'DNAT',
+};
+
+// Interfaz comodín: la regla se aplica en todas las interfaces del equipo
+const ANY_INTERFACE = '*';
+
+// Puertos que asigna PAT (los bien conocidos quedan fuera)
+const PAT_PORT_START = 1024;
+const PAT_PORT_COUNT = 65536 - PAT_PORT_START;
+
+const TYPE_ALIASES = {
+  static: NAT_TYPE.STATIC,
+  estatico: NAT_TYPE.STATIC,
+  'estático': NAT_TYPE.STATIC,
+  pat: NAT_TYPE.PAT,
+  overload: NAT_TYPE.PAT,
+  dnat: NAT_TYPE.DNAT,
+  destino: NAT_TYPE.DNAT,
+};
+
+const isAny = (value) => value === '' || value.toLowerCase() === 'any';
+
+// Dirección o prefijo de una regla ("10.0.0.5", "10.0.0.0/24", "2001:db8::/64");
+// null si no es válido
+const parseAddress = (value) => {
+  const [network, mask] = value.split('/');
+  const version = ipVersion(network);
+  if (version === null) return null;
+  const bits = mask === undefined ? addressBits(version) : parseMask(mask, version);
+  return bits === null ? null : { network, mask: `/${bits}` };
+};
+
+const isHost = (address) => address.mask === `/${addressBits(ipVersion(address.network))}`;
+
+const parsePort = (value) => {
+  if (value === '') return null;
+  return /^\d{1,5}$/.test(value) && Number(value) <= 65535 ? Number(value) : undefined;
+};
+
+/**
+ * Convierte las filas del CSV de NAT en reglas
+ * - static: Original y Traducida son una IP o prefijos del mismo largo (se
+ *   conserva la parte de host)
+ * - pat: Original es la red interna (o "any") y Traducida una única IP
+ * - dnat: Original es la IP pública y Traducida la interna; con Protocolo y
+ *   Puerto_Original sólo se traduce ese servicio (Puerto_Traducido vacío
+ *   conserva el puerto)
+ * @param {Array} rows - Filas del CSV
+ * @returns {Array} Reglas { equipment, type, original, translated, interface,
+ * protocol, originalPort, translatedPort, line } (original es null en un
+ * PAT "any")
+ * @throws {Error} Si algún valor no es válido
+ */
+export const parseNATRules = (rows = []) => {
+  return rows.map((row, index) => {
+    const line = row.__line ?? index + 2;
+    const cell = (column) => String(row[column] ?? '').trim();
+    const invalid = (column) => new Error(`Valor inválido en la línea ${line} del CSV de NAT: ${column} "${cell(column)}"`);
+    const fail = (message) => new Error(`Línea ${line} del CSV de NAT: ${message}`);
+
+    const type = TYPE_ALIASES[cell('Tipo').toLowerCase()];
+    if (!type) throw invalid('Tipo');
+
+    const anyOriginal = type === NAT_TYPE.PAT && isAny(cell('Original'));
+    const original = anyOriginal ? null : parseAddress(cell('Original'));
+    if (!anyOriginal && !original) throw invalid('Original');
+    const translated = parseAddress(cell('Traducida'));
+    if (!translated) throw invalid('Traducida');
+
+    const protocol = cell('Protocolo').toLowerCase() || null;
+    if (protocol && !['tcp', 'udp'].includes(protocol)) throw invalid('Protocolo');
+    const originalPort = parsePort(cell('Puerto_Original'));
+    if (originalPort === undefined) throw invalid('Puerto_Original');
+    const translatedPort = parsePort(cell('Puerto_Traducido'));
+    if (translatedPort === undefined) throw invalid('Puerto_Traducido');
+
+    if (original && ipVersion(original.network) !== ipVersion(translated.network)) {
+      throw fail('Original y Traducida deben ser de la misma familia (IPv4 o IPv6)');
+    }
+    if (type === NAT_TYPE.STATIC && original.mask !== translated.mask) {
+      throw fail('en NAT estático Original y Traducida deben tener la misma máscara');
+    }
+    if (type !== NAT_TYPE.STATIC && !isHost(translated)) {
+      throw fail(`en ${type} Traducida debe ser una única IP`);
+    }
+    if (type === NAT_TYPE.DNAT && !isHost(original)) {
+      throw fail('en dnat Original debe ser una única IP');
+    }
+    if (type !== NAT_TYPE.DNAT && (protocol || originalPort !== null || translatedPort !== null)) {
+      throw fail('el protocolo y los puertos sólo se aplican a reglas dnat');
+    }
+    if (type === NAT_TYPE.DNAT && (originalPort !== null || translatedPort !== null) && !protocol) {
+      throw fail('una regla dnat con puertos necesita Protocolo tcp o udp');
+    }
+
+    return {
+      equipment: cell('Equipo'),
+      type,
+      original,
+      translated,
+      interface: isAny(cell('Interfaz')) ? ANY_INTERFACE : cell('Interfaz'),
+      protocol,
+      originalPort,
+      translatedPort,
+      line,
+    };
+  });
+};
+
+// Traduce una IP de un prefijo a otro del mismo largo conservando la parte de host
+const mapAddress = (ip, from, to) => {
+  const version = ipVersion(ip);
+  const networkMask = maskBitsToBigInt(parseMask(from.mask, version), version);
+  const hostMask = maskBitsToBigInt(addressBits(version), version) ^ networkMask;
+  return bigIntToIP((ipToBigInt(to.network) & networkMask) | (ipToBigInt(ip) & hostMask), version);
+};
+
+const appliesTo = (rule, equipment, interfaceName) => {
+  return rule.equipment === equipment &&
+    (rule.interface === ANY_INTERFACE || rule.interface === interfaceName);
+};
+
+const hasPorts = (packet) => packet.protocol === 'tcp' || packet.protocol === 'udp';
+
+// Registro de una traducción: qué campo cambió, de qué a qué y por qué regla
+// (reverse indica que deshace una sesión creada en la ida)
+const translation = (equipment, field, rule, from, to, reverse = false) => ({
+  equipment,
+  field,
+  type: rule.type,
+  from,
+  to,
+  rule,
+  reverse,
+});
+
+const rewrite = (packet, field, endpoint) => {
+  return field === NAT_FIELD.SOURCE
+    ? { ...packet, sourceIP: endpoint.ip, srcPort: endpoint.port }
+    : { ...packet, destIP: endpoint.ip, dstPort: endpoint.port };
+};
+
+const endpointOf = (packet, field) => {
+  return field === NAT_FIELD.SOURCE
+    ? { ip: packet.sourceIP, port: packet.srcPort ?? null }
+    : { ip: packet.destIP, port: packet.dstPort ?? null };
+};
+
+// Sesión de la ida que corresponde a la respuesta: la respuesta vuelve hacia
+// la dirección traducida (con los puertos invertidos) y se le aplica la inversa
+const matchSession = (sessions, equipment, field, packet) => {
+  const forwardField = field === NAT_FIELD.SOURCE ? NAT_FIELD.DESTINATION : NAT_FIELD.SOURCE;
+  const endpoint = endpointOf(packet, field);
+  return (sessions || []).find(session =>
+    session.equipment === equipment &&
+    session.field === forwardField &&
+    !session.reverse &&
+    isSameIP(session.to.ip, endpoint.ip) &&
+    (session.to.port === null || session.to.port === endpoint.port)
+  );
+};
+
+const reverseSession = (session, packet, field) => {
+  const from = endpointOf(packet, field);
+  const to = { ip: session.from.ip, port: session.to.port === null ? from.port : session.from.port };
+  return {
+    packet: rewrite(packet, field, to),
+    translation: translation(session.equipment, field, session.rule, from, to, true),
+  };
+};
+
+/**
+ * Traduce el destino de un paquete al entrar a un equipo
+ * Primero deshace las sesiones de la ida, luego aplica las reglas dnat y el
+ * sentido inverso de las reglas estáticas
+ * @param {Array} rules - Reglas de NAT (ver parseNATRules)
+ * @param {Array} sessions - Traducciones hechas en la ida (null si es la ida)
+ * @param {string} equipment - Equipo actual
+ * @param {string} interfaceName - Interfaz de entrada (null si se desconoce)
+ * @param {Object} packet - { sourceIP, destIP, protocol, srcPort, dstPort }
+ * @returns {Object} { packet, translation } con translation null si no cambió
+ */
+export const translateDestination = (rules, sessions, equipment, interfaceName, packet) => {
+  const field = NAT_FIELD.DESTINATION;
+  const session = matchSession(sessions, equipment, field, packet);
+  if (session) return reverseSession(session, packet, field);
+
+  const from = endpointOf(packet, field);
+  for (const rule of rules || []) {
+    if (!appliesTo(rule, equipment, interfaceName)) continue;
+
+    if (rule.type === NAT_TYPE.DNAT && isSameIP(rule.original.network, packet.destIP) &&
+        (!rule.protocol || rule.protocol === packet.protocol) &&
+        (rule.originalPort === null || rule.originalPort === packet.dstPort)) {
+      const to = { ip: rule.translated.network, port: rule.translatedPort ?? from.port };
+      return { packet: rewrite(packet, field, to), translation: translation(equipment, field, rule, from, to) };
+    }
+
+    if (rule.type === NAT_TYPE.STATIC && isIPInNetwork(packet.destIP, rule.translated.network, rule.translated.mask)) {
+      const to = { ip: mapAddress(packet.destIP, rule.translated, rule.original), port: from.port };
+      return { packet: rewrite(packet, field, to), translation: translation(equipment, field, rule, from, to) };
+    }
+  }
+
+  return { packet, translation: null };
+};
+
+/**
+ * Traduce el origen de un paquete al salir de un equipo
+ * Primero deshace las sesiones de la ida, luego aplica las reglas estáticas
+ * y PAT. PAT asigna un puerto origen derivado de la 5-tupla (los paquetes
+ * sin puertos, como ICMP, sólo cambian de IP)
+ * @param {string} interfaceName - Interfaz de salida (null si se desconoce)
+ * @returns {Object} { packet, translation } (ver translateDestination)
+ */
+export const translateSource = (rules, sessions, equipment, interfaceName, packet) => {
+  const field = NAT_FIELD.SOURCE;
+  const session = matchSession(sessions, equipment, field, packet);
+  if (session) return reverseSession(session, packet, field);
+
+  const from = endpointOf(packet, field);
+  for (const rule of rules || []) {
+    if (!appliesTo(rule, equipment, interfaceName)) continue;
+
+    if (rule.type === NAT_TYPE.STATIC && isIPInNetwork(packet.sourceIP, rule.original.network, rule.original.mask)) {
+      const to = { ip: mapAddress(packet.sourceIP, rule.original, rule.translated), port: from.port };
+      return { packet: rewrite(packet, field, to), translation: translation(equipment, field, rule, from, to) };
+    }
+
+    // Un PAT "any" sólo traduce paquetes de la familia de su IP traducida
+    if (rule.type === NAT_TYPE.PAT &&
+        (rule.original
+          ? isIPInNetwork(packet.sourceIP, rule.original.network, rule.original.mask)
+          : ipVersion(packet.sourceIP) === ipVersion(rule.translated.network))) {
+      const port = hasPorts(packet) ? PAT_PORT_START + (flowHash(packet, equipment) % PAT_PORT_COUNT) : null;
+      const to = { ip: rule.translated.network, port };
+      return { packet: rewrite(packet, field, to), translation: translation(equipment, field, rule, from, to) };
+    }
+  }
+
+  return { packet, translation: null };
+};
+
+/**
+ * Describe una traducción (ej: "PAT origen 192.168.1.10:40000 → 203.0.113.1:51234")
+ */
+export const formatTranslation = (record) => {
+  const type = record.reverse ? `Sesión ${NAT_TYPE_LABELS[record.type]}` : NAT_TYPE_LABELS[record.type];
+  const field = record.field === NAT_FIELD.SOURCE ? 'origen' : 'destino';
+  return `${type} ${field} ${formatEndpoint(record.from)} → ${formatEndpoint(record.to)}`;
+};
+
+/**
+ * Describe una regla (ej: "dnat tcp 203.0.113.10:80 → 192.168.3.10:8080")
+ */
+export const formatNATRule = (rule) => {
+  const address = (value, port) => {
+    if (!value) return 'any';
+    return formatEndpoint({ ip: isHost(value) ? value.network : formatPrefix(value.network, value.mask), port });
+  };
+  const protocol = rule.protocol ? ` ${rule.protocol}` : '';
+  return `${rule.type}${protocol} ${address(rule.original, rule.originalPort)} → ${address(rule.translated, rule.translatedPort)}`;
+};
@@ -0,0 +1,226 @@
+/**
+ * Pruebas de intención de la red ("políticas")
+ * Una especificación en JSON o YAML enumera lo que se espera de la red (ej:
+ * "RouterE alcanza 192.168.1.0/24 en 3 saltos o menos pasando por RouterC",
+ * "10.0.5.0/24 no es alcanzable desde RouterA") y cada expectativa se
+ * comprueba con executeTraceroute sobre la tabla. No depende del navegador,
+ * por lo que la misma evaluación se usa desde la línea de comandos
+ */
+import { load as loadYAML } from 'js-yaml';
+import { executeTraceroute, validateIP, TRACE_STATUS } from './traceroute.js';
+import { ipVersion, parseMask, representativeAddress } from './ip.js';
+import { DEFAULT_VRF } from './vrf.js';
+import { sourceAddressFor, missingSourceResult, NO_SOURCE_ADDRESS } from './reachability.js';
+import { tracePath } from './layout.js';
+
+/**
+ * Resultado esperado de una política
+ */
+export const POLICY_EXPECT = {
+  REACHABLE: 'reachable',
+  UNREACHABLE: 'unreachable',
+};
+
+const PROTOCOLS = ['ip', 'tcp', 'udp', 'icmp'];
+
+// Estados que indican una política mal escrita y no un resultado de la red
+// (sin IP origen del equipo, la política debe indicar "source")
+const SPEC_ERRORS = [TRACE_STATUS.INVALID_PARAMS, TRACE_STATUS.UNKNOWN_EQUIPMENT, NO_SOURCE_ADDRESS];
+
+// Lista de equipos: acepta un nombre suelto o una lista de nombres
+const equipmentList = (value, field, where) => {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  if (list.some(name => typeof name !== 'string' || name.trim() === '')) {
+    throw new Error(`${where}: "${field}" debe ser un equipo o una lista de equipos`);
+  }
+  return list.map(name => name.trim());
+};
+
+// Destino de una política: una IP o una red en notación CIDR
+const parseTarget = (to, where) => {
+  const [address, bits, extra] = String(to ?? '').trim().split('/');
+  const valid = extra === undefined && validateIP(address) &&
+    (bits === undefined || parseMask(bits, ipVersion(address)) !== null);
+  if (!valid) {
+    throw new Error(`${where}: "to" debe ser una IP o una red en notación CIDR (ej: 192.168.1.0/24)`);
+  }
+  return bits === undefined
+    ? { destIP: address, label: address }
+    : { destIP: representativeAddress(address, `/${bits}`), label: `${address}/${bits}` };
+};
+
+// Valida y completa una política de la especificación
+const normalizePolicy = (raw, index) => {
+  const where = `Política ${index + 1}${raw?.name ? ` ("${raw.name}")` : ''}`;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${where}: debe ser un objeto con al menos "from" y "to"`);
+  }
+  if (typeof raw.from !== 'string' || raw.from.trim() === '') {
+    throw new Error(`${where}: falta el equipo origen ("from")`);
+  }
+
+  const target = parseTarget(raw.to, where);
+  const expect = raw.expect ?? POLICY_EXPECT.REACHABLE;
+  if (!Object.values(POLICY_EXPECT).includes(expect)) {
+    throw new Error(`${where}: "expect" debe ser "${POLICY_EXPECT.REACHABLE}" o "${POLICY_EXPECT.UNREACHABLE}"`);
+  }
+
+  const source = raw.source === undefined ? null : String(raw.source).trim();
+  if (source !== null && ipVersion(source) !== ipVersion(target.destIP)) {
+    throw new Error(`${where}: "source" debe ser una IP de la misma familia que el destino`);
+  }
+
+  const maxHops = raw.maxHops ?? null;
+  if (maxHops !== null && !(Number.isInteger(maxHops) && maxHops > 0)) {
+    throw new Error(`${where}: "maxHops" debe ser un entero positivo`);
+  }
+
+  const status = raw.status ?? null;
+  if (status !== null && (expect !== POLICY_EXPECT.UNREACHABLE || !Object.values(TRACE_STATUS).includes(status))) {
+    throw new Error(`${where}: "status" sólo se usa con expect: ${POLICY_EXPECT.UNREACHABLE} y debe ser un estado de traceroute (ej: ${TRACE_STATUS.ADMIN_PROHIBITED})`);
+  }
+
+  const protocol = raw.protocol ?? 'ip';
+  if (!PROTOCOLS.includes(protocol)) {
+    throw new Error(`${where}: "protocol" debe ser ${PROTOCOLS.join(', ')}`);
+  }
+  const port = raw.port ?? null;
+  if (port !== null && ((protocol !== 'tcp' && protocol !== 'udp') || !Number.isInteger(port) || port < 0 || port > 65535)) {
+    throw new Error(`${where}: "port" debe ser un puerto entre 0 y 65535 de tcp o udp`);
+  }
+
+  return {
+    name: raw.name ? String(raw.name) : `${raw.from.trim()} → ${target.label}`,
+    from: raw.from.trim(),
+    to: target.label,
+    destIP: target.destIP,
+    source,
+    vrf: raw.vrf ? String(raw.vrf).trim() : null,
+    expect,
+    status,
+    maxHops,
+    via: equipmentList(raw.via, 'via', where),
+    avoid: equipmentList(raw.avoid, 'avoid', where),
+    // Un paquete "ip" sin puerto no aporta datos a las ACL
+    packet: protocol === 'ip' ? null : { protocol, srcPort: null, dstPort: port },
+  };
+};
+
+/**
+ * Lee una especificación de políticas en JSON o YAML
+ * @param {string} text - Contenido del archivo: una lista de políticas o un
+ * objeto { policies: [...] }. Cada política es { name, from, to, source,
+ * vrf, expect, status, maxHops, via, avoid, protocol, port }; sólo from
+ * (equipo origen) y to (IP o red CIDR) son obligatorios
+ * @returns {Array} Políticas validadas, con destIP (la IP que se traza) y
+ * packet (para las ACL) ya calculados
+ */
+export const parsePolicySpec = (text) => {
+  let spec;
+  try {
+    // JSON es un subconjunto de YAML, pero así los errores de JSON son más claros
+    spec = /^\s*[[{]/.test(text) ? JSON.parse(text) : loadYAML(text);
+  } catch (error) {
+    throw new Error(`La especificación de políticas no es JSON ni YAML válido: ${error.message}`);
+  }
+
+  const policies = Array.isArray(spec) ? spec : spec?.policies;
+  if (!Array.isArray(policies) || policies.length === 0) {
+    throw new Error('La especificación debe ser una lista de políticas o un objeto con "policies"');
+  }
+  return policies.map(normalizePolicy);
+};
+
+// Motivos por los que un camino no cumple la política
+const pathFailures = (policy, trace, path) => {
+  if (policy.expect === POLICY_EXPECT.UNREACHABLE) {
+    if (trace.success) return [`alcanza ${policy.to} y no debería (${path.join(' → ')})`];
+    if (policy.status && trace.status !== policy.status) {
+      return [`termina con ${trace.status} en lugar de ${policy.status}: ${trace.error}`];
+    }
+    return [];
+  }
+
+  if (!trace.success) return [`no alcanza ${policy.to}: ${trace.error}`];
+  return [
+    ...(policy.maxHops !== null && trace.hops.length > policy.maxHops
+      ? [`usa ${trace.hops.length} saltos (máximo ${policy.maxHops})`]
+      : []),
+    ...policy.via.filter(equipo => !path.includes(equipo)).map(equipo => `no pasa por ${equipo}`),
+    ...policy.avoid.filter(equipo => path.includes(equipo)).map(equipo => `pasa por ${equipo}`),
+  ];
+};
+
+// Motivos por los que un traceroute no cumple la política: con ECMP el flujo
+// puede tomar cualquier camino, así que cada uno debe cumplirla
+const policyFailures = (policy, result, paths) => {
+  if (SPEC_ERRORS.includes(result.status)) {
+    return [`no se pudo evaluar: ${result.error}`];
+  }
+  if (result.paths.length <= 1) return pathFailures(policy, result, paths[0] ?? []);
+  return result.paths.flatMap((trace, index) =>
+    pathFailures(policy, trace, paths[index]).map(reason => `camino ${index + 1}: ${reason}`)
+  );
+};
+
+/**
+ * Evalúa cada política con un traceroute sobre la tabla
+ * Con ECMP la política se comprueba en cada camino: reachable, maxHops, via y
+ * avoid deben cumplirse en todos, y unreachable falla si alguno llega.
+ * Sin "source", la IP origen es la de una interfaz del equipo (o de una de
+ * sus redes conectadas), como en la matriz de alcanzabilidad; si el equipo
+ * no tiene ninguna, la política no se puede evaluar
+ * @param {Array} policies - Resultado de parsePolicySpec
+ * @param {Array} routingTable - Tabla de ruteo completa
+ * @param {Object} options - Opciones para executeTraceroute (interfaces, fallas, etc.)
+ * @returns {Array} [{ policy, passed, failures, path, paths, sourceIP, result }]
+ * con failures los motivos del incumplimiento, path los equipos del camino
+ * principal y paths los de cada camino ECMP
+ */
+export const evaluatePolicies = (policies, routingTable, options = {}) => {
+  return policies.map(policy => {
+    const vrf = policy.vrf || DEFAULT_VRF;
+    const sourceIP = policy.source ||
+      sourceAddressFor(policy.from, vrf, ipVersion(policy.destIP), routingTable, options.interfaces);
+    const result = sourceIP
+      ? executeTraceroute(policy.from, sourceIP, policy.destIP, routingTable, {
+        ...options,
+        vrf: policy.vrf,
+        ...(policy.packet ? { packet: policy.packet } : {}),
+      })
+      : missingSourceResult(policy.from, vrf, policy.destIP);
+    const paths = result.paths.map(tracePath);
+    const failures = policyFailures(policy, result, paths);
+
+    return { policy, passed: failures.length === 0, failures, path: tracePath(result), paths, sourceIP, result };
+  });
+};
+
+/**
+ * Cuenta las políticas cumplidas e incumplidas
+ * @returns {Object} { total, passed, failed }
+ */
+export const summarizePolicyResults = (results) => {
+  const passed = results.filter(result => result.passed).length;
+  return { total: results.length, passed, failed: results.length - passed };
+};
+
+/**
+ * Reporte de texto de la evaluación, una línea por política y los motivos
+ * de cada incumplimiento debajo
+ */
+export const formatPolicyReport = (results) => {
+  const summary = summarizePolicyResults(results);
+  // Caminos recorridos por una política incumplida (numerados si hay ECMP)
+  const pathLines = ({ path, paths }) => {
+    if (paths.length > 1) return paths.map((equipos, index) => `      camino ${index + 1}: ${equipos.join(' → ')}`);
+    return path.length > 0 ? [`      camino: ${path.join(' → ')}`] : [];
+  };
+  const lines = results.flatMap(evaluation => [
+    `${evaluation.passed ? 'PASS' : 'FAIL'}  ${evaluation.policy.name}`,
+    ...evaluation.failures.map(reason => `      ${reason}`),
+    ...(evaluation.passed ? [] : pathLines(evaluation)),
+  ]);
+  return [...lines, '', `${summary.passed}/${summary.total} políticas cumplidas`].join('\n');
+};
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { parsePolicySpec, evaluatePolicies, POLICY_EXPECT } from './policy.js';
+import { route } from './testRoutes.js';
+
+// R1 balancea 192.168.5.0/24 entre R2 (10.0.0.2) y R3 (10.0.1.3); R3 la entrega
+const ecmpBase = [
+  route('R1', '10.0.0.0', '/24', 'directo'),
+  route('R1', '10.0.1.0', '/24', 'directo'),
+  route('R2', '10.0.0.0', '/24', 'directo'),
+  route('R3', '10.0.1.0', '/24', 'directo'),
+  route('R3', '192.168.5.0', '/24', 'directo'),
+  route('R1', '192.168.5.0', '/24', '10.0.0.2'),
+  route('R1', '192.168.5.0', '/24', '10.0.1.3'),
+];
+
+// R2 no tiene ruta hacia la red: sólo el camino por R3 llega
+const partialTable = ecmpBase;
+
+// R2 la envía a R4, que la entrega: los dos caminos llegan, uno en 3 saltos
+const bothTable = [
+  ...ecmpBase,
+  route('R2', '10.0.2.0', '/24', 'directo'),
+  route('R4', '10.0.2.0', '/24', 'directo'),
+  route('R4', '192.168.5.0', '/24', 'directo'),
+  route('R2', '192.168.5.0', '/24', '10.0.2.4'),
+];
+
+const evaluate = (policy, table) => evaluatePolicies(parsePolicySpec(JSON.stringify([policy])), table)[0];
+
+describe('parsePolicySpec', () => {
+  it('acepta YAML con "policies" y completa los valores por defecto', () => {
+    const [policy] = parsePolicySpec('policies:\n  - from: R1\n    to: 192.168.5.0/24\n    via: R3\n');
+    expect(policy).toMatchObject({
+      name: 'R1 → 192.168.5.0/24',
+      from: 'R1',
+      to: '192.168.5.0/24',
+      destIP: '192.168.5.1',
+      expect: POLICY_EXPECT.REACHABLE,
+      maxHops: null,
+      via: ['R3'],
+      avoid: [],
+      packet: null,
+    });
+  });
+
+  it('rechaza una política inválida indicando cuál es', () => {
+    expect(() => parsePolicySpec('[{"from": "R1", "to": "192.168.5.0/24"}, {"from": "R1", "to": "no-es-ip"}]'))
+      .toThrow(/^Política 2: "to"/);
+    expect(() => parsePolicySpec('[{"from": "R1", "to": "10.0.0.1", "status": "no-route"}]'))
+      .toThrow(/"status" sólo se usa con expect: unreachable/);
+    expect(() => parsePolicySpec('[]')).toThrow(/lista de políticas/);
+  });
+});
+
+describe('evaluatePolicies', () => {
+  it('falla una política unreachable si algún camino ECMP llega', () => {
+    const evaluation = evaluate({ from: 'R1', to: '192.168.5.0/24', expect: 'unreachable' }, partialTable);
+    expect(evaluation.passed).toBe(false);
+    expect(evaluation.failures).toEqual([expect.stringMatching(/^camino 2: alcanza 192\.168\.5\.0\/24/)]);
+  });
+
+  it('falla una política reachable si algún camino ECMP no llega', () => {
+    const evaluation = evaluate({ from: 'R1', to: '192.168.5.0/24' }, partialTable);
+    expect(evaluation.passed).toBe(false);
+    expect(evaluation.paths).toEqual([['R1', 'R2'], ['R1', 'R3']]);
+    expect(evaluation.failures).toEqual([expect.stringMatching(/^camino 1: no alcanza/)]);
+  });
+
+  it('exige maxHops, via y avoid en cada camino ECMP', () => {
+    const cases = [
+      [{ maxHops: 2 }, 'camino 1: usa 3 saltos (máximo 2)'],
+      [{ via: 'R3' }, 'camino 1: no pasa por R3'],
+      [{ avoid: 'R3' }, 'camino 2: pasa por R3'],
+    ];
+    cases.forEach(([constraint, failure]) => {
+      const evaluation = evaluate({ from: 'R1', to: '192.168.5.0/24', ...constraint }, bothTable);
+      expect(evaluation.failures).toEqual([failure]);
+    });
+    expect(evaluate({ from: 'R1', to: '192.168.5.0/24', maxHops: 3, avoid: 'R9' }, bothTable).passed).toBe(true);
+  });
+
+  it('no da por inalcanzable una política mal escrita', () => {
+    const evaluation = evaluate({ from: 'R9', to: '192.168.5.0/24', expect: 'unreachable' }, partialTable);
+    expect(evaluation.passed).toBe(false);
+    expect(evaluation.failures).toEqual([expect.stringMatching(/^no se pudo evaluar/)]);
+  });
+});
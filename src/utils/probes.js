@@ -0,0 +1,228 @@
+/**
+ * Emulación de traceroute por TTL
+ * Reproduce lo que mostraría la herramienta `traceroute` sobre el camino
+ * principal: se envían sondas con TTL creciente, cada equipo responde desde
+ * su interfaz de entrada con "Time Exceeded" y el host destino con "Port
+ * Unreachable" (sondas UDP) o "Echo Reply" (sondas ICMP, `traceroute -I`).
+ * Los RTT salen de la latencia de cada enlace (ver links.js) más un jitter
+ * aleatorio reproducible (misma semilla, mismos tiempos).
+ */
+import { TRACE_STATUS, DIAGNOSTIC_LOOKUP } from './traceroute.js';
+import { linkAttributes } from './links.js';
+
+/**
+ * Tipo de sonda
+ */
+export const PROBE_METHOD = {
+  UDP: 'udp',
+  ICMP: 'icmp',
+};
+
+/**
+ * Respuesta ICMP a una sonda
+ */
+export const ICMP_REPLY = {
+  TIME_EXCEEDED: 'time-exceeded',
+  PORT_UNREACHABLE: 'port-unreachable',
+  ECHO_REPLY: 'echo-reply',
+  NET_UNREACHABLE: 'net-unreachable',
+  HOST_UNREACHABLE: 'host-unreachable',
+  ADMIN_PROHIBITED: 'admin-prohibited',
+};
+
+// Marca que traceroute agrega a cada tiempo según la respuesta
+const REPLY_MARKERS = {
+  [ICMP_REPLY.NET_UNREACHABLE]: ' !N',
+  [ICMP_REPLY.HOST_UNREACHABLE]: ' !H',
+  [ICMP_REPLY.ADMIN_PROHIBITED]: ' !X',
+};
+
+// Respuesta del equipo donde se detiene un traceroute fallido
+const FAILURE_REPLIES = {
+  [TRACE_STATUS.NO_ROUTE]: ICMP_REPLY.NET_UNREACHABLE,
+  [TRACE_STATUS.NEXT_HOP_DOWN]: ICMP_REPLY.HOST_UNREACHABLE,
+  [TRACE_STATUS.UNRESOLVED_GATEWAY]: ICMP_REPLY.HOST_UNREACHABLE,
+  [TRACE_STATUS.ADMIN_PROHIBITED]: ICMP_REPLY.ADMIN_PROHIBITED,
+};
+
+// Tamaño de las sondas que informa traceroute en la primera línea
+const PACKET_SIZE = 60;
+
+/**
+ * Configuración por defecto de la emulación
+ * links: modelo de enlaces con la latencia entre equipos; accessLatency:
+ * latencia de ida entre los hosts y su equipo (ms); jitter: variación máxima
+ * de cada RTT (ms, ±); silentRouters: equipos que no responden a las sondas
+ * (se ven como * * *)
+ */
+export const DEFAULT_EMULATION = {
+  method: PROBE_METHOD.UDP,
+  maxTTL: 30,
+  probesPerHop: 3,
+  links: null,
+  accessLatency: 1,
+  jitter: 1,
+  silentRouters: [],
+  seed: 1,
+};
+
+// Generador pseudoaleatorio con semilla (mulberry32)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Equipos que responden a cada TTL, en orden
+ * Cada equipo responde desde su interfaz de entrada: la de la tabla de
+ * interfaces o, si no hay, la IP de gateway que usó el salto anterior.
+ * El host destino responde desde la dirección a la que llega el paquete
+ * (después de un NAT de destino puede no ser la IP trazada).
+ * En un loop el paquete sigue dando vueltas hasta agotar el TTL.
+ * @returns {Array} [{ equipment, ip, reply }]; el host destino tiene equipment null
+ */
+const buildResponders = (traceResult, method, maxTTL) => {
+  const { hops, status, diagnostic } = traceResult;
+  const responderAt = (index) => ({
+    equipment: hops[index].currentEquipment,
+    ip: hops[index].ingressIP || hops[index - 1]?.gateway || null,
+    reply: ICMP_REPLY.TIME_EXCEEDED,
+  });
+
+  const responders = hops.map((_, index) => responderAt(index));
+
+  if (status === TRACE_STATUS.SUCCESS) {
+    responders.push({
+      equipment: null,
+      ip: hops[hops.length - 1]?.packetOut?.destIP ?? traceResult.destIP,
+      reply: method === PROBE_METHOD.ICMP ? ICMP_REPLY.ECHO_REPLY : ICMP_REPLY.PORT_UNREACHABLE,
+    });
+  } else if (FAILURE_REPLIES[status] && diagnostic?.equipment) {
+    responders.push({
+      equipment: diagnostic.equipment,
+      ip: hops[hops.length - 1]?.gateway || null,
+      reply: FAILURE_REPLIES[status],
+    });
+  } else if (diagnostic?.lookup === DIAGNOSTIC_LOOKUP.LOOP) {
+    // El ciclo empieza en la primera visita al equipo en la VRF del loop
+    const cycleStart = hops.findIndex(hop =>
+      hop.currentEquipment === diagnostic.equipment && hop.vrf === diagnostic.vrf
+    );
+    const cycleLength = hops.length - cycleStart;
+    for (let i = 0; cycleStart >= 0 && responders.length < maxTTL; i++) {
+      responders.push(responderAt(cycleStart + (i % cycleLength)));
+    }
+  }
+
+  return responders.slice(0, maxTTL);
+};
+
+/**
+ * Emula `traceroute` sobre el resultado de executeTraceroute
+ * @param {Object} traceResult - Resultado de executeTraceroute
+ * @param {Object} settings - Configuración (ver DEFAULT_EMULATION)
+ * @returns {Object} { method, maxTTL, probesPerHop, sourceIP, destIP, reached,
+ * lines } donde lines tiene { ttl, probes } por TTL y cada sonda es
+ * { equipment, ip, reply, rtt }, o null si no hubo respuesta
+ */
+export const emulateTraceroute = (traceResult, settings = {}) => {
+  const config = { ...DEFAULT_EMULATION, ...settings };
+  const { method, maxTTL, probesPerHop, links, accessLatency, jitter, silentRouters } = config;
+  const random = createRandom(config.seed);
+
+  const rtt = (oneWay) => {
+    const variation = (random() * 2 - 1) * jitter;
+    return Math.max(0.01, 2 * oneWay + variation);
+  };
+
+  const responders = buildResponders(traceResult, method, maxTTL);
+  const lines = [];
+  let oneWay = 0;
+  let previous = null;
+  let reached = false;
+
+  // Pasada la última respuesta (o si el equipo final no responde) sólo hay * * *
+  for (let ttl = 1; ttl <= maxTTL && !reached; ttl++) {
+    const responder = responders[ttl - 1];
+
+    // Cada TTL recorre un enlace más: el de acceso al primer equipo o al
+    // host destino, o el que une al equipo anterior con este
+    if (responder) {
+      oneWay += previous && responder.equipment
+        ? linkAttributes(links, previous, responder.equipment, [responder.ip]).latency
+        : accessLatency;
+      previous = responder.equipment;
+    }
+
+    const silent = !responder || silentRouters.includes(responder.equipment);
+    const probes = Array.from({ length: probesPerHop }, () => (
+      silent ? null : { ...responder, rtt: rtt(oneWay) }
+    ));
+    lines.push({ ttl, probes });
+
+    reached = !silent && responder.reply !== ICMP_REPLY.TIME_EXCEEDED;
+  }
+
+  return {
+    method,
+    maxTTL,
+    probesPerHop,
+    sourceIP: traceResult.sourceIP,
+    destIP: traceResult.destIP,
+    reached,
+    lines,
+  };
+};
+
+// Nombre y dirección de quien respondió, como los muestra traceroute
+const formatResponder = (probe) => {
+  const name = probe.equipment || probe.ip;
+  return probe.ip ? `${name} (${probe.ip})` : name;
+};
+
+/**
+ * Comando de `traceroute` equivalente a la emulación
+ */
+export const emulationCommand = (emulation) => {
+  const flags = [
+    emulation.method === PROBE_METHOD.ICMP ? '-I' : null,
+    emulation.probesPerHop !== DEFAULT_EMULATION.probesPerHop ? `-q ${emulation.probesPerHop}` : null,
+    emulation.maxTTL !== DEFAULT_EMULATION.maxTTL ? `-m ${emulation.maxTTL}` : null,
+  ].filter(Boolean);
+  return ['traceroute', ...flags, emulation.destIP].join(' ');
+};
+
+/**
+ * Formatea la emulación con la salida de `traceroute` de Linux
+ */
+export const formatEmulation = (emulation) => {
+  const { destIP, maxTTL } = emulation;
+  const header = `traceroute to ${destIP} (${destIP}), ${maxTTL} hops max, ${PACKET_SIZE} byte packets`;
+
+  const lines = emulation.lines.map(({ ttl, probes }) => {
+    let text = String(ttl).padStart(2);
+    let lastResponder = null;
+    probes.forEach((probe, index) => {
+      if (!probe) {
+        text += index === 0 ? '  *' : ' *';
+        return;
+      }
+      // Como traceroute, el equipo sólo se repite si cambia entre sondas
+      const responder = formatResponder(probe);
+      if (responder !== lastResponder) {
+        text += `  ${responder}`;
+        lastResponder = responder;
+      }
+      text += `  ${probe.rtt.toFixed(3)} ms${REPLY_MARKERS[probe.reply] || ''}`;
+    });
+    return text;
+  });
+
+  return [header, ...lines].join('\n');
+};
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { emulateTraceroute, ICMP_REPLY } from './probes.js';
+import { executeTraceroute, TRACE_STATUS } from './traceroute.js';
+import { parseNATRules } from './nat.js';
+import { route } from './testRoutes.js';
+
+// Equipo que responde en cada TTL (null para el host destino)
+const responders = (emulation) => emulation.lines.map(line => line.probes[0]?.equipment ?? null);
+
+describe('emulateTraceroute', () => {
+  it('el host destino responde desde la IP traducida por el NAT de destino', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', 'directo'),
+      route('R2', '10.0.0.0', '/24', 'directo'),
+      route('R2', '192.168.3.0', '/24', 'directo'),
+      route('R1', '192.168.3.0', '/24', '10.0.0.2'),
+    ];
+    const nat = parseNATRules([{ Equipo: 'R2', Tipo: 'dnat', Original: '192.168.3.80', Traducida: '192.168.3.10' }]);
+    const result = executeTraceroute('R1', '10.0.0.1', '192.168.3.80', table, { nat });
+
+    const last = emulateTraceroute(result).lines.at(-1).probes[0];
+    expect(last.reply).toBe(ICMP_REPLY.PORT_UNREACHABLE);
+    expect(last.ip).toBe('192.168.3.10');
+  });
+
+  it('repite el ciclo desde el equipo en la VRF donde ocurre el loop', () => {
+    // R1 (global) → R2, que filtra hacia la VRF A → R1 (A) → R3 (A) → R1 (A)
+    const table = [
+      route('R1', '10.0.0.0', '/24', 'directo'),
+      route('R2', '10.0.0.0', '/24', 'directo'),
+      route('R1', '10.1.0.0', '/24', 'directo', { VRF: 'A' }),
+      route('R3', '10.1.0.0', '/24', 'directo', { VRF: 'A' }),
+      route('R1', '172.16.0.0', '/16', '10.0.0.2'),
+      route('R2', '172.16.0.0', '/16', '10.1.0.1', { VRF_Destino: 'A' }),
+      route('R1', '172.16.0.0', '/16', '10.1.0.3', { VRF: 'A' }),
+      route('R3', '172.16.0.0', '/16', '10.1.0.1', { VRF: 'A' }),
+    ];
+    const result = executeTraceroute('R1', '10.0.0.1', '172.16.0.9', table);
+    expect(result.status).toBe(TRACE_STATUS.LOOP);
+
+    const emulation = emulateTraceroute(result, { maxTTL: 8 });
+    expect(responders(emulation)).toEqual(['R1', 'R2', 'R1', 'R3', 'R1', 'R3', 'R1', 'R3']);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Archivo de proyecto
+ * Guarda en un único JSON todo lo necesario para reconstruir la sesión: la
+ * tabla de ruteo (con todas sus columnas y el número de línea original), las
+ * tablas de interfaces, de enlaces, de ACL y de NAT, las fallas simuladas, la consulta de
+ * traceroute actual, las consultas guardadas con el resumen de su último
+ * resultado y la disposición del diagrama
+ */
+import { NO_FAILURES } from './failures.js';
+import { buildLinkModel } from './links.js';
+import { parseACLRules } from './acl.js';
+import { parseNATRules } from './nat.js';
+import { DEFAULT_LAYOUT, parseLayout } from './layout.js';
+import { ROUTING_COLUMNS } from './csv.js';
+import { INTERFACE_COLUMNS } from './interfaces.js';
+
+export const PROJECT_FORMAT = 'traceroute-simulator-project';
+export const PROJECT_VERSION = 1;
+
+/**
+ * Resume el resultado de un traceroute para guardarlo junto a su consulta
+ * @returns {Object} { status, success, error, hopCount, path }
+ */
+export const summarizeResult = (result) => ({
+  status: result.status,
+  success: result.success,
+  error: result.error,
+  hopCount: result.hops.length,
+  path: result.hops.map(hop => hop.currentEquipment),
+});
+
+/**
+ * Crea el objeto de proyecto a partir del estado de la aplicación
+ * @param {Object} state - { routingData, interfaces, links, acls, nat, failures, traceQuery, savedQueries, layout }
+ * donde links, acls y nat son las filas de los CSV de enlaces, de ACL y de NAT
+ * donde savedQueries es [{ query, lastResult }] (lastResult según summarizeResult)
+ * y layout la disposición del diagrama (ver DEFAULT_LAYOUT)
+ */
+export const createProject = ({
+  routingData,
+  interfaces = [],
+  links = [],
+  acls = [],
+  nat = [],
+  failures = NO_FAILURES,
+  traceQuery = null,
+  savedQueries = [],
+  layout = DEFAULT_LAYOUT,
+}) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  routingTable: routingData,
+  interfaces,
+  links,
+  acls,
+  nat,
+  failures,
+  traceQuery,
+  savedQueries,
+  layout,
+});
+
+export const serializeProject = (project) => JSON.stringify(project, null, 2);
+
+// Índice de la primera fila a la que le falta alguna columna (o -1)
+const findIncompleteRow = (rows, columns) => rows.findIndex(row =>
+  columns.some(column => typeof row?.[column] !== 'string' || row[column].trim() === '')
+);
+
+const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string';
+
+// Una consulta de traceroute tiene origen, IPs y, opcionalmente, el flujo o
+// paquete ({ protocol, srcPort, dstPort }) y la VRF
+const isValidQuery = (query) => {
+  const isPacket = (value) => value === undefined || value === null ||
+    (typeof value === 'object' && typeof value.protocol === 'string');
+  return typeof query === 'object' && query !== null &&
+    ['sourceEquipment', 'sourceIP', 'destIP'].every(field => typeof query[field] === 'string' && query[field].trim() !== '') &&
+    isPacket(query.flow) && isPacket(query.packet) && isOptionalString(query.vrf);
+};
+
+const stringList = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+/**
+ * Lee un proyecto desde su JSON
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} { routingData, interfaces, links, acls, nat, failures, traceQuery, savedQueries, layout }
+ * @throws {Error} Si el archivo no es un proyecto válido
+ */
+export const parseProject = (text) => {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch {
+    throw new Error('El archivo de proyecto no es un JSON válido');
+  }
+
+  if (project?.format !== PROJECT_FORMAT) {
+    throw new Error('El archivo no es un proyecto del simulador de traceroute');
+  }
+  if (typeof project.version !== 'number' || project.version > PROJECT_VERSION) {
+    throw new Error(`Versión de proyecto no soportada: ${project.version}`);
+  }
+
+  const {
+    routingTable,
+    interfaces = [],
+    links = [],
+    acls = [],
+    nat = [],
+    failures = NO_FAILURES,
+    traceQuery = null,
+    savedQueries = [],
+  } = project;
+  if (!Array.isArray(routingTable) || routingTable.length === 0) {
+    throw new Error('El proyecto no contiene una tabla de ruteo');
+  }
+  const incomplete = findIncompleteRow(routingTable, ROUTING_COLUMNS);
+  if (incomplete !== -1) {
+    throw new Error(`La ruta ${incomplete + 1} del proyecto no tiene las columnas ${ROUTING_COLUMNS.join(', ')}`);
+  }
+  if (!Array.isArray(interfaces)) {
+    throw new Error('Las interfaces del proyecto deben ser una lista');
+  }
+  const incompleteInterface = findIncompleteRow(interfaces, INTERFACE_COLUMNS);
+  if (incompleteInterface !== -1) {
+    throw new Error(`La interfaz ${incompleteInterface + 1} del proyecto no tiene las columnas ${INTERFACE_COLUMNS.join(', ')}`);
+  }
+  if (!Array.isArray(links) || links.some(link => typeof link?.Equipo_A !== 'string' || typeof link?.Equipo_B !== 'string')) {
+    throw new Error('Los enlaces del proyecto deben ser una lista con Equipo_A y Equipo_B');
+  }
+  buildLinkModel(links);
+  if (!Array.isArray(acls) || acls.some(rule => typeof rule?.Equipo !== 'string')) {
+    throw new Error('Las ACL del proyecto deben ser una lista de reglas con Equipo');
+  }
+  parseACLRules(acls);
+  if (!Array.isArray(nat) || nat.some(rule => typeof rule?.Equipo !== 'string')) {
+    throw new Error('Las reglas de NAT del proyecto deben ser una lista con Equipo');
+  }
+  parseNATRules(nat);
+  if (traceQuery !== null && !isValidQuery(traceQuery)) {
+    throw new Error('La consulta de traceroute del proyecto no es válida');
+  }
+  if (!Array.isArray(savedQueries) || savedQueries.some(saved => !isValidQuery(saved?.query))) {
+    throw new Error('Las consultas guardadas del proyecto no son válidas');
+  }
+
+  return {
+    routingData: routingTable,
+    interfaces,
+    links,
+    acls,
+    nat,
+    failures: {
+      routers: stringList(failures?.routers),
+      links: stringList(failures?.links),
+    },
+    traceQuery,
+    savedQueries,
+    layout: parseLayout(project.layout),
+  };
+};
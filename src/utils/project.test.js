@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { createProject, serializeProject, parseProject } from './project.js';
+
+const routingData = [{ Equipo: 'R1', IP_Destino: '10.0.0.0', Mascara: '/24', Gateway: 'directo' }];
+const query = { sourceEquipment: 'R1', sourceIP: '10.0.0.1', destIP: '10.0.0.9', flow: null, packet: null, vrf: null };
+
+// JSON de un proyecto con los campos indicados reemplazados
+const projectText = (changes) => serializeProject({ ...createProject({ routingData, traceQuery: query }), ...changes });
+
+describe('parseProject', () => {
+  it('lee un proyecto con su consulta de traceroute', () => {
+    const project = parseProject(projectText({}));
+    expect(project.routingData).toEqual(routingData);
+    expect(project.traceQuery).toEqual(query);
+  });
+
+  it('rechaza una consulta de traceroute incompleta o con otro formato', () => {
+    expect(() => parseProject(projectText({ traceQuery: { sourceEquipment: 'R1' } })))
+      .toThrow('La consulta de traceroute del proyecto no es válida');
+    expect(() => parseProject(projectText({ traceQuery: { ...query, packet: 'tcp' } })))
+      .toThrow('La consulta de traceroute del proyecto no es válida');
+    expect(() => parseProject(projectText({ savedQueries: [{ query: { ...query, destIP: 5 } }] })))
+      .toThrow('Las consultas guardadas del proyecto no son válidas');
+  });
+
+  it('rechaza interfaces sin las columnas requeridas', () => {
+    const interfaces = [
+      { Equipo: 'R1', Interfaz: 'Gi0/0', IP: '10.0.0.1', Mascara: '/24' },
+      { Equipo: 'R1', IP: '10.0.0.2' },
+    ];
+    expect(() => parseProject(projectText({ interfaces }))).toThrow('La interfaz 2 del proyecto');
+  });
+
+  it('descarta las fallas que no son nombres', () => {
+    const project = parseProject(projectText({ failures: { routers: ['R1', 3, null], links: 'R1|R2' } }));
+    expect(project.failures).toEqual({ routers: ['R1'], links: [] });
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Matriz de alcanzabilidad
+ * Ejecuta el traceroute desde cada equipo hacia una dirección representativa
+ * de cada red destino de la tabla, para auditar la red completa de una vez
+ * Con VRF (ver vrf.js) cada fila es un equipo en una VRF y cada columna una
+ * red de una VRF: las celdas entre VRF distintas sólo se alcanzan mediante
+ * leaking y, si no, se marcan como aisladas
+ */
+import Papa from 'papaparse';
+import { executeTraceroute, TRACE_STATUS } from './traceroute.js';
+import { isDirectRoute } from './routeSelection.js';
+import { tracePath } from './layout.js';
+import { representativeAddress, formatPrefix, ipVersion, isLinkLocal, IP_VERSION } from './ip.js';
+import { DEFAULT_VRF, vrfOf, targetVRF, inVRF, listVRFs, formatVRF } from './vrf.js';
+
+/**
+ * Estado de una celda entre VRF distintas que no llega a la red destino
+ * (el aislamiento esperado entre VRF, no una falla)
+ */
+export const VRF_ISOLATED = 'vrf-isolated';
+
+/**
+ * Estado de una celda con varios caminos ECMP en la que sólo algunos llegan a
+ * la red destino: que el tráfico llegue depende del flujo
+ */
+export const PARTIAL_ECMP = 'partial-ecmp';
+
+/**
+ * Estado de una celda cuyo equipo no tiene en su VRF ninguna IP de la familia
+ * del destino (ver sourceAddressFor): el traceroute no se ejecuta, porque con
+ * otra IP origen las ACL y el NAT podrían tratar distinto al paquete
+ */
+export const NO_SOURCE_ADDRESS = 'no-source-address';
+
+// Nombre de una fila o columna: con la VRF entre paréntesis si no es la global
+const withVRF = (name, vrf) => (vrf === DEFAULT_VRF ? name : `${name} (${formatVRF(vrf)})`);
+
+/**
+ * Extrae la lista única de redes destino de la tabla de ruteo
+ * @param {Array} routingTable - Tabla de ruteo completa
+ * @returns {Array} [{ network, mask, cidr, vrf, label }] con una entrada por
+ * red y VRF (label es el cidr con la VRF, si no es la global)
+ */
+export const getDestinationPrefixes = (routingTable) => {
+  const prefixes = new Map();
+  routingTable.forEach(route => {
+    const cidr = formatPrefix(route.IP_Destino, route.Mascara);
+    // Las rutas de leaking apuntan a una red de la VRF destino
+    const vrf = targetVRF(route);
+    const label = withVRF(cidr, vrf);
+    if (!prefixes.has(label)) {
+      prefixes.set(label, { network: route.IP_Destino, mask: route.Mascara, cidr, vrf, label });
+    }
+  });
+  return [...prefixes.values()];
+};
+
+/**
+ * Elige una IP origen de una familia para un equipo en una VRF: la de su
+ * primera interfaz (sin contar las link-local) o, sin interfaces, una
+ * dirección de su primera red directamente conectada
+ * @param {string} equipmentName - Nombre del equipo
+ * @param {string} vrf - VRF del equipo
+ * @param {number} version - Familia de la IP (ver IP_VERSION)
+ * @param {Array} routingTable - Tabla de ruteo completa
+ * @param {Array} interfaces - Tabla de interfaces (opcional)
+ */
+export const sourceAddressFor = (equipmentName, vrf, version, routingTable, interfaces = []) => {
+  const iface = inVRF(interfaces, vrf).find(i =>
+    i.Equipo === equipmentName && ipVersion(i.IP) === version && !isLinkLocal(i.IP)
+  );
+  if (iface) return iface.IP;
+
+  const connected = inVRF(routingTable, vrf).find(route =>
+    route.Equipo === equipmentName && isDirectRoute(route) &&
+    ipVersion(route.IP_Destino) === version
+  );
+  return connected ? representativeAddress(connected.IP_Destino, connected.Mascara) : null;
+};
+
+/**
+ * Resultado, con la forma del de executeTraceroute, de un traceroute que no se
+ * ejecutó porque el equipo no tiene IP origen (ver NO_SOURCE_ADDRESS)
+ */
+export const missingSourceResult = (equipmentName, vrf, destIP) => {
+  const family = ipVersion(destIP) === IP_VERSION.V6 ? 'IPv6' : 'IPv4';
+  return {
+    success: false,
+    status: NO_SOURCE_ADDRESS,
+    error: `"${equipmentName}" no tiene una IP ${family}${vrf === DEFAULT_VRF ? '' : ` en la VRF ${formatVRF(vrf)}`} para usar como origen`,
+    hops: [],
+    paths: [],
+    diagnostic: null,
+    metrics: null,
+    packet: null,
+    translations: [],
+    sourceEquipment: equipmentName,
+    sourceIP: null,
+    destIP,
+    vrf,
+  };
+};
+
+// VRF en la que terminó un camino exitoso (la de la entrega)
+const deliveredVRF = (path, vrf) => path.hops[path.hops.length - 1]?.targetVRF ?? vrf;
+
+/**
+ * Filas de la matriz: una por equipo y VRF de sus rutas
+ * @param {Array} routingTable - Tabla de ruteo completa
+ * @returns {Array} [{ equipo, vrf, label }]
+ */
+export const getMatrixSources = (routingTable) => {
+  const equipos = [...new Set(routingTable.map(route => route.Equipo))];
+  return equipos.flatMap(equipo => {
+    const own = new Set(routingTable.filter(route => route.Equipo === equipo).map(vrfOf));
+    return listVRFs(routingTable)
+      .filter(vrf => own.has(vrf))
+      .map(vrf => ({ equipo, vrf, label: withVRF(equipo, vrf) }));
+  });
+};
+
+/**
+ * Calcula la matriz de alcanzabilidad equipo × red destino
+ * @param {Array} routingTable - Tabla de ruteo completa
+ * @param {Object} options - Opciones para executeTraceroute
+ * @param {Object} scope - Filas y columnas a calcular, si no son las de la
+ * tabla ({ sources, prefixes }, ver getMatrixSources y
+ * getDestinationPrefixes); sirve para comparar dos tablas sobre los mismos pares
+ * @returns {Object} { equipos, sources, prefixes, rows } donde sources son
+ * las filas { equipo, vrf, label } (una por equipo y VRF de sus rutas) y
+ * rows[i][j] es la celda de la fila i hacia la red j: { equipo, vrf, prefix,
+ * sourceIP, destIP, status, hopCount, paths, result }, con prefix el label de
+ * la red y paths cada camino ECMP como { status, hopCount, path, error }. Una
+ * celda entre VRF distintas que no llega a la red (o llega a la misma
+ * dirección en otra VRF) tiene estado VRF_ISOLATED; la de un equipo sin IP
+ * origen, NO_SOURCE_ADDRESS, y la que llega sólo por algunos de sus caminos,
+ * PARTIAL_ECMP
+ */
+export const computeReachabilityMatrix = (routingTable, options = {}, scope = {}) => {
+  const {
+    sources = getMatrixSources(routingTable),
+    prefixes = getDestinationPrefixes(routingTable),
+  } = scope;
+  const equipos = [...new Set(sources.map(source => source.equipo))];
+
+  const rows = sources.map(({ equipo, vrf }) => {
+    return prefixes.map(prefix => {
+      const destIP = representativeAddress(prefix.network, prefix.mask);
+      const sourceIP = sourceAddressFor(equipo, vrf, ipVersion(destIP), routingTable, options.interfaces);
+      const result = sourceIP
+        ? executeTraceroute(equipo, sourceIP, destIP, routingTable, { ...options, vrf })
+        : missingSourceResult(equipo, vrf, destIP);
+      // Un camino que no llega a la red (o llega a la misma dirección en otra
+      // VRF) entre VRF distintas es el aislamiento esperado
+      const outcomeOf = (path) => {
+        if (!sourceIP) return path.status;
+        if (path.success && deliveredVRF(path, vrf) === prefix.vrf) return TRACE_STATUS.SUCCESS;
+        return vrf !== prefix.vrf || path.success ? VRF_ISOLATED : path.status;
+      };
+      const paths = result.paths.map(path => ({
+        status: outcomeOf(path),
+        hopCount: path.hops.length,
+        // Un camino que falla en el propio origen no tiene saltos
+        path: path.hops.length > 0 ? tracePath(path) : [equipo],
+        error: path.error,
+      }));
+      const reaching = paths.filter(path => path.status === TRACE_STATUS.SUCCESS).length;
+
+      return {
+        equipo,
+        vrf,
+        prefix: prefix.label,
+        sourceIP: result.sourceIP,
+        destIP,
+        status: reaching > 0 && reaching < paths.length ? PARTIAL_ECMP : outcomeOf(result),
+        hopCount: result.hops.length,
+        paths,
+        result,
+      };
+    });
+  });
+
+  return { equipos, sources, prefixes, rows };
+};
+
+/**
+ * Cuenta las celdas de la matriz por estado
+ * @param {Object} matrix - Resultado de computeReachabilityMatrix
+ * @returns {Object} { [status]: cantidad }
+ */
+export const summarizeMatrix = (matrix) => {
+  const counts = {};
+  matrix.rows.flat().forEach(cell => {
+    counts[cell.status] = (counts[cell.status] || 0) + 1;
+  });
+  return counts;
+};
+
+/**
+ * Texto con los caminos ECMP de una celda y el estado de cada uno
+ * (ej: "R1 → R2: success; R1 → R3: no-route")
+ */
+export const formatCellPaths = (cell) => cell.paths
+  .map(path => `${path.path.join(' → ')}: ${path.status}`)
+  .join('; ');
+
+/**
+ * Exporta la matriz a CSV, una fila por par equipo/red destino
+ * @param {Object} matrix - Resultado de computeReachabilityMatrix
+ */
+export const matrixToCSV = (matrix) => {
+  return Papa.unparse(matrix.rows.flat().map(cell => ({
+    Equipo: cell.equipo,
+    VRF: cell.vrf,
+    Red_Destino: cell.prefix,
+    IP_Probada: cell.destIP,
+    Resultado: cell.status,
+    Saltos: cell.hopCount,
+    Caminos: formatCellPaths(cell),
+    Error: cell.result.error || cell.paths.find(path => path.error)?.error || '',
+  })));
+};
+
+// Caminos ECMP de una celda con su estado, sin importar el orden en que se
+// recorrieron (ej: "R1>R2:no-route|R1>R3:success")
+const pathsKey = (cell) => cell.paths
+  .map(path => `${path.path.join('>')}:${path.status}`)
+  .sort()
+  .join('|');
+
+/**
+ * Compara dos matrices de alcanzabilidad celda a celda
+ * Una celda cambia si cambia su estado o alguno de sus caminos ECMP (el
+ * recorrido o el estado de cada uno). Las celdas que sólo existen en una de
+ * las dos matrices también se reportan.
+ * @param {Object} before - Matriz de referencia
+ * @param {Object} after - Matriz a comparar
+ * @returns {Array} [{ equipo, vrf, prefix, sourceIP, destIP, before, after }] donde
+ * before/after son { status, hopCount, path, paths } (path es el camino
+ * principal y paths todos, como en la celda) o null si la celda no existe
+ */
+export const compareMatrices = (before, after) => {
+  const describe = (cell) => cell
+    ? {
+      status: cell.status,
+      hopCount: cell.hopCount,
+      path: cell.paths[0]?.path ?? [],
+      paths: cell.paths.map(({ status, path }) => ({ status, path })),
+    }
+    : null;
+
+  const index = (matrix) => new Map(
+    matrix.rows.flat().map(cell => [`${cell.equipo}|${cell.vrf}|${cell.prefix}`, cell])
+  );
+  const beforeCells = index(before);
+  const afterCells = index(after);
+  const keys = [...new Set([...beforeCells.keys(), ...afterCells.keys()])];
+
+  return keys
+    .map(key => {
+      const oldCell = beforeCells.get(key);
+      const newCell = afterCells.get(key);
+      const cell = newCell || oldCell;
+      return {
+        equipo: cell.equipo,
+        vrf: cell.vrf,
+        prefix: cell.prefix,
+        sourceIP: cell.sourceIP,
+        destIP: cell.destIP,
+        before: describe(oldCell),
+        after: describe(newCell),
+      };
+    })
+    .filter(({ before: oldCell, after: newCell }) =>
+      !oldCell || !newCell ||
+      oldCell.status !== newCell.status ||
+      pathsKey(oldCell) !== pathsKey(newCell)
+    );
+};
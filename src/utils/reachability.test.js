@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeReachabilityMatrix,
+  compareMatrices,
+  getDestinationPrefixes,
+  matrixToCSV,
+  NO_SOURCE_ADDRESS,
+  PARTIAL_ECMP,
+  VRF_ISOLATED,
+} from './reachability.js';
+import { TRACE_STATUS } from './traceroute.js';
+import { DEFAULT_VRF } from './vrf.js';
+import { route } from './testRoutes.js';
+
+// Celda de la matriz desde un equipo (por defecto en la VRF global) hacia una red
+const cellOf = (matrix, equipo, prefix, vrf = DEFAULT_VRF) => matrix.rows.flat().find(cell =>
+  cell.equipo === equipo && cell.vrf === vrf && cell.prefix === prefix
+);
+
+// R1 balancea 192.168.5.0/24 entre R2 (sin ruta hacia esa red) y R3 (que la entrega)
+const ecmpTable = [
+  route('R1', '10.0.0.0', '/24', 'directo'),
+  route('R1', '10.0.1.0', '/24', 'directo'),
+  route('R2', '10.0.0.0', '/24', 'directo'),
+  route('R3', '10.0.1.0', '/24', 'directo'),
+  route('R3', '192.168.5.0', '/24', 'directo'),
+  route('R1', '192.168.5.0', '/24', '10.0.0.2'),
+  route('R1', '192.168.5.0', '/24', '10.0.1.3'),
+];
+
+describe('computeReachabilityMatrix', () => {
+  it('marca como ECMP parcial la celda que llega sólo por algunos caminos', () => {
+    const matrix = computeReachabilityMatrix(ecmpTable);
+    const cell = cellOf(matrix, 'R1', '192.168.5.0/24');
+
+    expect(cell.status).toBe(PARTIAL_ECMP);
+    expect(cell.paths.map(path => [path.path, path.status])).toEqual([
+      [['R1', 'R2'], TRACE_STATUS.NO_ROUTE],
+      [['R1', 'R3'], TRACE_STATUS.SUCCESS],
+    ]);
+    expect(matrixToCSV(matrix)).toContain(`${PARTIAL_ECMP},1,R1 → R2: ${TRACE_STATUS.NO_ROUTE}; R1 → R3: ${TRACE_STATUS.SUCCESS}`);
+  });
+
+  it('no traza desde un equipo sin IP de la familia del destino', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', 'directo'),
+      route('R1', '2001:db8:1::', '/64', '10.0.0.2'),
+      route('R2', '10.0.0.0', '/24', 'directo'),
+      route('R2', '2001:db8:1::', '/64', 'directo'),
+    ];
+    const matrix = computeReachabilityMatrix(table);
+
+    const cell = cellOf(matrix, 'R1', '2001:db8:1::/64');
+    expect(cell.status).toBe(NO_SOURCE_ADDRESS);
+    expect(cell.sourceIP).toBeNull();
+    expect(cell.result.error).toContain('IPv6');
+    expect(cellOf(matrix, 'R2', '2001:db8:1::/64').status).toBe(TRACE_STATUS.SUCCESS);
+  });
+
+  it('alcanza otra VRF sólo por una ruta con VRF_Destino y aísla el resto', () => {
+    // PE1 filtra 10.9.9.0/24 de la VRF servicios (en PE2) hacia clienteA, pero no hacia clienteB
+    const table = [
+      route('PE1', '10.1.0.0', '/24', 'directo', { VRF: 'clienteA' }),
+      route('PE1', '10.9.9.0', '/24', '172.16.3.2', { VRF: 'clienteA', VRF_Destino: 'servicios' }),
+      route('PE1', '10.2.0.0', '/24', 'directo', { VRF: 'clienteB' }),
+      route('PE1', '172.16.3.0', '/30', 'directo', { VRF: 'servicios' }),
+      route('PE2', '172.16.3.0', '/30', 'directo', { VRF: 'servicios' }),
+      route('PE2', '10.9.9.0', '/24', 'directo', { VRF: 'servicios' }),
+    ];
+    const matrix = computeReachabilityMatrix(table);
+    const services = '10.9.9.0/24 (servicios)';
+
+    const leaked = cellOf(matrix, 'PE1', services, 'clienteA');
+    expect(leaked.status).toBe(TRACE_STATUS.SUCCESS);
+    expect(leaked.paths.map(path => path.path)).toEqual([['PE1', 'PE2']]);
+    expect(cellOf(matrix, 'PE1', services, 'clienteB').status).toBe(VRF_ISOLATED);
+    expect(cellOf(matrix, 'PE1', '10.2.0.0/24 (clienteB)', 'clienteA').status).toBe(VRF_ISOLATED);
+    expect(cellOf(matrix, 'PE2', '10.1.0.0/24 (clienteA)', 'servicios').status).toBe(VRF_ISOLATED);
+    expect(cellOf(matrix, 'PE2', services, 'servicios').status).toBe(TRACE_STATUS.SUCCESS);
+  });
+});
+
+describe('compareMatrices', () => {
+  it('reporta el cambio de un camino ECMP aunque el principal no cambie', () => {
+    const before = [
+      ...ecmpTable.filter(entry => entry.Equipo !== 'R2'),
+      route('R2', '10.0.0.0', '/24', 'directo'),
+      route('R2', '192.168.5.0', '/24', 'directo'),
+    ];
+    // R3 deja de entregar la red y la envía a R4
+    const after = [
+      ...before.filter(entry => !(entry.Equipo === 'R3' && entry.IP_Destino === '192.168.5.0')),
+      route('R3', '10.0.2.0', '/24', 'directo'),
+      route('R4', '10.0.2.0', '/24', 'directo'),
+      route('R4', '192.168.5.0', '/24', 'directo'),
+      route('R3', '192.168.5.0', '/24', '10.0.2.4'),
+    ];
+    const scope = {
+      sources: [{ equipo: 'R1', vrf: DEFAULT_VRF, label: 'R1' }],
+      prefixes: getDestinationPrefixes([route('R1', '192.168.5.0', '/24', '10.0.0.2')]),
+    };
+    const changes = compareMatrices(
+      computeReachabilityMatrix(before, {}, scope),
+      computeReachabilityMatrix(after, {}, scope)
+    );
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0].before).toMatchObject({ status: TRACE_STATUS.SUCCESS, path: ['R1', 'R2'] });
+    expect(changes[0].after).toMatchObject({ status: TRACE_STATUS.SUCCESS, path: ['R1', 'R2'] });
+    expect(changes[0].after.paths.map(path => path.path)).toEqual([['R1', 'R2'], ['R1', 'R3', 'R4']]);
+  });
+});
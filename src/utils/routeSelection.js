@@ -0,0 +1,263 @@
+/**
+ * Selección de rutas
+ * Decide qué entradas de la tabla de un equipo se usan para un destino,
+ * como lo haría un router que mezcla rutas conectadas, estáticas y
+ * aprendidas por protocolos dinámicos:
+ * 1. Prefijo más largo
+ * 2. Menor distancia administrativa (columna opcional Distancia)
+ * 3. Menor métrica (columna opcional Metrica)
+ * Las rutas empatadas en los tres criterios forman un grupo ECMP.
+ */
+import { ipToBigInt, isIPInNetwork, prefixLength, formatPrefix } from './ip.js';
+
+/**
+ * Distancia administrativa por defecto de cada protocolo
+ * (valores habituales de Cisco IOS)
+ */
+export const DEFAULT_DISTANCES = {
+  connected: 0,
+  static: 1,
+  ebgp: 20,
+  eigrp: 90,
+  ospf: 110,
+  isis: 115,
+  rip: 120,
+  ibgp: 200,
+};
+
+// Nombres alternativos aceptados en la columna Protocolo
+const PROTOCOL_ALIASES = {
+  directo: 'connected',
+  c: 'connected',
+  s: 'static',
+  estatica: 'static',
+  'estática': 'static',
+  d: 'eigrp',
+  o: 'ospf',
+  i: 'isis',
+  r: 'rip',
+  b: 'ebgp',
+  bgp: 'ebgp',
+};
+
+/**
+ * Motivos por los que una ruta ganó sobre las demás candidatas
+ */
+export const SELECTION_REASON = {
+  ONLY_MATCH: 'only-match',
+  LONGEST_PREFIX: 'longest-prefix',
+  ADMIN_DISTANCE: 'admin-distance',
+  METRIC: 'metric',
+  TIE_BREAK: 'tie-break',
+  FAILOVER: 'failover',
+};
+
+/**
+ * Resultado de cada candidata en la selección
+ */
+export const CANDIDATE_OUTCOME = {
+  WINNER: 'winner',
+  ECMP: 'ecmp',
+  LOST_PREFIX: 'lost-prefix',
+  LOST_DISTANCE: 'lost-distance',
+  LOST_METRIC: 'lost-metric',
+  LOST_TIE_BREAK: 'lost-tie-break',
+  NEXT_HOP_DOWN: 'next-hop-down',
+};
+
+/**
+ * Descripción de cada motivo y resultado para mostrar en la interfaz
+ */
+export const SELECTION_REASON_LABELS = {
+  [SELECTION_REASON.ONLY_MATCH]: 'única coincidencia',
+  [SELECTION_REASON.LONGEST_PREFIX]: 'prefijo más largo',
+  [SELECTION_REASON.ADMIN_DISTANCE]: 'menor distancia administrativa',
+  [SELECTION_REASON.METRIC]: 'menor métrica',
+  [SELECTION_REASON.TIE_BREAK]: 'desempate',
+  [SELECTION_REASON.FAILOVER]: 'respaldo (siguiente salto caído)',
+};
+
+export const CANDIDATE_OUTCOME_LABELS = {
+  [CANDIDATE_OUTCOME.WINNER]: 'elegida',
+  [CANDIDATE_OUTCOME.ECMP]: 'ECMP (igual costo)',
+  [CANDIDATE_OUTCOME.LOST_PREFIX]: 'pierde por prefijo más corto',
+  [CANDIDATE_OUTCOME.LOST_DISTANCE]: 'pierde por distancia administrativa',
+  [CANDIDATE_OUTCOME.LOST_METRIC]: 'pierde por métrica',
+  [CANDIDATE_OUTCOME.LOST_TIE_BREAK]: 'pierde por desempate',
+  [CANDIDATE_OUTCOME.NEXT_HOP_DOWN]: 'descartada (siguiente salto caído)',
+};
+
+export const isDirectRoute = (route) => route.Gateway.toLowerCase() === 'directo';
+
+/**
+ * Protocolo de una ruta (columna Protocolo, o connected/static según el gateway)
+ */
+export const routeProtocol = (route) => {
+  const raw = (route.Protocolo ?? '').trim().toLowerCase();
+  if (!raw) return isDirectRoute(route) ? 'connected' : 'static';
+  return PROTOCOL_ALIASES[raw] || raw;
+};
+
+// Valor de una columna numérica opcional; null si está vacía o no es un
+// número, para que la selección no compare NaN (el linter reporta el valor)
+const numericColumn = (value) => {
+  const raw = String(value ?? '').trim();
+  const number = Number(raw);
+  return raw !== '' && Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Distancia administrativa de una ruta (columna Distancia o, si no se indica
+ * o no es un número, la del protocolo)
+ */
+export const routeDistance = (route) => {
+  return numericColumn(route.Distancia) ?? DEFAULT_DISTANCES[routeProtocol(route)] ?? DEFAULT_DISTANCES.static;
+};
+
+/**
+ * Métrica de una ruta (columna Metrica, 0 si no se indica o no es un número)
+ */
+export const routeMetric = (route) => numericColumn(route.Metrica) ?? 0;
+
+/**
+ * Orden de preferencia entre dos rutas que coinciden con el destino
+ * Prefijo más largo, luego menor distancia administrativa, luego menor
+ * métrica. A igualdad, "directo" antes que un gateway y, entre gateways, la
+ * IP numéricamente menor, para que el resultado no dependa del orden de las
+ * filas en el CSV.
+ * @returns {number} Negativo si `a` es preferible a `b`
+ */
+export const compareRoutes = (a, b) => {
+  const maskDiff = prefixLength(b.IP_Destino, b.Mascara) - prefixLength(a.IP_Destino, a.Mascara);
+  if (maskDiff !== 0) return maskDiff;
+
+  const distanceDiff = routeDistance(a) - routeDistance(b);
+  if (distanceDiff !== 0) return distanceDiff;
+
+  const metricDiff = routeMetric(a) - routeMetric(b);
+  if (metricDiff !== 0) return metricDiff;
+
+  const aDirect = isDirectRoute(a);
+  const bDirect = isDirectRoute(b);
+  if (aDirect !== bDirect) return aDirect ? -1 : 1;
+  if (aDirect) return 0;
+
+  const aGateway = ipToBigInt(a.Gateway) ?? 0n;
+  const bGateway = ipToBigInt(b.Gateway) ?? 0n;
+  return aGateway === bGateway ? 0 : (aGateway < bGateway ? -1 : 1);
+};
+
+/**
+ * Indica por qué criterio `route` pierde frente a `best`, o null si empatan
+ */
+const lostBy = (route, best) => {
+  if (prefixLength(route.IP_Destino, route.Mascara) !== prefixLength(best.IP_Destino, best.Mascara)) return CANDIDATE_OUTCOME.LOST_PREFIX;
+  if (routeDistance(route) !== routeDistance(best)) return CANDIDATE_OUTCOME.LOST_DISTANCE;
+  if (routeMetric(route) !== routeMetric(best)) return CANDIDATE_OUTCOME.LOST_METRIC;
+  // Una ruta "directo" nunca se balancea con una de gateway
+  if (isDirectRoute(route) !== isDirectRoute(best)) return CANDIDATE_OUTCOME.LOST_TIE_BREAK;
+  return null;
+};
+
+const REASON_BY_OUTCOME = {
+  [CANDIDATE_OUTCOME.LOST_PREFIX]: SELECTION_REASON.LONGEST_PREFIX,
+  [CANDIDATE_OUTCOME.LOST_DISTANCE]: SELECTION_REASON.ADMIN_DISTANCE,
+  [CANDIDATE_OUTCOME.LOST_METRIC]: SELECTION_REASON.METRIC,
+  [CANDIDATE_OUTCOME.LOST_TIE_BREAK]: SELECTION_REASON.TIE_BREAK,
+};
+
+/**
+ * Describe una ruta candidata para el registro de la selección
+ */
+const describeCandidate = (route, outcome) => ({
+  destNetwork: formatPrefix(route.IP_Destino, route.Mascara),
+  gateway: route.Gateway,
+  protocol: routeProtocol(route),
+  distance: routeDistance(route),
+  metric: routeMetric(route),
+  line: route.__line ?? null,
+  outcome,
+});
+
+/**
+ * Selecciona las rutas de un equipo para una IP destino
+ * @param {string} equipmentName - Nombre del equipo
+ * @param {string} destIP - IP destino
+ * @param {Array} routingTable - Tabla de ruteo completa
+ * @param {Function} isUsable - Filtro opcional: las rutas que no lo cumplen
+ * (ej: siguiente salto caído) no compiten y se registran como descartadas
+ * @returns {Object} { winners, reason, candidates } donde winners son las
+ * entradas ganadoras (varias si hay ECMP), reason el motivo por el que ganaron
+ * y candidates todas las coincidencias con su resultado
+ */
+export const selectRoutes = (equipmentName, destIP, routingTable, isUsable = () => true) => {
+  // Filtrar entradas de este equipo que coinciden con la IP destino
+  const allMatches = routingTable
+    .filter(route =>
+      route.Equipo === equipmentName &&
+      isIPInNetwork(destIP, route.IP_Destino, route.Mascara)
+    )
+    .sort(compareRoutes);
+
+  const discarded = allMatches.filter(route => !isUsable(route));
+  const matches = allMatches.filter(route => !discarded.includes(route));
+  const discardedCandidates = discarded.map(route =>
+    describeCandidate(route, CANDIDATE_OUTCOME.NEXT_HOP_DOWN)
+  );
+
+  if (matches.length === 0) {
+    return { winners: [], reason: null, candidates: discardedCandidates };
+  }
+
+  // Conservar las de igual costo que la mejor, sin repetir gateway
+  const best = matches[0];
+  const winners = [];
+  const gateways = new Set();
+  const candidates = matches.map(route => {
+    const lost = lostBy(route, best);
+    if (lost) return describeCandidate(route, lost);
+
+    const gateway = route.Gateway.toLowerCase();
+    if (gateways.has(gateway)) return describeCandidate(route, CANDIDATE_OUTCOME.LOST_TIE_BREAK);
+    gateways.add(gateway);
+    winners.push(route);
+    return describeCandidate(route, winners.length === 1 ? CANDIDATE_OUTCOME.WINNER : CANDIDATE_OUTCOME.ECMP);
+  });
+
+  // Si una ruta preferible quedó descartada, la ganadora es un respaldo;
+  // si no, el motivo lo da la mejor de las perdedoras (la primera tras ordenar)
+  const runnerUp = candidates.find(candidate => REASON_BY_OUTCOME[candidate.outcome]);
+  let reason = runnerUp ? REASON_BY_OUTCOME[runnerUp.outcome] : SELECTION_REASON.ONLY_MATCH;
+  if (discarded.some(route => compareRoutes(route, best) < 0)) {
+    reason = SELECTION_REASON.FAILOVER;
+  }
+
+  return { winners, reason, candidates: [...candidates, ...discardedCandidates] };
+};
+
+/**
+ * Busca todas las entradas de ruteo ganadoras para una IP destino
+ * Devuelve la mejor ruta y, si hay varias de igual costo con distinto
+ * gateway (ECMP), todas ellas ordenadas según compareRoutes.
+ * Acepta rutas por defecto (0.0.0.0/0), rutas de host (/32) y máscaras en
+ * formato CIDR o decimal con puntos
+ * @param {string} equipmentName - Nombre del equipo actual
+ * @param {string} destIP - IP destino
+ * @param {Array} routingTable - Tabla de ruteo completa
+ * @returns {Array} Entradas ganadoras (vacío si ninguna coincide)
+ */
+export const findRouteEntries = (equipmentName, destIP, routingTable) => {
+  return selectRoutes(equipmentName, destIP, routingTable).winners;
+};
+
+/**
+ * Busca la mejor entrada de ruteo para una IP destino
+ * Con varias rutas de igual costo devuelve la primera según compareRoutes
+ * @param {string} equipmentName - Nombre del equipo actual
+ * @param {string} destIP - IP destino
+ * @param {Array} routingTable - Tabla de ruteo completa
+ * @returns {Object|null} Entrada ganadora, o null si ninguna coincide
+ */
+export const findRouteEntry = (equipmentName, destIP, routingTable) => {
+  return findRouteEntries(equipmentName, destIP, routingTable)[0] || null;
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { findRouteEntry, findRouteEntries, compareRoutes } from './routeSelection.js';
+import { route } from './testRoutes.js';
+
+describe('findRouteEntry', () => {
+  it('usa la ruta por defecto /0 si no hay otra coincidencia', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/8', '192.168.0.2'),
+      route('R1', '0.0.0.0', '/0', '192.168.0.1'),
+    ];
+    expect(findRouteEntry('R1', '8.8.8.8', table).Gateway).toBe('192.168.0.1');
+    expect(findRouteEntry('R1', '10.1.2.3', table).Gateway).toBe('192.168.0.2');
+  });
+
+  it('acepta la ruta por defecto con máscara decimal 0.0.0.0', () => {
+    const table = [route('R1', '0.0.0.0', '0.0.0.0', '192.168.0.1')];
+    expect(findRouteEntry('R1', '203.0.113.9', table)?.Gateway).toBe('192.168.0.1');
+  });
+
+  it('prefiere la ruta de host /32 y sólo la usa para esa IP', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', '192.168.0.1'),
+      route('R1', '10.0.0.5', '/32', '192.168.0.9'),
+    ];
+    expect(findRouteEntry('R1', '10.0.0.5', table).Gateway).toBe('192.168.0.9');
+    expect(findRouteEntry('R1', '10.0.0.6', table).Gateway).toBe('192.168.0.1');
+  });
+
+  it('trata igual las máscaras decimales y CIDR', () => {
+    const table = [
+      route('R1', '172.16.0.0', '255.255.0.0', '192.168.0.1'),
+      route('R1', '172.16.4.0', '255.255.252.0', '192.168.0.2'),
+    ];
+    expect(findRouteEntry('R1', '172.16.5.1', table).Gateway).toBe('192.168.0.2');
+    expect(findRouteEntry('R1', '172.16.8.1', table).Gateway).toBe('192.168.0.1');
+  });
+
+  it('ignora las rutas con máscara no contigua', () => {
+    const table = [route('R1', '10.0.0.0', '255.0.255.0', '192.168.0.1')];
+    expect(findRouteEntry('R1', '10.0.0.1', table)).toBeNull();
+  });
+
+  it('devuelve null si ninguna ruta coincide o el equipo no tiene rutas', () => {
+    const table = [route('R1', '10.0.0.0', '/24', '192.168.0.1')];
+    expect(findRouteEntry('R1', '10.0.1.1', table)).toBeNull();
+    expect(findRouteEntry('R2', '10.0.0.1', table)).toBeNull();
+  });
+
+  it('desempata prefijos de igual largo sin depender del orden de las filas', () => {
+    const a = route('R1', '10.0.0.0', '/24', '192.168.0.20');
+    const b = route('R1', '10.0.0.0', '255.255.255.0', '192.168.0.3');
+    expect(findRouteEntry('R1', '10.0.0.1', [a, b]).Gateway).toBe('192.168.0.3');
+    expect(findRouteEntry('R1', '10.0.0.1', [b, a]).Gateway).toBe('192.168.0.3');
+    // Ambas forman un grupo ECMP, en el mismo orden
+    expect(findRouteEntries('R1', '10.0.0.1', [a, b]).map(r => r.Gateway))
+      .toEqual(['192.168.0.3', '192.168.0.20']);
+  });
+
+  it('prefiere "directo" frente a un gateway con igual prefijo y costo', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', '192.168.0.1'),
+      route('R1', '10.0.0.0', '/24', 'directo'),
+    ];
+    expect(findRouteEntry('R1', '10.0.0.1', table).Gateway).toBe('directo');
+  });
+
+  it('a igual prefijo decide la distancia y luego la métrica', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', '192.168.0.1', { Protocolo: 'ospf' }),
+      route('R1', '10.0.0.0', '/24', '192.168.0.2', { Protocolo: 'ospf', Distancia: '100' }),
+      route('R1', '10.0.0.0', '/24', '192.168.0.3', { Protocolo: 'ospf', Distancia: '100', Metrica: '5' }),
+    ];
+    expect(findRouteEntries('R1', '10.0.0.1', table).map(r => r.Gateway)).toEqual(['192.168.0.2']);
+  });
+
+  it('usa la distancia del protocolo y métrica 0 si el valor no es un número', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', '192.168.0.1', { Distancia: 'abc', Metrica: '5' }),
+      route('R1', '10.0.0.0', '/24', '192.168.0.2', { Distancia: '1', Metrica: 'x' }),
+      route('R1', '10.0.0.0', '/24', '192.168.0.3', { Distancia: '5' }),
+    ];
+    // static: distancia 1; la métrica inválida vale 0 y gana a la de 5
+    expect(findRouteEntry('R1', '10.0.0.1', table).Gateway).toBe('192.168.0.2');
+    expect(findRouteEntry('R1', '10.0.0.1', [...table].reverse()).Gateway).toBe('192.168.0.2');
+  });
+});
+
+describe('compareRoutes', () => {
+  it('ordena primero por el prefijo más largo', () => {
+    const longer = route('R1', '10.0.0.0', '/25', '192.168.0.9');
+    const shorter = route('R1', '10.0.0.0', '/24', 'directo');
+    expect(compareRoutes(longer, shorter)).toBeLessThan(0);
+    expect(compareRoutes(shorter, longer)).toBeGreaterThan(0);
+  });
+});
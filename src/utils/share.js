@@ -0,0 +1,66 @@
+/**
+ * Enlaces para compartir escenarios
+ * El escenario (un proyecto, ver project.js) se comprime con deflate y se
+ * codifica en base64url dentro del hash de la URL: "#escenario=...". El hash
+ * no se envía al servidor, por lo que funciona en un hosting estático.
+ */
+import { parseProject } from './project.js';
+
+export const SHARE_HASH_PREFIX = '#escenario=';
+
+// Transforma bytes pasándolos por un CompressionStream/DecompressionStream
+const transform = async (bytes, stream) => {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+};
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  // Por bloques: String.fromCharCode con muchos argumentos desborda la pila
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+/**
+ * Codifica un proyecto para el hash de la URL
+ * @returns {Promise<string>} Hash completo, incluido el prefijo
+ */
+export const encodeScenario = async (project) => {
+  const json = new TextEncoder().encode(JSON.stringify(project));
+  const compressed = await transform(json, new CompressionStream('deflate-raw'));
+  return `${SHARE_HASH_PREFIX}${toBase64Url(compressed)}`;
+};
+
+/**
+ * Decodifica el escenario de un hash de URL
+ * @returns {Promise<Object|null>} Proyecto según parseProject, o null si el
+ * hash no contiene un escenario
+ * @throws {Error} Si el escenario está dañado o no es válido
+ */
+export const decodeScenario = async (hash) => {
+  if (!hash.startsWith(SHARE_HASH_PREFIX)) return null;
+
+  let json;
+  try {
+    const compressed = fromBase64Url(hash.slice(SHARE_HASH_PREFIX.length));
+    const bytes = await transform(compressed, new DecompressionStream('deflate-raw'));
+    json = new TextDecoder().decode(bytes);
+  } catch {
+    throw new Error('El enlace compartido está incompleto o dañado');
+  }
+  return parseProject(json);
+};
+
+/**
+ * Genera la URL para compartir un proyecto desde la página actual
+ */
+export const shareURL = async (project, location = window.location) => {
+  return `${location.origin}${location.pathname}${location.search}${await encodeScenario(project)}`;
+};
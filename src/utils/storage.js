@@ -0,0 +1,82 @@
+/**
+ * Proyectos guardados en el navegador (localStorage)
+ * Todos los proyectos se guardan bajo una única clave como
+ * { [nombre]: { savedAt, project } }
+ */
+import { parseProject, serializeProject } from './project.js';
+
+const STORAGE_KEY = 'traceroute-simulator:projects';
+
+const readAll = () => {
+  try {
+    const projects = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return projects && typeof projects === 'object' && !Array.isArray(projects) ? projects : {};
+  } catch {
+    return {};
+  }
+};
+
+// Una entrada guardada tiene la fecha y el proyecto; otra aplicación o una
+// versión anterior pudo dejar entradas dañadas bajo la misma clave
+const isStoredEntry = (entry) =>
+  typeof entry?.savedAt === 'string' && typeof entry.project === 'object' && entry.project !== null;
+
+const writeAll = (projects) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(projects));
+  } catch (error) {
+    throw new Error(`No se pudo guardar en el navegador: ${error.message}`);
+  }
+};
+
+/**
+ * Lista los proyectos guardados, del más reciente al más antiguo
+ * Las entradas dañadas (sin fecha o sin proyecto) se omiten
+ * @returns {Array} [{ name, savedAt, routeCount, queryCount }]
+ */
+export const listProjects = () => {
+  const count = (list) => (Array.isArray(list) ? list.length : 0);
+  return Object.entries(readAll())
+    .filter(([, entry]) => isStoredEntry(entry))
+    .map(([name, { savedAt, project }]) => ({
+      name,
+      savedAt,
+      routeCount: count(project.routingTable),
+      queryCount: count(project.savedQueries),
+    }))
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+/**
+ * Guarda (o reemplaza) un proyecto con nombre
+ * @throws {Error} Si el nombre está vacío o el navegador no permite guardar
+ */
+export const saveProject = (name, project) => {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    throw new Error('Ingresa un nombre para el proyecto');
+  }
+  writeAll({ ...readAll(), [trimmed]: { savedAt: new Date().toISOString(), project } });
+};
+
+/**
+ * Abre un proyecto guardado
+ * @returns {Object} Proyecto según parseProject
+ * @throws {Error} Si no existe o está dañado
+ */
+export const loadProject = (name) => {
+  const stored = readAll()[name];
+  if (!stored) {
+    throw new Error(`No existe el proyecto "${name}"`);
+  }
+  if (!isStoredEntry(stored)) {
+    throw new Error(`El proyecto "${name}" está dañado`);
+  }
+  return parseProject(serializeProject(stored.project));
+};
+
+export const deleteProject = (name) => {
+  const projects = readAll();
+  delete projects[name];
+  writeAll(projects);
+};
@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { listProjects, saveProject, loadProject } from './storage.js';
+import { createProject } from './project.js';
+
+const STORAGE_KEY = 'traceroute-simulator:projects';
+
+const routingData = [{ Equipo: 'R1', IP_Destino: '10.0.0.0', Mascara: '/24', Gateway: 'directo' }];
+
+// localStorage mínimo en memoria
+const createStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+  };
+};
+
+describe('storage', () => {
+  beforeEach(() => {
+    vi.stubGlobal('localStorage', createStorage());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('omite las entradas dañadas al listar los proyectos', () => {
+    saveProject('bueno', createProject({ routingData }));
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      ...stored,
+      nulo: null,
+      texto: 'proyecto',
+      sinProyecto: { savedAt: '2024-01-01T00:00:00.000Z' },
+    }));
+
+    expect(listProjects().map(project => project.name)).toEqual(['bueno']);
+    expect(listProjects()[0].routeCount).toBe(1);
+    expect(() => loadProject('sinProyecto')).toThrow('El proyecto "sinProyecto" está dañado');
+  });
+
+  it('devuelve una lista vacía si la clave no tiene un objeto de proyectos', () => {
+    localStorage.setItem(STORAGE_KEY, '[1, 2]');
+    expect(listProjects()).toEqual([]);
+    localStorage.setItem(STORAGE_KEY, '{no es json');
+    expect(listProjects()).toEqual([]);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Comparación de dos tablas de ruteo ("antes" y "después" de un cambio)
+ * Calcula las rutas agregadas, eliminadas y modificadas de cada equipo, los
+ * pares equipo → red cuyo traceroute cambia de resultado o de camino, y las
+ * conexiones entre equipos que se ganan o se pierden
+ */
+import { canonicalPrefix, normalizeIP } from './ip.js';
+import { isDirectRoute, routeProtocol, routeDistance, routeMetric } from './routeSelection.js';
+import { vrfOf, leakTarget } from './vrf.js';
+import {
+  computeReachabilityMatrix,
+  compareMatrices,
+  getMatrixSources,
+  getDestinationPrefixes,
+} from './reachability.js';
+import { buildTopology } from './topology.js';
+import { linkKey } from './failures.js';
+
+const gatewayOf = (route) => (isDirectRoute(route) ? 'directo' : normalizeIP(route.Gateway.trim()));
+
+// Atributos que se comparan entre dos rutas de la misma red, con su valor
+// efectivo (una Distancia vacía equivale a la del protocolo)
+const COMPARED_FIELDS = [
+  { column: 'Gateway', value: gatewayOf },
+  { column: 'Protocolo', value: routeProtocol },
+  { column: 'Distancia', value: routeDistance },
+  { column: 'Metrica', value: routeMetric },
+  { column: 'VRF_Destino', value: (route) => leakTarget(route) ?? '' },
+];
+
+// Una ruta se identifica por su equipo, su VRF y su red (sin bits de host)
+const routeKey = (route) => `${route.Equipo}|${vrfOf(route)}|${canonicalPrefix(route.IP_Destino, route.Mascara)}`;
+
+const groupByKey = (routes) => {
+  const groups = new Map();
+  routes.forEach(route => {
+    const key = routeKey(route);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(route);
+  });
+  return groups;
+};
+
+/**
+ * Compara dos tablas de ruteo ruta por ruta
+ * Las rutas de la misma red se emparejan por gateway (para respetar los
+ * grupos ECMP); si de cada lado queda una sola sin pareja, es la misma ruta
+ * con otro gateway
+ * @param {Array} before - Tabla de referencia
+ * @param {Array} after - Tabla modificada
+ * @returns {Array} [{ equipo, added, removed, modified }] sólo de los equipos
+ * con cambios, ordenados por nombre; modified son { before, after, changes }
+ * con changes [{ column, before, after }]
+ */
+export const diffRoutingTables = (before, after) => {
+  const oldGroups = groupByKey(before);
+  const newGroups = groupByKey(after);
+  const byEquipment = new Map();
+  const entry = (equipo) => {
+    if (!byEquipment.has(equipo)) byEquipment.set(equipo, { equipo, added: [], removed: [], modified: [] });
+    return byEquipment.get(equipo);
+  };
+
+  const keys = [...new Set([...oldGroups.keys(), ...newGroups.keys()])];
+  keys.forEach(key => {
+    const pending = [...(newGroups.get(key) || [])];
+    const unmatched = [];
+    const pairs = [];
+
+    (oldGroups.get(key) || []).forEach(old => {
+      const index = pending.findIndex(route => gatewayOf(route) === gatewayOf(old));
+      if (index >= 0) {
+        pairs.push([old, pending.splice(index, 1)[0]]);
+      } else {
+        unmatched.push(old);
+      }
+    });
+    if (unmatched.length === 1 && pending.length === 1) {
+      pairs.push([unmatched.pop(), pending.pop()]);
+    }
+
+    pairs.forEach(([old, current]) => {
+      const changes = COMPARED_FIELDS
+        .filter(field => field.value(old) !== field.value(current))
+        .map(field => ({ column: field.column, before: field.value(old), after: field.value(current) }));
+      if (changes.length > 0) {
+        entry(current.Equipo).modified.push({ before: old, after: current, changes });
+      }
+    });
+    unmatched.forEach(route => entry(route.Equipo).removed.push(route));
+    pending.forEach(route => entry(route.Equipo).added.push(route));
+  });
+
+  return [...byEquipment.values()].sort((a, b) => a.equipo.localeCompare(b.equipo));
+};
+
+/**
+ * Totales de una comparación de tablas
+ * @param {Array} diff - Resultado de diffRoutingTables
+ * @returns {Object} { equipos, added, removed, modified }
+ */
+export const summarizeTableDiff = (diff) => ({
+  equipos: diff.length,
+  added: diff.reduce((sum, entry) => sum + entry.added.length, 0),
+  removed: diff.reduce((sum, entry) => sum + entry.removed.length, 0),
+  modified: diff.reduce((sum, entry) => sum + entry.modified.length, 0),
+});
+
+// Une dos listas sin repetir claves, conservando el orden
+const unionBy = (a, b, key) => {
+  const seen = new Map();
+  [...a, ...b].forEach(item => {
+    if (!seen.has(key(item))) seen.set(key(item), item);
+  });
+  return [...seen.values()];
+};
+
+/**
+ * Pares equipo → red cuyo traceroute cambia entre las dos tablas
+ * Ambas matrices se calculan sobre los mismos pares (la unión de los equipos
+ * y redes de las dos tablas), por lo que una red nueva o un equipo eliminado
+ * se comparan contra el resultado real en la otra tabla
+ * @param {Array} before - Tabla de referencia
+ * @param {Array} after - Tabla modificada
+ * @param {Object} options - Opciones para executeTraceroute (interfaces, fallas, etc.)
+ * @returns {Array} Cambios según compareMatrices
+ */
+export const compareReachability = (before, after, options = {}) => {
+  const scope = {
+    sources: unionBy(getMatrixSources(before), getMatrixSources(after), source => `${source.equipo}|${source.vrf}`),
+    prefixes: unionBy(getDestinationPrefixes(before), getDestinationPrefixes(after), prefix => prefix.label),
+  };
+  return compareMatrices(
+    computeReachabilityMatrix(before, options, scope),
+    computeReachabilityMatrix(after, options, scope)
+  );
+};
+
+/**
+ * Conexiones y equipos que aparecen o desaparecen entre las dos tablas
+ * @param {Array} before - Tabla de referencia
+ * @param {Array} after - Tabla modificada
+ * @param {Array} interfaces - Tabla de interfaces (opcional)
+ * @returns {Object} { gained, lost, addedEquipment, removedEquipment } donde
+ * gained y lost son conexiones de buildTopology
+ */
+export const diffTopologies = (before, after, interfaces = []) => {
+  const oldTopology = buildTopology(before, interfaces);
+  const newTopology = buildTopology(after, interfaces);
+  const oldKeys = new Set(oldTopology.links.map(link => linkKey(link.source, link.target)));
+  const newKeys = new Set(newTopology.links.map(link => linkKey(link.source, link.target)));
+
+  return {
+    gained: newTopology.links.filter(link => !oldKeys.has(linkKey(link.source, link.target))),
+    lost: oldTopology.links.filter(link => !newKeys.has(linkKey(link.source, link.target))),
+    addedEquipment: newTopology.nodes.filter(equipo => !oldTopology.nodes.includes(equipo)),
+    removedEquipment: oldTopology.nodes.filter(equipo => !newTopology.nodes.includes(equipo)),
+  };
+};
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { diffRoutingTables, summarizeTableDiff, compareReachability } from './tableDiff.js';
+import { TRACE_STATUS } from './traceroute.js';
+import { route } from './testRoutes.js';
+
+const base = [
+  route('R1', '10.0.0.0', '/24', 'directo'),
+  route('R1', '10.0.1.0', '/24', 'directo'),
+  route('R2', '10.0.0.0', '/24', 'directo'),
+  route('R3', '10.0.1.0', '/24', 'directo'),
+];
+
+describe('diffRoutingTables', () => {
+  it('empareja las rutas de un grupo ECMP por gateway, sin importar el orden', () => {
+    const before = [
+      route('R1', '172.16.0.0', '/16', '10.0.0.2'),
+      route('R1', '172.16.0.0', '/16', '10.0.0.3', { Metrica: '5' }),
+    ];
+    const after = [
+      route('R1', '172.16.0.0', '/16', '10.0.0.3', { Metrica: '7' }),
+      route('R1', '172.16.0.0', '/16', '10.0.0.2'),
+    ];
+    const [entry] = diffRoutingTables(before, after);
+    expect(entry.added).toEqual([]);
+    expect(entry.removed).toEqual([]);
+    expect(entry.modified.map(change => [change.after.Gateway, change.changes])).toEqual([
+      ['10.0.0.3', [{ column: 'Metrica', before: 5, after: 7 }]],
+    ]);
+  });
+
+  it('toma como cambio de gateway la única ruta sin pareja de cada lado', () => {
+    const before = [
+      route('R1', '172.16.0.0', '/16', '10.0.0.2'),
+      route('R1', '172.16.0.0', '/16', '10.0.0.3'),
+    ];
+    const after = [
+      route('R1', '172.16.0.0', '/16', '10.0.0.3'),
+      route('R1', '172.16.0.0', '/16', '10.0.0.4'),
+    ];
+    const [entry] = diffRoutingTables(before, after);
+    expect(entry.modified.map(change => change.changes)).toEqual([
+      [{ column: 'Gateway', before: '10.0.0.2', after: '10.0.0.4' }],
+    ]);
+    expect(summarizeTableDiff([entry])).toEqual({ equipos: 1, added: 0, removed: 0, modified: 1 });
+  });
+
+  it('reporta como agregadas y eliminadas las rutas sin pareja si quedan varias', () => {
+    const before = [
+      route('R1', '172.16.0.0', '/16', '10.0.0.2'),
+      route('R1', '172.16.0.0', '/16', '10.0.0.3'),
+    ];
+    const after = [
+      route('R1', '172.16.0.0', '/16', '10.0.0.4'),
+      route('R1', '172.16.0.0', '/16', '10.0.0.5'),
+    ];
+    const [entry] = diffRoutingTables(before, after);
+    expect(entry.removed.map(removed => removed.Gateway)).toEqual(['10.0.0.2', '10.0.0.3']);
+    expect(entry.added.map(added => added.Gateway)).toEqual(['10.0.0.4', '10.0.0.5']);
+    expect(entry.modified).toEqual([]);
+  });
+
+  it('no ve cambios en la misma ruta escrita de otra forma', () => {
+    const before = [
+      route('R1', '172.16.0.5', '255.255.0.0', '2001:db8:0:0::1'),
+      route('R1', '10.1.0.0', '/24', 'DIRECTO'),
+    ];
+    const after = [
+      route('R1', '172.16.0.0', '/16', '2001:db8::1'),
+      route('R1', '10.1.0.0', '/24', 'directo'),
+    ];
+    expect(diffRoutingTables(before, after)).toEqual([]);
+  });
+});
+
+describe('compareReachability', () => {
+  it('compara los pares de las dos tablas, aunque la red sólo exista en una', () => {
+    const before = [...base, route('R1', '172.16.0.0', '/16', '10.0.0.2')];
+    const after = [
+      ...base,
+      route('R3', '192.168.9.0', '/24', 'directo'),
+      route('R1', '192.168.9.0', '/24', '10.0.1.3'),
+      route('R1', '172.16.0.0', '/16', '10.0.0.2'),
+    ];
+    const change = compareReachability(before, after)
+      .find(pair => pair.equipo === 'R1' && pair.prefix === '192.168.9.0/24');
+
+    expect(change.before).toMatchObject({ status: TRACE_STATUS.NO_ROUTE });
+    expect(change.after).toMatchObject({ status: TRACE_STATUS.SUCCESS, path: ['R1', 'R3'] });
+  });
+});
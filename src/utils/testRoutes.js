@@ -0,0 +1,7 @@
+/**
+ * Fábrica de rutas para los tests: una fila de la tabla de ruteo con las
+ * columnas obligatorias y, opcionalmente, otras (Distancia, Metrica, VRF...)
+ */
+export const route = (Equipo, IP_Destino, Mascara, Gateway, extra = {}) => ({
+  Equipo, IP_Destino, Mascara, Gateway, ...extra,
+});
@@ -0,0 +1,171 @@
+/**
+ * Topología de la red
+ * Deduce los equipos y las conexiones entre ellos a partir de la tabla de
+ * ruteo: cada ruta con gateway conecta su equipo con el equipo al que se
+ * resuelve el gateway (el mismo criterio que usa el traceroute). Las
+ * conexiones que figuran en el modelo de enlaces llevan sus atributos y
+ * cada conexión indica las VRF cuyas rutas la usan.
+ * La vista L3 (buildSegmentTopology) muestra además cada red "directo" como
+ * un segmento conectado a todos los equipos que la tienen
+ */
+import { createGatewayResolver } from './interfaces.js';
+import { isDirectRoute } from './routeSelection.js';
+import { linkKey } from './failures.js';
+import { hasLinkAttributes, linkAttributes } from './links.js';
+import { DEFAULT_VRF, targetVRF } from './vrf.js';
+import { canonicalPrefix, isIPInNetwork } from './ip.js';
+
+/**
+ * Tipos de segmento de la vista L3: de tránsito (compartido por varios
+ * equipos) o LAN de hosts finales (conectada a un solo equipo)
+ */
+export const SEGMENT_KIND = {
+  TRANSIT: 'transit',
+  LAN: 'lan',
+};
+
+// Los ids de segmento no pueden confundirse con nombres de equipo
+const SEGMENT_ID_PREFIX = 'net:';
+
+export const isSegmentId = (id) => id.startsWith(SEGMENT_ID_PREFIX);
+
+const segmentId = (cidr, vrf) => `${SEGMENT_ID_PREFIX}${cidr}${vrf === DEFAULT_VRF ? '' : `|${vrf}`}`;
+
+/**
+ * Clave de la conexión entre un equipo y un segmento
+ */
+export const attachmentKey = (equipment, segment) => `${equipment}|${segment}`;
+
+/**
+ * Construye la topología
+ * @param {Array} routingData - Tabla de ruteo
+ * @param {Array} interfaces - Tabla de interfaces (opcional)
+ * @param {Object} linkModel - Modelo de enlaces (opcional, ver links.js)
+ * @returns {Object} { nodes, links } donde nodes son los nombres de los
+ * equipos y links las conexiones { source, target, gateway, attributes, vrfs }
+ * sin repetir pares (la primera ruta que las define fija el sentido y el
+ * gateway); attributes es null si el enlace no figura en el modelo y vrfs
+ * lista las VRF en las que se resuelven los gateways de la conexión
+ */
+export const buildTopology = (routingData, interfaces = [], linkModel = null) => {
+  const nodes = [...new Set(routingData.map(route => route.Equipo))];
+  const links = new Map();
+  const resolveGatewayIn = createGatewayResolver(routingData, interfaces);
+
+  routingData.forEach(route => {
+    if (isDirectRoute(route)) return;
+
+    // El gateway se resuelve en la VRF hacia la que reenvía la ruta
+    const vrf = targetVRF(route);
+    const resolved = resolveGatewayIn(route.Gateway, vrf, route.Equipo);
+    if (!resolved) return;
+
+    const key = linkKey(route.Equipo, resolved.equipment);
+    if (links.has(key)) {
+      const link = links.get(key);
+      if (!link.vrfs.includes(vrf)) link.vrfs.push(vrf);
+    } else {
+      // Con enlaces paralelos, los atributos son los de la red del gateway
+      const addresses = [route.Gateway];
+      links.set(key, {
+        source: route.Equipo,
+        target: resolved.equipment,
+        gateway: route.Gateway,
+        attributes: hasLinkAttributes(linkModel, route.Equipo, resolved.equipment, addresses)
+          ? linkAttributes(linkModel, route.Equipo, resolved.equipment, addresses)
+          : null,
+        vrfs: [vrf],
+      });
+    }
+  });
+
+  return { nodes, links: [...links.values()] };
+};
+
+/**
+ * Pares de equipos recorridos por el camino principal de un traceroute
+ * @returns {Set} Claves de enlace (ver linkKey) usadas por la ruta
+ */
+export const tracedLinks = (traceResult) => {
+  return new Set(
+    (traceResult?.hops || [])
+      .filter(hop => hop.nextEquipment)
+      .map(hop => linkKey(hop.currentEquipment, hop.nextEquipment))
+  );
+};
+
+/**
+ * Construye la vista L3: cada red "directo" es un segmento conectado a todos
+ * los equipos que la tienen como "directo" (en la misma VRF)
+ * @param {Array} routingData - Tabla de ruteo
+ * @returns {Object} { segments, links } donde segments son { id, cidr,
+ * network, mask, vrf, kind, routers } y links las conexiones equipo-segmento
+ * { source, target } (target es el id del segmento)
+ */
+export const buildSegmentTopology = (routingData) => {
+  const segments = new Map();
+
+  routingData.filter(isDirectRoute).forEach(route => {
+    // Una red "directo" filtrada hacia otra VRF es el segmento de esa VRF
+    const vrf = targetVRF(route);
+    const cidr = canonicalPrefix(route.IP_Destino, route.Mascara);
+    const id = segmentId(cidr, vrf);
+    if (!segments.has(id)) {
+      const [network, bits] = cidr.split('/');
+      segments.set(id, { id, cidr, network, mask: `/${bits}`, vrf, routers: [] });
+    }
+    const segment = segments.get(id);
+    if (!segment.routers.includes(route.Equipo)) segment.routers.push(route.Equipo);
+  });
+
+  const list = [...segments.values()].map(segment => ({
+    ...segment,
+    kind: segment.routers.length > 1 ? SEGMENT_KIND.TRANSIT : SEGMENT_KIND.LAN,
+  }));
+  return {
+    segments: list,
+    links: list.flatMap(segment => segment.routers.map(equipment => ({ source: equipment, target: segment.id }))),
+  };
+};
+
+/**
+ * Segmentos que recorre un camino de traceroute: el que comparten cada equipo
+ * y el siguiente (el que contiene al gateway, si hay varios) y la red
+ * "directo" en la que se entrega el paquete
+ * @param {Array} hops - Saltos del camino
+ * @param {Object} segmentTopology - Vista L3 (ver buildSegmentTopology)
+ * @returns {Object} { path, attachments } donde path alterna equipos y ids de
+ * segmento en orden y attachments son las claves (ver attachmentKey) de las
+ * conexiones equipo-segmento usadas
+ */
+export const tracedSegments = (hops = [], segmentTopology) => {
+  const { segments } = segmentTopology;
+  const path = [];
+  const attachments = new Set();
+
+  hops.forEach(hop => {
+    const vrf = hop.targetVRF ?? hop.vrf ?? DEFAULT_VRF;
+    let segment = null;
+    if (hop.nextEquipment) {
+      const shared = segments.filter(s =>
+        s.vrf === vrf && s.routers.includes(hop.currentEquipment) && s.routers.includes(hop.nextEquipment)
+      );
+      segment = shared.find(s => isIPInNetwork(hop.gateway, s.network, s.mask)) || shared[0] || null;
+    } else if (hop.destNetwork && String(hop.gateway).toLowerCase() === 'directo') {
+      const [network, bits] = hop.destNetwork.split('/');
+      const id = segmentId(canonicalPrefix(network, `/${bits}`), vrf);
+      segment = segments.find(s => s.id === id) || null;
+    }
+
+    path.push(hop.currentEquipment);
+    if (segment) {
+      path.push(segment.id);
+      attachments.add(attachmentKey(hop.currentEquipment, segment.id));
+      if (hop.nextEquipment) attachments.add(attachmentKey(hop.nextEquipment, segment.id));
+    }
+  });
+
+  const last = hops[hops.length - 1];
+  if (last?.nextEquipment) path.push(last.nextEquipment);
+  return { path: [...new Set(path)], attachments };
+};
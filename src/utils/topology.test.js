@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { buildTopology } from './topology.js';
+import { route } from './testRoutes.js';
+
+const pairs = (topology) => topology.links.map(link => `${link.source}-${link.target}`);
+
+describe('buildTopology', () => {
+  it('resuelve el gateway con la primera red "directo" de otro equipo que lo contiene', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', 'directo'),
+      route('R3', '10.0.0.0', '255.255.0.0', 'directo'),
+      route('R2', '10.0.0.0', '/24', 'directo'),
+      route('R1', '172.16.0.0', '/16', '10.0.0.2'),
+    ];
+    expect(pairs(buildTopology(table))).toEqual(['R1-R3']);
+  });
+
+  it('prefiere la tabla de interfaces y resuelve en la VRF de salida', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', 'directo'),
+      route('R2', '10.0.0.0', '/24', 'directo'),
+      route('R3', '10.0.0.0', '/24', 'directo', { VRF: 'A' }),
+      route('R1', '172.16.0.0', '/16', '10.0.0.2'),
+      route('R1', '172.17.0.0', '/16', '10.0.0.9', { VRF_Destino: 'A' }),
+    ];
+    const interfaces = [{ Equipo: 'R2', Interfaz: 'Gi0/1', IP: '10.0.0.2' }];
+    const topology = buildTopology(table, interfaces);
+    expect(pairs(topology)).toEqual(['R1-R2', 'R1-R3']);
+    expect(topology.links[1].vrfs).toEqual(['A']);
+  });
+
+  it('no conecta un equipo consigo mismo', () => {
+    const table = [
+      route('R1', '10.0.0.0', '/24', 'directo'),
+      route('R1', '172.16.0.0', '/16', '10.0.0.2'),
+    ];
+    expect(buildTopology(table).links).toEqual([]);
+  });
+});
@@ -3,228 +3,486 @@
  * Simula el recorrido de un paquete desde una IP origen a una IP destino
  */
 
+import { isIPInNetwork, formatPrefix, ipVersion } from './ip.js';
+import { findInterfaceByIP, findInterfaceForNetwork, findEgressInterface, createGatewayResolver } from './interfaces.js';
+import { flowHash } from './flowHash.js';
+import { selectRoutes, routeProtocol, routeDistance, routeMetric, isDirectRoute } from './routeSelection.js';
+import { isRouterFailed, isLinkFailed } from './failures.js';
+import { pathMetrics } from './links.js';
+import { evaluateACL, formatRule, ACL_ACTION, ACL_DIRECTION } from './acl.js';
+import { translateDestination, translateSource } from './nat.js';
+import { DEFAULT_VRF, targetVRF, createVRFScopes } from './vrf.js';
+
+export { findRouteEntry, findRouteEntries } from './routeSelection.js';
+
 /**
- * Convierte una IP a número para comparaciones
+ * Códigos de estado del resultado de un traceroute
+ * Permiten clasificar el resultado sin depender del mensaje de error
  */
-const ipToNumber = (ip) => {
-  const parts = ip.split('.').map(Number);
-  return (parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3];
+export const TRACE_STATUS = {
+  SUCCESS: 'success',
+  INVALID_PARAMS: 'invalid-params',
+  UNKNOWN_EQUIPMENT: 'unknown-equipment',
+  NO_ROUTE: 'no-route',
+  LOOP: 'loop',
+  UNRESOLVED_GATEWAY: 'unresolved-gateway',
+  HOP_LIMIT: 'hop-limit',
+  ROUTER_DOWN: 'router-down',
+  NEXT_HOP_DOWN: 'next-hop-down',
+  ADMIN_PROHIBITED: 'admin-prohibited',
+  INTERNAL: 'internal-error',
 };
 
 /**
- * Verifica si una IP pertenece a una red específica
- * @param {string} ip - IP a verificar (ej: "192.168.1.5")
- * @param {string} network - Red (ej: "192.168.1.0")
- * @param {string} mask - Máscara en formato CIDR (ej: "/24")
+ * Búsqueda que falló en un traceroute sin éxito (campo `lookup` del diagnóstico)
  */
-const isIPInNetwork = (ip, network, mask) => {
-  if (!ip || !network || !mask) return false;
-
-  try {
-    const maskBits = parseInt(mask.replace('/', ''));
-    const ipNum = ipToNumber(ip);
-    const networkNum = ipToNumber(network);
-    const maskNum = (-1 << (32 - maskBits)) >>> 0;
-
-    return (ipNum & maskNum) === (networkNum & maskNum);
-  } catch (error) {
-    return false;
-  }
+export const DIAGNOSTIC_LOOKUP = {
+  SOURCE: 'source',
+  ROUTE: 'route',
+  GATEWAY: 'gateway',
+  LOOP: 'loop',
+  HOP_LIMIT: 'hop-limit',
+  ACL: 'acl',
 };
 
 /**
- * Busca la entrada de ruteo más específica para una IP destino
- * @param {string} equipmentName - Nombre del equipo actual
- * @param {string} destIP - IP destino
- * @param {Array} routingTable - Tabla de ruteo completa
+ * Detalla la resolución de un gateway para diagnosticar por qué falló
+ * @returns {Object} { interfaceOwner, checked } donde interfaceOwner es el
+ * equipo dueño de la IP según la tabla de interfaces (o null) y checked lista,
+ * por cada equipo revisado, { equipment, connected, isCurrent } con la red
+ * "directo" que contiene al gateway (o null)
  */
-const findRouteEntry = (equipmentName, destIP, routingTable) => {
-  // Filtrar entradas de este equipo
-  const equipmentRoutes = routingTable.filter(
-    route => route.Equipo === equipmentName
-  );
-
-  // Buscar coincidencias con la IP destino
-  const matches = equipmentRoutes.filter(route =>
-    isIPInNetwork(destIP, route.IP_Destino, route.Mascara)
-  );
-
-  if (matches.length === 0) return null;
-
-  // Retornar la ruta más específica (máscara más larga)
-  return matches.reduce((best, current) => {
-    const bestMask = parseInt(best.Mascara.replace('/', ''));
-    const currentMask = parseInt(current.Mascara.replace('/', ''));
-    return currentMask > bestMask ? current : best;
+export const explainGatewayResolution = (gateway, routingTable, currentEquipment, interfaces = []) => {
+  const equipos = [...new Set(routingTable.map(route => route.Equipo))];
+  const checked = equipos.map(equipment => {
+    const connected = routingTable.find(route =>
+      route.Equipo === equipment &&
+      isDirectRoute(route) &&
+      isIPInNetwork(gateway, route.IP_Destino, route.Mascara)
+    );
+    return {
+      equipment,
+      connected: connected ? formatPrefix(connected.IP_Destino, connected.Mascara) : null,
+      isCurrent: equipment === currentEquipment,
+    };
   });
+
+  return {
+    interfaceOwner: findInterfaceByIP(gateway, interfaces)?.Equipo || null,
+    checked,
+  };
 };
 
 /**
- * Encuentra qué equipo tiene conexión directa a un gateway
- * @param {string} gateway - IP del gateway
- * @param {Array} routingTable - Tabla de ruteo completa
- * @param {string} currentEquipment - Equipo actual (para excluirlo)
+ * Invierte los puertos de un paquete o flujo (el de la respuesta)
  */
-const findEquipmentByGateway = (gateway, routingTable, currentEquipment) => {
-  // Buscar equipos que tengan una ruta directa a la red del gateway
-  // IMPORTANTE: Excluir el equipo actual para evitar loops
-  for (const route of routingTable) {
-    if (route.Equipo !== currentEquipment &&
-        route.Gateway.toLowerCase() === 'directo' &&
-        isIPInNetwork(gateway, route.IP_Destino, route.Mascara)) {
-      return route.Equipo;
-    }
-  }
-
-  return null;
+export const reversePorts = (descriptor) => {
+  if (!descriptor) return descriptor;
+  return { ...descriptor, srcPort: descriptor.dstPort, dstPort: descriptor.srcPort };
 };
 
+export const MAX_HOPS = 30; // Límite de seguridad
+const MAX_PATHS = 64; // Límite de caminos ECMP explorados
+
+// Aclaración de la VRF en los mensajes (nada para la global)
+const inVRFText = (vrf) => (vrf === DEFAULT_VRF ? '' : ` (VRF ${vrf})`);
+
 /**
  * Ejecuta el algoritmo de traceroute
+ * Si algún equipo tiene varias rutas de igual costo (ECMP), explora todos
+ * los caminos posibles. En modo flujo (options.flow) elige en cada equipo un
+ * único camino con un hash de la 5-tupla, como lo haría el balanceo real.
  * @param {string} sourceEquipment - Nombre del equipo origen
  * @param {string} sourceIP - IP origen
  * @param {string} destIP - IP destino
  * @param {Array} routingTable - Tabla de ruteo completa
- * @returns {Object} Resultado con éxito/error y lista de saltos
+ * @param {Object} options - Opciones adicionales
+ * @param {Array} options.interfaces - Tabla de interfaces (Equipo, Interfaz, IP, Mascara)
+ * @param {Object} options.flow - Flujo { protocol, srcPort, dstPort } para el hash ECMP
+ * @param {Object} options.failures - Fallas simuladas { routers, links }: las
+ * rutas cuyo siguiente salto está caído se descartan en favor de la siguiente mejor
+ * @param {Object} options.links - Modelo de enlaces (ver links.js) para las
+ * métricas del camino
+ * @param {Array} options.acls - Reglas de ACL (ver acl.js): el paquete se
+ * filtra en la interfaz de entrada y en la de salida de cada equipo
+ * @param {Object} options.packet - Paquete { protocol, srcPort, dstPort } que
+ * evalúan las ACL (si falta se usa el flujo)
+ * @param {Array} options.nat - Reglas de NAT (ver nat.js): el destino se
+ * traduce al entrar a cada equipo (y se rutea con él) y el origen al salir
+ * @param {Array} options.natSessions - Traducciones de la ida que se deshacen
+ * en la vuelta (las `translations` de otro resultado)
+ * @param {string} options.vrf - VRF en la que parte el paquete (ver vrf.js);
+ * cada equipo sólo usa las rutas e interfaces de la VRF en la que viaja
+ * @returns {Object} Resultado del camino principal (el primero explorado) con
+ * éxito/error y lista de saltos, más `paths` con todos los caminos ECMP. Si
+ * falla, `diagnostic` describe la búsqueda que falló (ver DIAGNOSTIC_LOOKUP).
+ * Cada camino incluye `metrics` (ver pathMetrics) con la latencia, el ancho
+ * de banda, la MTU y la pérdida de los enlaces recorridos. Cada salto guarda
+ * en `acl` { in, out } la regla de ACL que permitió el paquete (ver evaluateACL),
+ * el paquete al entrar y al salir (`packetIn`, `packetOut`) y las traducciones
+ * de NAT hechas en el equipo (`nat`). Cada camino incluye el paquete tal como
+ * terminó (`packet`) y todas sus traducciones (`translations`). Cada salto
+ * indica la VRF de la búsqueda (`vrf`) y aquella en la que sigue el paquete
+ * (`targetVRF`, distinta si la ruta filtra hacia otra VRF)
  */
-export const executeTraceroute = (sourceEquipment, sourceIP, destIP, routingTable) => {
-  const hops = [];
-  const visitedEquipment = new Set();
-  let currentEquipment = sourceEquipment;
-  const MAX_HOPS = 30; // Límite de seguridad
+export const executeTraceroute = (sourceEquipment, sourceIP, destIP, routingTable, options = {}) => {
+  const { interfaces = [], flow = null, failures = null, links = null, acls = null, nat = null, natSessions = null } = options;
+  const vrf = options.vrf || DEFAULT_VRF;
+  const initialPacket = { protocol: 'ip', ...(options.packet || flow), sourceIP, destIP };
+
+  // Resultado sin camino recorrido: datos de entrada inválidos, origen caído
+  // o error interno (diagnostic indica dónde falló; por defecto, en el origen)
+  const failTrace = (status, error, diagnostic = { lookup: DIAGNOSTIC_LOOKUP.SOURCE, equipment: sourceEquipment }, paths = []) => ({
+    success: false,
+    status,
+    error,
+    hops: [],
+    paths,
+    diagnostic,
+    metrics: null,
+    packet: null,
+    translations: [],
+    sourceEquipment,
+    sourceIP,
+    destIP,
+    vrf,
+  });
 
   // Validación inicial
   if (!sourceEquipment || !sourceIP || !destIP || !routingTable || routingTable.length === 0) {
-    return {
-      success: false,
-      error: 'Parámetros inválidos o tabla de ruteo vacía',
-      hops: [],
-      sourceEquipment,
-      sourceIP,
-      destIP,
-    };
+    return failTrace(TRACE_STATUS.INVALID_PARAMS, 'Parámetros inválidos o tabla de ruteo vacía');
+  }
+
+  // Origen y destino deben ser de la misma familia: cada traza recorre sólo
+  // las rutas IPv4 o sólo las IPv6 de la tabla
+  if (ipVersion(sourceIP) !== ipVersion(destIP)) {
+    return failTrace(TRACE_STATUS.INVALID_PARAMS, `${sourceIP} y ${destIP} no son de la misma familia (IPv4 o IPv6)`);
   }
 
   // Verificar que el equipo origen existe en la tabla
   const equipmentExists = routingTable.some(r => r.Equipo === sourceEquipment);
   if (!equipmentExists) {
-    return {
-      success: false,
-      error: `El equipo "${sourceEquipment}" no existe en la tabla de ruteo`,
-      hops: [],
-      sourceEquipment,
-      sourceIP,
-      destIP,
-    };
+    return failTrace(TRACE_STATUS.UNKNOWN_EQUIPMENT, `El equipo "${sourceEquipment}" no existe en la tabla de ruteo`);
   }
 
-  // Algoritmo de traceroute
-  try {
-    for (let hopCount = 0; hopCount < MAX_HOPS; hopCount++) {
-      // Detectar loop
-      if (visitedEquipment.has(currentEquipment)) {
-        return {
-          success: false,
-          error: `Loop infinito detectado en el equipo "${currentEquipment}"`,
-          hops,
-          sourceEquipment,
-          sourceIP,
-          destIP,
-        };
-      }
+  // Un equipo caído no puede originar tráfico
+  if (isRouterFailed(failures, sourceEquipment)) {
+    return failTrace(TRACE_STATUS.ROUTER_DOWN, `El equipo origen "${sourceEquipment}" está caído`);
+  }
 
-      visitedEquipment.add(currentEquipment);
+  const paths = [];
+  const scopes = createVRFScopes(routingTable, interfaces);
+  const resolveGatewayIn = createGatewayResolver(routingTable, interfaces);
+  // diagnostic: datos de la búsqueda que falló (null si el camino llega)
+  const finishPath = (status, error, hops, diagnostic = null) => {
+    paths.push({
+      success: status === TRACE_STATUS.SUCCESS,
+      status,
+      error,
+      hops,
+      diagnostic,
+      metrics: pathMetrics(hops, links),
+      packet: hops.length > 0 ? hops[hops.length - 1].packetOut : initialPacket,
+      translations: hops.flatMap(hop => hop.nat),
+    });
+  };
 
-      // Buscar entrada de ruteo para la IP destino
-      const routeEntry = findRouteEntry(currentEquipment, destIP, routingTable);
+  // Evalúa la ACL de una interfaz; si deniega el paquete termina el camino
+  // @returns {Object|null} Resultado de evaluateACL, o false si se denegó
+  const filter = (equipment, iface, direction, hops, packet) => {
+    const verdict = evaluateACL(acls, equipment, iface?.Interfaz || null, direction, packet);
+    if (verdict?.action !== ACL_ACTION.DENY) return verdict;
 
-      if (!routeEntry) {
-        return {
-          success: false,
-          error: `No existe ruta hacia ${destIP} desde el equipo "${currentEquipment}"`,
-          hops,
-          sourceEquipment,
-          sourceIP,
-          destIP,
-        };
-      }
+    const where = `la ACL de ${direction === ACL_DIRECTION.IN ? 'entrada' : 'salida'} de "${equipment}"${iface ? ` (${iface.Interfaz})` : ''}`;
+    const rule = verdict.rule ? `regla de la línea ${verdict.rule.line}: ${formatRule(verdict.rule)}` : 'deny implícito';
+    finishPath(TRACE_STATUS.ADMIN_PROHIBITED, `Paquete descartado por ${where}, ${rule} (administratively prohibited)`, hops, {
+      lookup: DIAGNOSTIC_LOOKUP.ACL,
+      equipment,
+      interface: iface?.Interfaz || null,
+      direction,
+      rule: verdict.rule,
+      packet,
+    });
+    return false;
+  };
+
+  // Recorre la red desde un equipo, bifurcando en cada grupo ECMP
+  // ingress: interfaz por la que entra el paquete al equipo actual
+  // packet: el paquete tal como llega al equipo (con las traducciones previas)
+  // currentVRF: VRF en la que el equipo busca la ruta
+  // visited: equipos ya recorridos, como "equipo|vrf" (un equipo puede
+  // recorrerse una vez en cada VRF)
+  const walk = (currentEquipment, currentVRF, ingress, hops, visited, packet) => {
+    if (paths.length >= MAX_PATHS) return;
+
+    // Detectar loop
+    const visitKey = `${currentEquipment}|${currentVRF}`;
+    if (visited.has(visitKey)) {
+      // El ciclo va desde la primera visita al equipo hasta volver a él
+      const cycleStart = hops.findIndex(hop => hop.currentEquipment === currentEquipment && hop.vrf === currentVRF);
+      finishPath(TRACE_STATUS.LOOP, `Loop infinito detectado en el equipo "${currentEquipment}"${inVRFText(currentVRF)}`, hops, {
+        lookup: DIAGNOSTIC_LOOKUP.LOOP,
+        equipment: currentEquipment,
+        vrf: currentVRF,
+        cycle: [...hops.slice(cycleStart).map(hop => hop.currentEquipment), currentEquipment],
+        destNetwork: hops[cycleStart]?.destNetwork ?? null,
+      });
+      return;
+    }
+
+    if (hops.length >= MAX_HOPS) {
+      finishPath(TRACE_STATUS.HOP_LIMIT, `Se excedió el límite de ${MAX_HOPS} saltos`, hops, {
+        lookup: DIAGNOSTIC_LOOKUP.HOP_LIMIT,
+        equipment: currentEquipment,
+        hopLimit: MAX_HOPS,
+      });
+      return;
+    }
+
+    // ACL de entrada: se evalúa antes de buscar la ruta
+    const aclIn = filter(currentEquipment, ingress, ACL_DIRECTION.IN, hops, packet);
+    if (aclIn === false) return;
+
+    // NAT de destino: la ruta se busca con el destino ya traducido
+    const dnat = translateDestination(nat, natSessions, currentEquipment, ingress?.Interfaz || null, packet);
+    const routed = dnat.packet;
+    const targetIP = routed.destIP;
+    const scope = scopes(currentVRF);
+
+    // Siguiente salto de una ruta, resuelto en la VRF hacia la que reenvía
+    const resolveNext = (route) => {
+      return resolveGatewayIn(route.Gateway, targetVRF(route), currentEquipment);
+    };
+
+    // Una ruta es utilizable si su siguiente salto (equipo y enlace) no está caído
+    const isUsable = (route) => {
+      if (isDirectRoute(route)) return true;
+      const next = resolveNext(route);
+      // Un gateway irresoluble se reporta como tal al intentar usarlo
+      if (!next) return true;
+      return !isRouterFailed(failures, next.equipment) &&
+        !isLinkFailed(failures, currentEquipment, next.equipment);
+    };
+
+    // Buscar entradas de ruteo para la IP destino
+    const { winners: routeEntries, reason, candidates } = selectRoutes(currentEquipment, targetIP, scope.routingTable, isUsable);
+
+    // Diagnóstico de una búsqueda de ruta sin resultado
+    const routeLookup = () => ({
+      lookup: DIAGNOSTIC_LOOKUP.ROUTE,
+      equipment: currentEquipment,
+      vrf: currentVRF,
+      destIP: targetIP,
+      routesChecked: scope.routingTable.filter(route => route.Equipo === currentEquipment).length,
+      candidates,
+    });
+
+    if (routeEntries.length === 0 && candidates.length > 0) {
+      finishPath(TRACE_STATUS.NEXT_HOP_DOWN, `Todas las rutas hacia ${targetIP} desde "${currentEquipment}"${inVRFText(currentVRF)} usan un siguiente salto caído`, hops, routeLookup());
+      return;
+    }
+
+    if (routeEntries.length === 0) {
+      finishPath(TRACE_STATUS.NO_ROUTE, `No existe ruta hacia ${targetIP} desde el equipo "${currentEquipment}"${inVRFText(currentVRF)}`, hops, routeLookup());
+      return;
+    }
+
+    // En modo flujo se sigue un único miembro del grupo ECMP
+    const selectedEntries = flow && routeEntries.length > 1
+      ? [routeEntries[flowHash({ ...flow, sourceIP: routed.sourceIP, destIP: targetIP }, currentEquipment) % routeEntries.length]]
+      : routeEntries;
+
+    const nextVisited = new Set(visited).add(visitKey);
+
+    // NAT de origen y ACL de salida en la interfaz elegida
+    // @returns {Object|null} Campos de salida del salto, o null si la ACL descartó el paquete
+    const leave = (egress) => {
+      const snat = translateSource(nat, natSessions, currentEquipment, egress?.Interfaz || null, routed);
+      const aclOut = filter(currentEquipment, egress, ACL_DIRECTION.OUT, hops, snat.packet);
+      if (aclOut === false) return null;
+      return {
+        egressInterface: egress?.Interfaz || null,
+        egressIP: egress?.IP || null,
+        acl: { in: aclIn, out: aclOut },
+        packetIn: packet,
+        packetOut: snat.packet,
+        nat: [dnat.translation, snat.translation].filter(Boolean),
+      };
+    };
+
+    selectedEntries.forEach(routeEntry => {
+      const nextVRF = targetVRF(routeEntry);
+      const nextScope = scopes(nextVRF);
+      const baseHop = {
+        currentEquipment,
+        vrf: currentVRF,
+        targetVRF: nextVRF,
+        destNetwork: formatPrefix(routeEntry.IP_Destino, routeEntry.Mascara),
+        protocol: routeProtocol(routeEntry),
+        distance: routeDistance(routeEntry),
+        metric: routeMetric(routeEntry),
+        // Por qué ganó esta ruta y con qué otras coincidencias compitió
+        selection: { reason, candidates },
+        ingressInterface: ingress?.Interfaz || null,
+        ingressIP: ingress?.IP || null,
+        // Otros miembros del grupo ECMP no usados en este camino
+        alternatives: routeEntries
+          .filter(entry => entry !== routeEntry)
+          .map(entry => ({
+            gateway: entry.Gateway,
+            nextEquipment: resolveNext(entry)?.equipment || null,
+          })),
+      };
 
       // Si el gateway es "directo", hemos llegado al destino
-      if (routeEntry.Gateway.toLowerCase() === 'directo') {
-        hops.push({
-          currentEquipment,
-          destNetwork: `${routeEntry.IP_Destino}${routeEntry.Mascara}`,
+      if (isDirectRoute(routeEntry)) {
+        const departure = leave(findInterfaceForNetwork(currentEquipment, targetIP, nextScope.interfaces));
+        if (!departure) return;
+
+        finishPath(TRACE_STATUS.SUCCESS, null, [...hops, {
+          ...baseHop,
           gateway: 'directo',
           nextEquipment: null,
-        });
-
-        return {
-          success: true,
-          error: null,
-          hops,
-          sourceEquipment,
-          sourceIP,
-          destIP,
-        };
+          ...departure,
+        }]);
+        return;
       }
 
       // Buscar el siguiente equipo usando el gateway (excluyendo el equipo actual)
-      const nextEquipment = findEquipmentByGateway(routeEntry.Gateway, routingTable, currentEquipment);
-
-      if (!nextEquipment) {
-        return {
-          success: false,
-          error: `No se puede resolver el gateway ${routeEntry.Gateway} desde "${currentEquipment}"`,
-          hops,
-          sourceEquipment,
-          sourceIP,
-          destIP,
-        };
+      const next = resolveNext(routeEntry);
+
+      if (!next) {
+        finishPath(TRACE_STATUS.UNRESOLVED_GATEWAY, `No se puede resolver el gateway ${routeEntry.Gateway} desde "${currentEquipment}"${inVRFText(nextVRF)}`, hops, {
+          lookup: DIAGNOSTIC_LOOKUP.GATEWAY,
+          equipment: currentEquipment,
+          vrf: nextVRF,
+          gateway: routeEntry.Gateway,
+          destNetwork: baseHop.destNetwork,
+          ...explainGatewayResolution(routeEntry.Gateway, nextScope.routingTable, currentEquipment, nextScope.interfaces),
+        });
+        return;
       }
 
-      // Agregar salto
-      hops.push({
-        currentEquipment,
-        destNetwork: `${routeEntry.IP_Destino}${routeEntry.Mascara}`,
+      // Interfaz de salida: la indicada en la zona del gateway o la del
+      // equipo actual en la red del gateway
+      const departure = leave(findEgressInterface(currentEquipment, routeEntry.Gateway, nextScope.interfaces));
+      if (!departure) return;
+
+      // Agregar salto y avanzar al siguiente equipo
+      walk(next.equipment, nextVRF, next.ingress, [...hops, {
+        ...baseHop,
         gateway: routeEntry.Gateway,
-        nextEquipment,
-      });
+        nextEquipment: next.equipment,
+        ...departure,
+      }], nextVisited, departure.packetOut);
+    });
+  };
 
-      // Avanzar al siguiente equipo
-      currentEquipment = nextEquipment;
-    }
+  // Algoritmo de traceroute
+  try {
+    // En el origen, la interfaz de entrada es la conectada a la red de la IP origen
+    walk(sourceEquipment, vrf, findInterfaceForNetwork(sourceEquipment, sourceIP, scopes(vrf).interfaces), [], new Set(), initialPacket);
 
-    // Si llegamos aquí, excedimos el límite de saltos
+    const [primary] = paths;
     return {
-      success: false,
-      error: `Se excedió el límite de ${MAX_HOPS} saltos`,
-      hops,
+      ...primary,
+      paths,
       sourceEquipment,
       sourceIP,
       destIP,
+      vrf,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: `Error interno: ${error.message}`,
-      hops,
-      sourceEquipment,
-      sourceIP,
-      destIP,
-    };
+    return failTrace(TRACE_STATUS.INTERNAL, `Error interno: ${error.message}`, null, paths);
   }
 };
 
 /**
- * Valida formato de IP
+ * Compara el camino de ida con el de vuelta
+ * El camino de vuelta es simétrico si recorre los mismos equipos que el de
+ * ida en orden inverso. Si no lo es, indica el equipo donde se separan.
+ * @param {Array} forwardHops - Saltos del camino de ida
+ * @param {Array} returnHops - Saltos del camino de vuelta
+ * @param {boolean} returnSuccess - Si el camino de vuelta llegó al origen
+ * @returns {Object} { symmetric, forwardPath, returnPath, divergence }
  */
-export const validateIP = (ip) => {
-  const ipRegex = /^(\d{1,3}\.){3}\d{1,3}$/;
-  if (!ipRegex.test(ip)) return false;
-
-  const parts = ip.split('.');
-  return parts.every(part => {
-    const num = parseInt(part, 10);
-    return num >= 0 && num <= 255;
-  });
+const comparePaths = (forwardHops, returnHops, returnSuccess) => {
+  const forwardPath = forwardHops.map(hop => hop.currentEquipment);
+  const returnPath = returnHops.map(hop => hop.currentEquipment);
+  const expectedPath = [...forwardPath].reverse();
+
+  const length = Math.max(expectedPath.length, returnPath.length);
+  for (let i = 0; i < length; i++) {
+    if (returnPath[i] !== expectedPath[i]) {
+      return {
+        symmetric: false,
+        forwardPath,
+        returnPath,
+        divergence: {
+          index: i,
+          // Último equipo común: donde la vuelta abandona el camino de ida
+          equipment: returnPath[i - 1] ?? null,
+          expectedNext: expectedPath[i] ?? null,
+          actualNext: returnPath[i] ?? null,
+        },
+      };
+    }
+  }
+
+  return {
+    symmetric: returnSuccess,
+    forwardPath,
+    returnPath,
+    divergence: null,
+  };
 };
+
+/**
+ * Ejecuta el traceroute en ambos sentidos
+ * Traza la ida hacia destIP y, si llega, la vuelta desde el equipo conectado
+ * al destino hacia sourceIP (o hacia las direcciones traducidas por NAT),
+ * en la VRF en la que se entregó el paquete,
+ * para detectar rutas asimétricas o respuestas que no pueden regresar.
+ * @param {string} sourceEquipment - Nombre del equipo origen
+ * @param {string} sourceIP - IP origen
+ * @param {string} destIP - IP destino
+ * @param {Array} routingTable - Tabla de ruteo completa
+ * @param {Object} options - Opciones adicionales (ver executeTraceroute)
+ * @returns {Object} Resultado de la ida con returnTrace y symmetry añadidos
+ */
+export const executeBidirectionalTraceroute = (sourceEquipment, sourceIP, destIP, routingTable, options = {}) => {
+  const forward = executeTraceroute(sourceEquipment, sourceIP, destIP, routingTable, options);
+
+  // Sin camino de ida no hay equipo desde el que trazar la vuelta
+  if (!forward.success) {
+    return { ...forward, returnTrace: null, symmetry: null };
+  }
+
+  const lastHop = forward.hops[forward.hops.length - 1];
+  const destEquipment = lastHop.currentEquipment;
+  // La respuesta sale hacia el origen del paquete tal como llegó (después del
+  // NAT), con los puertos invertidos; los equipos que tradujeron en la ida
+  // deshacen la traducción con sus sesiones
+  const { protocol, srcPort, dstPort } = forward.packet;
+  const reply = reversePorts({ protocol, srcPort, dstPort });
+  const returnOptions = {
+    ...options,
+    flow: options.flow ? reply : null,
+    packet: reply,
+    natSessions: forward.translations,
+    // La respuesta parte de la VRF en la que se entregó el paquete
+    vrf: lastHop.targetVRF,
+  };
+  const returnTrace = executeTraceroute(destEquipment, forward.packet.destIP, forward.packet.sourceIP, routingTable, returnOptions);
+
+  return {
+    ...forward,
+    returnTrace,
+    symmetry: comparePaths(forward.hops, returnTrace.hops, returnTrace.success),
+  };
+};
+
+/**
+ * Valida formato de IP (IPv4 o IPv6, con zona opcional en IPv6)
+ */
+export const validateIP = (ip) => ipVersion(ip) !== null;
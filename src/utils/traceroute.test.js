@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { executeTraceroute, TRACE_STATUS, DIAGNOSTIC_LOOKUP } from './traceroute.js';
+import { DEFAULT_VRF } from './vrf.js';
+
+const table = [
+  { Equipo: 'R1', IP_Destino: '10.0.0.0', Mascara: '/24', Gateway: 'directo' },
+];
+
+describe('executeTraceroute', () => {
+  it('devuelve el mismo resultado sin camino para cada dato de entrada inválido', () => {
+    const cases = [
+      [['R1', '10.0.0.1', '10.0.0.9', []], TRACE_STATUS.INVALID_PARAMS],
+      [['R1', '10.0.0.1', '2001:db8::1', table], TRACE_STATUS.INVALID_PARAMS],
+      [['R9', '10.0.0.1', '10.0.0.9', table], TRACE_STATUS.UNKNOWN_EQUIPMENT],
+      [['R1', '10.0.0.1', '10.0.0.9', table, { failures: { routers: ['R1'], links: [] } }], TRACE_STATUS.ROUTER_DOWN],
+    ];
+    cases.forEach(([args, status]) => {
+      const [sourceEquipment, sourceIP, destIP] = args;
+      const result = executeTraceroute(...args);
+      expect(result).toEqual({
+        success: false,
+        status,
+        error: expect.any(String),
+        hops: [],
+        paths: [],
+        diagnostic: { lookup: DIAGNOSTIC_LOOKUP.SOURCE, equipment: sourceEquipment },
+        metrics: null,
+        packet: null,
+        translations: [],
+        sourceEquipment,
+        sourceIP,
+        destIP,
+        vrf: DEFAULT_VRF,
+      });
+    });
+  });
+});
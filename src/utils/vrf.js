@@ -0,0 +1,97 @@
+/**
+ * VRF (instancias de ruteo)
+ * Un equipo puede tener varias tablas de ruteo independientes, una por VRF:
+ * cada ruta y cada interfaz pertenece a la VRF de su columna opcional VRF (o
+ * a la global si está vacía). La búsqueda de rutas, la resolución de
+ * gateways y la entrega sólo ven las rutas e interfaces de la VRF en la que
+ * viaja el paquete. Una ruta con la columna VRF_Destino "filtra" el tráfico
+ * hacia otra VRF (route leaking): su gateway se resuelve, o su red directa
+ * se entrega, en la VRF indicada.
+ */
+
+/**
+ * Columnas opcionales de la tabla de ruteo y de la de interfaces
+ */
+export const VRF_ROUTE_COLUMNS = ['VRF', 'VRF_Destino'];
+export const VRF_INTERFACE_COLUMNS = ['VRF'];
+
+// VRF de las filas sin columna VRF (la tabla global del equipo)
+export const DEFAULT_VRF = 'default';
+
+// Colores para distinguir las VRF en el diagrama (la global en gris oscuro)
+const VRF_PALETTE = ['#8b5cf6', '#10b981', '#f59e0b', '#ec4899', '#06b6d4', '#84cc16', '#ef4444', '#6366f1'];
+const DEFAULT_VRF_COLOR = '#475569';
+
+/**
+ * VRF de una ruta o interfaz
+ */
+export const vrfOf = (row) => String(row?.VRF ?? '').trim() || DEFAULT_VRF;
+
+/**
+ * VRF hacia la que una ruta filtra el tráfico, o null si no es una ruta de leaking
+ */
+export const leakTarget = (route) => String(route?.VRF_Destino ?? '').trim() || null;
+
+/**
+ * VRF en la que se resuelve el siguiente salto de una ruta
+ */
+export const targetVRF = (route) => leakTarget(route) || vrfOf(route);
+
+/**
+ * Filas (rutas o interfaces) de una VRF
+ */
+export const inVRF = (rows = [], vrf = DEFAULT_VRF) => rows.filter(row => vrfOf(row) === vrf);
+
+/**
+ * Lista las VRF de las tablas, con la global primero
+ * @param {Array} routingData - Tabla de ruteo
+ * @param {Array} interfaces - Tabla de interfaces (opcional)
+ * @param {string} equipment - Si se indica, sólo las VRF de ese equipo
+ */
+export const listVRFs = (routingData = [], interfaces = [], equipment = null) => {
+  const vrfs = new Set();
+  [...routingData, ...interfaces]
+    .filter(row => !equipment || row.Equipo === equipment)
+    .forEach(row => vrfs.add(vrfOf(row)));
+  routingData.forEach(route => {
+    if (leakTarget(route) && (!equipment || route.Equipo === equipment)) vrfs.add(leakTarget(route));
+  });
+  return [...vrfs].sort((a, b) => (a === DEFAULT_VRF ? -1 : b === DEFAULT_VRF ? 1 : a.localeCompare(b)));
+};
+
+/**
+ * Indica si las tablas usan alguna VRF además de la global
+ */
+export const hasVRFs = (routingData = [], interfaces = []) => {
+  return listVRFs(routingData, interfaces).some(vrf => vrf !== DEFAULT_VRF);
+};
+
+/**
+ * Tablas de ruteo e interfaces de cada VRF, calculadas una vez por VRF
+ * @returns {Function} (vrf) => { routingTable, interfaces }
+ */
+export const createVRFScopes = (routingTable = [], interfaces = []) => {
+  const scopes = new Map();
+  return (vrf) => {
+    if (!scopes.has(vrf)) {
+      scopes.set(vrf, { routingTable: inVRF(routingTable, vrf), interfaces: inVRF(interfaces, vrf) });
+    }
+    return scopes.get(vrf);
+  };
+};
+
+/**
+ * Color de una VRF en el diagrama
+ * @param {string} vrf - VRF
+ * @param {Array} vrfs - Todas las VRF (ver listVRFs), para asignar los colores en orden
+ */
+export const vrfColor = (vrf, vrfs = []) => {
+  if (vrf === DEFAULT_VRF) return DEFAULT_VRF_COLOR;
+  const index = vrfs.filter(name => name !== DEFAULT_VRF).indexOf(vrf);
+  return VRF_PALETTE[Math.max(index, 0) % VRF_PALETTE.length];
+};
+
+/**
+ * Nombre de una VRF para mostrar ("global" para la VRF por defecto)
+ */
+export const formatVRF = (vrf) => (!vrf || vrf === DEFAULT_VRF ? 'global' : vrf);
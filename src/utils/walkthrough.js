@@ -0,0 +1,94 @@
+/**
+ * Recorrido paso a paso de un traceroute
+ * Descompone el camino principal en un paso por equipo, con la tabla
+ * completa de ese equipo (en la VRF del paquete) y el papel de cada ruta en la decisión
+ */
+import { formatPrefix, isIPInNetwork } from './ip.js';
+import { routeProtocol, routeDistance, routeMetric, CANDIDATE_OUTCOME } from './routeSelection.js';
+import { inVRF } from './vrf.js';
+
+// Busca la candidata de la selección que corresponde a una ruta de la tabla
+const findCandidate = (route, candidates) => {
+  const destNetwork = formatPrefix(route.IP_Destino, route.Mascara);
+  return candidates.find(candidate =>
+    candidate.destNetwork === destNetwork &&
+    candidate.gateway === route.Gateway &&
+    candidate.line === (route.__line ?? null)
+  ) || null;
+};
+
+// Tabla de un equipo (en una VRF) anotada con el resultado de cada ruta en el salto
+const tableRows = (equipment, vrf, destIP, routingData, hop) => {
+  const candidates = hop?.selection?.candidates || [];
+
+  return inVRF(routingData, vrf)
+    .filter(route => route.Equipo === equipment)
+    .map(route => {
+      const prefix = formatPrefix(route.IP_Destino, route.Mascara);
+      const outcome = findCandidate(route, candidates)?.outcome ?? null;
+      return {
+        route,
+        prefix,
+        protocol: routeProtocol(route),
+        distance: routeDistance(route),
+        metric: routeMetric(route),
+        matches: isIPInNetwork(destIP, route.IP_Destino, route.Mascara),
+        outcome,
+        // Con ECMP, la ruta por la que realmente sigue este camino
+        chosen: Boolean(hop) &&
+          (outcome === CANDIDATE_OUTCOME.WINNER || outcome === CANDIDATE_OUTCOME.ECMP) &&
+          prefix === hop.destNetwork &&
+          route.Gateway === hop.gateway,
+      };
+    });
+};
+
+/**
+ * Construye los pasos del recorrido
+ * Si el traceroute falla, el último paso es el equipo donde se detuvo el
+ * paquete (hop: null), con su tabla sin ninguna ruta elegida
+ * Con NAT cada equipo busca la ruta del destino ya traducido, por lo que
+ * destIP puede cambiar de un paso a otro
+ * @param {Object} traceResult - Resultado de executeTraceroute
+ * @param {Array} routingData - Tabla de ruteo completa
+ * @returns {Array} Un paso por salto: { equipment, nextEquipment, hop, destIP,
+ * vrf, rows }, donde destIP es la IP que buscó el equipo, vrf la VRF en la que
+ * la buscó y rows es la tabla del equipo en esa VRF con { route, prefix, protocol, distance,
+ * metric, matches, outcome, chosen } para cada ruta
+ */
+export const buildWalkthrough = (traceResult, routingData) => {
+  if (!traceResult?.hops) return [];
+
+  const { hops, destIP } = traceResult;
+  const steps = hops.map(hop => {
+    const lookupIP = hop.packetOut?.destIP ?? destIP;
+    return {
+      equipment: hop.currentEquipment,
+      nextEquipment: hop.nextEquipment,
+      hop,
+      destIP: lookupIP,
+      vrf: hop.vrf,
+      rows: tableRows(hop.currentEquipment, hop.vrf, lookupIP, routingData, hop),
+    };
+  });
+
+  if (!traceResult.success) {
+    const stoppedAt = hops.length > 0
+      ? hops[hops.length - 1].nextEquipment
+      : traceResult.sourceEquipment;
+    if (stoppedAt) {
+      const lookupIP = traceResult.diagnostic?.destIP ?? traceResult.packet?.destIP ?? destIP;
+      const vrf = hops.length > 0 ? hops[hops.length - 1].targetVRF : traceResult.vrf;
+      steps.push({
+        equipment: stoppedAt,
+        nextEquipment: null,
+        hop: null,
+        destIP: lookupIP,
+        vrf,
+        rows: tableRows(stoppedAt, vrf, lookupIP, routingData, null),
+      });
+    }
+  }
+
+  return steps;
+};